@@ -0,0 +1,42 @@
+// In-memory file system for tests, enough for the services that touch files
+// Contents are kept as given, whatever the encoding, so base64 reads and appends round-trip.
+const { createHash } = require('crypto');
+
+const files = {};
+
+const read = path => {
+  if (!(path in files)) {
+    throw new Error(`ENOENT: ${path}`);
+  }
+  return files[path];
+};
+
+const RNFS = {
+  DocumentDirectoryPath: '/documents',
+  exists: async path => path in files || Object.keys(files).some(file => file.startsWith(`${path}/`)),
+  readFile: async path => read(path),
+  writeFile: async (path, contents) => {
+    files[path] = contents;
+  },
+  appendFile: async (path, contents) => {
+    files[path] = (files[path] || '') + contents;
+  },
+  stat: async path => ({ path, size: read(path).length, isFile: () => true }),
+  hash: async (path, algorithm) => createHash(algorithm).update(read(path)).digest('hex'),
+  unlink: async path => {
+    delete files[path];
+  },
+  moveFile: async (from, to) => {
+    files[to] = files[from];
+    delete files[from];
+  },
+  mkdir: async () => {},
+  readDir: async () => [],
+  existsAssets: async () => false,
+  // No network in tests; spy on it to serve a mirror
+  downloadFile: () => ({ jobId: 1, promise: Promise.reject(new Error('No network in tests')) }),
+  stopDownload: () => {},
+};
+
+module.exports = RNFS;
+module.exports.default = RNFS;
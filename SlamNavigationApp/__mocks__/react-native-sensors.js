@@ -0,0 +1 @@
+module.exports = require('react-native-sensors/mock');
@@ -0,0 +1,114 @@
+import { createHash } from 'crypto';
+import RNFS from 'react-native-fs';
+import AssetService, { AssetStatus } from '../src/services/AssetService';
+
+const MIRROR = 'https://mirror.test';
+const VOCABULARY = 'ORB vocabulary, 25 bytes.';
+const TARGET = '/documents/ORBvoc.bin';
+const PART = `${TARGET}.part`;
+const META = `${PART}.json`;
+
+const sha256 = contents => createHash('sha256').update(contents).digest('hex');
+
+/**
+ * Serve a file from the mirror, honouring ranges like a static file server
+ * @param {string} contents - What the mirror sends, which may differ from the manifest
+ * @param {number} failures - Requests answered with HTTP 503 first
+ * @returns {string[]} Range header of every request, filled in as they come
+ */
+const serve = (contents, failures = 0) => {
+  const ranges = [];
+  jest.spyOn(RNFS, 'downloadFile').mockImplementation(({ toFile, headers, begin }) => {
+    ranges.push(headers.Range);
+    if (ranges.length <= failures) {
+      return { jobId: ranges.length, promise: Promise.resolve({ statusCode: 503, bytesWritten: 0 }) };
+    }
+    const [start, end] = headers.Range.match(/bytes=(\d+)-(\d+)/).slice(1).map(Number);
+    const chunk = contents.slice(start, end + 1);
+    begin({ headers: { 'content-range': `bytes ${start}-${end}/${contents.length}` } });
+    return {
+      jobId: ranges.length,
+      promise: RNFS.writeFile(toFile, chunk).then(() => ({ statusCode: 206, bytesWritten: chunk.length })),
+    };
+  });
+  return ranges;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({ files: { 'ORBvoc.bin': { size: VOCABULARY.length, sha256: sha256(VOCABULARY) } } }),
+  }));
+  AssetService.configure({ mirror: MIRROR, chunkSize: 10, retryDelay: 0 });
+});
+
+afterEach(async () => {
+  await Promise.all([TARGET, PART, META].map(path => RNFS.unlink(path)));
+  delete global.fetch;
+});
+
+describe('AssetService downloads', () => {
+  it('downloads a missing file in ranged chunks', async () => {
+    const ranges = serve(VOCABULARY);
+
+    await expect(AssetService.provision()).resolves.toEqual({ vocabularyPath: TARGET, settingsPath: null });
+    expect(ranges).toEqual(['bytes=0-9', 'bytes=10-19', 'bytes=20-24']);
+    expect(await RNFS.readFile(TARGET)).toBe(VOCABULARY);
+    expect(await RNFS.exists(PART)).toBe(false);
+    expect(await RNFS.exists(META)).toBe(false);
+    expect(AssetService.getProgress().status).toBe(AssetStatus.READY);
+  });
+
+  it('resumes a partial download where it stopped', async () => {
+    await RNFS.writeFile(PART, VOCABULARY.slice(0, 14));
+    await RNFS.writeFile(META, JSON.stringify({ sha256: sha256(VOCABULARY) }));
+    const ranges = serve(VOCABULARY);
+
+    await AssetService.provision();
+    expect(ranges).toEqual(['bytes=14-23', 'bytes=24-24']);
+    expect(await RNFS.readFile(TARGET)).toBe(VOCABULARY);
+  });
+
+  it('starts over when the partial download is of another version', async () => {
+    await RNFS.writeFile(PART, 'an older vocabul');
+    await RNFS.writeFile(META, JSON.stringify({ sha256: sha256('an older vocabulary') }));
+    const ranges = serve(VOCABULARY);
+
+    await AssetService.provision();
+    expect(ranges[0]).toBe('bytes=0-9');
+    expect(await RNFS.readFile(TARGET)).toBe(VOCABULARY);
+  });
+
+  it('retries a failed chunk', async () => {
+    const ranges = serve(VOCABULARY, 2);
+
+    await AssetService.provision();
+    expect(ranges.slice(0, 3)).toEqual(['bytes=0-9', 'bytes=0-9', 'bytes=0-9']);
+    expect(await RNFS.readFile(TARGET)).toBe(VOCABULARY);
+  });
+
+  it('discards a download whose checksum does not match and downloads it again on retry', async () => {
+    serve(VOCABULARY.replace('vocabulary', 'vocabularY'));
+
+    await expect(AssetService.provision()).rejects.toThrow('ORBvoc.bin checksum mismatch, the download was discarded');
+    expect(AssetService.getProgress().status).toBe(AssetStatus.FAILED);
+    expect(await RNFS.exists(TARGET)).toBe(false);
+    expect(await RNFS.exists(PART)).toBe(false);
+    expect(await RNFS.exists(META)).toBe(false);
+
+    const ranges = serve(VOCABULARY);
+    await AssetService.provision();
+    expect(ranges[0]).toBe('bytes=0-9');
+    expect(await RNFS.readFile(TARGET)).toBe(VOCABULARY);
+  });
+});
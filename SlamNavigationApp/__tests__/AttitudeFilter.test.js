@@ -0,0 +1,72 @@
+import AttitudeFilter from '../src/fusion/AttitudeFilter';
+import * as Q from '../src/utils/quaternion';
+
+const GRAVITY = 9.81;
+const DT = 0.01;
+const LEVEL = [0, 0, GRAVITY];
+
+/**
+ * Integrate the corrections alone, as for a device held still
+ * @returns {number[]} Orientation after the given time
+ */
+const settle = (filter, orientation, accel, seconds) => {
+  let q = orientation;
+  for (let k = 0; k < Math.round(seconds / DT); k++) {
+    const correction = filter.getCorrection(q, accel, DT);
+    q = Q.normalize(Q.multiply(q, Q.fromRotationVector(correction.map(w => w * DT))));
+  }
+  return q;
+};
+
+// Angle between the estimated and the true up direction, in the body frame
+const tiltError = (orientation, accel) => {
+  const predicted = Q.rotateVector(Q.conjugate(orientation), [0, 0, 1]);
+  const norm = Math.hypot(...accel);
+  const cos = predicted.reduce((sum, c, i) => sum + (c * accel[i]) / norm, 0);
+  return Math.acos(Math.min(1, cos));
+};
+
+describe('AttitudeFilter', () => {
+  it('leaves a level estimate of a level device alone', () => {
+    const correction = new AttitudeFilter().getCorrection(Q.identity(), LEVEL, DT);
+    correction.forEach(w => expect(w).toBeCloseTo(0, 9));
+  });
+
+  it('pulls a tilted estimate back onto gravity without turning the yaw', () => {
+    const filter = new AttitudeFilter();
+    const start = Q.multiply(Q.fromRotationVector([0, 0, 0.7]), Q.fromRotationVector([0.2, -0.1, 0]));
+    const settled = settle(filter, start, LEVEL, 5);
+
+    expect(tiltError(start, LEVEL)).toBeGreaterThan(0.2);
+    expect(tiltError(settled, LEVEL)).toBeLessThan(0.01);
+    expect(Q.toEuler(settled).z).toBeCloseTo(Q.toEuler(start).z, 1);
+  });
+
+  it('follows gravity measured in a tilted body', () => {
+    const truth = Q.fromRotationVector([0.4, 0.2, 0]);
+    const accel = Q.rotateVector(Q.conjugate(truth), LEVEL);
+    const settled = settle(new AttitudeFilter({ kp: 2 }), Q.identity(), accel, 5);
+
+    expect(tiltError(settled, accel)).toBeLessThan(0.01);
+  });
+
+  it('ignores samples taken while accelerating', () => {
+    const filter = new AttitudeFilter({ accelTolerance: 0.1 });
+    const tilted = Q.fromRotationVector([0.3, 0, 0]);
+
+    expect(filter.getCorrection(tilted, [0, 0, 1.2 * GRAVITY], DT)).toEqual([0, 0, 0]);
+    expect(filter.getCorrection(tilted, [0, 0, 0.8 * GRAVITY], DT)).toEqual([0, 0, 0]);
+    expect(filter.getCorrection(tilted, [0, 0, 1.05 * GRAVITY], DT)).not.toEqual([0, 0, 0]);
+  });
+
+  it('builds up an integral term that reset clears', () => {
+    const filter = new AttitudeFilter({ kp: 0, ki: 1 });
+    const tilted = Q.fromRotationVector([0.3, 0, 0]);
+    const first = filter.getCorrection(tilted, LEVEL, DT);
+    const second = filter.getCorrection(tilted, LEVEL, DT);
+
+    expect(Math.abs(second[0])).toBeCloseTo(2 * Math.abs(first[0]), 9);
+    filter.reset();
+    expect(filter.integral).toEqual([0, 0, 0]);
+  });
+});
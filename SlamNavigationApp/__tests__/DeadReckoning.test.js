@@ -0,0 +1,159 @@
+import MockSlamBackend from '../src/backends/MockSlamBackend';
+import RecordedSensorSource from '../src/backends/RecordedSensorSource';
+import SyntheticSensorSource from '../src/backends/SyntheticSensorSource';
+import { DeadReckoning } from '../src/services/DeadReckoning';
+import { SlamService } from '../src/services/SlamService';
+
+const GRAVITY = 9.81;
+
+// At rest for the first 0.1 s, so the device levels itself, then 1 m/s^2 along x
+const accelerateAlongX = t => ({ accel: [t < 0.1 ? 0 : 1, 0, GRAVITY], gyro: [0, 0, 0] });
+
+// Synthetic sources deliver everything during start() at infinite speed
+const createDeadReckoning = (options = {}) =>
+  new DeadReckoning({
+    sensors: new SyntheticSensorSource({ speed: Infinity, duration: 1, startTime: 1000, ...options }),
+  });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('DeadReckoning initialization', () => {
+  it('holds still on a device lying at rest', () => {
+    const deadReckoning = createDeadReckoning({ duration: 2 });
+    deadReckoning.start();
+
+    const state = deadReckoning.getState();
+    expect(deadReckoning.isAligned).toBe(true);
+    expect(state.timestamp).toBeCloseTo(3000);
+    expect(Math.hypot(state.position.x, state.position.y, state.position.z)).toBeLessThan(1e-6);
+    expect(state.eulerAngles.x).toBeCloseTo(0);
+    expect(state.eulerAngles.y).toBeCloseTo(0);
+  });
+
+  it('rejects an unknown mode', () => {
+    expect(() => createDeadReckoning().start({ mode: 'walk' })).toThrow('Unknown dead reckoning mode');
+  });
+
+  it('estimates the sensor biases while calibrating', async () => {
+    const deadReckoning = createDeadReckoning({ accelBias: [0, 0, 0.2], gyroBias: [0.01, 0, 0] });
+    await deadReckoning.calibrate(10);
+
+    expect(deadReckoning.isCalibrated).toBe(true);
+    expect(deadReckoning.accelBias.z).toBeCloseTo(0.2);
+    expect(deadReckoning.gyroBias.x).toBeCloseTo(0.01);
+  });
+});
+
+describe('DeadReckoning IMU processing', () => {
+  it('integrates a constant acceleration', () => {
+    const deadReckoning = createDeadReckoning({ duration: 1.1, motion: accelerateAlongX });
+    const states = [];
+    deadReckoning.addListener(state => states.push(state));
+    // The tilt correction would take part of a sustained acceleration for gravity
+    deadReckoning.start({ tiltGain: 0 });
+
+    const { position, velocity } = deadReckoning.getState();
+    expect(states).toHaveLength(110);
+    expect(position.x).toBeCloseTo(0.5, 1);
+    expect(velocity.x).toBeCloseTo(1, 1);
+    expect(Math.abs(position.y)).toBeLessThan(1e-6);
+  });
+
+  it('keeps the heading in the frame of the position with the magnetometer', () => {
+    // Lying flat with north off to the right, then pushed along the top edge
+    const deadReckoning = createDeadReckoning({
+      duration: 1.1,
+      motion: t => ({ accel: [0, t < 0.1 ? 0 : 1, GRAVITY], gyro: [0, 0, 0], magneticField: [20, 0, -40] }),
+    });
+    deadReckoning.start({ tiltGain: 0, useMagnetometer: true });
+
+    const { position, heading } = deadReckoning.getState();
+    expect(position.y).toBeCloseTo(0.5, 1);
+    expect(heading).toBeCloseTo(Math.atan2(position.y, position.x), 3);
+  });
+
+  it('plays back recorded samples and stops with the source', () => {
+    const samples = Array.from({ length: 50 }, (_, i) => ({
+      timestampNs: i * 1e7,
+      gyro: [0, 0, 0],
+      accel: [0, 0, GRAVITY],
+    }));
+    const deadReckoning = new DeadReckoning({ sensors: new RecordedSensorSource({ samples, speed: Infinity }) });
+    const imu = [];
+    deadReckoning.addImuListener(sample => imu.push(sample));
+
+    deadReckoning.start();
+    deadReckoning.stop();
+
+    expect(imu).toHaveLength(50);
+    expect(imu[49].timestamp).toBeCloseTo(490);
+    expect(deadReckoning.sensorSubscription).toBeNull();
+  });
+
+  it('resets the position but keeps the biases', async () => {
+    const deadReckoning = createDeadReckoning({ motion: accelerateAlongX });
+    deadReckoning.filter.setBiases([0.05, 0, 0], [0, 0, 0]);
+    deadReckoning.start();
+    deadReckoning.resetPosition();
+
+    const state = deadReckoning.getState();
+    expect(state.position).toEqual({ x: 0, y: 0, z: 0 });
+    expect(state.velocity).toEqual({ x: 0, y: 0, z: 0 });
+    expect(state.accelBias.x).toBeCloseTo(0.05);
+  });
+});
+
+describe('DeadReckoning fusion with SLAM', () => {
+  it('pulls the estimate towards SLAM poses', () => {
+    // SLAM sees the device where it started, the IMU says it moved
+    const deadReckoning = createDeadReckoning({ duration: 1.1, motion: accelerateAlongX });
+    deadReckoning.start({ tiltGain: 0 });
+    const drifted = deadReckoning.getState();
+    expect(drifted.position.x).toBeGreaterThan(0.4);
+
+    deadReckoning.fuseWithSlam({ position: [0, 0, 0], orientation: [0, 0, 0, 1] });
+    const fused = deadReckoning.getState();
+    expect(Math.abs(fused.position.x)).toBeLessThan(drifted.position.x / 2);
+    expect(fused.covariance[0][0]).toBeLessThan(drifted.covariance[0][0]);
+  });
+
+  it('ignores poses without a position', () => {
+    const deadReckoning = createDeadReckoning();
+    deadReckoning.start();
+    const before = deadReckoning.getState();
+
+    deadReckoning.fuseWithSlam(null);
+    deadReckoning.fuseWithSlam({ orientation: [0, 0, 0, 1] });
+    expect(deadReckoning.getState()).toEqual(before);
+  });
+
+  it('follows SlamService poses fed through a pose listener', async () => {
+    // The device stands still while SLAM reports it 1 m further along x
+    const trajectory = [0, 0.5, 1].map(timestamp => ({
+      timestamp,
+      position: [1, 0, 0],
+      orientation: [0, 0, 0, 1],
+    }));
+    const slam = new SlamService({ backend: new MockSlamBackend({ trajectory }) });
+    const deadReckoning = createDeadReckoning();
+    slam.addPoseListener(pose => {
+      if (slam.trackingState === 'OK') {
+        deadReckoning.fuseWithSlam(pose);
+      }
+    });
+
+    await slam.initialize('/vocabulary', '/settings.yaml');
+    deadReckoning.start();
+    for (const timestamp of [0, 0.5, 1]) {
+      await slam.processFrame('/frame.png', timestamp);
+    }
+
+    expect(deadReckoning.getState().position.x).toBeGreaterThan(0.5);
+  });
+});
@@ -0,0 +1,123 @@
+import ErrorStateKalmanFilter from '../src/fusion/ErrorStateKalmanFilter';
+import { diag } from '../src/utils/matrix';
+import * as Q from '../src/utils/quaternion';
+
+const GRAVITY = 9.81;
+const DT = 0.01;
+
+/**
+ * Propagate with the same sample for a while
+ * @param {number} seconds
+ */
+const run = (filter, accel, gyro, seconds) => {
+  for (let k = 0; k < Math.round(seconds / DT); k++) {
+    filter.predict(accel, gyro, DT);
+  }
+};
+
+const yawOf = orientation => Q.toEuler(orientation).z;
+
+describe('ErrorStateKalmanFilter prediction', () => {
+  it('holds still on a level device at rest and grows more uncertain', () => {
+    const filter = new ErrorStateKalmanFilter();
+    const before = filter.getPositionCovariance()[0][0];
+    run(filter, [0, 0, GRAVITY], [0, 0, 0], 1);
+
+    const { position, velocity } = filter.getState();
+    [...position, ...velocity].forEach(value => expect(Math.abs(value)).toBeLessThan(1e-9));
+    expect(filter.getPositionCovariance()[0][0]).toBeGreaterThan(before);
+  });
+
+  it('integrates a constant acceleration', () => {
+    const filter = new ErrorStateKalmanFilter();
+    run(filter, [1, 0, GRAVITY], [0, 0, 0], 1);
+
+    const { position, velocity } = filter.getState();
+    expect(position[0]).toBeCloseTo(0.5, 6);
+    expect(velocity[0]).toBeCloseTo(1, 6);
+    expect(position[2]).toBeCloseTo(0, 6);
+  });
+
+  it('integrates the angular rate and removes the gyro bias', () => {
+    const filter = new ErrorStateKalmanFilter();
+    filter.setBiases([0, 0, 0], [0, 0, 0.1]);
+    run(filter, [0, 0, GRAVITY], [0, 0, 0.6], 1);
+
+    expect(yawOf(filter.orientation)).toBeCloseTo(0.5, 6);
+  });
+
+  it('skips samples without a positive time step', () => {
+    const filter = new ErrorStateKalmanFilter();
+    const before = filter.getState();
+    filter.predict([1, 0, GRAVITY], [0, 0, 1], 0);
+    filter.predict([1, 0, GRAVITY], [0, 0, 1], NaN);
+
+    expect(filter.getState()).toEqual(before);
+  });
+});
+
+describe('ErrorStateKalmanFilter updates', () => {
+  it('pulls the position towards a measurement and becomes more certain', () => {
+    const filter = new ErrorStateKalmanFilter();
+    run(filter, [0, 0, GRAVITY], [0, 0, 0], 1);
+    const before = filter.getPositionCovariance()[0][0];
+
+    const nis = filter.updatePose([1, 0, 0], null, diag([1e-6, 1e-6, 1e-6]));
+    expect(filter.position[0]).toBeCloseTo(1, 2);
+    expect(filter.getPositionCovariance()[0][0]).toBeLessThan(before);
+    expect(nis).toBeGreaterThan(9);
+  });
+
+  it('corrects the orientation from a pose with one', () => {
+    const filter = new ErrorStateKalmanFilter();
+    filter.updatePose([0, 0, 0], Q.fromRotationVector([0, 0, 0.05]), diag([1e-4, 1e-4, 1e-4, 1e-6, 1e-6, 1e-6]));
+
+    expect(yawOf(filter.orientation)).toBeCloseTo(0.05, 3);
+  });
+
+  it('learns an accelerometer bias from repeated position fixes', () => {
+    // Along the vertical, where a tilt error cannot explain it instead
+    const filter = new ErrorStateKalmanFilter();
+    for (let k = 0; k < 100; k++) {
+      run(filter, [0, 0, GRAVITY + 0.1], [0, 0, 0], 0.1);
+      filter.updatePose([0, 0, 0], null, diag([1e-4, 1e-4, 1e-4]));
+    }
+
+    expect(filter.accelBias[2]).toBeCloseTo(0.1, 2);
+    expect(Math.abs(filter.position[2])).toBeLessThan(0.01);
+  });
+
+  it('corrects only the height from an altitude', () => {
+    const filter = new ErrorStateKalmanFilter();
+    filter.updateAltitude(2, 1e-8);
+
+    expect(filter.position[2]).toBeCloseTo(2, 2);
+    expect(filter.position[0]).toBeCloseTo(0, 6);
+    expect(filter.position[1]).toBeCloseTo(0, 6);
+  });
+
+  it('turns the yaw about the world vertical on a tilted device', () => {
+    const filter = new ErrorStateKalmanFilter({ initialOrientationStd: 0.5 });
+    const tilt = Q.fromRotationVector([0.6, 0, 0]);
+    filter.setOrientation(tilt);
+    filter.updateYaw(0.2, 1e-6);
+
+    // The device is turned, not tipped further over
+    const up = Q.rotateVector(Q.conjugate(filter.orientation), [0, 0, 1]);
+    const tiltUp = Q.rotateVector(Q.conjugate(tilt), [0, 0, 1]);
+    up.forEach((value, i) => expect(value).toBeCloseTo(tiltUp[i], 2));
+    expect(yawOf(filter.orientation)).toBeCloseTo(0.2, 2);
+  });
+
+  it('resets to a given state with the initial uncertainty', () => {
+    const filter = new ErrorStateKalmanFilter({ initialPositionStd: 0.1 });
+    run(filter, [1, 0, GRAVITY], [0, 0, 0], 1);
+    filter.reset({ position: [1, 2, 3], accelBias: [0.1, 0, 0] });
+
+    const state = filter.getState();
+    expect(state.position).toEqual([1, 2, 3]);
+    expect(state.velocity).toEqual([0, 0, 0]);
+    expect(state.accelBias).toEqual([0.1, 0, 0]);
+    expect(state.covariance[0][0]).toBeCloseTo(0.01);
+  });
+});
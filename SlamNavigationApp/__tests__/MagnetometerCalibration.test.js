@@ -0,0 +1,84 @@
+import {
+  applyMagnetometerCalibration,
+  computeMagnetometerCalibration,
+  identityCalibration,
+} from '../src/fusion/MagnetometerCalibration';
+
+const FIELD = 50; // µT
+
+/**
+ * Directions spread evenly over the sphere, as from a thorough figure-eight
+ */
+const directions = n =>
+  Array.from({ length: n }, (_, k) => {
+    const z = 1 - (2 * (k + 0.5)) / n;
+    const r = Math.sqrt(1 - z * z);
+    const angle = k * Math.PI * (3 - Math.sqrt(5));
+    return [r * Math.cos(angle), r * Math.sin(angle), z];
+  });
+
+/**
+ * Readings of a magnetometer with a hard-iron offset and per-axis soft-iron gains
+ */
+const distorted = (offset, gains, n = 200) =>
+  directions(n).map(d => d.map((c, i) => c * FIELD * gains[i] + offset[i]));
+
+const norm = v => Math.hypot(v[0], v[1], v[2]);
+
+describe('computeMagnetometerCalibration', () => {
+  it('recovers the hard-iron offset and turns the ellipsoid back into a sphere', () => {
+    const offset = [12, -20, 5];
+    const samples = distorted(offset, [1.2, 0.9, 1.0]);
+    const calibration = computeMagnetometerCalibration(samples);
+
+    calibration.offset.forEach((c, i) => expect(c).toBeCloseTo(offset[i], 6));
+    expect(calibration.fieldStrength).toBeCloseTo((FIELD * (1.2 + 0.9 + 1.0)) / 3, 6);
+    samples.forEach(sample => {
+      expect(norm(applyMagnetometerCalibration(calibration, sample))).toBeCloseTo(calibration.fieldStrength, 6);
+    });
+  });
+
+  it('leaves an undistorted magnetometer as it is', () => {
+    const calibration = computeMagnetometerCalibration(distorted([0, 0, 0], [1, 1, 1]));
+
+    calibration.offset.forEach(c => expect(c).toBeCloseTo(0, 6));
+    calibration.scale.forEach(s => expect(s).toBeCloseTo(1, 6));
+    expect(calibration.fieldStrength).toBeCloseTo(FIELD, 6);
+  });
+
+  it('fits the box around samples that do not describe an ellipsoid', () => {
+    // On a hyperboloid x² + y² - z² = FIELD², curved the wrong way along z
+    const samples = Array.from({ length: 200 }, (_, k) => {
+      const z = -30 + (60 * (k % 20)) / 19;
+      const r = Math.sqrt(FIELD ** 2 + z ** 2);
+      const angle = (2 * Math.PI * Math.floor(k / 20)) / 10 + k * 0.01;
+      return [r * Math.cos(angle) + 4, r * Math.sin(angle), z - 2];
+    });
+    const calibration = computeMagnetometerCalibration(samples);
+
+    const halfRange = i => {
+      const values = samples.map(sample => sample[i]);
+      return (Math.max(...values) - Math.min(...values)) / 2;
+    };
+    expect(calibration.offset[2]).toBeCloseTo(-2, 6);
+    expect(calibration.fieldStrength).toBeCloseTo((halfRange(0) + halfRange(1) + halfRange(2)) / 3, 6);
+    expect(calibration.scale[2]).toBeCloseTo(calibration.fieldStrength / 30, 6);
+  });
+
+  it('needs enough samples', () => {
+    expect(() => computeMagnetometerCalibration(distorted([0, 0, 0], [1, 1, 1], 9))).toThrow(
+      'Not enough magnetometer samples'
+    );
+  });
+});
+
+describe('applyMagnetometerCalibration', () => {
+  it('leaves readings untouched with the identity calibration', () => {
+    expect(applyMagnetometerCalibration(identityCalibration(), [10, -20, 30])).toEqual([10, -20, 30]);
+  });
+
+  it('removes the offset before scaling', () => {
+    const calibration = { offset: [10, 0, -5], scale: [2, 1, 0.5] };
+    expect(applyMagnetometerCalibration(calibration, [15, 3, 5])).toEqual([10, 3, 5]);
+  });
+});
@@ -0,0 +1,154 @@
+import MockSlamBackend from '../src/backends/MockSlamBackend';
+import { SlamService } from '../src/services/SlamService';
+import { TrackingEvent } from '../src/utils/trackingHealth';
+
+// Straight walk along x at 1 m/s, one pose every 0.1 s
+const trajectory = Array.from({ length: 50 }, (_, i) => ({
+  timestamp: i * 0.1,
+  position: [i * 0.1, 0, 0],
+  orientation: [0, 0, 0, 1],
+}));
+
+const createService = (options = {}) => {
+  const backend = new MockSlamBackend({ trajectory, ...options });
+  return { backend, slam: new SlamService({ backend }) };
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('SlamService initialization', () => {
+  it('initializes through the backend', async () => {
+    const { slam } = createService();
+    expect(slam.isReady()).toBe(false);
+
+    await expect(slam.initialize('/vocabulary', '/settings.yaml')).resolves.toBe(true);
+    expect(slam.isReady()).toBe(true);
+    expect(slam.isInertial()).toBe(false);
+    expect(slam.getImuConfig()).toBeNull();
+  });
+
+  it('takes the sensor and IMU configuration from the backend', async () => {
+    const imu = { noiseGyro: 0.002, noiseAcc: 0.02, gyroWalk: 2e-5, accWalk: 2e-4, frequency: 100 };
+    const { slam } = createService({ sensor: 'IMU_MONOCULAR', imu });
+    await slam.initialize('/vocabulary', '/settings.yaml');
+
+    expect(slam.isInertial()).toBe(true);
+    expect(slam.getImuConfig()).toEqual(imu);
+  });
+
+  it('refuses frames before initialization', async () => {
+    const { slam } = createService();
+    await expect(slam.processFrame('/frame.png', 0)).rejects.toThrow('not initialized');
+  });
+});
+
+describe('SlamService frame processing', () => {
+  it('returns the pose of each frame and notifies pose listeners', async () => {
+    const { slam } = createService();
+    await slam.initialize('/vocabulary', '/settings.yaml');
+    const poses = [];
+    slam.addPoseListener(pose => poses.push(pose));
+
+    // The first frame only initializes the map
+    const first = await slam.processFrame('/frame0.png', 0);
+    expect(first.diagnostics.stateName).toBe('NOT_INITIALIZED');
+
+    const pose = await slam.processFrame('/frame1.png', 1.05);
+    expect(pose.position[0]).toBeCloseTo(1.0);
+    expect(pose.diagnostics.stateName).toBe('OK');
+    expect(slam.getCurrentPose().position).toEqual(pose.position);
+    expect(slam.getHealth().score).toBeGreaterThan(0);
+    expect(poses).toHaveLength(2);
+  });
+
+  it('reports losing and regaining tracking', async () => {
+    const { backend, slam } = createService();
+    await slam.initialize('/vocabulary', '/settings.yaml');
+    const events = [];
+    slam.addTrackingEventListener(event => events.push(event.type));
+
+    await slam.processFrame('/frame.png', 0);
+    await slam.processFrame('/frame.png', 0.1);
+    backend.setTrackingState('LOST');
+    await slam.processFrame('/frame.png', 0.2);
+    backend.setTrackingState(null);
+    await slam.processFrame('/frame.png', 0.3);
+
+    expect(events).toContain(TrackingEvent.LOST);
+    expect(events).toContain(TrackingEvent.RELOCALIZED);
+    expect(slam.getHealth().level).not.toBe('lost');
+  });
+
+  it('follows the camera stream while subscribed', async () => {
+    const { backend, slam } = createService();
+    await slam.initialize('/vocabulary', '/settings.yaml');
+    const frames = [];
+    slam.addFrameListener(frame => frames.push(frame));
+
+    await slam.startFrameStream();
+    backend.emitFrame(0);
+    backend.emitFrame(0.5);
+    slam.stopFrameStream();
+    backend.emitFrame(1.0);
+
+    expect(frames).toHaveLength(2);
+    expect(frames[1].imagePath).toBeNull();
+    expect(slam.getCurrentPose().position[0]).toBeCloseTo(0.5);
+    await expect(slam.getFrameStats()).resolves.toMatchObject({ received: 3, processed: 3 });
+  });
+
+  it('forwards IMU samples in batches when visual-inertial', async () => {
+    const { backend, slam } = createService({ sensor: 'IMU_MONOCULAR' });
+    await slam.initialize('/vocabulary', '/settings.yaml');
+
+    for (let i = 0; i < 12; i++) {
+      slam.queueImuSample({ timestamp: i * 10, accel: [0, 0, 9.81], gyro: [0, 0, 0] });
+      // Let a started flush finish
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    expect(backend.imuSamples).toBe(10);
+    expect(slam.imuQueue).toHaveLength(2);
+  });
+});
+
+describe('SlamService reset', () => {
+  it('clears the pose and diagnostics and initializes again', async () => {
+    const { slam } = createService();
+    await slam.initialize('/vocabulary', '/settings.yaml');
+    await slam.processFrame('/frame.png', 0);
+    await slam.processFrame('/frame.png', 0.1);
+
+    await expect(slam.reset()).resolves.toBe(true);
+    expect(slam.getCurrentPose()).toBeNull();
+    expect(slam.getDiagnostics()).toBeNull();
+    expect(slam.getHealth()).toBeNull();
+    expect(slam.trackingState).toBe('NOT_INITIALIZED');
+
+    const first = await slam.processFrame('/frame.png', 0.2);
+    expect(first.diagnostics.stateName).toBe('NOT_INITIALIZED');
+    expect(first.diagnostics.keyframes).toBe(0);
+    const next = await slam.processFrame('/frame.png', 0.3);
+    expect(next.diagnostics.stateName).toBe('OK');
+  });
+
+  it('keeps instances independent', async () => {
+    const a = createService();
+    const b = createService();
+    await a.slam.initialize('/vocabulary', '/settings.yaml');
+    await b.slam.initialize('/vocabulary', '/settings.yaml');
+
+    await a.slam.processFrame('/frame.png', 0);
+    await a.slam.processFrame('/frame.png', 2.0);
+    await b.slam.reset();
+
+    expect(a.slam.getCurrentPose().position[0]).toBeCloseTo(2.0);
+    expect(b.slam.getCurrentPose()).toBeNull();
+  });
+});
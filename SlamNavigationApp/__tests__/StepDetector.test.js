@@ -0,0 +1,72 @@
+import StepDetector from '../src/fusion/StepDetector';
+
+const GRAVITY = 9.81;
+
+/**
+ * Accelerometer samples at 100 Hz of a phone bouncing with each step
+ * @param {Object} options
+ * @param {number} options.rate - Steps per second
+ * @param {number} options.amplitude - Peak acceleration above gravity (m/s^2)
+ * @param {number} options.start - ms
+ */
+const walk = ({ rate = 2, amplitude = 3, seconds = 5, start = 1000 } = {}) =>
+  Array.from({ length: seconds * 100 }, (_, k) => {
+    const t = k / 100;
+    return { timestamp: start + k * 10, accel: [0, 0, GRAVITY + amplitude * Math.sin(2 * Math.PI * rate * t)] };
+  });
+
+const stepsOf = (detector, samples) =>
+  samples.map(({ accel, timestamp }) => detector.update(accel, timestamp)).filter(Boolean);
+
+describe('StepDetector', () => {
+  it('counts one step per bounce with the Weinberg length', () => {
+    const steps = stepsOf(new StepDetector(), walk());
+
+    expect(steps).toHaveLength(10);
+    expect(steps[0].interval).toBeNull();
+    steps.slice(1).forEach(step => expect(step.interval).toBeCloseTo(500, -1));
+    // The smoothed swing is a little under twice the amplitude
+    steps.slice(1).forEach(step => {
+      expect(step.rawLength).toBeGreaterThan(0.48 * Math.pow(5, 0.25));
+      expect(step.rawLength).toBeLessThan(0.48 * Math.pow(6, 0.25));
+    });
+  });
+
+  it('ignores a phone that only trembles', () => {
+    expect(stepsOf(new StepDetector(), walk({ amplitude: 0.5 }))).toEqual([]);
+  });
+
+  it('treats faster bounces than anyone walks as noise', () => {
+    const steps = stepsOf(new StepDetector({ minStepInterval: 250 }), walk({ rate: 8 }));
+
+    expect(steps.length).toBeGreaterThan(0);
+    expect(steps.length).toBeLessThanOrEqual(20);
+    steps.slice(1).forEach(step => expect(step.interval).toBeGreaterThanOrEqual(250));
+  });
+
+  it('scales the length by the calibration factor', () => {
+    const detector = new StepDetector();
+    detector.setStepLengthFactor(1.2);
+    const [, step] = stepsOf(detector, walk());
+
+    expect(step.length).toBeCloseTo(step.rawLength * 1.2);
+  });
+
+  it('starts a new walking bout after a long pause', () => {
+    const detector = new StepDetector({ maxStepInterval: 2000 });
+    const first = stepsOf(detector, walk({ seconds: 2 }));
+    const second = stepsOf(detector, walk({ seconds: 2, start: 6000 }));
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(second[0].interval).toBeNull();
+    expect(second[1].interval).toBeCloseTo(500, -1);
+  });
+
+  it('forgets the last step on reset', () => {
+    const detector = new StepDetector();
+    stepsOf(detector, walk({ seconds: 2 }));
+    detector.reset();
+
+    expect(stepsOf(detector, walk({ seconds: 2, start: 3000 }))[0].interval).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+import TrackingSupervisor, { NavigationState, RecoveryAction } from '../src/fusion/TrackingSupervisor';
+import * as Q from '../src/utils/quaternion';
+import { DEFAULT_CAMERA_TO_BODY, cameraFromBody } from '../src/utils/slamFrame';
+
+const DEAD_RECKONING = { position: [0, 0, 0], orientation: [0, 0, 0, 1], heading: 0 };
+
+/**
+ * Feed frames 100 ms apart
+ * @returns {Object} { now: time after the last frame, actions: recovery actions asked for }
+ */
+const feed = (supervisor, frames, start) => {
+  let now = start;
+  const actions = [];
+  frames.forEach(frame => {
+    supervisor.handleFrame(frame, DEAD_RECKONING, now);
+    const action = supervisor.tick(now);
+    if (action) {
+      actions.push(action);
+    }
+    now += 100;
+  });
+  return { now, actions };
+};
+
+const repeat = (frame, n) => Array.from({ length: n }, () => frame);
+
+/**
+ * A phone held upright in portrait, turned to a yaw and leaning back a little
+ */
+const phonePose = (position, yaw) => ({
+  position,
+  orientation: Q.normalize(Q.multiply(Q.fromRotationVector([0, 0, yaw]), Q.fromRotationVector([1.4, 0, 0]))),
+});
+
+/**
+ * How monocular SLAM, once scaled, sees a body pose: the camera in the first camera frame
+ */
+const slamFrame = (first, pose) => {
+  const firstCamera = cameraFromBody(first.orientation, DEFAULT_CAMERA_TO_BODY);
+  const delta = pose.position.map((c, i) => c - first.position[i]);
+  return {
+    trackingState: 'OK',
+    position: Q.rotateVector(Q.conjugate(firstCamera), delta),
+    orientation: Q.multiply(Q.conjugate(firstCamera), cameraFromBody(pose.orientation, DEFAULT_CAMERA_TO_BODY)),
+  };
+};
+
+const expectArrayCloseTo = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 6));
+};
+
+/**
+ * Unit quaternions equal up to sign
+ */
+const expectSameRotation = (actual, expected) => {
+  const dot = actual.reduce((sum, q, i) => sum + q * expected[i], 0);
+  expect(Math.abs(dot)).toBeCloseTo(1, 6);
+};
+
+describe('TrackingSupervisor', () => {
+  it('recovers from losing SLAM before its poses are usable', () => {
+    const supervisor = new TrackingSupervisor();
+    const { now } = feed(supervisor, repeat({ trackingState: 'OK', position: null }, 10), 0);
+    expect(supervisor.state).toBe(NavigationState.INITIALIZING);
+
+    const { actions } = feed(supervisor, repeat({ trackingState: 'LOST', position: null }, 210), now);
+    expect(supervisor.state).toBe(NavigationState.LOST);
+    expect(actions).toContain(RecoveryAction.RESET);
+  });
+
+  it('does not escalate while SLAM has not tracked yet', () => {
+    const supervisor = new TrackingSupervisor();
+    const { actions } = feed(supervisor, repeat({ trackingState: 'NOT_INITIALIZED', position: null }, 210), 0);
+
+    expect(supervisor.state).toBe(NavigationState.INITIALIZING);
+    expect(actions).toEqual([]);
+  });
+
+  it('waits in initializing while SLAM tracks without usable poses after being lost', () => {
+    const supervisor = new TrackingSupervisor();
+    const lost = [{ trackingState: 'OK', position: null }, { trackingState: 'LOST', position: null }];
+    const { now } = feed(supervisor, lost, 0);
+    const { actions } = feed(supervisor, repeat({ trackingState: 'OK', position: null }, 210), now);
+
+    expect(supervisor.state).toBe(NavigationState.INITIALIZING);
+    expect(actions).toEqual([]);
+  });
+
+  it('levels the first map, keeping its origin and heading', () => {
+    const supervisor = new TrackingSupervisor();
+    const first = phonePose([0, 0, 1.2], 0.5);
+    const pose = phonePose([2, 1, 1.5], 1.5);
+    const deadReckoning = { ...pose, heading: 1.5 };
+
+    const frame = slamFrame(first, pose);
+    let output = null;
+    [0, 100, 200].forEach(now => {
+      output = supervisor.handleFrame(frame, deadReckoning, now);
+    });
+
+    // SLAM keeps its own origin and heading, but height and tilt match the navigation frame
+    const up = Q.rotateVector(Q.conjugate(output.orientation), [0, 0, 1]);
+    expectArrayCloseTo(up, Q.rotateVector(Q.conjugate(pose.orientation), [0, 0, 1]));
+    const position = supervisor.toNavigation(frame.position);
+    expect(position[2]).toBeCloseTo(0.3, 6);
+    expect(Math.hypot(position[0], position[1])).toBeCloseTo(Math.hypot(2, 1), 6);
+  });
+
+  it('turns and moves a fresh map onto dead reckoning and outputs the body orientation', () => {
+    const supervisor = new TrackingSupervisor();
+    feed(supervisor, [{ trackingState: 'OK', position: null }, { trackingState: 'LOST', position: null }], 0);
+    supervisor.startRecovery(RecoveryAction.RESET, 300);
+
+    const first = phonePose([4, -2, 1.2], -0.8);
+    const deadReckoning = { ...first, heading: -0.8 };
+    repeat(slamFrame(first, first), 3).forEach((frame, i) => {
+      supervisor.handleFrame(frame, deadReckoning, 400 + i * 100);
+    });
+    expect(supervisor.state).toBe(NavigationState.TRACKING);
+
+    const pose = phonePose([5, 0, 1.4], 0.3);
+    const output = supervisor.handleFrame(slamFrame(first, pose), deadReckoning, 800);
+    expectArrayCloseTo(output.position, pose.position);
+    expectSameRotation(output.orientation, pose.orientation);
+    expectArrayCloseTo(supervisor.toNavigation(slamFrame(first, first).position), first.position);
+
+    const navigation = supervisor.toNavigationPose(slamFrame(first, pose));
+    expectArrayCloseTo(navigation.position, pose.position);
+    expectSameRotation(navigation.orientation, pose.orientation);
+    expect(new TrackingSupervisor().toNavigationPose(slamFrame(first, pose))).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+import ScaleEstimator from '../src/fusion/ScaleEstimator';
+import ZuptDisplacement from '../src/fusion/ZuptDisplacement';
+
+/**
+ * Samples at 100 Hz: a rest, a push of `distance` along x over `duration` s
+ * (sinusoidal acceleration, so it ends at rest), then another rest
+ * @param {number[]} bias - Constant acceleration error, e.g. gravity leaking through a tilt error
+ */
+const restMoveRest = ({ distance = 1, duration = 2, rest = 1, bias = [0, 0, 0] } = {}) => {
+  const amplitude = (2 * Math.PI * distance) / (duration * duration);
+  const samples = [];
+  const total = 2 * rest + duration;
+  for (let k = 0; k <= total * 100; k++) {
+    const t = k / 100;
+    const moving = t > rest && t < rest + duration;
+    const a = moving ? amplitude * Math.sin((2 * Math.PI * (t - rest)) / duration) : 0;
+    samples.push({
+      timestamp: 1000 + k * 10,
+      accel: [a + bias[0], bias[1], bias[2]],
+      gyro: moving ? [0, 0, 0.3] : [0, 0, 0],
+    });
+  }
+  return samples;
+};
+
+const motionsOf = (zupt, samples) => samples.map(sample => zupt.update(sample)).filter(Boolean);
+
+describe('ZuptDisplacement', () => {
+  it('measures a motion between two rests', () => {
+    const motions = motionsOf(new ZuptDisplacement(), restMoveRest());
+
+    expect(motions).toHaveLength(1);
+    expect(motions[0].distance).toBeCloseTo(1, 2);
+    expect(Math.abs(motions[0].displacement[1])).toBeLessThan(0.01);
+    expect(motions[0].start).toBeCloseTo(2000, -2);
+    expect(motions[0].end).toBeCloseTo(4000, -2);
+  });
+
+  it('cancels a constant acceleration bias', () => {
+    const [motion] = motionsOf(new ZuptDisplacement({ accelThreshold: 0.5 }), restMoveRest({ bias: [0.1, 0.1, 0] }));
+
+    // Left uncorrected, 0.1 m/s^2 over 2 s would add 0.2 m along each axis
+    expect(motion.distance).toBeCloseTo(1, 2);
+    expect(Math.abs(motion.displacement[1])).toBeLessThan(0.02);
+  });
+
+  it('drops motions too long to trust', () => {
+    expect(motionsOf(new ZuptDisplacement(), restMoveRest({ duration: 6 }))).toEqual([]);
+  });
+
+  it('needs a rest before the motion', () => {
+    const zupt = new ZuptDisplacement();
+    const samples = restMoveRest().filter(sample => sample.timestamp >= 2100);
+
+    expect(motionsOf(zupt, samples)).toEqual([]);
+    expect(zupt.resting).toBe(true);
+  });
+
+  it('measures the next motion once at rest again', () => {
+    const zupt = new ZuptDisplacement();
+    const first = restMoveRest();
+    const second = restMoveRest({ distance: 0.5 }).map(sample => ({
+      ...sample,
+      timestamp: sample.timestamp + first.length * 10,
+    }));
+
+    expect(motionsOf(zupt, [...first, ...second]).map(motion => motion.distance)).toEqual([
+      expect.closeTo(1, 1),
+      expect.closeTo(0.5, 1),
+    ]);
+  });
+});
+
+describe('ScaleEstimator segments', () => {
+  it('converges on motions measured both ways', () => {
+    const estimator = new ScaleEstimator({ minDistance: 2 });
+    [0.8, 1.2, 0.5, 1.0, 0.7].forEach(metric => estimator.addSegment({ slam: metric / 2.5, metric }));
+
+    expect(estimator.converged).toBe(true);
+    expect(estimator.getState().scale).toBeCloseTo(2.5);
+  });
+
+  it('skips motions too short to compare', () => {
+    const estimator = new ScaleEstimator();
+    expect(estimator.addSegment({ slam: 0.1, metric: 0.2 })).toBe(false);
+  });
+});
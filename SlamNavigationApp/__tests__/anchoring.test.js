@@ -0,0 +1,111 @@
+import {
+  applySimilarity2D,
+  estimateSimilarity2D,
+  invertSimilarity2D,
+  pixelToSlam,
+  slamToPixel,
+  solveFloorPlanTransform,
+  solveGeoAnchor,
+} from '../src/utils/anchoring';
+import { localToGeodetic, normalizeAnchor } from '../src/utils/geo';
+
+const TRANSFORM = { scale: 2.5, rotation: 0.7, translation: [12, -4] };
+
+// A walk around a room in the navigation frame (m)
+const POSITIONS = [
+  [0, 0, 0],
+  [4, 0.5, 0],
+  [4.5, 3, 0.1],
+  [1, 6, 0],
+  [-2, 2, -0.1],
+];
+
+const expectArrayCloseTo = (actual, expected, digits = 6) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+};
+
+describe('estimateSimilarity2D', () => {
+  it('recovers a known transform', () => {
+    const target = POSITIONS.map(p => applySimilarity2D(TRANSFORM, p));
+    const transform = estimateSimilarity2D(POSITIONS, target);
+
+    expect(transform.scale).toBeCloseTo(TRANSFORM.scale, 9);
+    expect(transform.rotation).toBeCloseTo(TRANSFORM.rotation, 9);
+    expectArrayCloseTo(transform.translation, TRANSFORM.translation, 9);
+    expect(transform.rmse).toBeLessThan(1e-9);
+  });
+
+  it('fits exactly through two points', () => {
+    const source = POSITIONS.slice(0, 2);
+    const transform = estimateSimilarity2D(source, source.map(p => applySimilarity2D(TRANSFORM, p)));
+
+    expect(transform.scale).toBeCloseTo(TRANSFORM.scale, 9);
+    expect(transform.rotation).toBeCloseTo(TRANSFORM.rotation, 9);
+  });
+
+  it('follows the heavier pairs', () => {
+    const target = POSITIONS.map(p => applySimilarity2D(TRANSFORM, p));
+    target[4] = [target[4][0] + 3, target[4][1]];
+    const weights = [1, 1, 1, 1, 1e-9];
+
+    expect(estimateSimilarity2D(POSITIONS, target).rmse).toBeGreaterThan(0.5);
+    expect(estimateSimilarity2D(POSITIONS, target, weights).scale).toBeCloseTo(TRANSFORM.scale, 6);
+  });
+
+  it('needs two distinct positions', () => {
+    expect(() => estimateSimilarity2D([[0, 0]], [[1, 1]])).toThrow('at least two correspondences');
+    expect(() => estimateSimilarity2D([[1, 2], [1, 2]], [[0, 0], [5, 5]])).toThrow('different positions');
+  });
+
+  it('undoes itself with the inverse', () => {
+    const inverse = invertSimilarity2D(TRANSFORM);
+    POSITIONS.forEach(p =>
+      expectArrayCloseTo(applySimilarity2D(inverse, applySimilarity2D(TRANSFORM, p)), p.slice(0, 2))
+    );
+  });
+});
+
+describe('floor plan', () => {
+  it('maps the tapped positions onto their pixels and back', () => {
+    // 40 px per meter, rotated, with the image y axis pointing down
+    const plan = { scale: 40, rotation: -1.1, translation: [600, -900] };
+    const correspondences = POSITIONS.map(slam => {
+      const [u, v] = applySimilarity2D(plan, slam);
+      return { slam, pixel: [u, -v] };
+    });
+    const transform = solveFloorPlanTransform(correspondences);
+
+    expect(transform.scale).toBeCloseTo(40, 6);
+    expect(transform.rmse).toBeLessThan(1e-6);
+    correspondences.forEach(({ slam, pixel }) => {
+      expectArrayCloseTo(slamToPixel(transform, slam), pixel);
+      expectArrayCloseTo(pixelToSlam(transform, pixel), slam.slice(0, 2));
+    });
+  });
+});
+
+describe('solveGeoAnchor', () => {
+  it('recovers the anchor the GPS fixes were taken with', () => {
+    const truth = normalizeAnchor({ latitude: 48.137, longitude: 11.575, altitude: 520, rotation: 0.4, scale: 1.02 });
+    // Walk a larger loop than the room so GPS can resolve it
+    const fixes = POSITIONS.map(p => p.map(c => c * 10)).map(slam => {
+      const [longitude, latitude, altitude] = localToGeodetic(truth, slam);
+      return { slam, latitude, longitude, altitude, accuracy: 5 };
+    });
+    const { anchor, rmse } = solveGeoAnchor(fixes);
+
+    expect(anchor.latitude).toBeCloseTo(truth.latitude, 7);
+    expect(anchor.longitude).toBeCloseTo(truth.longitude, 7);
+    expect(anchor.altitude).toBeCloseTo(truth.altitude, 3);
+    expect(anchor.rotation).toBeCloseTo(truth.rotation, 4);
+    expect(anchor.scale).toBeCloseTo(truth.scale, 4);
+    expect(rmse).toBeLessThan(0.01);
+  });
+
+  it('needs two fixes', () => {
+    expect(() => solveGeoAnchor([{ slam: [0, 0, 0], latitude: 48, longitude: 11 }])).toThrow(
+      'at least two correspondences'
+    );
+  });
+});
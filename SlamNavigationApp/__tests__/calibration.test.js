@@ -0,0 +1,147 @@
+import {
+  getCoverage,
+  getLeastCovered,
+  getViewParams,
+  isNovelView,
+  isStill,
+  validateCalibration,
+} from '../src/utils/calibration';
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+// A good result for a 640x480 phone camera
+const CALIBRATION = {
+  fx: 500,
+  fy: 502,
+  cx: 322,
+  cy: 238,
+  k1: 0.1,
+  k2: -0.2,
+  p1: 0.001,
+  p2: -0.001,
+  k3: 0.05,
+  width: WIDTH,
+  height: HEIGHT,
+  rms: 0.3,
+  views: 20,
+};
+
+/**
+ * Outline of a square board seen straight on, in board order
+ */
+const square = (left, top, side) => [
+  [left, top],
+  [left + side, top],
+  [left + side, top + side],
+  [left, top + side],
+];
+
+describe('getViewParams', () => {
+  it('places a centered board in the middle with no skew', () => {
+    const params = getViewParams(square(220, 140, 200), WIDTH, HEIGHT);
+
+    expect(params.x).toBeCloseTo(0.5);
+    expect(params.y).toBeCloseTo(0.5);
+    expect(params.size).toBeCloseTo(200 / Math.sqrt(WIDTH * HEIGHT));
+    expect(params.skew).toBeCloseTo(0);
+  });
+
+  it('reaches the ends of the range at the image borders', () => {
+    expect(getViewParams(square(0, 0, 200), WIDTH, HEIGHT)).toMatchObject({ x: 0, y: 0 });
+    const corner = getViewParams(square(WIDTH - 200, HEIGHT - 200, 200), WIDTH, HEIGHT);
+    expect(corner.x).toBeCloseTo(1);
+    expect(corner.y).toBeCloseTo(1);
+  });
+
+  it('measures the tilt from the corner angle', () => {
+    // The bottom edge slides right, closing the first corner by atan(1/4)
+    const sheared = shift => [
+      [200, 100],
+      [400, 100],
+      [400 + shift, 300],
+      [200 + shift, 300],
+    ];
+    expect(getViewParams(sheared(50), WIDTH, HEIGHT).skew).toBeCloseTo(2 * Math.atan(0.25));
+    expect(getViewParams(sheared(200), WIDTH, HEIGHT).skew).toBe(1);
+  });
+});
+
+describe('view selection', () => {
+  it('waits for the board to hold still', () => {
+    const outline = square(100, 100, 200);
+
+    expect(isStill(outline, null, WIDTH)).toBe(false);
+    expect(isStill(outline, square(102, 101, 200), WIDTH)).toBe(true);
+    expect(isStill(outline, square(110, 100, 200), WIDTH)).toBe(false);
+  });
+
+  it('takes only views that differ enough from the captured ones', () => {
+    const captured = [{ x: 0.5, y: 0.5, size: 0.4, skew: 0 }];
+
+    expect(isNovelView({ x: 0.55, y: 0.5, size: 0.4, skew: 0.05 }, captured)).toBe(false);
+    expect(isNovelView({ x: 0.1, y: 0.5, size: 0.4, skew: 0 }, captured)).toBe(true);
+    expect(isNovelView({ x: 0.5, y: 0.5, size: 0.4, skew: 0 }, [])).toBe(true);
+  });
+
+  it('tracks coverage and asks for the least covered parameter', () => {
+    expect(getCoverage([])).toEqual({ x: 0, y: 0, size: 0, skew: 0 });
+
+    const captured = [
+      { x: 0.1, y: 0.2, size: 0.3, skew: 0 },
+      { x: 0.9, y: 0.5, size: 0.5, skew: 0.1 },
+    ];
+    const coverage = getCoverage(captured);
+    expect(coverage.x).toBe(1);
+    expect(coverage.y).toBeCloseTo(0.3 / 0.7);
+    expect(coverage.size).toBeCloseTo(0.5);
+    expect(coverage.skew).toBeCloseTo(0.2);
+    expect(getLeastCovered(coverage)).toBe('skew');
+    expect(getLeastCovered({ x: 1, y: 1, size: 1, skew: 1 })).toBeNull();
+  });
+});
+
+describe('validateCalibration', () => {
+  it('accepts a plausible result', () => {
+    expect(validateCalibration(CALIBRATION)).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  it('rejects invalid values before looking further', () => {
+    const result = validateCalibration({ ...CALIBRATION, fx: NaN, k1: undefined });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['Calibration returned invalid values: fx, k1']);
+    expect(validateCalibration({ ...CALIBRATION, rms: Infinity }).errors).toEqual([
+      'Calibration returned invalid values: rms',
+    ]);
+  });
+
+  it('rejects too few views and a large reprojection error, and warns about a mediocre one', () => {
+    const result = validateCalibration({ ...CALIBRATION, views: 8, rms: 1.5 });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'Only 8 views, at least 15 are needed',
+      'Reprojection error 1.50 px is above 1 px',
+    ]);
+
+    const mediocre = validateCalibration({ ...CALIBRATION, rms: 0.7 });
+    expect(mediocre.valid).toBe(true);
+    expect(mediocre.warnings).toEqual(['Reprojection error 0.70 px, below 0.5 px is better']);
+  });
+
+  it('rejects an implausible camera and warns about non-square pixels', () => {
+    const result = validateCalibration({ ...CALIBRATION, fx: 100, cx: 600, k3: 5 });
+    expect(result.errors).toHaveLength(3);
+    expect(result.errors[0]).toMatch('Focal length 100/502 px is implausible');
+    expect(result.errors[1]).toMatch('Principal point (600, 238)');
+    expect(result.errors[2]).toMatch('Radial distortion');
+
+    const stretched = validateCalibration({ ...CALIBRATION, fy: 560 });
+    expect(stretched.valid).toBe(true);
+    expect(stretched.warnings).toEqual(['fx and fy differ by 10.7%']);
+  });
+
+  it('takes limits from the options', () => {
+    expect(validateCalibration({ ...CALIBRATION, views: 8 }, { minViews: 5 }).valid).toBe(true);
+  });
+});
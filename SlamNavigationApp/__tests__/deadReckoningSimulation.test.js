@@ -0,0 +1,143 @@
+import { forwardYaw } from '../src/fusion/HeadingFilter';
+import { DeadReckoning } from '../src/services/DeadReckoning';
+import { simulateDeadReckoning } from '../src/simulation/deadReckoningSimulation';
+import { simulateImu, simulateSlamPoses } from '../src/simulation/sensorSimulation';
+import { TrajectoryType, createTrajectory, idealImu, sampleMotion } from '../src/simulation/trajectories';
+
+// A consumer-grade phone IMU
+const NOISY_IMU = {
+  accelBias: [0.05, -0.03, 0.02],
+  gyroBias: [0.002, -0.001, 0.003],
+  accelNoise: 0.02,
+  gyroNoise: 0.002,
+  accelBiasWalk: 0.001,
+  gyroBiasWalk: 0.0001,
+  jitter: 2,
+};
+
+// The tilt correction reads sustained accelerations as tilt, which would
+// swamp the integration errors these tests look for
+const INS = { tiltGain: 0 };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('trajectories', () => {
+  it.each(Object.values(TrajectoryType))('%s starts at rest at the origin', type => {
+    const trajectory = createTrajectory(type);
+    const { position, velocity, angularVelocity } = sampleMotion(trajectory, 0.5);
+
+    expect(position).toEqual([0, 0, 0]);
+    velocity.forEach(v => expect(v).toBeCloseTo(0));
+    angularVelocity.forEach(w => expect(w).toBeCloseTo(0));
+
+    const { accel } = idealImu(trajectory, 0.5);
+    expect(accel[0]).toBeCloseTo(0);
+    expect(accel[1]).toBeCloseTo(0);
+    expect(accel[2]).toBeCloseTo(9.81);
+  });
+
+  it('points the top edge of the phone along the path', () => {
+    const trajectory = createTrajectory(TrajectoryType.FIGURE_EIGHT);
+    [4, 9, 13, 18].forEach(t => {
+      const { orientation, velocity } = sampleMotion(trajectory, t);
+      expect(forwardYaw(orientation)).toBeCloseTo(Math.atan2(velocity[1], velocity[0]));
+    });
+  });
+
+  it('climbs the whole flight of stairs', () => {
+    const trajectory = createTrajectory(TrajectoryType.STAIRS, { steps: 10, rise: 0.2 });
+    expect(trajectory(30).position[2]).toBeCloseTo(2.0);
+  });
+
+  it('rejects an unknown type', () => {
+    expect(() => createTrajectory('swimming')).toThrow('Unknown trajectory type');
+  });
+});
+
+describe('sensor simulation', () => {
+  const trajectory = createTrajectory(TrajectoryType.WALKING);
+
+  it('jitters the sample times but keeps them increasing', () => {
+    const samples = simulateImu(trajectory, 5, { jitter: 2 });
+    const intervals = samples.slice(1).map((sample, i) => sample.timestamp - samples[i].timestamp);
+
+    expect(Math.min(...intervals)).toBeGreaterThan(0);
+    expect(Math.max(...intervals) - Math.min(...intervals)).toBeGreaterThan(2);
+  });
+
+  it('walks the biases and repeats with the same seed', () => {
+    const samples = simulateImu(trajectory, 10, { gyroBiasWalk: 0.001, seed: 7 });
+    expect(samples[samples.length - 1].gyroBias).not.toEqual([0, 0, 0]);
+    expect(simulateImu(trajectory, 10, { gyroBiasWalk: 0.001, seed: 7 })).toEqual(samples);
+  });
+
+  it('delays SLAM poses and drops them while tracking is lost', () => {
+    const poses = simulateSlamPoses(trajectory, 10, { latency: 150, dropouts: [[4, 6]] });
+    const times = poses.map(pose => (pose.timestamp - poses[0].timestamp) / 1000);
+
+    poses.forEach(pose => expect(pose.arrival - pose.timestamp).toBe(150));
+    expect(times.some(t => t >= 4 && t < 6)).toBe(false);
+    expect(poses).toHaveLength(81);
+  });
+});
+
+describe('dead reckoning against ground truth', () => {
+  it('integrates error-free samples closely', () => {
+    const figureEight = simulateDeadReckoning(new DeadReckoning(), {
+      trajectory: createTrajectory(TrajectoryType.FIGURE_EIGHT),
+      duration: 20,
+      start: INS,
+    });
+    const stairs = simulateDeadReckoning(new DeadReckoning(), {
+      trajectory: createTrajectory(TrajectoryType.STAIRS),
+      duration: 12,
+      start: INS,
+    });
+
+    expect(figureEight.errors).toHaveLength(41);
+    expect(figureEight.summary.rmse).toBeLessThan(0.02);
+    expect(Math.abs(figureEight.summary.finalYaw)).toBeLessThan(0.001);
+    expect(stairs.summary.max).toBeLessThan(0.02);
+  });
+
+  it('counts steps along a walk in PDR mode', () => {
+    const { errors, summary } = simulateDeadReckoning(new DeadReckoning(), {
+      trajectory: createTrajectory(TrajectoryType.WALKING),
+      duration: 20,
+      start: { mode: 'pdr' },
+    });
+
+    const walked = Math.hypot(...errors[errors.length - 1].truth);
+    expect(walked).toBeGreaterThan(20);
+    expect(summary.final).toBeLessThan(0.075 * walked);
+  });
+
+  it('bounds the drift of a noisy IMU with SLAM poses', () => {
+    const options = {
+      trajectory: createTrajectory(TrajectoryType.WALKING, { turnRate: 0.2 }),
+      duration: 20,
+      imu: NOISY_IMU,
+      start: INS,
+    };
+    const alone = simulateDeadReckoning(new DeadReckoning(), options);
+    const fused = simulateDeadReckoning(new DeadReckoning(), {
+      ...options,
+      slam: { latency: 100, dropouts: [[8, 12]], positionNoise: 0.02 },
+    });
+
+    expect(alone.summary.final).toBeGreaterThan(1);
+    expect(fused.slamPoses).toBeGreaterThan(150);
+    expect(fused.summary.final).toBeLessThan(0.3);
+
+    // Drifts while SLAM is lost and recovers once poses return
+    const errorAt = time => fused.errors.find(error => error.time >= time).positionError;
+    expect(errorAt(11.9)).toBeGreaterThan(errorAt(7.9));
+    expect(errorAt(14)).toBeLessThan(errorAt(11.9));
+  });
+});
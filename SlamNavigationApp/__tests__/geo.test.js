@@ -0,0 +1,64 @@
+import { geodeticToLocal, localToGeodetic, metersPerDegree, normalizeAnchor } from '../src/utils/geo';
+
+const ANCHOR = normalizeAnchor({ latitude: 48.137, longitude: 11.575, altitude: 520, rotation: 0.3, scale: 1.5 });
+
+const expectArrayCloseTo = (actual, expected, digits = 9) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+};
+
+describe('normalizeAnchor', () => {
+  it('fills in the defaults', () => {
+    expect(normalizeAnchor({ latitude: 10, longitude: 20 })).toEqual({
+      latitude: 10,
+      longitude: 20,
+      altitude: 0,
+      rotation: 0,
+      scale: 1,
+    });
+  });
+
+  it('rejects coordinates out of range and a scale that is not positive', () => {
+    expect(() => normalizeAnchor({ latitude: 91, longitude: 0 })).toThrow();
+    expect(() => normalizeAnchor({ latitude: 0, longitude: 0, scale: 0 })).toThrow('Anchor scale must be positive');
+  });
+});
+
+describe('metersPerDegree', () => {
+  it('matches the WGS84 lengths of a degree', () => {
+    expect(metersPerDegree(0).north).toBeCloseTo(110574, 0);
+    expect(metersPerDegree(0).east).toBeCloseTo(111319.5, 0);
+    expect(metersPerDegree(60).east).toBeCloseTo(55800, -1);
+  });
+});
+
+describe('local and geodetic coordinates', () => {
+  it('put the origin at the anchor', () => {
+    expectArrayCloseTo(localToGeodetic(ANCHOR, [0, 0, 0]), [ANCHOR.longitude, ANCHOR.latitude, ANCHOR.altitude]);
+  });
+
+  it('turn local +x by the rotation from east and stretch it by the scale', () => {
+    const [longitude, latitude] = localToGeodetic(ANCHOR, [100, 0, 0]);
+    const { east, north } = metersPerDegree(ANCHOR.latitude);
+
+    expect((longitude - ANCHOR.longitude) * east).toBeCloseTo(150 * Math.cos(0.3), 6);
+    expect((latitude - ANCHOR.latitude) * north).toBeCloseTo(150 * Math.sin(0.3), 6);
+  });
+
+  it('round-trip', () => {
+    [
+      [0, 0, 0],
+      [12.5, -3, 1.2],
+      [-250, 400, -8],
+    ].forEach(position => {
+      expectArrayCloseTo(geodeticToLocal(ANCHOR, localToGeodetic(ANCHOR, position)), position, 6);
+    });
+
+    const coordinates = [11.58, 48.14, 530];
+    expectArrayCloseTo(localToGeodetic(ANCHOR, geodeticToLocal(ANCHOR, coordinates)), coordinates);
+  });
+
+  it('take the anchor altitude when there is none', () => {
+    expect(geodeticToLocal(ANCHOR, [11.58, 48.14])[2]).toBe(0);
+  });
+});
@@ -0,0 +1,126 @@
+import { ValueType, formatScalar, getValues, parseSettings, serializeSettings, setValues } from '../src/utils/opencvYaml';
+
+const SETTINGS = [
+  '%YAML:1.0',
+  '',
+  '#--------------------------------------------------------------------------------------------',
+  '# Camera Parameters. Adjust them!',
+  '#--------------------------------------------------------------------------------------------',
+  'File.version: "1.0"',
+  '',
+  'Camera.type: "PinHole"',
+  '',
+  '# Camera calibration and distortion parameters (OpenCV)',
+  'Camera1.fx: 458.654   # focal length in px',
+  'Camera1.fy: 457.296',
+  'Camera1.k1: -0.28340811',
+  '',
+  'Camera.fps: 20',
+  'Camera.RGB: 1',
+  '',
+  '# Transformation from camera to body-frame (imu)',
+  'IMU.T_b_c1: !!opencv-matrix',
+  '   rows: 4',
+  '   cols: 4',
+  '   dt: f',
+  '   data: [0.0148655429818, -0.999880929698, 0.00414029679422, -0.0216401454975,',
+  '         0.999557249008, 0.0149672133247, 0.025715529948, -0.064676986768,',
+  '         -0.0257744366974, 0.00375618835797, 0.999660727178, 0.00981073058949,',
+  '         0.0, 0.0, 0.0, 1.0]',
+  '',
+  'IMU.InsertKFsWhenLost: false # keep mapping while lost',
+  'Viewer.ViewpointF: 500.0',
+  '',
+].join('\n');
+
+describe('parseSettings', () => {
+  it('reads scalars, strings, booleans and matrices with their types', () => {
+    const document = parseSettings(SETTINGS);
+    const values = getValues(document);
+
+    expect(values['Camera.type']).toBe('PinHole');
+    expect(values['Camera1.fx']).toBe(458.654);
+    expect(values['Camera.fps']).toBe(20);
+    expect(values['IMU.InsertKFsWhenLost']).toBe(false);
+    expect(values['IMU.T_b_c1']).toMatchObject({ rows: 4, cols: 4, dt: 'f' });
+    expect(values['IMU.T_b_c1'].data[1]).toBe(-0.999880929698);
+
+    const types = Object.fromEntries(
+      document.nodes.filter(node => node.type === 'entry').map(node => [node.key, node.valueType])
+    );
+    expect(types['Camera1.fx']).toBe(ValueType.REAL);
+    expect(types['Camera.fps']).toBe(ValueType.INT);
+    expect(types['IMU.T_b_c1']).toBe(ValueType.MATRIX);
+  });
+
+  it('keeps a comment after a value', () => {
+    const node = parseSettings(SETTINGS).nodes.find(n => n.key === 'Camera1.fx');
+    expect(node.comment).toBe('# focal length in px');
+  });
+
+  it('rejects a file without the OpenCV header', () => {
+    expect(() => parseSettings('Camera1.fx: 458.0\n')).toThrow('Not an OpenCV settings file');
+  });
+
+  it('rejects a matrix whose data does not match its size', () => {
+    const text = '%YAML:1.0\nM: !!opencv-matrix\n   rows: 2\n   cols: 2\n   dt: f\n   data: [1.0, 2.0, 3.0]\n';
+    expect(() => parseSettings(text)).toThrow('Malformed matrix M');
+  });
+});
+
+describe('serializeSettings', () => {
+  it('writes an untouched document back exactly', () => {
+    expect(serializeSettings(parseSettings(SETTINGS))).toBe(SETTINGS);
+  });
+
+  it('rewrites only the changed lines, keeping comments and matrices', () => {
+    const document = setValues(parseSettings(SETTINGS), { 'Camera1.fx': 460, 'Camera.fps': 30 });
+    const text = serializeSettings(document);
+    const changed = text.split('\n').filter((line, i) => line !== SETTINGS.split('\n')[i]);
+
+    expect(changed).toEqual(['Camera1.fx: 460.0 # focal length in px', 'Camera.fps: 30']);
+    expect(getValues(parseSettings(text))).toEqual({
+      ...getValues(parseSettings(SETTINGS)),
+      'Camera1.fx': 460,
+      'Camera.fps': 30,
+    });
+  });
+
+  it('round-trips an edited matrix', () => {
+    const matrix = { rows: 4, cols: 4, dt: 'f', data: [1, 0, 0, 0.1, 0, -1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1] };
+    const text = serializeSettings(setValues(parseSettings(SETTINGS), { 'IMU.T_b_c1': matrix }));
+
+    expect(text).toContain('   data: [1.0, 0.0, 0.0, 0.1,\n');
+    expect(text).toContain('# Transformation from camera to body-frame (imu)\nIMU.T_b_c1: !!opencv-matrix\n');
+    expect(getValues(parseSettings(text))['IMU.T_b_c1']).toEqual(matrix);
+    expect(text.endsWith('IMU.InsertKFsWhenLost: false # keep mapping while lost\nViewer.ViewpointF: 500.0\n')).toBe(true);
+  });
+
+  it('adds new keys after their section', () => {
+    const text = serializeSettings(
+      setValues(parseSettings(SETTINGS), { 'Camera1.k2': 0.07, 'ORBextractor.nFeatures': 1000 }, {
+        'ORBextractor.nFeatures': ValueType.INT,
+      })
+    );
+    const lines = text.split('\n');
+
+    expect(lines[lines.indexOf('Camera1.k1: -0.28340811') + 1]).toBe('Camera1.k2: 0.07');
+    expect(lines[lines.length - 1]).toBe('ORBextractor.nFeatures: 1000');
+  });
+
+  it('writes a header for a document without one', () => {
+    const text = serializeSettings(setValues({ nodes: [] }, { 'Camera.fps': 30 }, { 'Camera.fps': ValueType.INT }));
+    expect(text).toBe('%YAML:1.0\n\nCamera.fps: 30');
+  });
+});
+
+describe('formatScalar', () => {
+  it('writes reals with a decimal point, as ORB-SLAM3 expects', () => {
+    expect(formatScalar(20, ValueType.REAL)).toBe('20.0');
+    expect(formatScalar(0.1 + 0.2, ValueType.REAL)).toBe('0.3');
+    expect(formatScalar(1e-7, ValueType.REAL)).toBe('1e-7');
+    expect(formatScalar(19.6, ValueType.INT)).toBe('20');
+    expect(formatScalar(true, ValueType.BOOL)).toBe('true');
+    expect(formatScalar('KannalaBrandt8', ValueType.STRING)).toBe('"KannalaBrandt8"');
+  });
+});
@@ -0,0 +1,200 @@
+import OccupancyGrid, { CellState } from '../src/planning/OccupancyGrid';
+import { PlannerAlgorithm, lineCost, nearestOpenCell, planPath } from '../src/planning/pathPlanner';
+
+const LEGEND = {
+  '.': CellState.FREE,
+  '#': CellState.OCCUPIED,
+  '+': CellState.INFLATED,
+  '?': CellState.UNKNOWN,
+};
+
+/**
+ * Grid of 1 m cells drawn as text, row j from the top, origin at [0, 0]
+ */
+const gridFrom = (rows, options = {}) => {
+  const grid = new OccupancyGrid({ resolution: 1, ...options });
+  grid.width = rows[0].length;
+  grid.height = rows.length;
+  grid.cells = Uint8Array.from(rows.join(''), c => LEGEND[c]);
+  return grid;
+};
+
+/**
+ * Straight track from a to b, one point every 10 cm, at phone height
+ */
+const walk = ([ax, ay], [bx, by], z = 1.2) => {
+  const n = Math.ceil(Math.hypot(bx - ax, by - ay) / 0.1);
+  return Array.from({ length: n + 1 }, (_, k) => [ax + ((bx - ax) * k) / n, ay + ((by - ay) * k) / n, z]);
+};
+
+describe('OccupancyGrid', () => {
+  it('frees walked cells and marks map points between knee and head height', () => {
+    const track = walk([0, 0], [4, 0]);
+    const wall = [0.5, 1.0, 1.5].flatMap(z => [[2.1, 1.1, z], [2.1, 1.1, z]]);
+    const floor = [[3.1, 1.1, 0.05], [3.1, 1.1, 0.05]];
+    const ceiling = [[1.1, 1.1, 2.5], [1.1, 1.1, 2.5]];
+    const grid = new OccupancyGrid({ inflationRadius: 0 }).build({
+      trajectories: [track],
+      mapPoints: [...wall, ...floor, ...ceiling],
+    });
+
+    expect(grid.floorHeight).toBeCloseTo(0);
+    expect(grid.getState(grid.worldToCell(2, 0))).toBe(CellState.FREE);
+    expect(grid.getState(grid.worldToCell(2.1, 1.1))).toBe(CellState.OCCUPIED);
+    expect(grid.getState(grid.worldToCell(3.1, 1.1))).toBe(CellState.UNKNOWN);
+    expect(grid.getState(grid.worldToCell(1.1, 1.1))).toBe(CellState.UNKNOWN);
+  });
+
+  it('ignores single outlying points and keeps walked cells free', () => {
+    const grid = new OccupancyGrid({ inflationRadius: 0 }).build({
+      trajectories: [walk([0, 0], [4, 0])],
+      mapPoints: [[2.1, 2.1, 1.0], [1.1, 0.05, 1.0], [1.1, 0.05, 1.1]],
+    });
+
+    expect(grid.getState(grid.worldToCell(2.1, 2.1))).toBe(CellState.UNKNOWN);
+    expect(grid.getState(grid.worldToCell(1.1, 0.05))).toBe(CellState.FREE);
+  });
+
+  it('inflates obstacles so they block a wider area', () => {
+    const grid = new OccupancyGrid({ inflationRadius: 0.4 }).build({
+      trajectories: [walk([0, 0], [4, 0])],
+      mapPoints: [[2.1, 2.1, 1.0], [2.1, 2.1, 1.0]],
+    });
+
+    expect(grid.getState(grid.worldToCell(2.1, 2.1))).toBe(CellState.OCCUPIED);
+    expect(grid.getState(grid.worldToCell(2.1, 2.4))).toBe(CellState.INFLATED);
+    expect(grid.isBlocked(grid.worldToCell(2.1, 2.4))).toBe(true);
+    expect(grid.getCost(grid.worldToCell(2.1, 2.4))).toBe(Infinity);
+  });
+
+  it('pads around the data and treats everything outside as blocked', () => {
+    const grid = new OccupancyGrid({ resolution: 0.5, padding: 1 }).build({ trajectories: [walk([0, 0], [2, 0])] });
+
+    expect(grid.originX).toBe(-1);
+    expect(grid.originY).toBe(-1);
+    expect(grid.getState([-1, 0])).toBe(CellState.UNKNOWN);
+    expect(grid.isBlocked([-1, 0])).toBe(true);
+    expect(grid.isBlocked([grid.width, 0])).toBe(true);
+  });
+
+  it('rejects a non-positive resolution', () => {
+    expect(() => new OccupancyGrid({ resolution: 0 })).toThrow('Grid resolution must be positive');
+  });
+});
+
+describe('nearestOpenCell', () => {
+  const grid = gridFrom([
+    '.....', //
+    '.+++.',
+    '.+#+.',
+    '.+++.',
+    '.....',
+  ]);
+
+  it('keeps an open cell', () => {
+    expect(nearestOpenCell(grid, [0, 0], 3)).toEqual([0, 0]);
+  });
+
+  it('moves out of a blocked cell to the closest open one', () => {
+    expect(nearestOpenCell(grid, [1, 2], 3)).toEqual([0, 2]);
+    expect(nearestOpenCell(grid, [2, 2], 2)).toEqual([2, 0]);
+  });
+
+  it('gives up beyond the radius', () => {
+    expect(nearestOpenCell(grid, [2, 2], 1)).toBeNull();
+    expect(nearestOpenCell(grid, [-5, 2], 3)).toBeNull();
+  });
+});
+
+describe('lineCost', () => {
+  const grid = gridFrom([
+    '.....', //
+    '..?..',
+    '..#..',
+  ]);
+
+  it('is the distance across walked cells', () => {
+    expect(lineCost(grid, [0, 0], [4, 0])).toBeCloseTo(4);
+    expect(lineCost(grid, [0, 0], [0, 0])).toBe(0);
+  });
+
+  it('weighs unknown cells by their cost', () => {
+    // Half a cell walked at each end, one unknown cell between
+    expect(lineCost(grid, [1, 1], [3, 1])).toBeCloseTo(0.5 + 3 + 0.5);
+  });
+
+  it('is infinite across a blocked cell', () => {
+    expect(lineCost(grid, [0, 2], [4, 2])).toBe(Infinity);
+  });
+});
+
+describe('planPath', () => {
+  const open = gridFrom(Array.from({ length: 6 }, () => '..........'));
+
+  it('goes straight with Theta* where A* turns', () => {
+    const options = { maxSnapDistance: 0 };
+    const thetaStar = planPath(open, [0.5, 0.5], [9.5, 4.5], options);
+    const aStar = planPath(open, [0.5, 0.5], [9.5, 4.5], { ...options, algorithm: PlannerAlgorithm.A_STAR });
+
+    expect(thetaStar.path).toEqual([[0.5, 0.5], [9.5, 4.5]]);
+    expect(aStar.path.length).toBeGreaterThan(thetaStar.path.length);
+    expect(thetaStar.length).toBeCloseTo(Math.hypot(9, 4));
+    expect(aStar.length).toBeGreaterThan(thetaStar.length);
+  });
+
+  it('goes around a wall', () => {
+    const grid = gridFrom([
+      '.......', //
+      '...#...',
+      '...#...',
+      '...#...',
+      '.......',
+    ]);
+    const plan = planPath(grid, [0.5, 2.5], [6.5, 2.5]);
+
+    expect(plan.path.length).toBeGreaterThan(2);
+    expect(plan.length).toBeGreaterThan(6);
+    plan.path.slice(1).forEach((point, k) => {
+      expect(lineCost(grid, grid.worldToCell(...plan.path[k]), grid.worldToCell(...point))).toBeLessThan(Infinity);
+    });
+  });
+
+  it('returns null when the corridor is blocked', () => {
+    const grid = gridFrom([
+      '#########', //
+      '....#....',
+      '#########',
+    ]);
+
+    expect(planPath(grid, [0.5, 1.5], [8.5, 1.5])).toBeNull();
+    expect(planPath(grid, [0.5, 1.5], [8.5, 1.5], { algorithm: PlannerAlgorithm.A_STAR })).toBeNull();
+  });
+
+  it('moves a start and goal out of inflated cells', () => {
+    const grid = gridFrom([
+      '+........+', //
+      '+........+',
+      '+........+',
+    ]);
+    const plan = planPath(grid, [0.5, 1.5], [9.5, 1.5]);
+
+    expect(plan.path[0]).toEqual([1.5, 1.5]);
+    expect(plan.path[plan.path.length - 1]).toEqual([8.5, 1.5]);
+    expect(planPath(grid, [0.5, 1.5], [9.5, 1.5], { maxSnapDistance: 0 })).toBeNull();
+  });
+
+  it('moves a start just outside the grid inside, and gives up on one far outside', () => {
+    const plan = planPath(open, [-0.5, 2.5], [5.5, 2.5]);
+
+    expect(plan.path[0]).toEqual([0.5, 2.5]);
+    expect(plan.path[plan.path.length - 1]).toEqual([5.5, 2.5]);
+    expect(planPath(open, [-5, 2.5], [5.5, 2.5])).toBeNull();
+  });
+
+  it('gives up after the expansion budget', () => {
+    const far = [9.5, 5.5];
+
+    expect(planPath(open, [0.5, 0.5], far, { maxExpansions: 5 })).toBeNull();
+    expect(planPath(open, [0.5, 0.5], far).expansions).toBeGreaterThan(5);
+  });
+});
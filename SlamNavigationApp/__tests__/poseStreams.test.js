@@ -0,0 +1,167 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import RNFS from 'react-native-fs';
+import { Subject } from 'rxjs';
+import MockSlamBackend from '../src/backends/MockSlamBackend';
+import { useStream } from '../src/hooks/usePoseStreams';
+import DeadReckoning from '../src/services/DeadReckoning';
+import { drState$, select, trackingState$ } from '../src/services/PoseStreams';
+import SlamService from '../src/services/SlamService';
+import { fromListener, limitRate, samePose } from '../src/utils/observables';
+
+const AT_REST = { timestamp: 0, accel: [0, 0, 9.81], gyro: [0, 0, 0] };
+
+/**
+ * Push values 10 ms apart, as the IMU would
+ */
+const emitAt100Hz = (subject, values) => {
+  values.forEach(value => {
+    subject.next(value);
+    jest.advanceTimersByTime(10);
+  });
+};
+
+const range = n => Array.from({ length: n }, (_, i) => i);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('fromListener', () => {
+  it('holds a listener only while subscribed', () => {
+    const callbacks = new Set();
+    const addListener = callback => {
+      callbacks.add(callback);
+      return () => callbacks.delete(callback);
+    };
+
+    const values = [];
+    const subscription = fromListener(addListener).subscribe(value => values.push(value));
+    callbacks.forEach(callback => callback('a'));
+    subscription.unsubscribe();
+
+    expect(values).toEqual(['a']);
+    expect(callbacks.size).toBe(0);
+  });
+});
+
+describe('limitRate', () => {
+  it('throttles to a rate and still delivers the latest value', () => {
+    const subject = new Subject();
+    const values = [];
+    subject.pipe(limitRate({ hz: 10 })).subscribe(value => values.push(value));
+
+    emitAt100Hz(subject, range(100));
+    jest.advanceTimersByTime(100);
+
+    expect(values.length).toBeGreaterThanOrEqual(10);
+    expect(values.length).toBeLessThanOrEqual(11);
+    expect(values[0]).toBe(0);
+    expect(values[values.length - 1]).toBe(99);
+  });
+
+  it('samples on a fixed clock', () => {
+    const subject = new Subject();
+    const values = [];
+    subject.pipe(limitRate({ sample: 250 })).subscribe(value => values.push(value));
+
+    emitAt100Hz(subject, range(100));
+    expect(values).toEqual([24, 49, 74, 99]);
+  });
+
+  it('drops values unchanged within a tolerance', () => {
+    const subject = new Subject();
+    const values = [];
+    subject.pipe(limitRate({ distinct: samePose({ position: 0.05 }) })).subscribe(value => values.push(value));
+
+    [0, 0.01, 0.02, 0.1, 0.11, 0.3].forEach(x => subject.next({ position: { x, y: 0, z: 0 } }));
+    expect(values.map(value => value.position.x)).toEqual([0, 0.1, 0.3]);
+  });
+});
+
+describe('streams', () => {
+  it('takes dead reckoning at the rate asked for', () => {
+    const all = [];
+    const limited = [];
+    const subscriptions = [
+      drState$.subscribe(state => all.push(state)),
+      select(drState$, { hz: 10 }).subscribe(state => limited.push(state)),
+    ];
+    expect(DeadReckoning.listeners).toHaveLength(1);
+
+    DeadReckoning.start({ replay: true });
+    for (let i = 0; i <= 100; i++) {
+      DeadReckoning.processImuSample({ ...AT_REST, timestamp: 1000 + i * 10 });
+      jest.advanceTimersByTime(10);
+    }
+    DeadReckoning.stop();
+
+    expect(all).toHaveLength(100);
+    expect(limited.length).toBeLessThanOrEqual(11);
+    expect(limited[limited.length - 1]).toBe(all[all.length - 1]);
+
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+    expect(DeadReckoning.listeners).toHaveLength(0);
+  });
+
+  it('reports tracking states from frames, resets, map loads and shutdown', async () => {
+    jest.useRealTimers();
+    const trajectory = [0, 0.1, 0.2, 0.3].map(timestamp => ({
+      timestamp,
+      position: [timestamp, 0, 0],
+      orientation: [0, 0, 0, 1],
+    }));
+    SlamService.backend = new MockSlamBackend({ trajectory });
+
+    const states = [];
+    const subscription = trackingState$.subscribe(state => states.push(state));
+
+    await SlamService.initialize('/vocabulary', '/settings.yaml');
+    await SlamService.processFrame('/frame.png', 0);
+    await SlamService.processFrame('/frame.png', 0.1);
+    await SlamService.processFrame('/frame.png', 0.2);
+    await SlamService.saveMap('/maps/office.osa');
+    await SlamService.reset();
+    await RNFS.writeFile('/maps/office.osa', '', 'utf8');
+    await SlamService.loadMap('/maps/office.osa');
+    await SlamService.shutdown();
+    subscription.unsubscribe();
+
+    expect(states).toEqual(['NO_IMAGES_YET', 'NOT_INITIALIZED', 'OK', 'NOT_INITIALIZED', 'LOST', 'NO_IMAGES_YET']);
+  });
+});
+
+describe('useStream', () => {
+  it('re-renders at the rate asked for', () => {
+    const subject = new Subject();
+    const renders = [];
+    const Readout = () => {
+      renders.push(useStream(subject, { hz: 5 }, 'none'));
+      return null;
+    };
+
+    act(() => {
+      TestRenderer.create(<Readout />);
+    });
+    act(() => {
+      emitAt100Hz(subject, range(100));
+      jest.advanceTimersByTime(200);
+    });
+
+    expect(renders[0]).toBe('none');
+    expect(renders.length).toBeLessThanOrEqual(7);
+    expect(renders[renders.length - 1]).toBe(99);
+  });
+});
@@ -0,0 +1,98 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import MockSlamBackend from '../src/backends/MockSlamBackend';
+import DeadReckoning from '../src/services/DeadReckoning';
+import SessionReplay from '../src/services/SessionReplay';
+import SlamService from '../src/services/SlamService';
+
+// 1.5 s recorded at 100 Hz IMU and 10 Hz camera: at rest for 0.5 s, then
+// 1 m/s^2 along x for 1 s, with SLAM tracking from the second frame
+const SESSION = path.join(__dirname, 'fixtures', 'session');
+const CLOCK_OFFSET = 1000; // ms
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('SessionReplay', () => {
+  let track;
+  let poses;
+  let removeListeners;
+
+  beforeEach(async () => {
+    await SessionReplay.load(SESSION, { readFile: fs.readFile });
+    // The session's own SLAM output stands in for the native library
+    SlamService.backend = new MockSlamBackend({
+      trajectory: SessionReplay.getRecordedTrajectory(),
+      tracking: SessionReplay.getRecordedTracking(),
+      clockOffset: CLOCK_OFFSET,
+    });
+    await SlamService.initialize('/vocabulary', '/settings.yaml');
+    // The tilt correction would take part of the sustained acceleration for gravity
+    DeadReckoning.start({ replay: true, tiltGain: 0 });
+
+    track = [];
+    poses = [];
+    const listeners = [
+      DeadReckoning.addListener(state => track.push(state)),
+      SlamService.addPoseListener(pose => poses.push(pose)),
+    ];
+    removeListeners = () => listeners.forEach(remove => remove());
+  });
+
+  afterEach(async () => {
+    removeListeners();
+    DeadReckoning.stop();
+    DeadReckoning.resetPosition();
+    await SlamService.shutdown();
+  });
+
+  it('loads the recorded streams in time order', () => {
+    expect(SessionReplay.getSummary()).toEqual({ frames: 16, imuSamples: 151, duration: 1.5 });
+    expect(SessionReplay.getRecordedTracking().map(entry => entry.state)).toEqual(['NOT_INITIALIZED', 'OK']);
+    expect(SessionReplay.getRecordedTrajectory()[15].position).toEqual([0.5, 0, 0]);
+  });
+
+  it('replays the IMU through dead reckoning', async () => {
+    const stats = await SessionReplay.play({ speed: Infinity, slam: false });
+
+    // The first sample only starts the clock
+    expect(stats).toEqual({ frames: 0, imuSamples: 151, failedFrames: 0, cancelled: false });
+    expect(track).toHaveLength(150);
+    expect(track[0].timestamp).toBeCloseTo(5010);
+    expect(track[149].timestamp).toBeCloseTo(6500);
+
+    // Still during the rest, then half a meter along x by the end
+    track
+      .filter(state => state.timestamp < 5500)
+      .forEach(state => expect(Math.abs(state.position.x)).toBeLessThan(1e-6));
+    const { position, velocity } = track[149];
+    expect(position.x).toBeCloseTo(0.5, 1);
+    expect(velocity.x).toBeCloseTo(1, 1);
+    expect(Math.abs(position.y)).toBeLessThan(1e-6);
+    expect(Math.abs(position.z)).toBeLessThan(1e-6);
+  });
+
+  it('replays frames through SLAM alongside the IMU', async () => {
+    const progress = [];
+    const stats = await SessionReplay.play({ speed: Infinity, onProgress: fraction => progress.push(fraction) });
+
+    expect(stats).toEqual({ frames: 16, imuSamples: 151, failedFrames: 0, cancelled: false });
+    expect(progress).toHaveLength(167);
+    expect(progress[166]).toBe(1);
+
+    // The mock backend needs one frame to initialize, then follows the recording
+    expect(poses).toHaveLength(16);
+    expect(poses[15].position).toEqual([0.5, 0, 0]);
+    expect(SlamService.trackingState).toBe('OK');
+
+    // With SLAM running, IMU samples are moved onto the live sensor clock
+    const last = track[track.length - 1];
+    expect(last.timestamp).toBeCloseTo(6500 + CLOCK_OFFSET);
+    expect(last.position.x).toBeCloseTo(poses[15].position[0], 1);
+  });
+});
@@ -0,0 +1,137 @@
+import ClockSync, { ClockSource } from '../src/fusion/ClockSync';
+import PoseBuffer from '../src/fusion/PoseBuffer';
+import { DeadReckoning } from '../src/services/DeadReckoning';
+import { simulateDeadReckoning } from '../src/simulation/deadReckoningSimulation';
+import { simulateImu } from '../src/simulation/sensorSimulation';
+import { TrajectoryType, createTrajectory } from '../src/simulation/trajectories';
+import * as Q from '../src/utils/quaternion';
+import { estimateTimeOffset, interpolatePose } from '../src/utils/timeSync';
+
+const pose = (timestamp, x, yaw = 0) => ({
+  timestamp,
+  position: [x, 0, 0],
+  orientation: Q.fromRotationVector([0, 0, yaw]),
+});
+
+const yawOf = ({ orientation }) => Q.toEuler(orientation).z;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('interpolatePose', () => {
+  it('interpolates between poses and extrapolates past them', () => {
+    const a = pose(1000, 0, 0);
+    const b = pose(1100, 1, 0.2);
+
+    const middle = interpolatePose(a, b, 1050);
+    expect(middle.position[0]).toBeCloseTo(0.5);
+    expect(yawOf(middle)).toBeCloseTo(0.1);
+
+    const later = interpolatePose(a, b, 1150);
+    expect(later.position[0]).toBeCloseTo(1.5);
+    expect(yawOf(later)).toBeCloseTo(0.3);
+  });
+});
+
+describe('PoseBuffer', () => {
+  it('answers between, shortly after and not across gaps', () => {
+    const buffer = new PoseBuffer({ maxGap: 200, maxExtrapolation: 50 });
+    [pose(1000, 0), pose(1200, 2), pose(1100, 1), pose(2000, 5)].forEach(p => buffer.add(p));
+
+    expect(buffer.at(1150).position[0]).toBeCloseTo(1.5);
+    expect(buffer.at(1500)).toBeNull();
+    expect(buffer.at(900)).toBeNull();
+
+    buffer.add(pose(2100, 6));
+    expect(buffer.at(2140).position[0]).toBeCloseTo(6.4);
+    expect(buffer.at(2200)).toBeNull();
+  });
+
+  it('keeps only the recent history', () => {
+    const buffer = new PoseBuffer({ maxAge: 1000 });
+    for (let t = 0; t <= 3000; t += 100) {
+      buffer.add(pose(t, t / 1000));
+    }
+    expect(buffer.size()).toBe(11);
+    expect(buffer.at(1500)).toBeNull();
+    expect(buffer.latest().timestamp).toBe(3000);
+  });
+});
+
+describe('ClockSync', () => {
+  const CLOCK_OFFSET = 400000; // ms between the epoch and the monotonic clock
+
+  it('converts between sources and never runs backwards', () => {
+    const clock = new ClockSync({ clockOffset: CLOCK_OFFSET, cameraImuOffset: 5 });
+    expect(clock.toSyncTime(ClockSource.IMU, 1000000)).toBe(600000);
+    expect(clock.toSyncTime(ClockSource.CAMERA, 600)).toBe(600005);
+    expect(clock.fromSyncTime(ClockSource.IMU, clock.toSyncTime(ClockSource.CAMERA, 600))).toBe(1000005);
+
+    expect(clock.stamp(ClockSource.HOST, 1000010)).toBe(600010);
+    expect(clock.stamp(ClockSource.HOST, 1000004)).toBe(600010);
+    expect(() => clock.toSyncTime('gps', 0)).toThrow('Unknown clock source');
+  });
+
+  it('estimates the camera-IMU offset from the rotation of tracked frames', () => {
+    const trajectory = createTrajectory(TrajectoryType.WALKING, { turnRate: 0.3 });
+    const cameraLag = 35; // ms the camera clock runs behind the IMU
+    const clock = new ClockSync({ clockOffset: CLOCK_OFFSET, estimateInterval: 5000 });
+
+    const imu = simulateImu(trajectory, 15, { gyroNoise: 0.002, startTime: 1000000 });
+    const frames = [];
+    for (let t = 0; t <= 15; t += 1 / 30) {
+      const syncTime = 600000 + t * 1000;
+      frames.push({ timestamp: (syncTime - cameraLag) / 1000, orientation: trajectory(t).orientation });
+    }
+
+    // Interleave both streams as they would arrive
+    let estimate = null;
+    let next = 0;
+    imu.forEach(({ timestamp, gyro }) => {
+      clock.addGyroSample(timestamp, gyro);
+      while (next < frames.length && frames[next].timestamp * 1000 + cameraLag <= timestamp - CLOCK_OFFSET) {
+        estimate = clock.addCameraOrientation(frames[next].timestamp, frames[next].orientation) || estimate;
+        next++;
+      }
+    });
+
+    expect(estimate.estimated).toBe(true);
+    expect(estimate.correlation).toBeGreaterThan(0.9);
+    expect(Math.abs(estimate.offset - cameraLag)).toBeLessThan(3);
+    expect(Math.abs(clock.toSyncTime(ClockSource.CAMERA, frames[90].timestamp) - 603000)).toBeLessThan(3);
+  });
+
+  it('makes no estimate without rotation', () => {
+    const still = [];
+    const orientations = [];
+    for (let t = 0; t < 5000; t += 10) {
+      still.push({ timestamp: t, gyro: [0, 0, 0] });
+      if (t % 30 === 0) {
+        orientations.push({ timestamp: t, orientation: Q.identity() });
+      }
+    }
+    expect(estimateTimeOffset(still, orientations)).toBeNull();
+  });
+});
+
+describe('fusion at capture time', () => {
+  it('keeps late SLAM poses from pulling dead reckoning back', () => {
+    const options = {
+      trajectory: createTrajectory(TrajectoryType.WALKING, { turnRate: 0.2 }),
+      duration: 20,
+      imu: { accelBias: [0.05, -0.03, 0.02], gyroBias: [0.002, -0.001, 0.003], accelNoise: 0.02 },
+      slam: { latency: 300, positionNoise: 0.01 },
+      start: { tiltGain: 0 },
+    };
+    const onArrival = simulateDeadReckoning(new DeadReckoning(), { ...options, compensateLatency: false });
+    const atCapture = simulateDeadReckoning(new DeadReckoning(), options);
+
+    expect(onArrival.summary.rmse).toBeGreaterThan(0.2);
+    expect(atCapture.summary.rmse).toBeLessThan(onArrival.summary.rmse / 3);
+  });
+});
@@ -0,0 +1,171 @@
+import * as Q from '../src/utils/quaternion';
+import {
+  absoluteTrajectoryError,
+  alignUmeyama,
+  applyAlignment,
+  associate,
+  computeStatistics,
+  parseTrajectory,
+  relativePoseError,
+} from '../src/utils/trajectoryEvaluation';
+
+// Walking a rising circle, facing along the path, one pose every 0.1 s
+const groundTruth = Array.from({ length: 101 }, (_, k) => {
+  const t = k / 10;
+  return {
+    timestamp: t,
+    position: [Math.cos(t), Math.sin(t), 0.1 * t],
+    orientation: Q.fromRotationVector([0, 0, t + Math.PI / 2]),
+  };
+});
+
+const ROTATION = Q.normalize(Q.fromRotationVector([0.3, -0.2, 1.1]));
+
+/**
+ * The trajectory as seen from another frame, at another scale, as monocular SLAM reports it
+ */
+const transformed = (poses, scale = 1, translation = [2, -1, 0.5]) =>
+  poses.map(pose => ({
+    ...pose,
+    position: Q.rotateVector(ROTATION, pose.position).map((c, i) => c * scale + translation[i]),
+    orientation: Q.normalize(Q.multiply(ROTATION, pose.orientation)),
+  }));
+
+const expectArrayCloseTo = (actual, expected, digits = 6) =>
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+
+describe('associate', () => {
+  it('pairs the closest timestamps once each, within the gap allowed', () => {
+    const at = timestamps => timestamps.map(timestamp => ({ timestamp }));
+    const pairs = associate(at([1.0, 1.005, 2.0, 3.0]), at([0.999, 1.01, 2.5, 3.015]), { maxDifference: 0.02 });
+
+    expect(pairs.map(pair => [pair.estimated.timestamp, pair.groundTruth.timestamp])).toEqual([
+      [1.0, 0.999],
+      [1.005, 1.01],
+      [3.0, 3.015],
+    ]);
+  });
+
+  it('shifts the estimate by the time offset', () => {
+    const estimated = groundTruth.map(pose => ({ ...pose, timestamp: pose.timestamp - 0.5 }));
+    const pairs = associate(estimated, groundTruth, { offset: 0.5 });
+
+    expect(pairs).toHaveLength(groundTruth.length);
+    pairs.forEach(pair => expect(pair.estimated.position).toEqual(pair.groundTruth.position));
+  });
+});
+
+describe('alignUmeyama', () => {
+  it('recovers a similarity transform', () => {
+    const source = transformed(groundTruth, 0.4).map(pose => pose.position);
+    const target = groundTruth.map(pose => pose.position);
+    const alignment = alignUmeyama(source, target, true);
+
+    expect(alignment.scale).toBeCloseTo(2.5, 6);
+    source.forEach((point, k) => {
+      expectArrayCloseTo(applyAlignment(alignment, { position: point, orientation: [0, 0, 0, 1] }).position, target[k]);
+    });
+    expectArrayCloseTo(Q.multiply(alignment.orientation, ROTATION).slice(0, 3), [0, 0, 0]);
+  });
+
+  it('aligns a planar trajectory with a proper rotation', () => {
+    const flat = groundTruth.map(pose => [pose.position[0], pose.position[1], 0]);
+    const source = flat.map(p => Q.rotateVector(ROTATION, p));
+    const alignment = alignUmeyama(source, flat);
+
+    const { rotation } = alignment;
+    const det =
+      rotation[0][0] * (rotation[1][1] * rotation[2][2] - rotation[1][2] * rotation[2][1]) -
+      rotation[0][1] * (rotation[1][0] * rotation[2][2] - rotation[1][2] * rotation[2][0]) +
+      rotation[0][2] * (rotation[1][0] * rotation[2][1] - rotation[1][1] * rotation[2][0]);
+    expect(det).toBeCloseTo(1, 9);
+    expect(alignment.scale).toBe(1);
+    source.forEach((point, k) => {
+      expectArrayCloseTo(applyAlignment(alignment, { position: point, orientation: [0, 0, 0, 1] }).position, flat[k]);
+    });
+  });
+
+  it('needs three points', () => {
+    expect(() => alignUmeyama([[0, 0, 0], [1, 0, 0]], [[0, 0, 0], [1, 0, 0]])).toThrow('at least three');
+  });
+});
+
+describe('absoluteTrajectoryError', () => {
+  it('is zero for the same trajectory in another frame and scale, once scale is estimated', () => {
+    const estimated = transformed(groundTruth, 0.4);
+    const { statistics } = absoluteTrajectoryError(estimated, groundTruth, { withScale: true });
+
+    expect(statistics.count).toBe(groundTruth.length);
+    expect(statistics.rmse).toBeLessThan(1e-9);
+    expect(absoluteTrajectoryError(estimated, groundTruth).statistics.rmse).toBeGreaterThan(0.1);
+  });
+
+  it('measures a constant offset along part of the trajectory', () => {
+    const estimated = groundTruth.map((pose, k) => ({
+      ...pose,
+      position: k % 2 ? pose.position.map((c, i) => (i === 2 ? c + 0.1 : c)) : pose.position,
+    }));
+    const { statistics } = absoluteTrajectoryError(estimated, groundTruth);
+
+    // The alignment splits the difference, leaving half the offset on every pose
+    expect(statistics.rmse).toBeCloseTo(0.05, 2);
+  });
+});
+
+describe('relativePoseError', () => {
+  it('ignores where the estimate is, only how it moves', () => {
+    const { translation, rotation } = relativePoseError(transformed(groundTruth), groundTruth);
+
+    expect(translation.count).toBe(91);
+    expect(translation.max).toBeLessThan(1e-9);
+    expect(rotation.max).toBeLessThan(1e-6);
+  });
+
+  it('measures a heading drift per interval', () => {
+    // 0.05 rad/s of yaw drift, turning positions and orientations about the start
+    const estimated = groundTruth.map(pose => {
+      const drift = Q.fromRotationVector([0, 0, 0.05 * pose.timestamp]);
+      return {
+        ...pose,
+        position: Q.rotateVector(drift, pose.position),
+        orientation: Q.normalize(Q.multiply(drift, pose.orientation)),
+      };
+    });
+    const { rotation } = relativePoseError(estimated, groundTruth, { delta: 2 });
+
+    expect(rotation.mean).toBeCloseTo(0.1, 6);
+  });
+
+  it('removes the scale of a monocular estimate', () => {
+    const estimated = groundTruth.map(pose => ({ ...pose, position: pose.position.map(c => c * 0.4) }));
+
+    expect(relativePoseError(estimated, groundTruth).translation.mean).toBeGreaterThan(0.5);
+    expect(relativePoseError(estimated, groundTruth, { withScale: true }).translation.max).toBeLessThan(1e-9);
+  });
+});
+
+describe('computeStatistics', () => {
+  it('summarizes errors', () => {
+    const statistics = computeStatistics([3, 1, 4, 2]);
+
+    expect(statistics).toEqual({
+      count: 4,
+      rmse: Math.sqrt(7.5),
+      mean: 2.5,
+      median: 2.5,
+      std: expect.closeTo(Math.sqrt(1.25), 9),
+      min: 1,
+      max: 4,
+    });
+    expect(computeStatistics([]).rmse).toBeNaN();
+  });
+});
+
+describe('parseTrajectory', () => {
+  it('reads a TUM file sorted by time', () => {
+    const poses = parseTrajectory('# timestamp tx ty tz qx qy qz qw\n2.0 1 2 3 0 0 0 1\n1.0 0 0 0 0 0 0 1\n');
+
+    expect(poses.map(pose => pose.timestamp)).toEqual([1, 2]);
+    expect(poses[1].position).toEqual([1, 2, 3]);
+  });
+});
@@ -1,11 +1,17 @@
 #include "SlamWrapper.h"
 #include <opencv2/opencv.hpp>
 #include <opencv2/core/core.hpp>
+#include <opencv2/objdetect/charuco_detector.hpp>
 #include <android/asset_manager.h>
 #include <android/asset_manager_jni.h>
 #include <sstream>
+#include <fstream>
 #include <mutex>
 #include <memory>
+#include <vector>
+#include <algorithm>
+#include <cmath>
+#include <cstdlib>
 
 // Note: In production, include actual ORB-SLAM3 headers
 // #include "System.h"
@@ -21,6 +27,119 @@ static int g_trackingState = 0;
 // Simulated pose for demonstration (in production, this comes from ORB-SLAM3)
 static float g_currentPose[7] = {0.0f, 0.0f, 0.0f, 0.0f, 0.0f, 0.0f, 1.0f};
 
+// Relocalization in a loaded map
+static bool g_isRelocalizing = false;
+static int g_relocFrames = 0;
+static float g_relocPose[7] = {0.0f, 0.0f, 0.0f, 0.0f, 0.0f, 0.0f, 1.0f};
+
+// Simulated number of frames needed to relocalize in a loaded map
+static const int SIMULATED_RELOC_FRAMES = 10;
+
+// Header written to simulated map files
+static const char* MAP_FILE_MAGIC = "SLAMAPP_MAP 1";
+
+// Sensor configuration (mirrors ORB_SLAM3::System::eSensor)
+static const int SENSOR_MONOCULAR = 0;
+static const int SENSOR_IMU_MONOCULAR = 1;
+static int g_sensorType = SENSOR_MONOCULAR;
+
+/**
+ * IMU calibration read from settings.yaml
+ * Noise densities use the ORB-SLAM3 keys IMU.NoiseGyro, IMU.NoiseAcc,
+ * IMU.GyroWalk and IMU.AccWalk; Tbc maps camera coordinates to the IMU (body) frame.
+ */
+struct ImuConfig {
+    float noiseGyro;   // rad/s/sqrt(Hz)
+    float noiseAcc;    // m/s^2/sqrt(Hz)
+    float gyroWalk;    // rad/s^2/sqrt(Hz)
+    float accWalk;     // m/s^3/sqrt(Hz)
+    float frequency;   // Hz
+    float Tbc[16];     // row-major 4x4
+};
+static ImuConfig g_imuConfig;
+
+/**
+ * One IMU measurement (would be ORB_SLAM3::IMU::Point)
+ */
+struct ImuSample {
+    float ax, ay, az;  // m/s^2, IMU frame
+    float gx, gy, gz;  // rad/s, IMU frame
+    double t;          // seconds, same clock as frame timestamps
+};
+
+// IMU samples waiting for the frame they precede
+static std::vector<ImuSample> g_imuBuffer;
+static double g_lastFrameTimestamp = -1.0;
+
+// Drop buffered samples older than this when no frames arrive
+static const double IMU_BUFFER_SECONDS = 2.0;
+
+// Simulated sparse map (in production, read from the ORB-SLAM3 atlas)
+static std::vector<float> g_mapPoints; // packed x, y, z
+static int g_framesSinceKeyframe = 0;
+static int g_keyframeCount = 0;
+static int g_mapCount = 1;
+static const int SIMULATED_KEYFRAME_INTERVAL = 10;
+static const int SIMULATED_LOOP_KEYFRAMES = 50;
+static const int SIMULATED_POINTS_PER_KEYFRAME = 20;
+static const size_t MAX_SIMULATED_MAP_POINTS = 20000;
+
+// Tracked keypoints of the last frame, for the AR overlay
+static const int MAX_OVERLAY_KEYPOINTS = 300;
+static const int FAST_THRESHOLD = 20;
+
+// Layout of the array returned per frame: pose, diagnostics, then keypoints
+static const int POSE_SIZE = 7;
+enum DiagnosticsField {
+    DIAG_STATE = 0,
+    DIAG_MATCHED,
+    DIAG_KEYFRAMES,
+    DIAG_MAP_POINTS,
+    DIAG_MAPS,
+    DIAG_LOOP_CLOSURE,
+    DIAG_IMAGE_WIDTH,
+    DIAG_IMAGE_HEIGHT,
+    DIAG_PREPROCESS_MS,
+    DIAG_EXTRACT_MS,
+    DIAG_TRACK_MS,
+    DIAG_KEYPOINT_COUNT,
+    DIAGNOSTICS_SIZE
+};
+
+/**
+ * Milliseconds elapsed since a cv::getTickCount() reading
+ */
+static float elapsedMs(int64 startTicks) {
+    return (float)((cv::getTickCount() - startTicks) * 1000.0 / cv::getTickFrequency());
+}
+
+// Session recording of streamed frames (EuRoC mav0/cam0 layout)
+static std::string g_recordDir;
+static std::ofstream g_recordCsv;
+
+// Camera calibration, independent of the SLAM system and its mutex
+static const int PATTERN_CHESSBOARD = 0;
+static const int PATTERN_CHARUCO = 1;
+static std::mutex g_calibMutex;
+static bool g_isCalibrating = false;
+static int g_calibPattern = PATTERN_CHESSBOARD;
+static cv::Size g_calibBoardSize; // inner corners (chessboard) or squares (ChArUco)
+static std::vector<cv::Point3f> g_calibOutline; // outer grid corners on the board plane
+static std::unique_ptr<cv::aruco::CharucoBoard> g_charucoBoard;
+static std::unique_ptr<cv::aruco::CharucoDetector> g_charucoDetector;
+static cv::Size g_calibImageSize;
+static std::vector<std::vector<cv::Point3f>> g_calibObjectPoints;
+static std::vector<std::vector<cv::Point2f>> g_calibImagePoints;
+static std::vector<cv::Point3f> g_lastObjectPoints; // last detection, until the next frame
+static std::vector<cv::Point2f> g_lastImagePoints;
+static cv::Size g_lastImageSize;
+
+// Chessboard detection runs on a downscaled copy, corners are refined at full resolution
+static const int CALIB_DETECT_MAX_WIDTH = 640;
+// ChArUco views with fewer corners constrain the calibration too little
+static const int MIN_CHARUCO_CORNERS = 8;
+static const int MIN_CALIBRATION_VIEWS = 3;
+
 /**
  * Convert base64 encoded string to cv::Mat
  */
@@ -46,6 +165,278 @@ cv::Mat loadImage(const std::string& imagePath) {
     return img;
 }
 
+/**
+ * Whether the vocabulary is in the binary format (ORBvoc.bin)
+ * The binary vocabulary loads in a few seconds, the text one takes close to a minute on a phone.
+ */
+static bool isBinaryVocabulary(const std::string& vocabPath) {
+    const std::string suffix = ".bin";
+    return vocabPath.size() >= suffix.size() &&
+        vocabPath.compare(vocabPath.size() - suffix.size(), suffix.size(), suffix) == 0;
+}
+
+/**
+ * Read IMU noise parameters and Tbc from the settings file
+ * Returns false if the file does not describe a camera-IMU rig.
+ */
+static bool readImuConfig(const std::string& settingsPath, ImuConfig& config) {
+    cv::FileStorage fs(settingsPath, cv::FileStorage::READ);
+    if (!fs.isOpened()) {
+        LOGE("Failed to open settings file: %s", settingsPath.c_str());
+        return false;
+    }
+    
+    if (fs["IMU.NoiseGyro"].empty()) {
+        return false;
+    }
+    
+    config.noiseGyro = (float)fs["IMU.NoiseGyro"].real();
+    config.noiseAcc = (float)fs["IMU.NoiseAcc"].real();
+    config.gyroWalk = (float)fs["IMU.GyroWalk"].real();
+    config.accWalk = (float)fs["IMU.AccWalk"].real();
+    config.frequency = (float)fs["IMU.Frequency"].real();
+    
+    if (config.noiseGyro <= 0 || config.noiseAcc <= 0 || config.gyroWalk <= 0 ||
+        config.accWalk <= 0 || config.frequency <= 0) {
+        LOGE("IMU noise parameters and frequency must be positive");
+        return false;
+    }
+    
+    cv::Mat Tbc;
+    fs["Tbc"] >> Tbc;
+    if (Tbc.rows != 4 || Tbc.cols != 4) {
+        LOGE("Tbc must be a 4x4 matrix, IMU disabled");
+        return false;
+    }
+    Tbc.convertTo(Tbc, CV_32F);
+    for (int i = 0; i < 16; i++) {
+        config.Tbc[i] = Tbc.at<float>(i / 4, i % 4);
+    }
+    
+    return true;
+}
+
+/**
+ * Take the buffered IMU samples up to the given frame timestamp
+ * Caller must hold g_slamMutex.
+ */
+static std::vector<ImuSample> takeImuSamples(double timestamp) {
+    auto end = std::upper_bound(
+        g_imuBuffer.begin(), g_imuBuffer.end(), timestamp,
+        [](double t, const ImuSample& s) { return t < s.t; }
+    );
+    std::vector<ImuSample> samples(g_imuBuffer.begin(), end);
+    g_imuBuffer.erase(g_imuBuffer.begin(), end);
+    return samples;
+}
+
+/**
+ * Write a streamed frame to the recording directory as <timestamp_ns>.png
+ * Caller must hold g_slamMutex.
+ */
+static void recordFrame(const cv::Mat& frame, double timestamp) {
+    long long timestampNs = llround(timestamp * 1e9);
+    std::string filename = std::to_string(timestampNs) + ".png";
+    
+    if (!cv::imwrite(g_recordDir + "/data/" + filename, frame)) {
+        LOGE("Failed to record frame %s", filename.c_str());
+        return;
+    }
+    g_recordCsv << timestampNs << "," << filename << "\n";
+}
+
+/**
+ * Find the calibration board in a grayscale frame
+ * Caller must hold g_calibMutex.
+ * @param objectPoints Board coordinates (meters, z = 0) of the detected corners
+ * @param imagePoints Detected corners in image pixels
+ * @return true if enough of the board was found
+ */
+static bool detectCalibrationPattern(
+    const cv::Mat& gray,
+    std::vector<cv::Point3f>& objectPoints,
+    std::vector<cv::Point2f>& imagePoints
+) {
+    if (g_calibPattern == PATTERN_CHARUCO) {
+        std::vector<cv::Point2f> corners;
+        std::vector<int> ids;
+        g_charucoDetector->detectBoard(gray, corners, ids);
+        if ((int)ids.size() < MIN_CHARUCO_CORNERS) {
+            return false;
+        }
+        g_charucoBoard->matchImagePoints(corners, ids, objectPoints, imagePoints);
+        return true;
+    }
+    
+    double scale = std::min(1.0, (double)CALIB_DETECT_MAX_WIDTH / gray.cols);
+    cv::Mat small = gray;
+    if (scale < 1.0) {
+        cv::resize(gray, small, cv::Size(), scale, scale, cv::INTER_AREA);
+    }
+    
+    std::vector<cv::Point2f> corners;
+    int flags = cv::CALIB_CB_ADAPTIVE_THRESH | cv::CALIB_CB_NORMALIZE_IMAGE | cv::CALIB_CB_FAST_CHECK;
+    if (!cv::findChessboardCorners(small, g_calibBoardSize, corners, flags)) {
+        return false;
+    }
+    for (cv::Point2f& corner : corners) {
+        corner *= (float)(1.0 / scale);
+    }
+    cv::cornerSubPix(
+        gray, corners, cv::Size(11, 11), cv::Size(-1, -1),
+        cv::TermCriteria(cv::TermCriteria::EPS + cv::TermCriteria::COUNT, 30, 0.001)
+    );
+    
+    objectPoints.clear();
+    for (int row = 0; row < g_calibBoardSize.height; row++) {
+        for (int col = 0; col < g_calibBoardSize.width; col++) {
+            objectPoints.push_back(g_calibOutline[0] + cv::Point3f(
+                col * (g_calibOutline[1].x - g_calibOutline[0].x) / (g_calibBoardSize.width - 1),
+                row * (g_calibOutline[3].y - g_calibOutline[0].y) / (g_calibBoardSize.height - 1),
+                0.0f
+            ));
+        }
+    }
+    imagePoints = corners;
+    return true;
+}
+
+/**
+ * Track one grayscale frame and return the pose as [x, y, z, qx, qy, qz, qw]
+ * followed by the diagnostics (see DiagnosticsField) and the tracked keypoints
+ * as u, v, inlier triples
+ * In IMU_MONOCULAR mode the IMU samples since the previous frame are consumed with it.
+ * Caller must hold g_slamMutex.
+ * @param preprocessMs Time spent decoding or wrapping the image before this call
+ */
+static jfloatArray trackMonocular(JNIEnv *env, const cv::Mat& frame, double timestamp, float preprocessMs) {
+    int64 trackStart = cv::getTickCount();
+    bool loopClosure = false;
+    
+    if (g_sensorType == SENSOR_IMU_MONOCULAR) {
+        std::vector<ImuSample> imuSamples = takeImuSamples(timestamp);
+        if (imuSamples.empty() && g_lastFrameTimestamp >= 0) {
+            LOGD("No IMU samples between %f and %f", g_lastFrameTimestamp, timestamp);
+        }
+        
+        // In production, hand the samples to ORB-SLAM3 with the frame:
+        // std::vector<ORB_SLAM3::IMU::Point> vImuMeas;
+        // for (const ImuSample& s : imuSamples) {
+        //     vImuMeas.push_back(ORB_SLAM3::IMU::Point(s.ax, s.ay, s.az, s.gx, s.gy, s.gz, s.t));
+        // }
+        // cv::Mat Tcw = ((ORB_SLAM3::System*)g_pSLAM)->TrackMonocular(frame, timestamp, vImuMeas);
+    } else {
+        // In production, process frame through ORB-SLAM3:
+        // cv::Mat Tcw = ((ORB_SLAM3::System*)g_pSLAM)->TrackMonocular(frame, timestamp);
+    }
+    g_lastFrameTimestamp = timestamp;
+    
+    if (g_isRelocalizing) {
+        // Simulate relocalization: stay LOST until enough frames matched the loaded map
+        // (in production, ORB-SLAM3 relocalizes on its own and reports OK via GetTrackingState())
+        g_relocFrames++;
+        if (g_relocFrames >= SIMULATED_RELOC_FRAMES) {
+            for (int i = 0; i < 7; i++) {
+                g_currentPose[i] = g_relocPose[i];
+            }
+            g_isRelocalizing = false;
+            g_trackingState = 2; // OK
+            // The map built while lost is merged into the loaded one
+            g_mapCount = 1;
+            LOGI("Relocalized in loaded map after %d frames", g_relocFrames);
+        }
+    } else {
+        // Simulate pose update (in production, extract from Tcw matrix)
+        // For demonstration, increment position slightly
+        g_currentPose[0] += 0.001f; // x
+        g_currentPose[1] += 0.001f; // y
+        g_currentPose[2] += 0.001f; // z
+        
+        // Update tracking state
+        g_trackingState = 2; // OK
+        
+        // Simulate a keyframe, with map points triangulated around it, every few frames
+        if (++g_framesSinceKeyframe >= SIMULATED_KEYFRAME_INTERVAL) {
+            g_framesSinceKeyframe = 0;
+            g_keyframeCount++;
+            loopClosure = g_keyframeCount % SIMULATED_LOOP_KEYFRAMES == 0;
+            for (int i = 0; i < SIMULATED_POINTS_PER_KEYFRAME &&
+                 g_mapPoints.size() / 3 < MAX_SIMULATED_MAP_POINTS; i++) {
+                for (int axis = 0; axis < 3; axis++) {
+                    float spread = 4.0f * (float)rand() / (float)RAND_MAX - 2.0f;
+                    g_mapPoints.push_back(g_currentPose[axis] + spread);
+                }
+            }
+        }
+    }
+    
+    float trackMs = elapsedMs(trackStart);
+    
+    // Tracked keypoints and whether each one matched a map point
+    // In production:
+    // std::vector<cv::KeyPoint> keys = pSLAM->GetTrackedKeyPointsUn();
+    // std::vector<ORB_SLAM3::MapPoint*> mapPoints = pSLAM->GetTrackedMapPoints();
+    // inlier = mapPoints[i] != nullptr && !mapPoints[i]->isBad()
+    // the keyframe and map counts from pSLAM->GetAtlas()->KeyFramesInMap() and CountMaps(),
+    // and loop closures from pSLAM->MapChanged()
+    // (extraction then happens inside TrackMonocular and is timed by ORB-SLAM3 itself)
+    int64 extractStart = cv::getTickCount();
+    std::vector<cv::KeyPoint> keypoints;
+    cv::FAST(frame, keypoints, FAST_THRESHOLD, true);
+    cv::KeyPointsFilter::retainBest(keypoints, MAX_OVERLAY_KEYPOINTS);
+    if ((int)keypoints.size() > MAX_OVERLAY_KEYPOINTS) {
+        keypoints.resize(MAX_OVERLAY_KEYPOINTS);
+    }
+    
+    // Simulation: the stronger half of the corners count as matched while tracking
+    std::vector<float> responses;
+    for (const cv::KeyPoint& kp : keypoints) {
+        responses.push_back(kp.response);
+    }
+    float medianResponse = 0.0f;
+    if (!responses.empty()) {
+        std::nth_element(responses.begin(), responses.begin() + responses.size() / 2, responses.end());
+        medianResponse = responses[responses.size() / 2];
+    }
+    bool tracking = g_trackingState == 2;
+    
+    // Result: [x, y, z, qx, qy, qz, qw, diagnostics..., u0, v0, inlier0, ...]
+    std::vector<float> values(g_currentPose, g_currentPose + POSE_SIZE);
+    values.resize(POSE_SIZE + DIAGNOSTICS_SIZE + keypoints.size() * 3);
+    int matched = 0;
+    size_t offset = POSE_SIZE + DIAGNOSTICS_SIZE;
+    for (const cv::KeyPoint& kp : keypoints) {
+        bool inlier = tracking && kp.response >= medianResponse;
+        matched += inlier ? 1 : 0;
+        values[offset++] = kp.pt.x;
+        values[offset++] = kp.pt.y;
+        values[offset++] = inlier ? 1.0f : 0.0f;
+    }
+    float extractMs = elapsedMs(extractStart);
+    
+    float* diagnostics = values.data() + POSE_SIZE;
+    diagnostics[DIAG_STATE] = (float)g_trackingState;
+    diagnostics[DIAG_MATCHED] = (float)matched;
+    diagnostics[DIAG_KEYFRAMES] = (float)g_keyframeCount;
+    diagnostics[DIAG_MAP_POINTS] = (float)(g_mapPoints.size() / 3);
+    diagnostics[DIAG_MAPS] = (float)g_mapCount;
+    diagnostics[DIAG_LOOP_CLOSURE] = loopClosure ? 1.0f : 0.0f;
+    diagnostics[DIAG_IMAGE_WIDTH] = (float)frame.cols;
+    diagnostics[DIAG_IMAGE_HEIGHT] = (float)frame.rows;
+    diagnostics[DIAG_PREPROCESS_MS] = preprocessMs;
+    diagnostics[DIAG_EXTRACT_MS] = extractMs;
+    diagnostics[DIAG_TRACK_MS] = trackMs;
+    diagnostics[DIAG_KEYPOINT_COUNT] = (float)keypoints.size();
+    
+    jfloatArray result = env->NewFloatArray((jsize)values.size());
+    env->SetFloatArrayRegion(result, 0, (jsize)values.size(), values.data());
+    
+    LOGD("Pose: [%.3f, %.3f, %.3f], %d/%zu keypoints matched",
+         g_currentPose[0], g_currentPose[1], g_currentPose[2], matched, keypoints.size());
+    
+    return result;
+}
+
 JNIEXPORT void JNICALL
 Java_com_slamapp_SlamModule_initializeSlamNative(
     JNIEnv *env, 
@@ -63,11 +454,34 @@ Java_com_slamapp_SlamModule_initializeSlamNative(
     LOGI("Settings: %s", settingsPathStr);
     
     try {
-        // In production, initialize ORB-SLAM3:
+        std::ifstream vocabulary(vocabPathStr, std::ios::binary);
+        if (!vocabulary.good()) {
+            throw std::runtime_error(std::string("Failed to open vocabulary: ") + vocabPathStr);
+        }
+        const bool binaryVocabulary = isBinaryVocabulary(vocabPathStr);
+        LOGI("Vocabulary format: %s", binaryVocabulary ? "binary" : "text");
+        
+        // Visual-inertial when the settings describe the IMU, which also gives metric scale
+        g_sensorType = readImuConfig(settingsPathStr, g_imuConfig)
+            ? SENSOR_IMU_MONOCULAR
+            : SENSOR_MONOCULAR;
+        g_imuBuffer.clear();
+        g_lastFrameTimestamp = -1.0;
+        
+        if (g_sensorType == SENSOR_IMU_MONOCULAR) {
+            LOGI("Sensor: IMU_MONOCULAR (IMU at %.0f Hz)", g_imuConfig.frequency);
+        } else {
+            LOGI("Sensor: MONOCULAR");
+        }
+        
+        // In production, initialize ORB-SLAM3 (ORBvoc.bin needs the binary vocabulary
+        // patch, see docs/ORB_SLAM3_INTEGRATION.md):
         // g_pSLAM = new ORB_SLAM3::System(
         //     vocabPathStr, 
         //     settingsPathStr, 
-        //     ORB_SLAM3::System::MONOCULAR, 
+        //     g_sensorType == SENSOR_IMU_MONOCULAR
+        //         ? ORB_SLAM3::System::IMU_MONOCULAR
+        //         : ORB_SLAM3::System::MONOCULAR, 
         //     true
         // );
         
@@ -79,6 +493,8 @@ Java_com_slamapp_SlamModule_initializeSlamNative(
     } catch (const std::exception& e) {
         LOGE("Failed to initialize ORB-SLAM3: %s", e.what());
         g_isInitialized = false;
+        // Rejects the initializeSlam() promise
+        env->ThrowNew(env->FindClass("java/lang/RuntimeException"), e.what());
     }
     
     env->ReleaseStringUTFChars(vocabPath, vocabPathStr);
@@ -106,6 +522,7 @@ Java_com_slamapp_SlamModule_processFrameNative(
     LOGD("Processing frame at timestamp: %f", timestamp);
     
     // Load image
+    int64 loadStart = cv::getTickCount();
     cv::Mat frame;
     if (imageStr.find("data:image") != std::string::npos) {
         // Base64 encoded image
@@ -120,24 +537,195 @@ Java_com_slamapp_SlamModule_processFrameNative(
         return nullptr;
     }
     
-    // In production, process frame through ORB-SLAM3:
-    // cv::Mat Tcw = ((ORB_SLAM3::System*)g_pSLAM)->TrackMonocular(frame, timestamp);
+    return trackMonocular(env, frame, timestamp, elapsedMs(loadStart));
+}
+
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_processFrameBufferNative(
+    JNIEnv *env, 
+    jclass clazz, 
+    jobject yPlane, 
+    jint width, 
+    jint height, 
+    jint rowStride, 
+    jdouble timestamp
+) {
+    std::lock_guard<std::mutex> lock(g_slamMutex);
+    
+    if (!g_isInitialized) {
+        LOGE("SLAM system not initialized");
+        return nullptr;
+    }
+    
+    int64 wrapStart = cv::getTickCount();
+    uchar* data = static_cast<uchar*>(env->GetDirectBufferAddress(yPlane));
+    if (data == nullptr) {
+        LOGE("Frame buffer is not a direct buffer");
+        return nullptr;
+    }
+    
+    // Wrap the luminance plane without copying; it stays valid for the duration of this call
+    cv::Mat frame(height, width, CV_8UC1, data, static_cast<size_t>(rowStride));
+    
+    if (!g_recordDir.empty()) {
+        recordFrame(frame, timestamp);
+    }
+    
+    return trackMonocular(env, frame, timestamp, elapsedMs(wrapStart));
+}
+
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_setFrameRecordingNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jstring cameraDir
+) {
+    std::lock_guard<std::mutex> lock(g_slamMutex);
+    
+    if (g_recordCsv.is_open()) {
+        g_recordCsv.close();
+    }
+    g_recordDir.clear();
+    
+    if (cameraDir == nullptr) {
+        LOGI("Frame recording stopped");
+        return JNI_TRUE;
+    }
+    
+    const char* dirStr = env->GetStringUTFChars(cameraDir, nullptr);
+    std::string dir(dirStr);
+    env->ReleaseStringUTFChars(cameraDir, dirStr);
+    
+    // The directory and data.csv header are created by the JS recorder
+    g_recordCsv.open(dir + "/data.csv", std::ios::out | std::ios::app);
+    if (!g_recordCsv.is_open()) {
+        LOGE("Failed to open frame recording index in: %s", dir.c_str());
+        return JNI_FALSE;
+    }
+    
+    g_recordDir = dir;
+    LOGI("Recording frames to: %s", dir.c_str());
+    return JNI_TRUE;
+}
+
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_getMapPointsNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jint maxPoints
+) {
+    std::lock_guard<std::mutex> lock(g_slamMutex);
+    
+    if (!g_isInitialized) {
+        LOGE("SLAM system not initialized");
+        return nullptr;
+    }
+    
+    // In production, collect the points of the active map (requires exposing the atlas):
+    // std::vector<ORB_SLAM3::MapPoint*> points = pAtlas->GetAllMapPoints();
+    // skipping those with isBad() and reading GetWorldPos()
+    
+    size_t count = g_mapPoints.size() / 3;
+    size_t stride = 1;
+    if (maxPoints > 0 && count > (size_t)maxPoints) {
+        stride = (count + maxPoints - 1) / maxPoints;
+    }
+    
+    std::vector<float> sampled;
+    sampled.reserve((count / stride + 1) * 3);
+    for (size_t i = 0; i < count; i += stride) {
+        sampled.push_back(g_mapPoints[i * 3]);
+        sampled.push_back(g_mapPoints[i * 3 + 1]);
+        sampled.push_back(g_mapPoints[i * 3 + 2]);
+    }
+    
+    jfloatArray result = env->NewFloatArray((jsize)sampled.size());
+    env->SetFloatArrayRegion(result, 0, (jsize)sampled.size(), sampled.data());
+    return result;
+}
+
+JNIEXPORT jint JNICALL
+Java_com_slamapp_SlamModule_pushImuSamplesNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jdoubleArray samples
+) {
+    std::lock_guard<std::mutex> lock(g_slamMutex);
+    
+    if (!g_isInitialized || g_sensorType != SENSOR_IMU_MONOCULAR) {
+        return 0;
+    }
+    
+    jsize length = env->GetArrayLength(samples);
+    if (length % 7 != 0) {
+        LOGE("IMU samples must be packed as [t, ax, ay, az, gx, gy, gz]");
+        return 0;
+    }
+    
+    jdouble* data = env->GetDoubleArrayElements(samples, nullptr);
+    int accepted = 0;
+    
+    for (jsize i = 0; i < length; i += 7) {
+        double t = data[i];
+        
+        // ORB-SLAM3 integrates between frames, so anything before the last frame is useless
+        double newest = g_imuBuffer.empty() ? g_lastFrameTimestamp : g_imuBuffer.back().t;
+        if (t <= newest) {
+            continue;
+        }
+        
+        ImuSample sample;
+        sample.t = t;
+        sample.ax = (float)data[i + 1];
+        sample.ay = (float)data[i + 2];
+        sample.az = (float)data[i + 3];
+        sample.gx = (float)data[i + 4];
+        sample.gy = (float)data[i + 5];
+        sample.gz = (float)data[i + 6];
+        g_imuBuffer.push_back(sample);
+        accepted++;
+    }
+    
+    env->ReleaseDoubleArrayElements(samples, data, JNI_ABORT);
     
-    // Simulate pose update (in production, extract from Tcw matrix)
-    // For demonstration, increment position slightly
-    g_currentPose[0] += 0.001f; // x
-    g_currentPose[1] += 0.001f; // y
-    g_currentPose[2] += 0.001f; // z
+    // Bound the buffer when no frames are consuming it (e.g. camera paused)
+    if (!g_imuBuffer.empty()) {
+        double cutoff = g_imuBuffer.back().t - IMU_BUFFER_SECONDS;
+        auto first = std::find_if(
+            g_imuBuffer.begin(), g_imuBuffer.end(),
+            [cutoff](const ImuSample& s) { return s.t >= cutoff; }
+        );
+        g_imuBuffer.erase(g_imuBuffer.begin(), first);
+    }
     
-    // Update tracking state
-    g_trackingState = 2; // OK
+    return accepted;
+}
+
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_getImuConfigNative(
+    JNIEnv *env, 
+    jobject instance
+) {
+    std::lock_guard<std::mutex> lock(g_slamMutex);
     
-    // Create result array [x, y, z, qx, qy, qz, qw]
-    jfloatArray result = env->NewFloatArray(7);
-    env->SetFloatArrayRegion(result, 0, 7, g_currentPose);
+    if (!g_isInitialized || g_sensorType != SENSOR_IMU_MONOCULAR) {
+        return nullptr;
+    }
     
-    LOGD("Pose: [%.3f, %.3f, %.3f]", g_currentPose[0], g_currentPose[1], g_currentPose[2]);
+    // [noiseGyro, noiseAcc, gyroWalk, accWalk, frequency, Tbc (16, row-major)]
+    float values[21] = {
+        g_imuConfig.noiseGyro,
+        g_imuConfig.noiseAcc,
+        g_imuConfig.gyroWalk,
+        g_imuConfig.accWalk,
+        g_imuConfig.frequency,
+    };
+    for (int i = 0; i < 16; i++) {
+        values[5 + i] = g_imuConfig.Tbc[i];
+    }
     
+    jfloatArray result = env->NewFloatArray(21);
+    env->SetFloatArrayRegion(result, 0, 21, values);
     return result;
 }
 
@@ -161,6 +749,13 @@ Java_com_slamapp_SlamModule_resetNative(
     }
     g_currentPose[6] = 1.0f; // qw
     
+    g_isRelocalizing = false;
+    g_imuBuffer.clear();
+    g_lastFrameTimestamp = -1.0;
+    g_mapPoints.clear();
+    g_framesSinceKeyframe = 0;
+    g_keyframeCount = 0;
+    g_mapCount = 1;
     g_trackingState = 1; // NOT_INITIALIZED
 }
 
@@ -180,7 +775,19 @@ Java_com_slamapp_SlamModule_shutdownNative(
         g_pSLAM = nullptr;
     }
     
+    if (g_recordCsv.is_open()) {
+        g_recordCsv.close();
+    }
+    g_recordDir.clear();
+    
     g_isInitialized = false;
+    g_isRelocalizing = false;
+    g_imuBuffer.clear();
+    g_lastFrameTimestamp = -1.0;
+    g_mapPoints.clear();
+    g_framesSinceKeyframe = 0;
+    g_keyframeCount = 0;
+    g_mapCount = 1;
     g_trackingState = 0;
 }
 
@@ -192,3 +799,336 @@ Java_com_slamapp_SlamModule_getTrackingStateNative(
     std::lock_guard<std::mutex> lock(g_slamMutex);
     return g_trackingState;
 }
+
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_saveMapNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jstring path
+) {
+    std::lock_guard<std::mutex> lock(g_slamMutex);
+    
+    if (!g_isInitialized) {
+        LOGE("SLAM system not initialized");
+        return JNI_FALSE;
+    }
+    
+    const char* pathStr = env->GetStringUTFChars(path, nullptr);
+    std::string mapPath(pathStr);
+    env->ReleaseStringUTFChars(path, pathStr);
+    
+    LOGI("Saving map to: %s", mapPath.c_str());
+    
+    // In production, serialize the atlas (requires exposing System::SaveAtlas):
+    // ((ORB_SLAM3::System*)g_pSLAM)->SaveAtlas(mapPath, ORB_SLAM3::System::BINARY_FILE);
+    
+    // Simulation: persist the current pose so a reload can restore it
+    std::ofstream out(mapPath, std::ios::out | std::ios::trunc);
+    if (!out.is_open()) {
+        LOGE("Failed to open map file for writing: %s", mapPath.c_str());
+        return JNI_FALSE;
+    }
+    
+    out << MAP_FILE_MAGIC << "\n";
+    for (int i = 0; i < 7; i++) {
+        out << g_currentPose[i] << (i < 6 ? " " : "\n");
+    }
+    out.close();
+    
+    return out.fail() ? JNI_FALSE : JNI_TRUE;
+}
+
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_loadMapNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jstring path
+) {
+    std::lock_guard<std::mutex> lock(g_slamMutex);
+    
+    if (!g_isInitialized) {
+        LOGE("SLAM system not initialized");
+        return JNI_FALSE;
+    }
+    
+    const char* pathStr = env->GetStringUTFChars(path, nullptr);
+    std::string mapPath(pathStr);
+    env->ReleaseStringUTFChars(path, pathStr);
+    
+    LOGI("Loading map from: %s", mapPath.c_str());
+    
+    // In production, replace the atlas and let tracking relocalize in it
+    // (requires exposing System::LoadAtlas):
+    // ((ORB_SLAM3::System*)g_pSLAM)->LoadAtlas(mapPath, ORB_SLAM3::System::BINARY_FILE);
+    
+    std::ifstream in(mapPath);
+    if (!in.is_open()) {
+        LOGE("Failed to open map file: %s", mapPath.c_str());
+        return JNI_FALSE;
+    }
+    
+    std::string header;
+    std::getline(in, header);
+    if (header != MAP_FILE_MAGIC) {
+        LOGE("Not a map file: %s", mapPath.c_str());
+        return JNI_FALSE;
+    }
+    
+    float pose[7];
+    for (int i = 0; i < 7; i++) {
+        if (!(in >> pose[i])) {
+            LOGE("Corrupt map file: %s", mapPath.c_str());
+            return JNI_FALSE;
+        }
+    }
+    
+    for (int i = 0; i < 7; i++) {
+        g_relocPose[i] = pose[i];
+    }
+    
+    // Tracking is lost until the current view is matched against the loaded map
+    g_isRelocalizing = true;
+    g_relocFrames = 0;
+    g_trackingState = 3; // LOST
+    g_mapCount = 2; // loaded map plus the active one until they are merged
+    
+    return JNI_TRUE;
+}
+
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_startCalibrationNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jint pattern, 
+    jint columns, 
+    jint rows, 
+    jfloat squareSize, 
+    jfloat markerSize, 
+    jint dictionary
+) {
+    std::lock_guard<std::mutex> lock(g_calibMutex);
+    
+    bool charuco = pattern == PATTERN_CHARUCO;
+    int minSize = charuco ? 3 : 2;
+    if ((pattern != PATTERN_CHESSBOARD && !charuco) || columns < minSize || rows < minSize ||
+        squareSize <= 0 || (charuco && (markerSize <= 0 || markerSize >= squareSize))) {
+        LOGE("Invalid calibration pattern %d: %dx%d, square %f, marker %f",
+             pattern, columns, rows, squareSize, markerSize);
+        return JNI_FALSE;
+    }
+    
+    try {
+        g_calibPattern = pattern;
+        g_calibBoardSize = cv::Size(columns, rows);
+        g_charucoBoard.reset();
+        g_charucoDetector.reset();
+        
+        if (charuco) {
+            g_charucoBoard.reset(new cv::aruco::CharucoBoard(
+                g_calibBoardSize, squareSize, markerSize,
+                cv::aruco::getPredefinedDictionary(dictionary)
+            ));
+            g_charucoDetector.reset(new cv::aruco::CharucoDetector(*g_charucoBoard));
+            // ChArUco corners are the inner corners of the squares
+            float right = (columns - 1) * squareSize;
+            float bottom = (rows - 1) * squareSize;
+            g_calibOutline = {
+                {squareSize, squareSize, 0.0f}, {right, squareSize, 0.0f},
+                {right, bottom, 0.0f}, {squareSize, bottom, 0.0f},
+            };
+        } else {
+            float right = (columns - 1) * squareSize;
+            float bottom = (rows - 1) * squareSize;
+            g_calibOutline = {
+                {0.0f, 0.0f, 0.0f}, {right, 0.0f, 0.0f},
+                {right, bottom, 0.0f}, {0.0f, bottom, 0.0f},
+            };
+        }
+    } catch (const cv::Exception& e) {
+        LOGE("Failed to create calibration board: %s", e.what());
+        return JNI_FALSE;
+    }
+    
+    g_calibObjectPoints.clear();
+    g_calibImagePoints.clear();
+    g_lastObjectPoints.clear();
+    g_lastImagePoints.clear();
+    g_calibImageSize = cv::Size();
+    g_isCalibrating = true;
+    
+    LOGI("Calibrating with a %dx%d %s", columns, rows, charuco ? "ChArUco board" : "chessboard");
+    return JNI_TRUE;
+}
+
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_detectCalibrationPatternNative(
+    JNIEnv *env, 
+    jclass clazz, 
+    jobject yPlane, 
+    jint width, 
+    jint height, 
+    jint rowStride
+) {
+    std::lock_guard<std::mutex> lock(g_calibMutex);
+    
+    if (!g_isCalibrating) {
+        return nullptr;
+    }
+    
+    uchar* data = static_cast<uchar*>(env->GetDirectBufferAddress(yPlane));
+    if (data == nullptr) {
+        LOGE("Frame buffer is not a direct buffer");
+        return nullptr;
+    }
+    cv::Mat frame(height, width, CV_8UC1, data, static_cast<size_t>(rowStride));
+    
+    g_lastObjectPoints.clear();
+    g_lastImagePoints.clear();
+    g_lastImageSize = frame.size();
+    bool found = false;
+    try {
+        found = detectCalibrationPattern(frame, g_lastObjectPoints, g_lastImagePoints);
+    } catch (const cv::Exception& e) {
+        LOGE("Calibration pattern detection failed: %s", e.what());
+    }
+    
+    // Outer grid corners, also where they are outside the image or hidden (ChArUco)
+    std::vector<cv::Point2f> outline;
+    if (found) {
+        std::vector<cv::Point2f> planar;
+        for (const cv::Point3f& p : g_lastObjectPoints) {
+            planar.emplace_back(p.x, p.y);
+        }
+        cv::Mat H = cv::findHomography(planar, g_lastImagePoints);
+        if (H.empty()) {
+            found = false;
+        } else {
+            std::vector<cv::Point2f> boardOutline;
+            for (const cv::Point3f& p : g_calibOutline) {
+                boardOutline.emplace_back(p.x, p.y);
+            }
+            cv::perspectiveTransform(boardOutline, outline, H);
+        }
+    }
+    if (!found) {
+        g_lastObjectPoints.clear();
+        g_lastImagePoints.clear();
+    } else if (g_calibImageSize.area() > 0 && g_calibImageSize != frame.size()) {
+        // Views must all come from the resolution SLAM will run at
+        LOGE("Frame size changed from %dx%d while calibrating", g_calibImageSize.width, g_calibImageSize.height);
+        g_lastObjectPoints.clear();
+        g_lastImagePoints.clear();
+        found = false;
+    }
+    
+    // [found, imageWidth, imageHeight, n, outline (4 x [u, v]), n x [u, v]]
+    size_t count = g_lastImagePoints.size();
+    std::vector<float> values(12 + count * 2, 0.0f);
+    values[0] = found ? 1.0f : 0.0f;
+    values[1] = (float)width;
+    values[2] = (float)height;
+    values[3] = (float)count;
+    for (size_t i = 0; i < outline.size() && i < 4; i++) {
+        values[4 + i * 2] = outline[i].x;
+        values[5 + i * 2] = outline[i].y;
+    }
+    for (size_t i = 0; i < count; i++) {
+        values[12 + i * 2] = g_lastImagePoints[i].x;
+        values[13 + i * 2] = g_lastImagePoints[i].y;
+    }
+    
+    jfloatArray result = env->NewFloatArray((jsize)values.size());
+    env->SetFloatArrayRegion(result, 0, (jsize)values.size(), values.data());
+    return result;
+}
+
+JNIEXPORT jint JNICALL
+Java_com_slamapp_SlamModule_captureCalibrationViewNative(
+    JNIEnv *env, 
+    jobject instance
+) {
+    std::lock_guard<std::mutex> lock(g_calibMutex);
+    
+    if (!g_isCalibrating || g_lastImagePoints.empty()) {
+        return -1;
+    }
+    
+    // Later detections in another frame size are rejected
+    if (g_calibImageSize.area() == 0) {
+        g_calibImageSize = g_lastImageSize;
+    }
+    g_calibObjectPoints.push_back(g_lastObjectPoints);
+    g_calibImagePoints.push_back(g_lastImagePoints);
+    g_lastObjectPoints.clear();
+    g_lastImagePoints.clear();
+    
+    LOGI("Captured calibration view %zu", g_calibImagePoints.size());
+    return (jint)g_calibImagePoints.size();
+}
+
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_calibrateCameraNative(
+    JNIEnv *env, 
+    jobject instance
+) {
+    std::lock_guard<std::mutex> lock(g_calibMutex);
+    
+    size_t views = g_calibImagePoints.size();
+    if (!g_isCalibrating || views < MIN_CALIBRATION_VIEWS) {
+        LOGE("Calibration needs at least %d views, have %zu", MIN_CALIBRATION_VIEWS, views);
+        return nullptr;
+    }
+    
+    cv::Mat K, dist, stdIntrinsics, stdExtrinsics, perViewErrors;
+    std::vector<cv::Mat> rvecs, tvecs;
+    double rms = 0.0;
+    try {
+        int64 start = cv::getTickCount();
+        // Five coefficients [k1, k2, p1, p2, k3], the pinhole model ORB-SLAM3 reads from Camera.*
+        rms = cv::calibrateCamera(
+            g_calibObjectPoints, g_calibImagePoints, g_calibImageSize, K, dist,
+            rvecs, tvecs, stdIntrinsics, stdExtrinsics, perViewErrors
+        );
+        LOGI("Calibrated from %zu views in %.0f ms, RMS %.3f px", views, elapsedMs(start), rms);
+    } catch (const cv::Exception& e) {
+        LOGE("Calibration failed: %s", e.what());
+        return nullptr;
+    }
+    
+    // [rms, fx, fy, cx, cy, k1, k2, p1, p2, k3, width, height, n, n per-view errors]
+    std::vector<float> values = {
+        (float)rms,
+        (float)K.at<double>(0, 0), (float)K.at<double>(1, 1),
+        (float)K.at<double>(0, 2), (float)K.at<double>(1, 2),
+    };
+    for (int i = 0; i < 5; i++) {
+        values.push_back(i < (int)dist.total() ? (float)dist.at<double>(i) : 0.0f);
+    }
+    values.push_back((float)g_calibImageSize.width);
+    values.push_back((float)g_calibImageSize.height);
+    values.push_back((float)views);
+    for (size_t i = 0; i < views; i++) {
+        values.push_back((float)perViewErrors.at<double>((int)i));
+    }
+    
+    jfloatArray result = env->NewFloatArray((jsize)values.size());
+    env->SetFloatArrayRegion(result, 0, (jsize)values.size(), values.data());
+    return result;
+}
+
+JNIEXPORT void JNICALL
+Java_com_slamapp_SlamModule_stopCalibrationNative(
+    JNIEnv *env, 
+    jobject instance
+) {
+    std::lock_guard<std::mutex> lock(g_calibMutex);
+    
+    g_isCalibrating = false;
+    g_calibObjectPoints.clear();
+    g_calibImagePoints.clear();
+    g_lastObjectPoints.clear();
+    g_lastImagePoints.clear();
+    g_charucoDetector.reset();
+    g_charucoBoard.reset();
+    LOGI("Calibration stopped");
+}
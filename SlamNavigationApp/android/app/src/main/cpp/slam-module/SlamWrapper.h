@@ -36,7 +36,10 @@ Java_com_slamapp_SlamModule_initializeSlamNative(
  * @param instance Java object instance
  * @param imageData Base64 encoded image data or file path
  * @param timestamp Frame timestamp in seconds
- * @return Float array containing [x, y, z, qx, qy, qz, qw] pose
+ * @return Float array containing the [x, y, z, qx, qy, qz, qw] pose, then the
+ *         diagnostics [state, matchedMapPoints, keyframes, mapPoints, maps,
+ *         loopClosure, imageWidth, imageHeight, preprocessMs, extractMs, trackMs, n]
+ *         and n tracked keypoints as [u, v, inlier (0 or 1)]
  */
 JNIEXPORT jfloatArray JNICALL
 Java_com_slamapp_SlamModule_processFrameNative(
@@ -46,6 +49,85 @@ Java_com_slamapp_SlamModule_processFrameNative(
     jdouble timestamp
 );
 
+/**
+ * Process a streamed camera frame held in a direct buffer
+ * @param env JNI environment
+ * @param clazz SlamModule class (static method)
+ * @param yPlane Direct ByteBuffer with the 8-bit luminance plane
+ * @param width Image width in pixels
+ * @param height Image height in pixels
+ * @param rowStride Bytes per row of the luminance plane
+ * @param timestamp Hardware frame timestamp in seconds
+ * @return Same layout as processFrameNative
+ */
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_processFrameBufferNative(
+    JNIEnv *env, 
+    jclass clazz, 
+    jobject yPlane, 
+    jint width, 
+    jint height, 
+    jint rowStride, 
+    jdouble timestamp
+);
+
+/**
+ * Start or stop saving streamed frames for a recorded session
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @param cameraDir Session camera directory (mav0/cam0) to write data/<ns>.png
+ *                  and data.csv into, or null to stop recording
+ * @return true if recording was started or stopped
+ */
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_setFrameRecordingNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jstring cameraDir
+);
+
+/**
+ * Get the 3D points of the active map
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @param maxPoints Upper bound on the points returned (evenly subsampled), 0 for all
+ * @return Float array packed as [x0, y0, z0, x1, y1, z1, ...] in world coordinates
+ */
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_getMapPointsNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jint maxPoints
+);
+
+/**
+ * Queue IMU samples for the next frames (IMU_MONOCULAR only)
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @param samples Samples packed as [t, ax, ay, az, gx, gy, gz, ...], t in seconds
+ *                on the frame clock, accelerations in m/s^2, rates in rad/s
+ * @return Number of samples accepted
+ */
+JNIEXPORT jint JNICALL
+Java_com_slamapp_SlamModule_pushImuSamplesNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jdoubleArray samples
+);
+
+/**
+ * Get the IMU calibration read from the settings file
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @return [noiseGyro, noiseAcc, gyroWalk, accWalk, frequency, Tbc (16, row-major)],
+ *         or null when running without IMU
+ */
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_getImuConfigNative(
+    JNIEnv *env, 
+    jobject instance
+);
+
 /**
  * Reset the SLAM system
  * @param env JNI environment
@@ -80,6 +162,118 @@ Java_com_slamapp_SlamModule_getTrackingStateNative(
     jobject instance
 );
 
+/**
+ * Save the current map (atlas) to a file
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @param path Absolute path of the map file to write
+ * @return true if the map was written
+ */
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_saveMapNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jstring path
+);
+
+/**
+ * Load a saved map (atlas) and switch tracking to relocalization in it
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @param path Absolute path of the map file to read
+ * @return true if the map was loaded
+ */
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_loadMapNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jstring path
+);
+
+/**
+ * Start collecting calibration views of a board
+ * Calibration runs independently of the SLAM system, which does not need to be initialized.
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @param pattern 0 = chessboard, 1 = ChArUco
+ * @param columns Inner corners per row (chessboard) or squares per row (ChArUco)
+ * @param rows Inner corners per column (chessboard) or squares per column (ChArUco)
+ * @param squareSize Square side in meters
+ * @param markerSize ArUco marker side in meters (ChArUco only)
+ * @param dictionary Predefined ArUco dictionary, cv::aruco::PredefinedDictionaryType (ChArUco only)
+ * @return true if the pattern is valid
+ */
+JNIEXPORT jboolean JNICALL
+Java_com_slamapp_SlamModule_startCalibrationNative(
+    JNIEnv *env, 
+    jobject instance, 
+    jint pattern, 
+    jint columns, 
+    jint rows, 
+    jfloat squareSize, 
+    jfloat markerSize, 
+    jint dictionary
+);
+
+/**
+ * Detect the calibration board in a streamed frame
+ * The detection is kept until the next frame so it can be captured as a view.
+ * @param env JNI environment
+ * @param clazz SlamModule class (static method)
+ * @param yPlane Direct ByteBuffer with the 8-bit luminance plane
+ * @param width Image width in pixels
+ * @param height Image height in pixels
+ * @param rowStride Bytes per row of the luminance plane
+ * @return [found (0 or 1), imageWidth, imageHeight, n, outline (4 x [u, v]), n x [u, v]]
+ *         where the outline holds the outer corners of the board grid,
+ *         or null when not calibrating
+ */
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_detectCalibrationPatternNative(
+    JNIEnv *env, 
+    jclass clazz, 
+    jobject yPlane, 
+    jint width, 
+    jint height, 
+    jint rowStride
+);
+
+/**
+ * Keep the last detection as a calibration view
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @return Number of views, or -1 if the last frame had no detection
+ */
+JNIEXPORT jint JNICALL
+Java_com_slamapp_SlamModule_captureCalibrationViewNative(
+    JNIEnv *env, 
+    jobject instance
+);
+
+/**
+ * Calibrate the camera from the captured views
+ * @param env JNI environment
+ * @param instance Java object instance
+ * @return [rms, fx, fy, cx, cy, k1, k2, p1, p2, k3, width, height, n, n per-view RMS errors],
+ *         or null with fewer than 3 views
+ */
+JNIEXPORT jfloatArray JNICALL
+Java_com_slamapp_SlamModule_calibrateCameraNative(
+    JNIEnv *env, 
+    jobject instance
+);
+
+/**
+ * Stop calibrating and drop the captured views
+ * @param env JNI environment
+ * @param instance Java object instance
+ */
+JNIEXPORT void JNICALL
+Java_com_slamapp_SlamModule_stopCalibrationNative(
+    JNIEnv *env, 
+    jobject instance
+);
+
 #ifdef __cplusplus
 }
 #endif
@@ -0,0 +1,49 @@
+package com.slamapp;
+
+import android.media.Image;
+import android.util.Log;
+
+import androidx.annotation.NonNull;
+import androidx.annotation.Nullable;
+
+import com.mrousavy.camera.frameprocessor.Frame;
+import com.mrousavy.camera.frameprocessor.FrameProcessorPlugin;
+import com.mrousavy.camera.frameprocessor.VisionCameraProxy;
+
+import java.nio.ByteBuffer;
+import java.util.Map;
+
+/**
+ * VisionCamera frame processor plugin that looks for the calibration board
+ * Like SlamFrameProcessorPlugin it passes the luminance plane to native code,
+ * so calibration sees exactly the frames SLAM will track.
+ * Called from JS as `slamCalibrate(frame)`.
+ */
+public class CalibrationFrameProcessorPlugin extends FrameProcessorPlugin {
+    private static final String TAG = "CalibrationFrameProcessor";
+    public static final String NAME = "slamCalibrate";
+
+    public CalibrationFrameProcessorPlugin(@NonNull VisionCameraProxy proxy, @Nullable Map<String, Object> options) {
+        super();
+    }
+
+    @Nullable
+    @Override
+    public Object callback(@NonNull Frame frame, @Nullable Map<String, Object> params) {
+        try {
+            Image image = frame.getImage();
+            Image.Plane yPlane = image.getPlanes()[0];
+            ByteBuffer buffer = yPlane.getBuffer();
+
+            return SlamModule.processCalibrationFrame(
+                buffer,
+                image.getWidth(),
+                image.getHeight(),
+                yPlane.getRowStride()
+            );
+        } catch (Exception e) {
+            Log.e(TAG, "Calibration frame processing failed: " + e.getMessage());
+            return null;
+        }
+    }
+}
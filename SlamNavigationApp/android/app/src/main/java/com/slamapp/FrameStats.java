@@ -0,0 +1,84 @@
+package com.slamapp;
+
+import com.facebook.react.bridge.Arguments;
+import com.facebook.react.bridge.WritableMap;
+
+/**
+ * Frame accounting for the streaming camera pipeline
+ * Frames dropped before reaching the frame processor are inferred from gaps
+ * in the hardware timestamps relative to the nominal frame interval.
+ */
+public class FrameStats {
+    private long received = 0;
+    private long processed = 0;
+    private long failed = 0;
+    private long dropped = 0;
+    private long lastTimestampNs = -1;
+    private long firstTimestampNs = -1;
+    private double lastProcessingMs = 0;
+
+    /**
+     * Record a frame arriving at the frame processor
+     * @param timestampNs Hardware sensor timestamp in nanoseconds
+     * @param nominalFps Frame rate the camera was configured for
+     */
+    public synchronized void onFrameReceived(long timestampNs, double nominalFps) {
+        received++;
+
+        if (lastTimestampNs >= 0 && nominalFps > 0) {
+            double intervalNs = 1e9 / nominalFps;
+            long gapNs = timestampNs - lastTimestampNs;
+            // Anything beyond half a frame late counts as missed frames
+            long missed = Math.round(gapNs / intervalNs) - 1;
+            if (missed > 0) {
+                dropped += missed;
+            }
+        }
+
+        if (firstTimestampNs < 0) {
+            firstTimestampNs = timestampNs;
+        }
+        lastTimestampNs = timestampNs;
+    }
+
+    /**
+     * Record the outcome of native processing for the last received frame
+     * @param success Whether SLAM consumed the frame
+     * @param processingMs Time spent in native processing
+     */
+    public synchronized void onFrameProcessed(boolean success, double processingMs) {
+        if (success) {
+            processed++;
+        } else {
+            failed++;
+        }
+        lastProcessingMs = processingMs;
+    }
+
+    public synchronized void reset() {
+        received = 0;
+        processed = 0;
+        failed = 0;
+        dropped = 0;
+        lastTimestampNs = -1;
+        firstTimestampNs = -1;
+        lastProcessingMs = 0;
+    }
+
+    /**
+     * Snapshot for JavaScript
+     */
+    public synchronized WritableMap toWritableMap() {
+        WritableMap map = Arguments.createMap();
+        map.putDouble("received", received);
+        map.putDouble("processed", processed);
+        map.putDouble("failed", failed);
+        map.putDouble("dropped", dropped);
+        map.putDouble("lastProcessingMs", lastProcessingMs);
+
+        double spanSec = (lastTimestampNs - firstTimestampNs) / 1e9;
+        map.putDouble("processedFps", spanSec > 0 ? processed / spanSec : 0);
+        map.putDouble("lastTimestamp", lastTimestampNs >= 0 ? lastTimestampNs / 1e9 : 0);
+        return map;
+    }
+}
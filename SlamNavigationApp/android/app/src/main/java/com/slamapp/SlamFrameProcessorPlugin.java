@@ -0,0 +1,58 @@
+package com.slamapp;
+
+import android.media.Image;
+import android.util.Log;
+
+import androidx.annotation.NonNull;
+import androidx.annotation.Nullable;
+
+import com.mrousavy.camera.frameprocessor.Frame;
+import com.mrousavy.camera.frameprocessor.FrameProcessorPlugin;
+import com.mrousavy.camera.frameprocessor.VisionCameraProxy;
+
+import java.nio.ByteBuffer;
+import java.util.Map;
+
+/**
+ * VisionCamera frame processor plugin that hands preview frames to ORB-SLAM3
+ * The luminance (Y) plane of each YUV frame is passed to native code as a
+ * direct buffer, so no JPEG encoding, file I/O or JS copy is involved.
+ * Called from JS as `slamTrack(frame, { fps })`.
+ */
+public class SlamFrameProcessorPlugin extends FrameProcessorPlugin {
+    private static final String TAG = "SlamFrameProcessor";
+    public static final String NAME = "slamTrack";
+    private static final double DEFAULT_FPS = 30.0;
+
+    public SlamFrameProcessorPlugin(@NonNull VisionCameraProxy proxy, @Nullable Map<String, Object> options) {
+        super();
+    }
+
+    @Nullable
+    @Override
+    public Object callback(@NonNull Frame frame, @Nullable Map<String, Object> params) {
+        double fps = DEFAULT_FPS;
+        if (params != null && params.get("fps") instanceof Number) {
+            fps = ((Number) params.get("fps")).doubleValue();
+        }
+
+        try {
+            Image image = frame.getImage();
+            Image.Plane yPlane = image.getPlanes()[0];
+            ByteBuffer buffer = yPlane.getBuffer();
+            long timestampNs = frame.getTimestamp();
+
+            return SlamModule.processFrameBuffer(
+                buffer,
+                image.getWidth(),
+                image.getHeight(),
+                yPlane.getRowStride(),
+                timestampNs,
+                fps
+            );
+        } catch (Exception e) {
+            Log.e(TAG, "Frame processing failed: " + e.getMessage());
+            return null;
+        }
+    }
+}
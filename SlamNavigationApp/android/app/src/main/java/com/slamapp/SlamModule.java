@@ -5,11 +5,21 @@ import com.facebook.react.bridge.ReactApplicationContext;
 import com.facebook.react.bridge.ReactContextBaseJavaModule;
 import com.facebook.react.bridge.ReactMethod;
 import com.facebook.react.bridge.Promise;
+import com.facebook.react.bridge.ReadableArray;
+import com.facebook.react.bridge.ReadableMap;
 import com.facebook.react.bridge.WritableMap;
 import com.facebook.react.bridge.WritableArray;
 import com.facebook.react.bridge.Arguments;
+import com.facebook.react.modules.core.DeviceEventManagerModule;
+import android.os.SystemClock;
 import android.util.Log;
 
+import java.nio.ByteBuffer;
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+
 /**
  * React Native native module for ORB-SLAM3 integration
  * Provides JavaScript interface to native SLAM functionality
@@ -17,6 +27,37 @@ import android.util.Log;
 public class SlamModule extends ReactContextBaseJavaModule {
     private static final String TAG = "SlamModule";
     private static final String MODULE_NAME = "SlamModule";
+    private static final String FRAME_EVENT = "SlamFrameProcessed";
+    private static final String CALIBRATION_EVENT = "CalibrationFrameProcessed";
+
+    // Calibration patterns, mirror the PATTERN_* constants in SlamWrapper.cpp
+    private static final int PATTERN_CHESSBOARD = 0;
+    private static final int PATTERN_CHARUCO = 1;
+
+    // Native calibration results: detection header and calibration layout
+    private static final int DETECTION_HEADER_SIZE = 12;
+    private static final int CALIBRATION_HEADER_SIZE = 13;
+
+    // Native frame results: pose, diagnostics, then keypoints as (u, v, inlier)
+    // Diagnostics indices mirror DiagnosticsField in SlamWrapper.cpp
+    private static final int POSE_SIZE = 7;
+    private static final int DIAG_STATE = 0;
+    private static final int DIAG_MATCHED = 1;
+    private static final int DIAG_KEYFRAMES = 2;
+    private static final int DIAG_MAP_POINTS = 3;
+    private static final int DIAG_MAPS = 4;
+    private static final int DIAG_LOOP_CLOSURE = 5;
+    private static final int DIAG_IMAGE_WIDTH = 6;
+    private static final int DIAG_IMAGE_HEIGHT = 7;
+    private static final int DIAG_PREPROCESS_MS = 8;
+    private static final int DIAG_EXTRACT_MS = 9;
+    private static final int DIAG_TRACK_MS = 10;
+    private static final int DIAG_KEYPOINT_COUNT = 11;
+    private static final int DIAGNOSTICS_SIZE = 12;
+
+    // Streamed frames arrive on the camera thread, outside of any module instance call
+    private static volatile SlamModule sInstance = null;
+    private static final FrameStats sFrameStats = new FrameStats();
     
     // Load native library
     static {
@@ -30,6 +71,7 @@ public class SlamModule extends ReactContextBaseJavaModule {
 
     public SlamModule(ReactApplicationContext reactContext) {
         super(reactContext);
+        sInstance = this;
     }
 
     @Override
@@ -56,6 +98,13 @@ public class SlamModule extends ReactContextBaseJavaModule {
             result.putBoolean("success", true);
             result.putString("message", "SLAM initialized successfully");
             
+            // IMU calibration is only present when settings.yaml describes the IMU
+            float[] imu = getImuConfigNative();
+            result.putString("sensor", imu != null ? "IMU_MONOCULAR" : "MONOCULAR");
+            if (imu != null) {
+                result.putMap("imu", imuConfigToMap(imu));
+            }
+            
             promise.resolve(result);
             Log.i(TAG, "SLAM initialization successful");
             
@@ -74,9 +123,11 @@ public class SlamModule extends ReactContextBaseJavaModule {
     @ReactMethod
     public void processFrame(String imageData, double timestamp, Promise promise) {
         try {
+            long start = SystemClock.elapsedRealtimeNanos();
             float[] pose = processFrameNative(imageData, timestamp);
+            double processingMs = (SystemClock.elapsedRealtimeNanos() - start) / 1e6;
             
-            if (pose == null || pose.length != 7) {
+            if (!isValidFrameResult(pose)) {
                 promise.reject("PROCESS_ERROR", "Invalid pose data returned");
                 return;
             }
@@ -99,6 +150,7 @@ public class SlamModule extends ReactContextBaseJavaModule {
             result.putArray("position", position);
             result.putArray("orientation", orientation);
             result.putDouble("timestamp", timestamp);
+            putDiagnostics(result, pose, processingMs);
             
             promise.resolve(result);
             
@@ -108,6 +160,416 @@ public class SlamModule extends ReactContextBaseJavaModule {
         }
     }
 
+    /**
+     * Process a streamed camera frame through ORB-SLAM3
+     * Called by SlamFrameProcessorPlugin on the camera thread. The result is
+     * returned to the frame processor and emitted to JS as a SlamFrameProcessed event.
+     * @param yPlane Direct buffer holding the 8-bit luminance plane
+     * @param width Image width in pixels
+     * @param height Image height in pixels
+     * @param rowStride Bytes per row of the luminance plane
+     * @param timestampNs Hardware sensor timestamp in nanoseconds
+     * @param nominalFps Configured camera frame rate, used for dropped-frame accounting
+     * @return Pose map, or null if the frame was not consumed
+     */
+    public static Map<String, Object> processFrameBuffer(
+        ByteBuffer yPlane,
+        int width,
+        int height,
+        int rowStride,
+        long timestampNs,
+        double nominalFps
+    ) {
+        SlamModule module = sInstance;
+        sFrameStats.onFrameReceived(timestampNs, nominalFps);
+
+        if (module == null) {
+            sFrameStats.onFrameProcessed(false, 0);
+            return null;
+        }
+
+        double timestamp = timestampNs / 1e9;
+        long start = SystemClock.elapsedRealtimeNanos();
+        float[] pose = processFrameBufferNative(yPlane, width, height, rowStride, timestamp);
+        double processingMs = (SystemClock.elapsedRealtimeNanos() - start) / 1e6;
+
+        boolean success = isValidFrameResult(pose);
+        sFrameStats.onFrameProcessed(success, processingMs);
+        if (!success) {
+            return null;
+        }
+
+        int state = (int) pose[POSE_SIZE + DIAG_STATE];
+
+        Map<String, Object> result = new HashMap<>();
+        List<Object> position = new ArrayList<>();
+        List<Object> orientation = new ArrayList<>();
+        WritableArray positionArray = Arguments.createArray();
+        WritableArray orientationArray = Arguments.createArray();
+        for (int i = 0; i < 3; i++) {
+            position.add((double) pose[i]);
+            positionArray.pushDouble(pose[i]);
+        }
+        for (int i = 3; i < 7; i++) {
+            orientation.add((double) pose[i]);
+            orientationArray.pushDouble(pose[i]);
+        }
+        result.put("position", position);
+        result.put("orientation", orientation);
+        result.put("timestamp", timestamp);
+        result.put("state", (double) state);
+        result.put("stateName", getStateName(state));
+        result.put("matchedMapPoints", (double) pose[POSE_SIZE + DIAG_MATCHED]);
+        result.put("keyframes", (double) pose[POSE_SIZE + DIAG_KEYFRAMES]);
+
+        WritableMap event = Arguments.createMap();
+        event.putArray("position", positionArray);
+        event.putArray("orientation", orientationArray);
+        event.putDouble("timestamp", timestamp);
+        putDiagnostics(event, pose, processingMs);
+        module.emitEvent(FRAME_EVENT, event);
+
+        return result;
+    }
+
+    /**
+     * Check the layout of a native frame result
+     */
+    private static boolean isValidFrameResult(float[] pose) {
+        if (pose == null || pose.length < POSE_SIZE + DIAGNOSTICS_SIZE) {
+            return false;
+        }
+        int keypoints = (int) pose[POSE_SIZE + DIAG_KEYPOINT_COUNT];
+        return pose.length == POSE_SIZE + DIAGNOSTICS_SIZE + keypoints * 3;
+    }
+
+    /**
+     * Add the tracking diagnostics and tracked keypoints of a native frame result
+     * Keypoints are flattened as [u0, v0, inlier0, u1, v1, inlier1, ...] in image pixels.
+     * @param processingMs Total time spent in native code for the frame
+     */
+    private static void putDiagnostics(WritableMap map, float[] pose, double processingMs) {
+        int state = (int) pose[POSE_SIZE + DIAG_STATE];
+        map.putInt("state", state);
+        map.putString("stateName", getStateName(state));
+        map.putInt("matchedMapPoints", (int) pose[POSE_SIZE + DIAG_MATCHED]);
+        map.putInt("keyframes", (int) pose[POSE_SIZE + DIAG_KEYFRAMES]);
+        map.putInt("mapPoints", (int) pose[POSE_SIZE + DIAG_MAP_POINTS]);
+        map.putInt("maps", (int) pose[POSE_SIZE + DIAG_MAPS]);
+        map.putBoolean("loopClosure", pose[POSE_SIZE + DIAG_LOOP_CLOSURE] > 0);
+        map.putInt("imageWidth", (int) pose[POSE_SIZE + DIAG_IMAGE_WIDTH]);
+        map.putInt("imageHeight", (int) pose[POSE_SIZE + DIAG_IMAGE_HEIGHT]);
+
+        WritableMap timing = Arguments.createMap();
+        timing.putDouble("preprocessMs", pose[POSE_SIZE + DIAG_PREPROCESS_MS]);
+        timing.putDouble("extractMs", pose[POSE_SIZE + DIAG_EXTRACT_MS]);
+        timing.putDouble("trackMs", pose[POSE_SIZE + DIAG_TRACK_MS]);
+        timing.putDouble("totalMs", processingMs);
+        map.putMap("timing", timing);
+        map.putDouble("processingMs", processingMs);
+
+        WritableArray keypoints = Arguments.createArray();
+        for (int i = POSE_SIZE + DIAGNOSTICS_SIZE; i < pose.length; i++) {
+            keypoints.pushDouble(pose[i]);
+        }
+        map.putArray("keypoints", keypoints);
+    }
+
+    /**
+     * Emit an event to JavaScript if the bridge is up
+     */
+    private void emitEvent(String name, WritableMap payload) {
+        ReactApplicationContext context = getReactApplicationContext();
+        if (context.hasActiveReactInstance()) {
+            context
+                .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter.class)
+                .emit(name, payload);
+        }
+    }
+
+    /**
+     * Get streamed frame statistics
+     * @param promise Promise to resolve with received/processed/failed/dropped counts
+     */
+    @ReactMethod
+    public void getFrameStats(Promise promise) {
+        promise.resolve(sFrameStats.toWritableMap());
+    }
+
+    /**
+     * Reset streamed frame statistics
+     * @param promise Promise to resolve
+     */
+    @ReactMethod
+    public void resetFrameStats(Promise promise) {
+        sFrameStats.reset();
+        promise.resolve(true);
+    }
+
+    // Required by NativeEventEmitter
+    @ReactMethod
+    public void addListener(String eventName) {
+    }
+
+    @ReactMethod
+    public void removeListeners(Integer count) {
+    }
+
+    /**
+     * Get the 3D points of the active map
+     * @param maxPoints Upper bound on the points returned (evenly subsampled), 0 for all
+     * @param promise Promise to resolve with { count, points } where points is packed [x, y, z, ...]
+     */
+    @ReactMethod
+    public void getMapPoints(int maxPoints, Promise promise) {
+        try {
+            float[] packed = getMapPointsNative(maxPoints);
+            if (packed == null) {
+                promise.reject("MAP_POINTS_ERROR", "SLAM system not initialized");
+                return;
+            }
+
+            WritableArray points = Arguments.createArray();
+            for (float value : packed) {
+                points.pushDouble(value);
+            }
+
+            WritableMap result = Arguments.createMap();
+            result.putInt("count", packed.length / 3);
+            result.putArray("points", points);
+            promise.resolve(result);
+        } catch (Exception e) {
+            Log.e(TAG, "Get map points failed: " + e.getMessage());
+            promise.reject("MAP_POINTS_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Queue IMU samples for visual-inertial tracking
+     * Samples are packed as [t, ax, ay, az, gx, gy, gz, ...] with t in epoch
+     * milliseconds, as reported by react-native-sensors. They are moved onto the
+     * elapsedRealtime clock used by camera frame timestamps before reaching native.
+     * @param samples Packed samples
+     * @param promise Promise to resolve with the number of samples accepted
+     */
+    @ReactMethod
+    public void pushImuSamples(ReadableArray samples, Promise promise) {
+        try {
+            int size = samples.size();
+            if (size % 7 != 0) {
+                promise.reject("IMU_ERROR", "IMU samples must be packed in groups of 7");
+                return;
+            }
+
+            double clockOffsetMs = System.currentTimeMillis() - SystemClock.elapsedRealtime();
+            double[] packed = new double[size];
+            for (int i = 0; i < size; i++) {
+                packed[i] = samples.getDouble(i);
+            }
+            for (int i = 0; i < size; i += 7) {
+                packed[i] = (packed[i] - clockOffsetMs) / 1000.0;
+            }
+
+            promise.resolve(pushImuSamplesNative(packed));
+        } catch (Exception e) {
+            Log.e(TAG, "Push IMU samples failed: " + e.getMessage());
+            promise.reject("IMU_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Offset between the epoch clock used by sensor events and the
+     * elapsedRealtime clock used by camera frames
+     * @param promise Promise to resolve with currentTimeMillis - elapsedRealtime (ms)
+     */
+    @ReactMethod
+    public void getClockOffset(Promise promise) {
+        promise.resolve((double) (System.currentTimeMillis() - SystemClock.elapsedRealtime()));
+    }
+
+    /**
+     * Start or stop saving streamed frames into a recorded session
+     * @param cameraDir Session camera directory (mav0/cam0), or null to stop
+     * @param promise Promise to resolve when recording state changed
+     */
+    @ReactMethod
+    public void setFrameRecording(String cameraDir, Promise promise) {
+        try {
+            if (!setFrameRecordingNative(cameraDir)) {
+                promise.reject("RECORD_ERROR", "Failed to record frames to " + cameraDir);
+                return;
+            }
+            promise.resolve(true);
+        } catch (Exception e) {
+            Log.e(TAG, "Set frame recording failed: " + e.getMessage());
+            promise.reject("RECORD_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Start collecting camera calibration views
+     * @param pattern { type: 'chessboard' | 'charuco', columns, rows, squareSize, markerSize, dictionary }
+     *   where columns and rows count inner corners for a chessboard and squares for ChArUco
+     * @param promise Promise to resolve when calibration started
+     */
+    @ReactMethod
+    public void startCalibration(ReadableMap pattern, Promise promise) {
+        try {
+            boolean charuco = "charuco".equals(pattern.getString("type"));
+            boolean started = startCalibrationNative(
+                charuco ? PATTERN_CHARUCO : PATTERN_CHESSBOARD,
+                pattern.getInt("columns"),
+                pattern.getInt("rows"),
+                (float) pattern.getDouble("squareSize"),
+                charuco ? (float) pattern.getDouble("markerSize") : 0f,
+                charuco ? pattern.getInt("dictionary") : 0
+            );
+            if (!started) {
+                promise.reject("CALIBRATION_ERROR", "Invalid calibration pattern");
+                return;
+            }
+            promise.resolve(true);
+        } catch (Exception e) {
+            Log.e(TAG, "Start calibration failed: " + e.getMessage());
+            promise.reject("CALIBRATION_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Detect the calibration board in a streamed camera frame
+     * Called by CalibrationFrameProcessorPlugin on the camera thread. The
+     * detection is emitted to JS as a CalibrationFrameProcessed event.
+     * @param yPlane Direct buffer holding the 8-bit luminance plane
+     * @param width Image width in pixels
+     * @param height Image height in pixels
+     * @param rowStride Bytes per row of the luminance plane
+     * @return true if the board was found
+     */
+    public static boolean processCalibrationFrame(ByteBuffer yPlane, int width, int height, int rowStride) {
+        SlamModule module = sInstance;
+        if (module == null) {
+            return false;
+        }
+
+        float[] detection = detectCalibrationPatternNative(yPlane, width, height, rowStride);
+        if (detection == null || detection.length < DETECTION_HEADER_SIZE) {
+            return false;
+        }
+
+        boolean found = detection[0] > 0;
+        WritableMap event = Arguments.createMap();
+        event.putBoolean("found", found);
+        event.putInt("imageWidth", (int) detection[1]);
+        event.putInt("imageHeight", (int) detection[2]);
+
+        WritableArray outline = Arguments.createArray();
+        WritableArray corners = Arguments.createArray();
+        if (found) {
+            for (int i = 4; i < DETECTION_HEADER_SIZE; i += 2) {
+                WritableArray point = Arguments.createArray();
+                point.pushDouble(detection[i]);
+                point.pushDouble(detection[i + 1]);
+                outline.pushArray(point);
+            }
+            for (int i = DETECTION_HEADER_SIZE; i < detection.length; i++) {
+                corners.pushDouble(detection[i]);
+            }
+        }
+        event.putArray("outline", outline);
+        event.putArray("corners", corners);
+        module.emitEvent(CALIBRATION_EVENT, event);
+        return found;
+    }
+
+    /**
+     * Keep the board detected in the last frame as a calibration view
+     * @param promise Promise to resolve with the number of views
+     */
+    @ReactMethod
+    public void captureCalibrationView(Promise promise) {
+        try {
+            int views = captureCalibrationViewNative();
+            if (views < 0) {
+                promise.reject("CALIBRATION_ERROR", "No board detected in the last frame");
+                return;
+            }
+            promise.resolve(views);
+        } catch (Exception e) {
+            Log.e(TAG, "Capture calibration view failed: " + e.getMessage());
+            promise.reject("CALIBRATION_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Calibrate the camera from the captured views
+     * Runs on the native modules thread; it takes a few seconds for many views.
+     * @param promise Promise to resolve with { rms, fx, fy, cx, cy, k1, k2, p1, p2, k3, width, height,
+     *   views, perViewErrors }
+     */
+    @ReactMethod
+    public void calibrateCamera(Promise promise) {
+        try {
+            float[] values = calibrateCameraNative();
+            if (values == null || values.length < CALIBRATION_HEADER_SIZE) {
+                promise.reject("CALIBRATION_ERROR", "Calibration failed, capture more views");
+                return;
+            }
+
+            String[] keys = {"rms", "fx", "fy", "cx", "cy", "k1", "k2", "p1", "p2", "k3", "width", "height", "views"};
+            WritableMap result = Arguments.createMap();
+            for (int i = 0; i < keys.length; i++) {
+                result.putDouble(keys[i], values[i]);
+            }
+            WritableArray perViewErrors = Arguments.createArray();
+            for (int i = CALIBRATION_HEADER_SIZE; i < values.length; i++) {
+                perViewErrors.pushDouble(values[i]);
+            }
+            result.putArray("perViewErrors", perViewErrors);
+            promise.resolve(result);
+        } catch (Exception e) {
+            Log.e(TAG, "Camera calibration failed: " + e.getMessage());
+            promise.reject("CALIBRATION_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Stop calibrating and drop the captured views
+     * @param promise Promise to resolve
+     */
+    @ReactMethod
+    public void stopCalibration(Promise promise) {
+        try {
+            stopCalibrationNative();
+            promise.resolve(true);
+        } catch (Exception e) {
+            Log.e(TAG, "Stop calibration failed: " + e.getMessage());
+            promise.reject("CALIBRATION_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Convert the native IMU configuration to a map for JavaScript
+     */
+    private static WritableMap imuConfigToMap(float[] imu) {
+        WritableMap map = Arguments.createMap();
+        map.putDouble("noiseGyro", imu[0]);
+        map.putDouble("noiseAcc", imu[1]);
+        map.putDouble("gyroWalk", imu[2]);
+        map.putDouble("accWalk", imu[3]);
+        map.putDouble("frequency", imu[4]);
+
+        WritableArray tbc = Arguments.createArray();
+        for (int row = 0; row < 4; row++) {
+            WritableArray values = Arguments.createArray();
+            for (int col = 0; col < 4; col++) {
+                values.pushDouble(imu[5 + row * 4 + col]);
+            }
+            tbc.pushArray(values);
+        }
+        map.putArray("Tbc", tbc);
+        return map;
+    }
+
     /**
      * Reset the SLAM system
      * @param promise Promise to resolve
@@ -160,10 +622,66 @@ public class SlamModule extends ReactContextBaseJavaModule {
         }
     }
 
+    /**
+     * Save the current map (atlas) to a file
+     * @param path Absolute path of the map file to write
+     * @param promise Promise to resolve with the saved path
+     */
+    @ReactMethod
+    public void saveMap(String path, Promise promise) {
+        Log.i(TAG, "Saving map to: " + path);
+
+        try {
+            if (!saveMapNative(path)) {
+                promise.reject("MAP_SAVE_ERROR", "Failed to save map to " + path);
+                return;
+            }
+
+            WritableMap result = Arguments.createMap();
+            result.putBoolean("success", true);
+            result.putString("path", path);
+
+            promise.resolve(result);
+            Log.i(TAG, "Map saved");
+
+        } catch (Exception e) {
+            Log.e(TAG, "Map save failed: " + e.getMessage());
+            promise.reject("MAP_SAVE_ERROR", e.getMessage(), e);
+        }
+    }
+
+    /**
+     * Load a previously saved map (atlas) and start relocalizing in it
+     * @param path Absolute path of the map file to read
+     * @param promise Promise to resolve with the loaded path
+     */
+    @ReactMethod
+    public void loadMap(String path, Promise promise) {
+        Log.i(TAG, "Loading map from: " + path);
+
+        try {
+            if (!loadMapNative(path)) {
+                promise.reject("MAP_LOAD_ERROR", "Failed to load map from " + path);
+                return;
+            }
+
+            WritableMap result = Arguments.createMap();
+            result.putBoolean("success", true);
+            result.putString("path", path);
+
+            promise.resolve(result);
+            Log.i(TAG, "Map loaded, relocalizing");
+
+        } catch (Exception e) {
+            Log.e(TAG, "Map load failed: " + e.getMessage());
+            promise.reject("MAP_LOAD_ERROR", e.getMessage(), e);
+        }
+    }
+
     /**
      * Convert tracking state code to human-readable name
      */
-    private String getStateName(int state) {
+    private static String getStateName(int state) {
         switch (state) {
             case 0: return "NO_IMAGES_YET";
             case 1: return "NOT_INITIALIZED";
@@ -176,7 +694,22 @@ public class SlamModule extends ReactContextBaseJavaModule {
     // Native method declarations
     private native void initializeSlamNative(String vocabPath, String settingsPath);
     private native float[] processFrameNative(String imageData, double timestamp);
+    private static native float[] processFrameBufferNative(
+        ByteBuffer yPlane, int width, int height, int rowStride, double timestamp);
+    private native float[] getMapPointsNative(int maxPoints);
+    private native boolean setFrameRecordingNative(String cameraDir);
+    private native int pushImuSamplesNative(double[] samples);
+    private native float[] getImuConfigNative();
     private native void resetNative();
     private native void shutdownNative();
     private native int getTrackingStateNative();
+    private native boolean saveMapNative(String path);
+    private native boolean loadMapNative(String path);
+    private native boolean startCalibrationNative(
+        int pattern, int columns, int rows, float squareSize, float markerSize, int dictionary);
+    private static native float[] detectCalibrationPatternNative(
+        ByteBuffer yPlane, int width, int height, int rowStride);
+    private native int captureCalibrationViewNative();
+    private native float[] calibrateCameraNative();
+    private native void stopCalibrationNative();
 }
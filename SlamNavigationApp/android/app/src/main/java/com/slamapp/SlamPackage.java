@@ -4,6 +4,7 @@ import com.facebook.react.ReactPackage;
 import com.facebook.react.bridge.NativeModule;
 import com.facebook.react.bridge.ReactApplicationContext;
 import com.facebook.react.uimanager.ViewManager;
+import com.mrousavy.camera.frameprocessor.FrameProcessorPluginRegistry;
 
 import java.util.ArrayList;
 import java.util.Collections;
@@ -13,6 +14,18 @@ import java.util.List;
  * React Native package for registering SLAM module
  */
 public class SlamPackage implements ReactPackage {
+
+    // Make the SLAM and calibration frame processor plugins available to VisionCamera
+    static {
+        FrameProcessorPluginRegistry.addFrameProcessorPlugin(
+            SlamFrameProcessorPlugin.NAME,
+            SlamFrameProcessorPlugin::new
+        );
+        FrameProcessorPluginRegistry.addFrameProcessorPlugin(
+            CalibrationFrameProcessorPlugin.NAME,
+            CalibrationFrameProcessorPlugin::new
+        );
+    }
     
     @Override
     public List<ViewManager> createViewManagers(ReactApplicationContext reactContext) {
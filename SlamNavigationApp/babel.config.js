@@ -1,4 +1,4 @@
 module.exports = {
   presets: ['module:metro-react-native-babel-preset'],
-  plugins: [],
+  plugins: ['react-native-worklets-core/plugin'],
 };
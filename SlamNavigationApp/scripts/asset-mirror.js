@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Local asset mirror for AssetService
+ *
+ * Serves the files of a directory with HTTP range requests, plus a
+ * manifest.json with their sizes and SHA-256 checksums.
+ *
+ * Usage: node scripts/asset-mirror.js <directory> [port]
+ * Then set "assetMirror" in app.json to http://<this machine>:<port>
+ * (http://10.0.2.2:<port> from the Android emulator).
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const directory = path.resolve(process.argv[2] || '.');
+const port = Number(process.argv[3]) || 8080;
+
+const sha256 = file =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+
+const buildManifest = async () => {
+  const files = {};
+  for (const name of fs.readdirSync(directory)) {
+    const file = path.join(directory, name);
+    if (name !== 'manifest.json' && fs.statSync(file).isFile()) {
+      files[name] = { size: fs.statSync(file).size, sha256: await sha256(file) };
+    }
+  }
+  return { files };
+};
+
+const serve = manifest => (request, response) => {
+  const name = decodeURIComponent(request.url.split('?')[0]).replace(/^\/+/, '');
+  if (name === 'manifest.json') {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(manifest, null, 2));
+    return;
+  }
+
+  const entry = manifest.files[name];
+  if (!entry || path.basename(name) !== name) {
+    response.writeHead(404);
+    response.end();
+    return;
+  }
+
+  const file = path.join(directory, name);
+  const range = (request.headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+  if (!range) {
+    response.writeHead(200, { 'Content-Length': entry.size, 'Accept-Ranges': 'bytes' });
+    fs.createReadStream(file).pipe(response);
+    return;
+  }
+
+  const start = Number(range[1]);
+  const end = Math.min(range[2] ? Number(range[2]) : entry.size - 1, entry.size - 1);
+  if (start > end) {
+    response.writeHead(416, { 'Content-Range': `bytes */${entry.size}` });
+    response.end();
+    return;
+  }
+  response.writeHead(206, {
+    'Content-Length': end - start + 1,
+    'Content-Range': `bytes ${start}-${end}/${entry.size}`,
+    'Accept-Ranges': 'bytes',
+  });
+  fs.createReadStream(file, { start, end }).pipe(response);
+};
+
+buildManifest().then(manifest => {
+  Object.entries(manifest.files).forEach(([name, { size, sha256: hash }]) => console.log(`${name}  ${size}  ${hash}`));
+  http.createServer(serve(manifest)).listen(port, () => console.log(`Serving ${directory} on port ${port}`));
+});
@@ -0,0 +1,52 @@
+import {
+  accelerometer,
+  barometer,
+  gyroscope,
+  magnetometer,
+  setUpdateIntervalForType,
+  SensorTypes,
+} from 'react-native-sensors';
+
+const SENSORS = { accelerometer, gyroscope, magnetometer, barometer };
+
+// Pressure changes slowly, and most barometers cannot report faster anyway
+const BAROMETER_INTERVAL = 100; // ms
+
+/**
+ * Sensor source reading the device sensors through react-native-sensors
+ *
+ * A sensor source has subscribe(handlers, { updateRate }), which starts the
+ * sensors that have a handler and returns an unsubscribe function; readings
+ * are described in sensorPlayback.js. Handlers may also include
+ * `error(sensor, error)`.
+ */
+class DeviceSensorSource {
+  /**
+   * Start delivering readings
+   * @param {Object} handlers - { accelerometer, gyroscope, magnetometer, barometer, error }
+   * @param {Object} options
+   * @param {number} options.updateRate - Motion sensor rate in Hz
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(handlers, { updateRate = 100 } = {}) {
+    const subscriptions = Object.keys(SENSORS)
+      .filter(type => handlers[type])
+      .map(type => {
+        setUpdateIntervalForType(SensorTypes[type], type === 'barometer' ? BAROMETER_INTERVAL : 1000 / updateRate);
+        return SENSORS[type].subscribe(
+          reading => handlers[type](reading),
+          error => {
+            if (handlers.error) {
+              handlers.error(type, error);
+            } else {
+              console.error(`[DeviceSensorSource] ${type} error:`, error);
+            }
+          }
+        );
+      });
+
+    return () => subscriptions.forEach(subscription => subscription.unsubscribe());
+  }
+}
+
+export default DeviceSensorSource;
@@ -0,0 +1,298 @@
+import { toSeconds } from '../utils/sessionFormat';
+
+// SlamModule tracking state codes
+const STATE_CODES = {
+  NO_IMAGES_YET: 0,
+  NOT_INITIALIZED: 1,
+  OK: 2,
+  LOST: 3,
+};
+
+const DEFAULT_OPTIONS = {
+  trajectory: [], // { timestamp (s), position, orientation }, e.g. a session's slam/trajectory.txt
+  tracking: [], // { timestampNs, state }, e.g. a session's slam/tracking.csv
+  sensor: 'MONOCULAR', // or 'IMU_MONOCULAR', which makes SlamService forward IMU samples
+  imu: null, // IMU configuration resolved by initializeSlam, see SlamService.getImuConfig()
+  initializationFrames: 1, // frames reported NOT_INITIALIZED after initialize and reset
+  keyframeInterval: 10, // tracked frames per new keyframe
+  pointsPerKeyframe: 50,
+  matchedMapPoints: 150, // per tracked frame
+  processingMs: 10,
+  imageWidth: 640,
+  imageHeight: 480,
+  clockOffset: 0, // ms, see SlamService.getClockOffset()
+};
+
+/**
+ * Index of the last sample at or before a time
+ * @private
+ * @returns {number} -1 when every sample is later
+ */
+const lastIndexAtOrBefore = (samples, time, timeOf) => {
+  let low = 0;
+  let high = samples.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (timeOf(samples[middle]) <= time + 1e-9) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * SLAM backend replaying scripted or recorded poses, for tests and for
+ * running the app logic without the native library
+ *
+ * Each frame gets the trajectory pose at or before its timestamp, so a
+ * recorded session (see SessionReplay) replays its own SLAM output against
+ * its frames. Tracking follows the recorded states when given, or
+ * setTrackingState() to script losses; otherwise frames with a pose track.
+ * Every instance holds its own map, so several can run side by side.
+ */
+class MockSlamBackend {
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.trajectory = [...this.options.trajectory].sort((a, b) => a.timestamp - b.timestamp);
+    this.tracking = [...this.options.tracking].sort((a, b) => a.timestampNs - b.timestampNs);
+    this.initialized = false;
+    this.forcedState = null;
+    this.frameListeners = [];
+    this.savedMaps = {};
+    this.imuSamples = 0;
+    this.clearMap();
+    this.clearFrameStats();
+  }
+
+  /**
+   * Drop the map and start initializing again
+   * @private
+   */
+  clearMap() {
+    this.stateName = 'NO_IMAGES_YET';
+    this.pendingInitialization = this.options.initializationFrames;
+    this.trackedFrames = 0;
+    this.keyframes = 0;
+    this.lastPose = { position: [0, 0, 0], orientation: [0, 0, 0, 1] };
+  }
+
+  /**
+   * Zero the streamed frame counters
+   * @private
+   */
+  clearFrameStats() {
+    this.frameStats = { received: 0, processed: 0, failed: 0, dropped: 0, lastProcessingMs: 0, lastTimestamp: 0 };
+  }
+
+  /**
+   * Reject unless initializeSlam() was called
+   * @private
+   */
+  ensureInitialized() {
+    if (!this.initialized) {
+      throw new Error('SLAM system not initialized');
+    }
+  }
+
+  /**
+   * Force a tracking state for the following frames, e.g. 'LOST'
+   * @param {string|null} stateName - null to follow the trajectory again
+   */
+  setTrackingState(stateName) {
+    if (stateName !== null && STATE_CODES[stateName] === undefined) {
+      throw new Error(`Unknown tracking state ${stateName}`);
+    }
+    this.forcedState = stateName;
+  }
+
+  /**
+   * Pose and tracking state of a frame
+   * @private
+   */
+  track(timestamp) {
+    const index = lastIndexAtOrBefore(this.trajectory, timestamp, pose => pose.timestamp);
+    const recorded = lastIndexAtOrBefore(this.tracking, timestamp, entry => toSeconds(entry.timestampNs));
+
+    let stateName;
+    if (this.forcedState) {
+      stateName = this.forcedState;
+    } else if (recorded >= 0) {
+      stateName = this.tracking[recorded].state;
+    } else {
+      stateName = index >= 0 ? 'OK' : 'NOT_INITIALIZED';
+    }
+
+    // Monocular initialization needs a few frames whatever the recording says
+    if (stateName === 'OK' && this.pendingInitialization > 0) {
+      this.pendingInitialization--;
+      stateName = 'NOT_INITIALIZED';
+    }
+
+    if (stateName === 'OK') {
+      if (this.trackedFrames % this.options.keyframeInterval === 0) {
+        this.keyframes++;
+      }
+      this.trackedFrames++;
+      if (index >= 0) {
+        const { position, orientation } = this.trajectory[index];
+        this.lastPose = { position: [...position], orientation: [...orientation] };
+      }
+    }
+    this.stateName = stateName;
+
+    const { matchedMapPoints, pointsPerKeyframe, processingMs, imageWidth, imageHeight } = this.options;
+    const tracked = stateName === 'OK';
+    return {
+      position: [...this.lastPose.position],
+      orientation: [...this.lastPose.orientation],
+      timestamp,
+      state: STATE_CODES[stateName],
+      stateName,
+      matchedMapPoints: tracked ? matchedMapPoints : 0,
+      keyframes: this.keyframes,
+      mapPoints: this.keyframes * pointsPerKeyframe,
+      maps: this.keyframes > 0 ? 1 : 0,
+      loopClosure: false,
+      imageWidth,
+      imageHeight,
+      timing: { preprocessMs: 0, extractMs: 0, trackMs: processingMs, totalMs: processingMs },
+      processingMs,
+      keypoints: [],
+    };
+  }
+
+  async initializeSlam(vocabPath, settingsPath) {
+    this.initialized = true;
+    this.clearMap();
+    return {
+      success: true,
+      message: 'SLAM initialized successfully',
+      sensor: this.options.sensor,
+      imu: this.options.imu,
+    };
+  }
+
+  async processFrame(imageData, timestamp) {
+    this.ensureInitialized();
+    return this.track(timestamp);
+  }
+
+  /**
+   * Process a frame as if it came from the camera stream, notifying frame
+   * listeners like the native frame processor does
+   * @param {number} timestamp - Seconds
+   * @returns {Object} The frame result
+   */
+  emitFrame(timestamp) {
+    this.ensureInitialized();
+    const result = this.track(timestamp);
+    this.frameStats = {
+      ...this.frameStats,
+      received: this.frameStats.received + 1,
+      processed: this.frameStats.processed + 1,
+      lastProcessingMs: result.processingMs,
+      lastTimestamp: timestamp,
+    };
+
+    this.frameListeners.forEach(callback => {
+      try {
+        callback(result);
+      } catch (error) {
+        console.error('[MockSlamBackend] Frame listener error:', error);
+      }
+    });
+    return result;
+  }
+
+  async getMapPoints(maxPoints) {
+    this.ensureInitialized();
+    // Points laid out on a ring around the origin, enough to draw something
+    const total = this.keyframes * this.options.pointsPerKeyframe;
+    const count = maxPoints > 0 ? Math.min(total, maxPoints) : total;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      const angle = (2 * Math.PI * i) / count;
+      points.push(3 * Math.cos(angle), 3 * Math.sin(angle), (i % 10) / 10);
+    }
+    return { count, points };
+  }
+
+  async pushImuSamples(packed) {
+    const count = Math.floor(packed.length / 7);
+    this.imuSamples += count;
+    return count;
+  }
+
+  async resetFrameStats() {
+    this.clearFrameStats();
+    return true;
+  }
+
+  async getFrameStats() {
+    return { ...this.frameStats, processedFps: 0 };
+  }
+
+  async getClockOffset() {
+    return this.options.clockOffset;
+  }
+
+  async setFrameRecording(cameraDir) {
+    return true;
+  }
+
+  async reset() {
+    this.clearMap();
+    return true;
+  }
+
+  async saveMap(path) {
+    this.ensureInitialized();
+    this.savedMaps[path] = { keyframes: this.keyframes, trackedFrames: this.trackedFrames, lastPose: this.lastPose };
+    return { success: true, path };
+  }
+
+  async loadMap(path) {
+    this.ensureInitialized();
+    const map = this.savedMaps[path];
+    if (!map) {
+      throw new Error(`Failed to load map: ${path}`);
+    }
+    this.keyframes = map.keyframes;
+    this.trackedFrames = map.trackedFrames;
+    this.lastPose = map.lastPose;
+    this.pendingInitialization = 0;
+    this.stateName = 'LOST';
+    return { success: true, path };
+  }
+
+  async shutdown() {
+    this.initialized = false;
+    this.clearMap();
+    return true;
+  }
+
+  async getTrackingState() {
+    return { state: STATE_CODES[this.stateName], stateName: this.stateName };
+  }
+
+  /**
+   * Add listener for frames passed to emitFrame()
+   * @param {Function} callback - Receives the frame result
+   * @returns {Function} Unsubscribe function
+   */
+  addFrameListener(callback) {
+    this.frameListeners.push(callback);
+    return () => {
+      this.frameListeners = this.frameListeners.filter(cb => cb !== callback);
+    };
+  }
+}
+
+export default MockSlamBackend;
@@ -0,0 +1,93 @@
+import { NativeEventEmitter, NativeModules } from 'react-native';
+
+// Emitted by SlamModule for every frame consumed from the camera stream
+const FRAME_EVENT = 'SlamFrameProcessed';
+
+/**
+ * SLAM backend running ORB-SLAM3 through the native SlamModule
+ *
+ * A SLAM backend has the promise-returning methods of SlamModule that
+ * SlamService uses (initializeSlam, processFrame, getMapPoints,
+ * pushImuSamples, resetFrameStats, getFrameStats, getClockOffset,
+ * setFrameRecording, reset, saveMap, loadMap, shutdown, getTrackingState),
+ * plus addFrameListener() for poses from the streaming camera pipeline.
+ * There is a single native SLAM system per process, so every SlamService
+ * built on this backend drives the same map.
+ */
+class NativeSlamBackend {
+  /**
+   * @param {Object} module - Native module, SlamModule by default
+   */
+  constructor(module = NativeModules.SlamModule) {
+    this.module = module;
+    this.emitter = null;
+  }
+
+  initializeSlam(vocabPath, settingsPath) {
+    return this.module.initializeSlam(vocabPath, settingsPath);
+  }
+
+  processFrame(imageData, timestamp) {
+    return this.module.processFrame(imageData, timestamp);
+  }
+
+  getMapPoints(maxPoints) {
+    return this.module.getMapPoints(maxPoints);
+  }
+
+  pushImuSamples(packed) {
+    return this.module.pushImuSamples(packed);
+  }
+
+  resetFrameStats() {
+    return this.module.resetFrameStats();
+  }
+
+  getFrameStats() {
+    return this.module.getFrameStats();
+  }
+
+  getClockOffset() {
+    return this.module.getClockOffset();
+  }
+
+  setFrameRecording(cameraDir) {
+    return this.module.setFrameRecording(cameraDir);
+  }
+
+  reset() {
+    return this.module.reset();
+  }
+
+  saveMap(path) {
+    return this.module.saveMap(path);
+  }
+
+  loadMap(path) {
+    return this.module.loadMap(path);
+  }
+
+  shutdown() {
+    return this.module.shutdown();
+  }
+
+  getTrackingState() {
+    return this.module.getTrackingState();
+  }
+
+  /**
+   * Add listener for frames processed from the camera stream
+   * @param {Function} callback - Receives the frame result, as resolved by processFrame()
+   * @returns {Function} Unsubscribe function
+   */
+  addFrameListener(callback) {
+    // Created on first use, the emitter needs the native module to exist
+    if (!this.emitter) {
+      this.emitter = new NativeEventEmitter(this.module);
+    }
+    const subscription = this.emitter.addListener(FRAME_EVENT, callback);
+    return () => subscription.remove();
+  }
+}
+
+export default NativeSlamBackend;
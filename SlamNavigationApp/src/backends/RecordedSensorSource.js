@@ -0,0 +1,66 @@
+import RNFS from 'react-native-fs';
+import { IMU_CSV, parseImu } from '../utils/sessionFormat';
+import { playSamples } from './sensorPlayback';
+
+const readWithRNFS = (path, encoding) => RNFS.readFile(path, encoding);
+
+/**
+ * Sensor source playing back the IMU of a recorded session
+ * (mav0/imu0/data.csv, see SessionRecorder)
+ *
+ * Every subscription plays the recording from its start, so calibrate()
+ * and start() on DeadReckoning both see its beginning.
+ */
+class RecordedSensorSource {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.samples - { timestampNs, gyro, accel } as parsed from data.csv,
+   *   instead of load()
+   * @param {number} options.speed - Playback rate, 1 for original timing, Infinity to deliver
+   *   everything at once
+   * @param {number} options.timeOffset - ms added to the recorded timestamps, e.g. the
+   *   SlamService clock offset to make them look like live sensor timestamps
+   */
+  constructor({ samples = [], speed = 1, timeOffset = 0 } = {}) {
+    this.samples = samples;
+    this.speed = speed;
+    this.timeOffset = timeOffset;
+  }
+
+  /**
+   * Load the IMU samples of a session directory
+   * @param {string} path - Session directory
+   * @param {Object} options
+   * @param {Function} options.readFile - (path, encoding) => Promise<string>, defaults to RNFS
+   * @returns {Promise<number>} Number of samples
+   */
+  async load(path, { readFile = readWithRNFS } = {}) {
+    this.samples = parseImu(String(await readFile(`${path}/${IMU_CSV}`, 'utf8')));
+    if (this.samples.length === 0) {
+      throw new Error(`No IMU samples in session: ${path}`);
+    }
+
+    console.log(`[RecordedSensorSource] Loaded ${this.samples.length} IMU samples from ${path}`);
+    return this.samples.length;
+  }
+
+  /**
+   * Start delivering readings; the recording has no magnetometer or barometer
+   * @param {Object} handlers - { accelerometer, gyroscope, end }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(handlers) {
+    let index = 0;
+    const next = () => {
+      if (index >= this.samples.length) {
+        return null;
+      }
+      const { timestampNs, accel, gyro } = this.samples[index++];
+      return { timestamp: timestampNs / 1e6 + this.timeOffset, accel, gyro };
+    };
+
+    return playSamples(next, handlers, this.speed);
+  }
+}
+
+export default RecordedSensorSource;
@@ -0,0 +1,77 @@
+import { createGaussian, createRandom } from '../utils/random';
+import { playSamples } from './sensorPlayback';
+
+const DEFAULT_OPTIONS = {
+  rate: 100, // Hz
+  duration: Infinity, // s, must be finite with an infinite speed
+  speed: 1, // playback rate, Infinity to deliver everything at once
+  startTime: null, // epoch ms of the first sample, the subscription time by default
+  gravity: 9.81, // m/s^2
+  // Device lying flat and still; motion(t) with t in seconds may return
+  // { accel, gyro, magneticField, pressure } in the device frame instead
+  motion: null,
+  accelBias: [0, 0, 0], // m/s^2
+  gyroBias: [0, 0, 0], // rad/s
+  accelNoise: 0, // m/s^2, standard deviation per sample
+  gyroNoise: 0, // rad/s, standard deviation per sample
+  seed: 1, // the same seed yields the same noise
+};
+
+/**
+ * Sensor source generating IMU readings from a motion model, with
+ * configurable bias and white noise
+ *
+ * Every subscription restarts the motion at t = 0 with the same noise.
+ */
+class SyntheticSensorSource {
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    if (!Number.isFinite(this.options.speed) && !Number.isFinite(this.options.duration)) {
+      throw new Error('A synthetic source without a duration cannot play at infinite speed');
+    }
+  }
+
+  /**
+   * Readings at a time, before bias and noise
+   * @private
+   */
+  motionAt(t) {
+    const { motion, gravity } = this.options;
+    return motion ? motion(t) : { accel: [0, 0, gravity], gyro: [0, 0, 0] };
+  }
+
+  /**
+   * Start delivering readings
+   * @param {Object} handlers - { accelerometer, gyroscope, magnetometer, barometer, end }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(handlers) {
+    const { rate, duration, speed, accelBias, gyroBias, accelNoise, gyroNoise, seed } = this.options;
+    const startTime = this.options.startTime !== null ? this.options.startTime : Date.now();
+    const gaussian = createGaussian(createRandom(seed));
+    const count = Number.isFinite(duration) ? Math.floor(duration * rate) + 1 : Infinity;
+    let index = 0;
+
+    const next = () => {
+      if (index >= count) {
+        return null;
+      }
+      const t = index++ / rate;
+      const { accel, gyro, magneticField, pressure } = this.motionAt(t);
+      return {
+        timestamp: startTime + t * 1000,
+        accel: accel.map((a, i) => a + accelBias[i] + accelNoise * gaussian()),
+        gyro: gyro.map((w, i) => w + gyroBias[i] + gyroNoise * gaussian()),
+        magneticField,
+        pressure,
+      };
+    };
+
+    return playSamples(next, handlers, speed);
+  }
+}
+
+export default SyntheticSensorSource;
@@ -0,0 +1,78 @@
+/**
+ * Playback of IMU samples to sensor source handlers
+ *
+ * Sensor sources deliver readings the way react-native-sensors emits them,
+ * to handlers keyed by sensor: accelerometer, gyroscope and magnetometer
+ * receive { x, y, z, timestamp }, barometer { pressure, timestamp }, with
+ * timestamps in epoch ms. Recorded and synthetic sources also call `end`
+ * once they run out of samples.
+ */
+
+/**
+ * Deliver one sample to the handlers
+ * The gyro comes first, so DeadReckoning has the rate in place when the
+ * accelerometer reading propagates its filter (see processImuSample()).
+ * @param {Object} handlers
+ * @param {Object} sample - { timestamp (ms), accel, gyro, magneticField, pressure }, all but
+ *   the timestamp optional
+ */
+export const deliverSample = (handlers, { timestamp, accel, gyro, magneticField, pressure }) => {
+  const deliver = (type, reading) => {
+    if (reading !== undefined && reading !== null && handlers[type]) {
+      handlers[type](
+        Array.isArray(reading) ? { x: reading[0], y: reading[1], z: reading[2], timestamp } : { pressure: reading, timestamp }
+      );
+    }
+  };
+
+  deliver('gyroscope', gyro);
+  deliver('accelerometer', accel);
+  deliver('magnetometer', magneticField);
+  deliver('barometer', pressure);
+};
+
+/**
+ * Play samples to the handlers with their original spacing
+ * The first sample is delivered right away. With an infinite speed every
+ * sample is delivered before this returns, which keeps tests synchronous.
+ * @param {Function} next - Returns the next sample, null when there are no more
+ * @param {Object} handlers - See deliverSample(), plus `end`
+ * @param {number} speed - Playback rate, 1 for real time
+ * @returns {Function} Stops the playback
+ */
+export const playSamples = (next, handlers, speed = 1) => {
+  const startTime = Date.now();
+  let firstTimestamp = null;
+  let timer = null;
+  let stopped = false;
+  let sample = next();
+
+  const step = () => {
+    timer = null;
+    while (!stopped && sample) {
+      if (firstTimestamp === null) {
+        firstTimestamp = sample.timestamp;
+      }
+      const wait = startTime + (sample.timestamp - firstTimestamp) / speed - Date.now();
+      if (wait > 1) {
+        timer = setTimeout(step, wait);
+        return;
+      }
+      deliverSample(handlers, sample);
+      sample = next();
+    }
+
+    if (!stopped) {
+      stopped = true;
+      if (handlers.end) {
+        handlers.end();
+      }
+    }
+  };
+
+  step();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
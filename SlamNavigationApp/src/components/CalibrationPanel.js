@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import Svg, { Path, Polygon } from 'react-native-svg';
+import CalibrationService from '../services/CalibrationService';
+import { previewTransform } from './FeatureOverlay';
+
+const BOARD_COLOR = '#4CAF50';
+
+const COVERAGE_LABELS = {
+  x: 'Left-right',
+  y: 'Up-down',
+  size: 'Distance',
+  skew: 'Tilt',
+};
+
+/**
+ * Detected board drawn over the camera preview
+ * @param {Object} props
+ * @param {Object|null} props.detection - Latest detection from CalibrationService
+ * @param {number} props.rotation - Clockwise rotation from sensor to screen, 90 for a portrait phone
+ */
+const BoardOverlay = ({ detection, rotation = 90 }) => {
+  const [layout, setLayout] = useState(null);
+
+  const renderBoard = () => {
+    if (!layout || !detection || !detection.found) {
+      return null;
+    }
+
+    const toView = previewTransform(layout, detection.imageWidth, detection.imageHeight, rotation);
+    const outline = detection.outline.map(([u, v]) => toView(u, v).map(c => c.toFixed(1)).join(',')).join(' ');
+    let corners = '';
+    for (let i = 0; i + 1 < detection.corners.length; i += 2) {
+      const [x, y] = toView(detection.corners[i], detection.corners[i + 1]);
+      corners += `M${x.toFixed(1)} ${y.toFixed(1)}h0`;
+    }
+
+    return (
+      <Svg width={layout.width} height={layout.height}>
+        <Polygon points={outline} stroke={BOARD_COLOR} strokeWidth={3} fill="rgba(76, 175, 80, 0.15)" />
+        <Path d={corners} stroke={BOARD_COLOR} strokeWidth={6} strokeLinecap="round" />
+      </Svg>
+    );
+  };
+
+  return (
+    <View
+      style={StyleSheet.absoluteFill}
+      pointerEvents="none"
+      onLayout={event => setLayout(event.nativeEvent.layout)}
+    >
+      {renderBoard()}
+    </View>
+  );
+};
+
+/**
+ * In-app camera calibration
+ * Hold a printed chessboard in front of the camera and follow the hints; views
+ * are captured automatically. Calibrate once enough are captured and save the
+ * result to settings.yaml.
+ * @param {Object} props
+ * @param {Object} props.pattern - Board, see CalibrationService.start(); a 9x6 chessboard by default
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ * @param {Function} props.onSaved - Called with the settings path after saving
+ */
+const CalibrationPanel = ({ pattern, onClose, onSaved }) => {
+  const [state, setState] = useState(CalibrationService.getState());
+
+  useEffect(() => {
+    const unsubscribe = CalibrationService.addListener(setState);
+    CalibrationService.start({ pattern }).catch(error => {
+      Alert.alert('Calibration', `Failed to start calibration: ${error.message}`);
+    });
+    return () => {
+      unsubscribe();
+      CalibrationService.stop();
+    };
+  }, [pattern]);
+
+  const run = async (action, message) => {
+    try {
+      await action();
+    } catch (error) {
+      Alert.alert('Calibration', `${message}: ${error.message}`);
+    }
+  };
+
+  const handleCalibrate = () => run(() => CalibrationService.calibrate(), 'Calibration failed');
+
+  const handleSave = () =>
+    run(async () => {
+      const path = await CalibrationService.saveSettings();
+      onSaved(path);
+    }, 'Failed to save settings');
+
+  const renderCoverage = () => (
+    <View style={styles.coverage}>
+      {Object.entries(COVERAGE_LABELS).map(([key, label]) => (
+        <View key={key} style={styles.row}>
+          <Text style={styles.coverageLabel}>{label}</Text>
+          <View style={styles.bar}>
+            <View
+              style={[
+                styles.barFill,
+                { width: `${Math.round(state.coverage[key] * 100)}%` },
+                state.coverage[key] >= 1 && styles.barComplete,
+              ]}
+            />
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderResult = () => {
+    const { calibration, validation } = state;
+    if (!calibration) {
+      return null;
+    }
+
+    return (
+      <View style={styles.result}>
+        <Text style={validation.valid ? styles.detailText : styles.errorText}>
+          Reprojection error {calibration.rms.toFixed(3)} px from {calibration.views} views
+        </Text>
+        <Text style={styles.detailText}>
+          fx {calibration.fx.toFixed(1)} fy {calibration.fy.toFixed(1)} cx {calibration.cx.toFixed(1)} cy{' '}
+          {calibration.cy.toFixed(1)} ({calibration.width}x{calibration.height})
+        </Text>
+        {validation.errors.map(error => (
+          <Text key={error} style={styles.errorText}>
+            {error}
+          </Text>
+        ))}
+        {validation.warnings.map(warning => (
+          <Text key={warning} style={styles.warningText}>
+            {warning}
+          </Text>
+        ))}
+      </View>
+    );
+  };
+
+  const canCalibrate = state.active && state.views >= state.minViews && !state.calibrating;
+  const canSave = state.validation && state.validation.valid;
+
+  return (
+    <View style={StyleSheet.absoluteFill} pointerEvents="box-none">
+      <BoardOverlay detection={state.detection} />
+
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Camera Calibration</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.hintText}>{state.hint || 'Show the whole board to the camera'}</Text>
+        <Text style={styles.detailText}>
+          Views: {state.views}/{state.minViews}
+        </Text>
+        {renderCoverage()}
+        {renderResult()}
+
+        <View style={styles.row}>
+          <TouchableOpacity
+            style={[styles.smallButton, !canCalibrate && styles.disabled]}
+            onPress={handleCalibrate}
+            disabled={!canCalibrate}
+          >
+            <Text style={styles.buttonText}>Calibrate</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.smallButton, styles.saveButton, !canSave && styles.disabled]}
+            onPress={handleSave}
+            disabled={!canSave}
+          >
+            <Text style={styles.buttonText}>Save</Text>
+          </TouchableOpacity>
+          {state.calibrating && <ActivityIndicator color="#fff" />}
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: 40,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    borderRadius: 10,
+    padding: 15,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  closeText: {
+    color: '#fff',
+    fontSize: 18,
+  },
+  hintText: {
+    color: '#fff',
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  detailText: {
+    color: '#aaa',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  warningText: {
+    color: '#FFC107',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  errorText: {
+    color: '#F44336',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  coverage: {
+    marginBottom: 8,
+  },
+  coverageLabel: {
+    color: '#aaa',
+    fontSize: 12,
+    width: 70,
+  },
+  bar: {
+    flex: 1,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    marginVertical: 3,
+  },
+  barFill: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#2196F3',
+  },
+  barComplete: {
+    backgroundColor: BOARD_COLOR,
+  },
+  result: {
+    marginBottom: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  smallButton: {
+    backgroundColor: '#607D8B',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    marginRight: 4,
+  },
+  saveButton: {
+    backgroundColor: BOARD_COLOR,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+});
+
+export default CalibrationPanel;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+
+const INLIER_COLOR = '#4CAF50';
+const OUTLIER_COLOR = '#F44336';
+
+/**
+ * Rotate an image point clockwise by a multiple of 90 degrees
+ * @param {number} u - Column in image pixels
+ * @param {number} v - Row in image pixels
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {number} rotation - 0, 90, 180 or 270
+ * @returns {number[]} [u, v] in the rotated image
+ */
+const rotatePoint = (u, v, imageWidth, imageHeight, rotation) => {
+  switch (rotation) {
+    case 90:
+      return [imageHeight - v, u];
+    case 180:
+      return [imageWidth - u, imageHeight - v];
+    case 270:
+      return [v, imageWidth - u];
+    default:
+      return [u, v];
+  }
+};
+
+/**
+ * Map image points onto a view the rotated image is scaled to cover, like the preview
+ * @param {Object} layout - View { width, height }
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {number} rotation - 0, 90, 180 or 270
+ * @returns {Function} (u, v) => [x, y] in view coordinates
+ */
+export const previewTransform = (layout, imageWidth, imageHeight, rotation) => {
+  const sideways = rotation === 90 || rotation === 270;
+  const rotatedWidth = sideways ? imageHeight : imageWidth;
+  const rotatedHeight = sideways ? imageWidth : imageHeight;
+  const scale = Math.max(layout.width / rotatedWidth, layout.height / rotatedHeight);
+  const offsetX = (layout.width - rotatedWidth * scale) / 2;
+  const offsetY = (layout.height - rotatedHeight * scale) / 2;
+
+  return (u, v) => {
+    const [ru, rv] = rotatePoint(u, v, imageWidth, imageHeight, rotation);
+    return [offsetX + ru * scale, offsetY + rv * scale];
+  };
+};
+
+/**
+ * Tracked keypoints drawn over the camera preview
+ * Matched map points (inliers) are green, unmatched keypoints red. The frame is
+ * scaled to cover the view like the preview, so points line up with the image.
+ * @param {Object} props
+ * @param {Object|null} props.features - From SlamService.getTrackedFeatures()
+ * @param {number} props.rotation - Clockwise rotation from sensor to screen, 90 for a portrait phone
+ * @param {number} props.radius - Point radius in px
+ */
+const FeatureOverlay = ({ features, rotation = 90, radius = 3 }) => {
+  const [layout, setLayout] = useState(null);
+
+  const handleLayout = event => {
+    const { width, height } = event.nativeEvent.layout;
+    setLayout({ width, height });
+  };
+
+  const renderPoints = () => {
+    if (!layout || !features || !features.imageWidth || features.keypoints.length === 0) {
+      return null;
+    }
+
+    const { imageWidth, imageHeight, keypoints } = features;
+    const toView = previewTransform(layout, imageWidth, imageHeight, rotation);
+
+    // One path per color of zero-length segments with round caps draws every point as a dot
+    let inliers = '';
+    let outliers = '';
+    keypoints.forEach(([u, v, inlier]) => {
+      const [x, y] = toView(u, v);
+      const segment = `M${x.toFixed(1)} ${y.toFixed(1)}h0`;
+      if (inlier) {
+        inliers += segment;
+      } else {
+        outliers += segment;
+      }
+    });
+
+    return (
+      <Svg width={layout.width} height={layout.height}>
+        {outliers.length > 0 && (
+          <Path d={outliers} stroke={OUTLIER_COLOR} strokeWidth={radius * 2} strokeLinecap="round" />
+        )}
+        {inliers.length > 0 && (
+          <Path d={inliers} stroke={INLIER_COLOR} strokeWidth={radius * 2} strokeLinecap="round" />
+        )}
+      </Svg>
+    );
+  };
+
+  return (
+    <View style={StyleSheet.absoluteFill} pointerEvents="none" onLayout={handleLayout}>
+      {renderPoints()}
+    </View>
+  );
+};
+
+export default React.memo(FeatureOverlay);
@@ -0,0 +1,205 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Image, StyleSheet, TouchableOpacity, TouchableWithoutFeedback, Alert } from 'react-native';
+import Svg, { Circle, G, Line } from 'react-native-svg';
+import RNFS from 'react-native-fs';
+import AnchoringService from '../services/AnchoringService';
+import NavigationService from '../services/NavigationService';
+
+// Floor plan images are imported from the app documents directory, like ORBvoc.txt
+const FLOOR_PLAN_FILES = ['floorplan.png', 'floorplan.jpg'];
+
+/**
+ * Image size in pixels
+ * @private
+ */
+const getImageSize = uri =>
+  new Promise((resolve, reject) => Image.getSize(uri, (width, height) => resolve({ width, height }), reject));
+
+/**
+ * Floor plan alignment
+ * Tap the plan where you are standing to add a correspondence; with two or more
+ * the SLAM frame is aligned to the plan and the current position is shown on it.
+ * @param {Object} props
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ */
+const FloorPlanPanel = ({ onClose }) => {
+  const [floorPlan, setFloorPlan] = useState(AnchoringService.getFloorPlan());
+  const [transform, setTransform] = useState(AnchoringService.getFloorPlanTransform());
+  const [correspondences, setCorrespondences] = useState(AnchoringService.getFloorPlanCorrespondences());
+  const [pose, setPose] = useState(AnchoringService.getCurrentPose());
+  const [displayWidth, setDisplayWidth] = useState(0);
+
+  useEffect(() => {
+    const unsubscribeAnchor = AnchoringService.addAnchorListener(state => {
+      setFloorPlan(state.floorPlan);
+      setTransform(state.floorPlanTransform);
+      setCorrespondences(AnchoringService.getFloorPlanCorrespondences());
+    });
+    const unsubscribePose = AnchoringService.addPoseListener(setPose);
+    return () => {
+      unsubscribeAnchor();
+      unsubscribePose();
+    };
+  }, []);
+
+  const run = async (action, message) => {
+    try {
+      await action();
+    } catch (error) {
+      Alert.alert('Floor Plan', `${message}: ${error.message}`);
+    }
+  };
+
+  const handleImport = () =>
+    run(async () => {
+      for (const name of FLOOR_PLAN_FILES) {
+        const path = `${RNFS.DocumentDirectoryPath}/${name}`;
+        if (await RNFS.exists(path)) {
+          const uri = `file://${path}`;
+          await AnchoringService.setFloorPlan({ uri, ...(await getImageSize(uri)) });
+          return;
+        }
+      }
+      throw new Error(`Copy ${FLOOR_PLAN_FILES[0]} to ${RNFS.DocumentDirectoryPath}`);
+    }, 'Failed to import floor plan');
+
+  const handleTap = event => {
+    const { locationX, locationY } = event.nativeEvent;
+    const pixelsPerPoint = floorPlan.width / displayWidth;
+    run(
+      () => AnchoringService.addFloorPlanCorrespondence([locationX * pixelsPerPoint, locationY * pixelsPerPoint]),
+      'Failed to add correspondence'
+    );
+  };
+
+  const handleUndo = () =>
+    run(
+      () => AnchoringService.removeFloorPlanCorrespondence(correspondences.length - 1),
+      'Failed to remove correspondence'
+    );
+
+  const renderPlan = () => {
+    const displayHeight = (displayWidth * floorPlan.height) / floorPlan.width;
+    const position = pose && pose.floorPlan ? pose.floorPlan.pixel : null;
+    // Heading arrow: the plan is y up with the transform rotation applied, pixels are y down
+    const radius = floorPlan.width / 80;
+    let arrow = null;
+    if (position) {
+      const heading = NavigationService.getCurrentPose().heading + transform.rotation;
+      arrow = [position[0] + 4 * radius * Math.cos(heading), position[1] - 4 * radius * Math.sin(heading)];
+    }
+
+    return (
+      <TouchableWithoutFeedback onPress={handleTap}>
+        <View style={{ width: displayWidth, height: displayHeight }}>
+          <Image source={{ uri: floorPlan.uri }} style={{ width: displayWidth, height: displayHeight }} />
+          <Svg
+            style={StyleSheet.absoluteFill}
+            viewBox={`0 0 ${floorPlan.width} ${floorPlan.height}`}
+            pointerEvents="none"
+          >
+            {correspondences.map((c, i) => (
+              <Circle key={i} cx={c.pixel[0]} cy={c.pixel[1]} r={radius} fill="#2196F3" stroke="#fff" />
+            ))}
+            {position && (
+              <G>
+                <Line
+                  x1={position[0]}
+                  y1={position[1]}
+                  x2={arrow[0]}
+                  y2={arrow[1]}
+                  stroke="#4CAF50"
+                  strokeWidth={radius / 2}
+                />
+                <Circle cx={position[0]} cy={position[1]} r={radius} fill="#4CAF50" stroke="#fff" />
+              </G>
+            )}
+          </Svg>
+        </View>
+      </TouchableWithoutFeedback>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Floor Plan</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.closeText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.detailText}>
+        {!floorPlan && 'Import a floor plan, then tap it where you are standing at two or more places'}
+        {floorPlan && !transform && `Tap where you are standing (${correspondences.length}/2)`}
+        {transform && `Aligned from ${correspondences.length} points, error ${transform.rmse.toFixed(1)} px`}
+      </Text>
+
+      <View style={styles.plan} onLayout={event => setDisplayWidth(event.nativeEvent.layout.width)}>
+        {floorPlan && displayWidth > 0 && renderPlan()}
+      </View>
+
+      <View style={styles.row}>
+        <TouchableOpacity style={styles.smallButton} onPress={handleImport}>
+          <Text style={styles.buttonText}>{floorPlan ? 'Re-import' : 'Import'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.smallButton}
+          onPress={handleUndo}
+          disabled={correspondences.length === 0}
+        >
+          <Text style={styles.buttonText}>Undo</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    borderRadius: 10,
+    padding: 15,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  closeText: {
+    color: '#fff',
+    fontSize: 18,
+  },
+  detailText: {
+    color: '#aaa',
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  plan: {
+    width: '100%',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  smallButton: {
+    backgroundColor: '#607D8B',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    marginRight: 4,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+});
+
+export default FloorPlanPanel;
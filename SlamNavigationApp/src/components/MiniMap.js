@@ -0,0 +1,258 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, PanResponder } from 'react-native';
+import Svg, { Circle, G, Line, Path, Polygon, Polyline } from 'react-native-svg';
+
+const MIN_SCALE = 2; // px per meter
+const MAX_SCALE = 400;
+const DEFAULT_SCALE = 40;
+const MAX_TRACK_POINTS = 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Keep at most maxPoints evenly spaced points, always including the latest
+ * @param {number[][]} points
+ * @param {number} maxPoints
+ * @returns {number[][]}
+ */
+const downsample = (points, maxPoints) => {
+  if (points.length <= maxPoints) {
+    return points;
+  }
+  const stride = Math.ceil(points.length / maxPoints);
+  const result = points.filter((p, i) => i % stride === 0);
+  if (result[result.length - 1] !== points[points.length - 1]) {
+    result.push(points[points.length - 1]);
+  }
+  return result;
+};
+
+/**
+ * Distance between the first two touches of a gesture
+ */
+const touchDistance = touches =>
+  Math.hypot(touches[0].pageX - touches[1].pageX, touches[0].pageY - touches[1].pageY);
+
+/**
+ * Scale bar length in meters giving a bar of roughly 40 px
+ */
+const scaleBarMeters = scale => {
+  const target = 40 / scale;
+  const magnitude = 10 ** Math.floor(Math.log10(target));
+  return [1, 2, 5, 10].map(f => f * magnitude).find(m => m >= target) || target;
+};
+
+/**
+ * Top-down minimap of the trajectories, map points and current heading
+ * World x points right and y up on screen. Drag to pan (stops auto-follow),
+ * pinch or use +/- to zoom, and tap the follow button to re-center.
+ * @param {Object} props
+ * @param {number[][]} props.slamTrack - SLAM positions [x, y, ...] in the navigation frame
+ * @param {number[][]} props.drTrack - Dead reckoning positions [x, y, ...]
+ * @param {number[][]} props.mapPoints - Sparse map points [x, y, z] in the navigation frame
+ * @param {number[][]} props.path - Planned path [x, y] to the navigation goal, drawn dashed
+ * @param {number[]|null} props.position - Current position [x, y]
+ * @param {number} props.heading - Current heading, radians counter-clockwise from +x
+ * @param {number} props.size - Width and height in px
+ */
+const MiniMap = ({
+  slamTrack = [],
+  drTrack = [],
+  mapPoints = [],
+  path = [],
+  position = null,
+  heading = 0,
+  size = 180,
+}) => {
+  const [scale, setScale] = useState(DEFAULT_SCALE);
+  const [manualCenter, setManualCenter] = useState([0, 0]);
+  const [follow, setFollow] = useState(true);
+
+  const center = follow && position ? position : manualCenter;
+
+  // Gesture handlers are created once, so they read the latest view through a ref
+  const view = useRef({});
+  view.current = { scale, center };
+  const gesture = useRef({});
+
+  const panResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onMoveShouldSetPanResponder: () => true,
+        onPanResponderGrant: evt => {
+          gesture.current = {
+            scale: view.current.scale,
+            center: view.current.center,
+            pinchDistance: null,
+          };
+          const { touches } = evt.nativeEvent;
+          if (touches.length >= 2) {
+            gesture.current.pinchDistance = touchDistance(touches);
+          }
+        },
+        onPanResponderMove: (evt, { dx, dy }) => {
+          const { touches } = evt.nativeEvent;
+          if (touches.length >= 2) {
+            if (!gesture.current.pinchDistance) {
+              gesture.current.pinchDistance = touchDistance(touches);
+              gesture.current.scale = view.current.scale;
+              return;
+            }
+            const ratio = touchDistance(touches) / gesture.current.pinchDistance;
+            setScale(clamp(gesture.current.scale * ratio, MIN_SCALE, MAX_SCALE));
+            return;
+          }
+
+          if (Math.abs(dx) + Math.abs(dy) < 3) {
+            return;
+          }
+          const { center: start, scale: startScale } = gesture.current;
+          setFollow(false);
+          setManualCenter([start[0] - dx / startScale, start[1] + dy / startScale]);
+        },
+      }),
+    []
+  );
+
+  const toScreen = ([x, y]) => [
+    size / 2 + (x - center[0]) * scale,
+    size / 2 - (y - center[1]) * scale,
+  ];
+
+  const toPolyline = track =>
+    downsample(track, MAX_TRACK_POINTS)
+      .map(p => toScreen(p).map(c => c.toFixed(1)).join(','))
+      .join(' ');
+
+  // One path of zero-length segments with round caps draws every point as a dot
+  const mapPointPath = mapPoints
+    .map(p => {
+      const [sx, sy] = toScreen(p);
+      return sx >= 0 && sx <= size && sy >= 0 && sy <= size
+        ? `M${sx.toFixed(1)} ${sy.toFixed(1)}h0`
+        : '';
+    })
+    .join('');
+
+  const barMeters = scaleBarMeters(scale);
+  const barPixels = barMeters * scale;
+
+  const zoom = factor => setScale(clamp(scale * factor, MIN_SCALE, MAX_SCALE));
+
+  const recenter = () => {
+    setFollow(true);
+    if (position) {
+      setManualCenter(position);
+    }
+  };
+
+  const renderPath = () => {
+    if (path.length < 2) {
+      return null;
+    }
+    const [gx, gy] = toScreen(path[path.length - 1]);
+    return (
+      <G>
+        <Polyline
+          points={toPolyline(path)}
+          fill="none"
+          stroke="#FFEB3B"
+          strokeWidth={2}
+          strokeDasharray="6,4"
+        />
+        <Circle cx={gx} cy={gy} r={5} fill="none" stroke="#FFEB3B" strokeWidth={2} />
+      </G>
+    );
+  };
+
+  const renderHeading = () => {
+    if (!position) {
+      return null;
+    }
+    const [sx, sy] = toScreen(position);
+    const degrees = (-heading * 180) / Math.PI;
+    return (
+      <G transform={`translate(${sx}, ${sy}) rotate(${degrees})`}>
+        <Polygon points="10,0 -6,-6 -3,0 -6,6" fill="#FFEB3B" stroke="#000" strokeWidth={1} />
+      </G>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { width: size, height: size }]}>
+      <View {...panResponder.panHandlers}>
+        <Svg width={size} height={size}>
+          {mapPointPath.length > 0 && (
+            <Path d={mapPointPath} stroke="rgba(255, 255, 255, 0.5)" strokeWidth={2} strokeLinecap="round" />
+          )}
+          {drTrack.length > 1 && (
+            <Polyline points={toPolyline(drTrack)} fill="none" stroke="#4CAF50" strokeWidth={2} />
+          )}
+          {slamTrack.length > 1 && (
+            <Polyline points={toPolyline(slamTrack)} fill="none" stroke="#2196F3" strokeWidth={2} />
+          )}
+          {renderPath()}
+          {renderHeading()}
+          <Line x1={8} y1={size - 10} x2={8 + barPixels} y2={size - 10} stroke="#fff" strokeWidth={2} />
+        </Svg>
+      </View>
+
+      <Text style={[styles.scaleText, { top: size - 28 }]}>{barMeters} m</Text>
+
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.controlButton} onPress={() => zoom(1.5)}>
+          <Text style={styles.controlText}>+</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={() => zoom(1 / 1.5)}>
+          <Text style={styles.controlText}>−</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.controlButton, follow && styles.controlActive]}
+          onPress={recenter}
+        >
+          <Text style={styles.controlText}>◎</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  scaleText: {
+    position: 'absolute',
+    left: 8,
+    color: '#fff',
+    fontSize: 10,
+    fontFamily: 'monospace',
+  },
+  controls: {
+    position: 'absolute',
+    top: 6,
+    right: 6,
+  },
+  controlButton: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 4,
+  },
+  controlActive: {
+    backgroundColor: '#2196F3',
+  },
+  controlText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default React.memo(MiniMap);
@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Switch, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import SettingsService from '../services/SettingsService';
+import { ValueType } from '../utils/opencvYaml';
+import { PROFILES, SETTINGS_SCHEMA, SETTINGS_SECTIONS, formatInput, parseInput } from '../utils/slamSettings';
+
+/**
+ * Section of a settings key
+ * @private
+ */
+const sectionOf = key => (key === 'Tbc' ? 'IMU' : key.split('.')[0]);
+
+/**
+ * One editable setting
+ * Numbers are committed when editing ends, so half-typed values are not validated.
+ * @param {Object} props
+ * @param {string} props.settingKey - e.g. 'ORBextractor.nFeatures'
+ * @param {*} props.value - Current value
+ * @param {string} props.error - Validation error, if any
+ */
+const SettingField = ({ settingKey, value, error }) => {
+  const schema = SETTINGS_SCHEMA[settingKey];
+  const [text, setText] = useState(formatInput(settingKey, value));
+
+  // Follow changes from elsewhere, e.g. a profile
+  useEffect(() => setText(formatInput(settingKey, value)), [settingKey, value]);
+
+  const commit = () => SettingsService.set({ [settingKey]: parseInput(settingKey, text) });
+
+  return (
+    <View style={styles.field}>
+      <View style={styles.row}>
+        <Text style={styles.labelText}>
+          {schema.label}
+          {schema.unit ? ` (${schema.unit})` : ''}
+        </Text>
+        {schema.type === ValueType.BOOL ? (
+          <Switch value={value} onValueChange={enabled => SettingsService.set({ [settingKey]: enabled })} />
+        ) : (
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={text}
+            onChangeText={setText}
+            onEndEditing={commit}
+            onSubmitEditing={commit}
+            keyboardType="numbers-and-punctuation"
+          />
+        )}
+      </View>
+      <Text style={styles.keyText}>{settingKey}</Text>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+/**
+ * Edit settings.yaml: pick a profile or change single values, then save and
+ * restart SLAM with them
+ * @param {Object} props
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ * @param {Function} props.onSaved - Called with the settings path after saving
+ */
+const SettingsPanel = ({ onClose, onSaved }) => {
+  const [state, setState] = useState(SettingsService.getState());
+
+  useEffect(() => {
+    const unsubscribe = SettingsService.addListener(setState);
+    // Start from the file, dropping changes that were never saved
+    SettingsService.load().catch(error => {
+      Alert.alert('Settings', `Failed to read settings: ${error.message}`);
+    });
+    return unsubscribe;
+  }, []);
+
+  const handleProfile = profile => SettingsService.applyProfile(profile);
+
+  const handleSave = async () => {
+    try {
+      const path = await SettingsService.save();
+      onSaved(path);
+    } catch (error) {
+      Alert.alert('Settings', `Failed to save settings: ${error.message}`);
+    }
+  };
+
+  const { values, validation, profile } = state;
+  if (!validation) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.detailText}>Loading settings...</Text>
+      </View>
+    );
+  }
+
+  // Required keys and the optional ones the file has; matrices are edited in the file
+  const keys = Object.keys(SETTINGS_SCHEMA).filter(
+    key => SETTINGS_SCHEMA[key].type !== ValueType.MATRIX && (values[key] !== undefined || !SETTINGS_SCHEMA[key].optional)
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>SLAM Settings</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.closeText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.profiles}>
+        {Object.entries(PROFILES).map(([id, { name }]) => (
+          <TouchableOpacity
+            key={id}
+            style={[styles.smallButton, profile === id && styles.selectedButton]}
+            onPress={() => handleProfile(id)}
+          >
+            <Text style={styles.buttonText}>{name}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.detailText}>
+        {profile ? PROFILES[profile].description : 'Custom settings'}
+        {state.exists ? '' : ' · no settings.yaml yet, saving creates it'}
+      </Text>
+      {validation.warnings.map(warning => (
+        <Text key={warning} style={styles.warningText}>
+          {warning}
+        </Text>
+      ))}
+
+      <ScrollView style={styles.list}>
+        {SETTINGS_SECTIONS.filter(section => !section.hidden).map(section => {
+          const sectionKeys = keys.filter(key => sectionOf(key) === section.id);
+          if (sectionKeys.length === 0) {
+            return null;
+          }
+          return (
+            <View key={section.id}>
+              <Text style={styles.sectionText}>{section.title}</Text>
+              {sectionKeys.map(key => (
+                <SettingField key={key} settingKey={key} value={values[key]} error={validation.errors[key]} />
+              ))}
+            </View>
+          );
+        })}
+      </ScrollView>
+
+      <TouchableOpacity
+        style={[styles.saveButton, !validation.valid && styles.disabled]}
+        onPress={handleSave}
+        disabled={!validation.valid}
+      >
+        <Text style={styles.buttonText}>Save & Restart SLAM</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    borderRadius: 10,
+    padding: 15,
+    maxHeight: 500,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  closeText: {
+    color: '#fff',
+    fontSize: 18,
+  },
+  list: {
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  profiles: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  field: {
+    marginBottom: 8,
+  },
+  sectionText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  labelText: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 13,
+  },
+  keyText: {
+    color: '#888',
+    fontSize: 10,
+    fontFamily: 'monospace',
+  },
+  input: {
+    width: 110,
+    color: '#fff',
+    textAlign: 'right',
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.5)',
+    paddingVertical: 2,
+  },
+  inputError: {
+    borderBottomColor: '#F44336',
+  },
+  detailText: {
+    color: '#aaa',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  warningText: {
+    color: '#FFC107',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  errorText: {
+    color: '#F44336',
+    fontSize: 11,
+  },
+  smallButton: {
+    backgroundColor: '#607D8B',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  selectedButton: {
+    backgroundColor: '#2196F3',
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 10,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+});
+
+export default SettingsPanel;
@@ -10,31 +10,93 @@ import {
   PermissionsAndroid,
   Platform,
 } from 'react-native';
-import { RNCamera } from 'react-native-camera';
+import { Camera, runAtTargetFps, useCameraDevice, useFrameProcessor } from 'react-native-vision-camera';
 import SlamService from '../services/SlamService';
+import { slamCalibrate, slamTrack } from '../services/SlamFrameProcessor';
 import DeadReckoning from '../services/DeadReckoning';
-import RNFS from 'react-native-fs';
+import SessionRecorder from '../services/SessionRecorder';
+import TrajectoryStore, { TrajectoryTrack } from '../services/TrajectoryStore';
+import MiniMap from './MiniMap';
+import FeatureOverlay from './FeatureOverlay';
+import WaypointPanel, { GuidanceBanner } from './WaypointPanel';
+import NavigationService from '../services/NavigationService';
+import PathPlanningService from '../services/PathPlanningService';
+import AnchoringService from '../services/AnchoringService';
+import LocalizationService from '../services/LocalizationService';
+import ScaleService from '../services/ScaleService';
+import TimeSyncService from '../services/TimeSyncService';
+import { useDeadReckoning, useTrackingState } from '../hooks/usePoseStreams';
+import FloorPlanPanel from './FloorPlanPanel';
+import CalibrationPanel from './CalibrationPanel';
+import SettingsPanel from './SettingsPanel';
+import SettingsService from '../services/SettingsService';
+import AssetService, { AssetStatus } from '../services/AssetService';
 
 const { width, height } = Dimensions.get('window');
 
+// Map saved and restored by the map buttons
+const DEFAULT_MAP_NAME = 'last_session';
+
+// Requested camera frame rate until settings.yaml is read (Camera.fps),
+// also used to count dropped frames natively
+const CAMERA_FPS = 30;
+
+// Board detection is too slow for every frame, and views need not be more frequent
+const CALIBRATION_FPS = 5;
+
+// Minimap refresh period (ms); map points are fetched every MAP_POINTS_REFRESH refreshes
+const MINIMAP_REFRESH_INTERVAL = 500;
+const MAP_POINTS_REFRESH = 4;
+const MAX_MAP_POINTS = 2000;
+
+// Tracked keypoint overlay refresh period (ms), and the keypoint count below
+// which a lost frame is reported as lacking texture
+const FEATURE_REFRESH_INTERVAL = 100;
+const LOW_TEXTURE_KEYPOINTS = 50;
+
+// Dead reckoning readout refresh rate (Hz); the filter itself runs at the IMU rate
+const DR_DISPLAY_HZ = 10;
+
 /**
  * Main SLAM Navigator component
  * Real-time camera view with SLAM tracking and dead reckoning
  */
 const SlamNavigator = () => {
   const [isInitializing, setIsInitializing] = useState(true);
+  const [assetProgress, setAssetProgress] = useState(null);
   const [isTracking, setIsTracking] = useState(false);
   const [pose, setPose] = useState(null);
-  const [drState, setDrState] = useState(null);
-  const [trackingState, setTrackingState] = useState('NO_IMAGES_YET');
+  const drState = useDeadReckoning({ hz: DR_DISPLAY_HZ });
+  const trackingState = useTrackingState();
   const [frameCount, setFrameCount] = useState(0);
   const [fps, setFps] = useState(0);
+  const [relocalization, setRelocalization] = useState(null);
+  const [frameStats, setFrameStats] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [features, setFeatures] = useState(null);
+  const [health, setHealth] = useState(null);
+  const [navigation, setNavigation] = useState(null);
+  const [showWaypoints, setShowWaypoints] = useState(false);
+  const [showFloorPlan, setShowFloorPlan] = useState(false);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [cameraFps, setCameraFps] = useState(CAMERA_FPS);
+  const [showFeatures, setShowFeatures] = useState(true);
+  const [minimap, setMinimap] = useState({
+    slamTrack: [],
+    drTrack: [],
+    mapPoints: [],
+    path: [],
+    position: null,
+    heading: 0,
+  });
   
-  const cameraRef = useRef(null);
-  const frameProcessingRef = useRef(false);
+  const device = useCameraDevice('back');
   const lastFrameTime = useRef(Date.now());
   const fpsCounter = useRef({ count: 0, lastTime: Date.now() });
 
+  useEffect(() => AssetService.addListener(setAssetProgress), []);
+
   useEffect(() => {
     requestPermissions();
     initializeSystem();
@@ -44,6 +106,89 @@ const SlamNavigator = () => {
     };
   }, []);
 
+  // Frames go straight from the camera to native SLAM on the frame processor thread,
+  // or to board detection while calibrating
+  const frameProcessor = useFrameProcessor(frame => {
+    'worklet';
+    if (showCalibration) {
+      runAtTargetFps(CALIBRATION_FPS, () => {
+        'worklet';
+        slamCalibrate(frame);
+      });
+      return;
+    }
+    slamTrack(frame, { fps: cameraFps });
+  }, [showCalibration, cameraFps]);
+
+  // Poll health and frame statistics while tracking; the health comes with
+  // every frame, only the frame statistics need the bridge
+  useEffect(() => {
+    if (!isTracking) {
+      return undefined;
+    }
+
+    const interval = setInterval(async () => {
+      try {
+        setHealth(SlamService.getHealth());
+        setNavigation(LocalizationService.getPose());
+        setFrameStats(await SlamService.getFrameStats());
+      } catch (error) {
+        console.error('[SlamNavigator] Status polling error:', error);
+      }
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [isTracking]);
+
+  // Follow the tracked keypoints at a lower rate than the camera
+  useEffect(() => {
+    if (!isTracking || !showFeatures) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => {
+      setFeatures(SlamService.getTrackedFeatures());
+    }, FEATURE_REFRESH_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [isTracking, showFeatures]);
+
+  // Refresh the minimap at a fixed rate instead of on every IMU sample
+  useEffect(() => {
+    if (isInitializing) {
+      return undefined;
+    }
+
+    // SLAM positions are drawn in the navigation frame with dead reckoning, and
+    // left out until SLAM is metric and aligned
+    const toNavigation = positions =>
+      positions.map(position => LocalizationService.toNavigationFrame(position)).filter(Boolean);
+
+    let refreshes = 0;
+    const interval = setInterval(async () => {
+      let mapPoints = null;
+      if (refreshes++ % MAP_POINTS_REFRESH === 0 && SlamService.isReady()) {
+        try {
+          mapPoints = toNavigation(await SlamService.getMapPoints(MAX_MAP_POINTS));
+        } catch (error) {
+          // Keep showing the previous points
+        }
+      }
+
+      const state = DeadReckoning.getState();
+      setMinimap(previous => ({
+        slamTrack: toNavigation(TrajectoryStore.getTrack(TrajectoryTrack.SLAM).map(p => p.position)),
+        drTrack: TrajectoryStore.getTrack(TrajectoryTrack.FUSED).map(p => p.position),
+        mapPoints: mapPoints || previous.mapPoints,
+        path: PathPlanningService.getPath(),
+        position: [state.position.x, state.position.y],
+        heading: state.heading,
+      }));
+    }, MINIMAP_REFRESH_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [isInitializing]);
+
   /**
    * Request camera and sensor permissions
    */
@@ -76,28 +221,59 @@ const SlamNavigator = () => {
     try {
       console.log('[SlamNavigator] Initializing systems...');
       
-      // Define paths (these should be bundled with the app or downloaded)
-      const vocabPath = `${RNFS.DocumentDirectoryPath}/ORBvoc.txt`;
-      const settingsPath = `${RNFS.DocumentDirectoryPath}/settings.yaml`;
-      
-      // Check if files exist
-      const vocabExists = await RNFS.exists(vocabPath);
-      const settingsExists = await RNFS.exists(settingsPath);
-      
-      if (!vocabExists || !settingsExists) {
-        Alert.alert(
-          'Configuration Missing',
-          'ORB vocabulary and settings files are required. Please install them in the app documents directory.'
-        );
+      // Copy the vocabulary and settings from the APK or download them on first launch
+      let assets;
+      try {
+        assets = await AssetService.provision();
+      } catch (error) {
+        // An interrupted download continues where it stopped on retry
+        Alert.alert('Setup Failed', error.message, [
+          { text: 'Later' },
+          { text: 'Retry', onPress: retryInitialization },
+        ]);
         setIsInitializing(false);
         return;
       }
+      const vocabPath = assets.vocabularyPath;
+      const settingsPath = SettingsService.getSettingsPath();
+
+      if (!assets.settingsPath) {
+        // Without settings.yaml the camera can be calibrated in the app to create it,
+        // or the defaults saved from the settings screen
+        Alert.alert('Configuration Missing', 'Camera settings are required. Calibrate the camera to create settings.yaml.', [
+          { text: 'Later' },
+          { text: 'Defaults', onPress: () => setShowSettings(true) },
+          { text: 'Calibrate', onPress: () => setShowCalibration(true) },
+        ]);
+        setIsInitializing(false);
+        return;
+      }
+
+      // Check the settings before SLAM reads them
+      const settings = await SettingsService.load(settingsPath);
+      const validation = SettingsService.validate();
+      if (!validation.valid) {
+        Alert.alert('Invalid Settings', Object.values(validation.errors).join('\n'), [
+          { text: 'Later' },
+          { text: 'Edit', onPress: () => setShowSettings(true) },
+        ]);
+        setIsInitializing(false);
+        return;
+      }
+      setCameraFps(Math.round(settings['Camera.fps']));
       
       // Initialize SLAM
       await SlamService.initialize(vocabPath, settingsPath);
       
       // Start Dead Reckoning with calibration
       DeadReckoning.start({ updateRate: 100, calibrate: false });
+
+      // Put frames, IMU samples and poses on one clock
+      await TimeSyncService.start();
+
+      // Fuse SLAM into dead reckoning only while it tracks and is metric, recover when it stays lost
+      ScaleService.start();
+      LocalizationService.start();
       
       // Calibrate sensors (keep phone still)
       Alert.alert(
@@ -116,10 +292,19 @@ const SlamNavigator = () => {
       );
       
       // Subscribe to SLAM pose updates
-      SlamService.addPoseListener(handlePoseUpdate);
-      
-      // Subscribe to Dead Reckoning updates
-      DeadReckoning.addListener(handleDrUpdate);
+      // Poses arrive with their floor plan and GPS coordinates once anchored
+      AnchoringService.addPoseListener(handlePoseUpdate);
+
+      // Visual-inertial SLAM needs the raw IMU stream alongside the frames
+      if (SlamService.isInertial()) {
+        DeadReckoning.addImuListener(sample => SlamService.queueImuSample(sample));
+      }
+
+      // Subscribe to relocalization progress after map loads
+      SlamService.addRelocalizationListener(setRelocalization);
+
+      // Keep the SLAM and fused trajectories for export
+      await TrajectoryStore.start();
       
     } catch (error) {
       console.error('[SlamNavigator] Initialization error:', error);
@@ -128,27 +313,25 @@ const SlamNavigator = () => {
     }
   };
 
+  /**
+   * Try initializing again, e.g. after a failed download
+   */
+  const retryInitialization = () => {
+    setIsInitializing(true);
+    initializeSystem();
+  };
+
   /**
    * Handle SLAM pose updates
    */
   const handlePoseUpdate = (newPose) => {
     setPose(newPose);
-    
-    // Fuse with dead reckoning
-    DeadReckoning.fuseWithSlam(newPose);
-    
+
     // Update frame count and FPS
     setFrameCount(prev => prev + 1);
     updateFPS();
   };
 
-  /**
-   * Handle Dead Reckoning state updates
-   */
-  const handleDrUpdate = (state) => {
-    setDrState(state);
-  };
-
   /**
    * Update FPS counter
    */
@@ -166,60 +349,15 @@ const SlamNavigator = () => {
   };
 
   /**
-   * Start continuous frame processing
+   * Start streaming camera frames to SLAM
    */
-  const startContinuousProcessing = () => {
-    setIsTracking(true);
-    processNextFrame();
-  };
-
-  /**
-   * Process next camera frame
-   */
-  const processNextFrame = async () => {
-    if (!isTracking || frameProcessingRef.current) {
-      return;
-    }
-
-    frameProcessingRef.current = true;
-
+  const startContinuousProcessing = async () => {
     try {
-      if (cameraRef.current) {
-        // Capture frame
-        const options = {
-          quality: 0.5,
-          base64: false,
-          width: 640,
-          height: 480,
-          pauseAfterCapture: false,
-        };
-        
-        const data = await cameraRef.current.takePictureAsync(options);
-        const timestamp = Date.now() / 1000;
-        
-        // Process through SLAM
-        await SlamService.processFrame(data.uri, timestamp);
-        
-        // Update tracking state
-        const state = await SlamService.getTrackingState();
-        setTrackingState(state.stateName);
-        
-        // Schedule next frame
-        requestAnimationFrame(() => {
-          frameProcessingRef.current = false;
-          if (isTracking) {
-            processNextFrame();
-          }
-        });
-      }
+      await SlamService.startFrameStream();
+      setIsTracking(true);
     } catch (error) {
-      console.error('[SlamNavigator] Frame processing error:', error);
-      frameProcessingRef.current = false;
-      
-      // Continue processing despite errors
-      if (isTracking) {
-        setTimeout(() => processNextFrame(), 100);
-      }
+      console.error('[SlamNavigator] Frame stream error:', error);
+      Alert.alert('Error', `Failed to start tracking: ${error.message}`);
     }
   };
 
@@ -228,8 +366,8 @@ const SlamNavigator = () => {
    */
   const toggleTracking = () => {
     if (isTracking) {
+      SlamService.stopFrameStream();
       setIsTracking(false);
-      frameProcessingRef.current = false;
     } else {
       startContinuousProcessing();
     }
@@ -242,7 +380,10 @@ const SlamNavigator = () => {
     try {
       await SlamService.reset();
       DeadReckoning.resetPosition();
+      LocalizationService.reset();
       setPose(null);
+      setFeatures(null);
+      setHealth(null);
       setFrameCount(0);
       setFps(0);
       Alert.alert('Success', 'SLAM system reset');
@@ -251,11 +392,122 @@ const SlamNavigator = () => {
     }
   };
 
+  /**
+   * Calibrate the camera, SLAM tracking pauses meanwhile
+   */
+  const openCalibration = () => {
+    SlamService.stopFrameStream();
+    setIsTracking(false);
+    setShowCalibration(true);
+  };
+
+  /**
+   * Use the new settings.yaml from calibration or the settings screen: restart
+   * SLAM, or initialize it if the settings were missing or invalid
+   */
+  const handleSettingsSaved = async settingsPath => {
+    setShowCalibration(false);
+    setShowSettings(false);
+    if (!SlamService.isReady()) {
+      setIsInitializing(true);
+      await initializeSystem();
+      return;
+    }
+
+    try {
+      await SlamService.shutdown();
+      await SlamService.initialize(await AssetService.findInstalled('vocabulary'), settingsPath);
+      setCameraFps(Math.round(SettingsService.getValue('Camera.fps')));
+      DeadReckoning.resetPosition();
+      LocalizationService.reset();
+      setPose(null);
+      setFeatures(null);
+      setHealth(null);
+      await startContinuousProcessing();
+      Alert.alert('Settings Saved', 'SLAM restarted with the new settings');
+    } catch (error) {
+      Alert.alert('Error', `Failed to restart SLAM: ${error.message}`);
+    }
+  };
+
+  /**
+   * Save the current map for the next visit
+   */
+  const handleSaveMap = async () => {
+    try {
+      const mapPath = await SlamService.saveMap(DEFAULT_MAP_NAME);
+      await NavigationService.saveForMap(mapPath);
+      await AnchoringService.saveForMap(mapPath);
+      Alert.alert('Map Saved', mapPath);
+    } catch (error) {
+      Alert.alert('Error', `Failed to save map: ${error.message}`);
+    }
+  };
+
+  /**
+   * Load the saved map and relocalize in it
+   */
+  const handleLoadMap = async () => {
+    try {
+      const mapPath = await SlamService.loadMap(DEFAULT_MAP_NAME);
+      await NavigationService.loadForMap(mapPath);
+      await AnchoringService.loadForMap(mapPath);
+      DeadReckoning.resetPosition();
+      LocalizationService.reset();
+      setPose(null);
+      if (!isTracking) {
+        await startContinuousProcessing();
+      }
+      await SlamService.relocalize({ timeout: 30000 });
+    } catch (error) {
+      Alert.alert('Relocalization', error.message);
+    }
+  };
+
+  /**
+   * Export the SLAM and fused trajectories and share the files
+   */
+  const handleExport = async () => {
+    try {
+      const paths = await TrajectoryStore.exportAll();
+      await TrajectoryStore.share(paths);
+    } catch (error) {
+      Alert.alert('Error', `Export failed: ${error.message}`);
+    }
+  };
+
+  /**
+   * Start or stop recording a session for offline replay
+   */
+  const toggleRecording = async () => {
+    try {
+      if (SessionRecorder.isRecording()) {
+        const session = await SessionRecorder.stop();
+        setIsRecording(false);
+        Alert.alert(
+          'Session Saved',
+          `${session.name}: ${session.frames} frames, ${session.imuSamples} IMU samples`
+        );
+      } else {
+        await SessionRecorder.start();
+        setIsRecording(true);
+      }
+    } catch (error) {
+      Alert.alert('Error', `Recording failed: ${error.message}`);
+    }
+  };
+
   /**
    * Cleanup on unmount
    */
   const cleanup = async () => {
     setIsTracking(false);
+    NavigationService.stopGuidance();
+    await SessionRecorder.stop();
+    TrajectoryStore.stop();
+    LocalizationService.stop();
+    ScaleService.stop();
+    TimeSyncService.stop();
     DeadReckoning.stop();
     
     try {
@@ -273,17 +525,36 @@ const SlamNavigator = () => {
       return <Text style={styles.infoText}>Waiting for first frame...</Text>;
     }
 
-    const [x, y, z] = pose.position;
+    // Monocular SLAM is in map units until the scale is known
+    const scale = ScaleService.getScale();
+    const metric = ScaleService.toMetric(pose);
+    const [x, y, z] = metric ? metric.position : pose.position;
     const [qx, qy, qz, qw] = pose.orientation;
 
     return (
       <View>
         <Text style={styles.infoText}>
-          Position: ({x.toFixed(3)}, {y.toFixed(3)}, {z.toFixed(3)})
+          Position: ({x.toFixed(3)}, {y.toFixed(3)}, {z.toFixed(3)}) {metric ? 'm' : 'units'}
         </Text>
+        {!SlamService.isInertial() && (
+          <Text style={styles.infoText}>
+            Scale: {scale.scale === null ? 'walk a few meters to estimate' : `${scale.scale.toFixed(3)} m/unit`}
+            {scale.scale === null ? '' : ` (${Math.round(scale.confidence * 100)}%${scale.converged ? '' : ', converging'})`}
+          </Text>
+        )}
         <Text style={styles.infoText}>
           Orientation: ({qx.toFixed(3)}, {qy.toFixed(3)}, {qz.toFixed(3)}, {qw.toFixed(3)})
         </Text>
+        {pose.floorPlan && (
+          <Text style={styles.infoText}>
+            Floor plan: ({pose.floorPlan.pixel[0].toFixed(0)}, {pose.floorPlan.pixel[1].toFixed(0)}) px
+          </Text>
+        )}
+        {pose.geodetic && (
+          <Text style={styles.infoText}>
+            GPS: {pose.geodetic.coordinates[1].toFixed(6)}, {pose.geodetic.coordinates[0].toFixed(6)}
+          </Text>
+        )}
       </View>
     );
   };
@@ -308,35 +579,85 @@ const SlamNavigator = () => {
     );
   };
 
+  /**
+   * What the loading screen shows: provisioning progress, then SLAM initialization
+   */
+  const getLoadingText = () => {
+    const { status, file, bytesWritten, totalBytes } = assetProgress || {};
+    switch (status) {
+      case AssetStatus.COPYING:
+        return `Installing ${file}...`;
+      case AssetStatus.DOWNLOADING: {
+        const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        const percent = totalBytes > 0 ? Math.floor((bytesWritten / totalBytes) * 100) : 0;
+        return `Downloading ${file}: ${percent}% (${megabytes(bytesWritten)}/${megabytes(totalBytes)} MB)`;
+      }
+      case AssetStatus.VERIFYING:
+        return `Verifying ${file}...`;
+      default:
+        return 'Initializing SLAM System...';
+    }
+  };
+
   if (isInitializing) {
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color="#007AFF" />
-        <Text style={styles.loadingText}>Initializing SLAM System...</Text>
+        <Text style={styles.loadingText}>{getLoadingText()}</Text>
       </View>
     );
   }
 
   return (
     <View style={styles.container}>
-      <RNCamera
-        ref={cameraRef}
-        style={styles.camera}
-        type={RNCamera.Constants.Type.back}
-        captureAudio={false}
-        androidCameraPermissionOptions={{
-          title: 'Camera Permission',
-          message: 'We need camera access for SLAM',
-          buttonPositive: 'OK',
-          buttonNegative: 'Cancel',
-        }}
-      />
+      {device ? (
+        <Camera
+          style={styles.camera}
+          device={device}
+          isActive={isTracking || showCalibration}
+          fps={cameraFps}
+          pixelFormat="yuv"
+          frameProcessor={frameProcessor}
+        />
+      ) : (
+        <View style={styles.camera} />
+      )}
+
+      {/* Tracked keypoints over the preview */}
+      {showFeatures && <FeatureOverlay features={features} />}
 
       {/* Status overlay */}
       <View style={styles.statusOverlay}>
-        <Text style={styles.statusText}>State: {trackingState}</Text>
+        <Text style={styles.statusText}>
+          State: {trackingState}
+          {health ? ` Health: ${Math.round(health.score * 100)}% (${health.level})` : ''}
+        </Text>
+        {navigation && (
+          <Text style={navigation.confidence === 'high' ? styles.statusText : styles.warningText}>
+            Navigation: {navigation.state}
+            {navigation.lostFor > 0 ? ` on dead reckoning for ${(navigation.lostFor / 1000).toFixed(0)}s` : ''}
+          </Text>
+        )}
         <Text style={styles.statusText}>Frames: {frameCount}</Text>
         <Text style={styles.statusText}>FPS: {fps}</Text>
+        {frameStats && (
+          <Text style={styles.statusText}>
+            Processed: {frameStats.processed} Dropped: {frameStats.dropped}
+          </Text>
+        )}
+        {features && (
+          <Text style={styles.statusText}>
+            Matched: {features.matchedMapPoints}/{features.keypoints.length} KF: {features.keyframes}
+          </Text>
+        )}
+        {features && trackingState === 'LOST' && features.keypoints.length < LOW_TEXTURE_KEYPOINTS && (
+          <Text style={styles.warningText}>Low texture: aim at a more detailed area</Text>
+        )}
+        {relocalization && relocalization.status === 'relocalizing' && (
+          <Text style={styles.statusText}>
+            Relocalizing: {relocalization.attempts} frames, {(relocalization.elapsed / 1000).toFixed(1)}s
+          </Text>
+        )}
       </View>
 
       {/* Pose information */}
@@ -345,6 +666,53 @@ const SlamNavigator = () => {
         {renderDrInfo()}
       </View>
 
+      {/* Guidance to the selected waypoint */}
+      <View style={styles.guidanceOverlay}>
+        <GuidanceBanner />
+      </View>
+
+      {/* Top-down minimap */}
+      <View style={styles.minimapOverlay}>
+        <MiniMap
+          slamTrack={minimap.slamTrack}
+          drTrack={minimap.drTrack}
+          mapPoints={minimap.mapPoints}
+          path={minimap.path}
+          position={minimap.position}
+          heading={minimap.heading}
+        />
+      </View>
+
+      {/* Map buttons */}
+      <View style={styles.mapControlsOverlay}>
+        <TouchableOpacity style={styles.buttonMap} onPress={handleSaveMap}>
+          <Text style={styles.buttonText}>Save Map</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.buttonMap} onPress={handleLoadMap}>
+          <Text style={styles.buttonText}>Load Map</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.buttonMap, isRecording && styles.buttonStop]}
+          onPress={toggleRecording}
+        >
+          <Text style={styles.buttonText}>{isRecording ? 'Stop Rec' : 'Record'}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.buttonMap} onPress={() => setShowFeatures(show => !show)}>
+          <Text style={styles.buttonText}>{showFeatures ? 'Hide Points' : 'Points'}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.buttonMap} onPress={openCalibration}>
+          <Text style={styles.buttonText}>Calibrate</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.buttonMap} onPress={() => setShowSettings(true)}>
+          <Text style={styles.buttonText}>Settings</Text>
+        </TouchableOpacity>
+      </View>
+
       {/* Control buttons */}
       <View style={styles.controlsOverlay}>
         <TouchableOpacity
@@ -359,7 +727,45 @@ const SlamNavigator = () => {
         <TouchableOpacity style={styles.buttonReset} onPress={handleReset}>
           <Text style={styles.buttonText}>Reset</Text>
         </TouchableOpacity>
+
+        <TouchableOpacity style={styles.buttonMap} onPress={handleExport}>
+          <Text style={styles.buttonText}>Export</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.buttonMap} onPress={() => setShowWaypoints(true)}>
+          <Text style={styles.buttonText}>Waypoints</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.buttonMap} onPress={() => setShowFloorPlan(true)}>
+          <Text style={styles.buttonText}>Plan</Text>
+        </TouchableOpacity>
       </View>
+
+      {/* Waypoint list */}
+      {showWaypoints && (
+        <View style={styles.waypointOverlay}>
+          <WaypointPanel onClose={() => setShowWaypoints(false)} />
+        </View>
+      )}
+
+      {/* Floor plan alignment */}
+      {showFloorPlan && (
+        <View style={styles.waypointOverlay}>
+          <FloorPlanPanel onClose={() => setShowFloorPlan(false)} />
+        </View>
+      )}
+
+      {/* SLAM settings and profiles */}
+      {showSettings && (
+        <View style={styles.waypointOverlay}>
+          <SettingsPanel onClose={() => setShowSettings(false)} onSaved={handleSettingsSaved} />
+        </View>
+      )}
+
+      {/* Camera calibration, over everything but the preview */}
+      {showCalibration && (
+        <CalibrationPanel onClose={() => setShowCalibration(false)} onSaved={handleSettingsSaved} />
+      )}
     </View>
   );
 };
@@ -398,6 +804,12 @@ const styles = StyleSheet.create({
     marginBottom: 5,
     fontFamily: 'monospace',
   },
+  warningText: {
+    color: '#FFC107',
+    fontSize: 14,
+    marginBottom: 5,
+    fontFamily: 'monospace',
+  },
   poseOverlay: {
     position: 'absolute',
     top: 150,
@@ -433,6 +845,31 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-between',
   },
+  guidanceOverlay: {
+    position: 'absolute',
+    top: 260,
+    left: 20,
+    right: 20,
+  },
+  waypointOverlay: {
+    position: 'absolute',
+    top: 100,
+    left: 20,
+    right: 20,
+  },
+  minimapOverlay: {
+    position: 'absolute',
+    bottom: 180,
+    right: 20,
+  },
+  mapControlsOverlay: {
+    position: 'absolute',
+    bottom: 110,
+    left: 20,
+    right: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
   button: {
     flex: 1,
     padding: 15,
@@ -454,6 +891,14 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginHorizontal: 5,
   },
+  buttonMap: {
+    flex: 1,
+    backgroundColor: '#2196F3',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
   buttonText: {
     color: '#fff',
     fontSize: 16,
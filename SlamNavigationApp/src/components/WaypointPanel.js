@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import NavigationService from '../services/NavigationService';
+
+const INSTRUCTION_LABELS = {
+  straight: 'Straight ahead',
+  slight_left: 'Bear left',
+  left: 'Turn left',
+  slight_right: 'Bear right',
+  right: 'Turn right',
+  turn_around: 'Turn around',
+  arrived: 'Arrived',
+};
+
+/**
+ * Drop, rename, delete and navigate to waypoints
+ * @param {Object} props
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ */
+const WaypointPanel = ({ onClose }) => {
+  const [waypoints, setWaypoints] = useState(NavigationService.listWaypoints());
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  const refresh = () => setWaypoints(NavigationService.listWaypoints());
+
+  const run = async (action, message) => {
+    try {
+      await action();
+      refresh();
+    } catch (error) {
+      Alert.alert('Waypoints', `${message}: ${error.message}`);
+    }
+  };
+
+  const handleDrop = () =>
+    run(async () => {
+      await NavigationService.addWaypoint(newName);
+      setNewName('');
+    }, 'Failed to drop waypoint');
+
+  const handleRename = () =>
+    run(async () => {
+      await NavigationService.renameWaypoint(editing.id, editing.name);
+      setEditing(null);
+    }, 'Failed to rename waypoint');
+
+  const handleDelete = waypoint =>
+    Alert.alert('Delete Waypoint', `Delete "${waypoint.name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => run(() => NavigationService.deleteWaypoint(waypoint.id), 'Failed to delete waypoint'),
+      },
+    ]);
+
+  const handleNavigate = waypoint =>
+    run(async () => {
+      await NavigationService.startGuidance(waypoint.id);
+      onClose();
+    }, 'Failed to start guidance');
+
+  const renderWaypoint = waypoint => {
+    if (editing && editing.id === waypoint.id) {
+      return (
+        <View key={waypoint.id} style={styles.row}>
+          <TextInput
+            style={[styles.input, styles.rowName]}
+            value={editing.name}
+            onChangeText={name => setEditing({ ...editing, name })}
+            onSubmitEditing={handleRename}
+            autoFocus
+          />
+          <TouchableOpacity style={styles.smallButton} onPress={handleRename}>
+            <Text style={styles.buttonText}>Save</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.smallButton} onPress={() => setEditing(null)}>
+            <Text style={styles.buttonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    const [x, y, z] = waypoint.position;
+    return (
+      <View key={waypoint.id} style={styles.row}>
+        <View style={styles.rowName}>
+          <Text style={styles.nameText}>{waypoint.name}</Text>
+          <Text style={styles.detailText}>
+            ({x.toFixed(1)}, {y.toFixed(1)}, {z.toFixed(1)})
+          </Text>
+        </View>
+        <TouchableOpacity style={[styles.smallButton, styles.goButton]} onPress={() => handleNavigate(waypoint)}>
+          <Text style={styles.buttonText}>Go</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.smallButton}
+          onPress={() => setEditing({ id: waypoint.id, name: waypoint.name })}
+        >
+          <Text style={styles.buttonText}>Rename</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.smallButton, styles.deleteButton]} onPress={() => handleDelete(waypoint)}>
+          <Text style={styles.buttonText}>Delete</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Waypoints</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.closeText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.rowName]}
+          placeholder="Name (optional)"
+          placeholderTextColor="#888"
+          value={newName}
+          onChangeText={setNewName}
+          onSubmitEditing={handleDrop}
+        />
+        <TouchableOpacity style={[styles.smallButton, styles.goButton]} onPress={handleDrop}>
+          <Text style={styles.buttonText}>Drop Here</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.list}>
+        {waypoints.length === 0 ? (
+          <Text style={styles.detailText}>No waypoints yet</Text>
+        ) : (
+          waypoints.map(renderWaypoint)
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+/**
+ * Current guidance towards the target waypoint
+ * Shows an arrow pointing at the target relative to the current heading.
+ */
+export const GuidanceBanner = () => {
+  const [guidance, setGuidance] = useState(NavigationService.getGuidance());
+
+  useEffect(() => NavigationService.addGuidanceListener(setGuidance), []);
+
+  if (!guidance) {
+    return null;
+  }
+
+  const stop = () => {
+    NavigationService.stopGuidance();
+    setGuidance(null);
+  };
+
+  // Screen rotation is clockwise, relative bearings are counter-clockwise
+  const arrowDegrees = (-guidance.relativeBearing * 180) / Math.PI;
+
+  return (
+    <View style={styles.banner}>
+      {!guidance.arrived && (
+        <Text style={[styles.arrow, { transform: [{ rotate: `${arrowDegrees}deg` }] }]}>↑</Text>
+      )}
+      <View style={styles.rowName}>
+        <Text style={styles.nameText}>{guidance.waypoint.name}</Text>
+        <Text style={styles.detailText}>
+          {INSTRUCTION_LABELS[guidance.instruction]} · {guidance.distance.toFixed(1)} m
+          {Math.abs(guidance.verticalDistance) > 2
+            ? ` · ${guidance.verticalDistance > 0 ? 'up' : 'down'} ${Math.abs(guidance.verticalDistance).toFixed(1)} m`
+            : ''}
+        </Text>
+      </View>
+      <TouchableOpacity style={[styles.smallButton, styles.deleteButton]} onPress={stop}>
+        <Text style={styles.buttonText}>{guidance.arrived ? 'Done' : 'Stop'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    borderRadius: 10,
+    padding: 15,
+    maxHeight: 400,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  closeText: {
+    color: '#fff',
+    fontSize: 18,
+  },
+  list: {
+    marginTop: 5,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  rowName: {
+    flex: 1,
+    marginRight: 5,
+  },
+  input: {
+    color: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.5)',
+    paddingVertical: 4,
+  },
+  nameText: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  detailText: {
+    color: '#aaa',
+    fontSize: 11,
+    fontFamily: 'monospace',
+  },
+  smallButton: {
+    backgroundColor: '#607D8B',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    marginLeft: 4,
+  },
+  goButton: {
+    backgroundColor: '#2196F3',
+  },
+  deleteButton: {
+    backgroundColor: '#F44336',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    borderRadius: 10,
+    padding: 10,
+  },
+  arrow: {
+    color: '#FFEB3B',
+    fontSize: 32,
+    fontWeight: 'bold',
+    width: 40,
+    textAlign: 'center',
+  },
+});
+
+export default WaypointPanel;
@@ -0,0 +1,66 @@
+import { conjugate, rotateVector } from '../utils/quaternion';
+
+const DEFAULT_OPTIONS = {
+  kp: 1.0, // proportional gain, rad/s per unit of tilt error
+  ki: 0.0, // integral gain, leave at 0 when biases are estimated elsewhere
+  gravity: 9.81, // m/s^2
+  accelTolerance: 0.1, // fraction of g the accel norm may deviate before the sample is ignored
+};
+
+/**
+ * Mahony complementary filter for tilt correction
+ *
+ * Compares the gravity direction measured by the accelerometer with the one
+ * predicted by the current orientation and returns an angular rate
+ * correction that is added to the gyroscope reading before integration.
+ * Samples taken while the device is accelerating are ignored, since the
+ * accelerometer then no longer points along gravity.
+ */
+class AttitudeFilter {
+  /**
+   * @param {Object} options - Filter gains and gating tolerance
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.integral = [0, 0, 0];
+  }
+
+  /**
+   * Clear the integral term
+   */
+  reset() {
+    this.integral = [0, 0, 0];
+  }
+
+  /**
+   * Compute the angular rate correction for one accelerometer sample
+   * @param {number[]} orientation - Current body-to-world quaternion [qx, qy, qz, qw]
+   * @param {number[]} accel - Bias-corrected specific force in body frame (m/s^2)
+   * @param {number} dt - Sample interval (s)
+   * @returns {number[]} Correction in rad/s, body frame
+   */
+  getCorrection(orientation, accel, dt) {
+    const { kp, ki, gravity, accelTolerance } = this.options;
+    const norm = Math.hypot(accel[0], accel[1], accel[2]);
+    if (Math.abs(norm - gravity) > accelTolerance * gravity) {
+      return [0, 0, 0];
+    }
+
+    // Measured and predicted "up" direction in body frame
+    const measured = accel.map(c => c / norm);
+    const predicted = rotateVector(conjugate(orientation), [0, 0, 1]);
+    const error = [
+      measured[1] * predicted[2] - measured[2] * predicted[1],
+      measured[2] * predicted[0] - measured[0] * predicted[2],
+      measured[0] * predicted[1] - measured[1] * predicted[0],
+    ];
+
+    if (ki > 0 && dt > 0) {
+      this.integral = this.integral.map((v, i) => v + ki * error[i] * dt);
+    }
+
+    return error.map((e, i) => kp * e + this.integral[i]);
+  }
+}
+
+export default AttitudeFilter;
@@ -0,0 +1,69 @@
+const DEFAULT_OPTIONS = {
+  smoothing: 0.1, // low-pass factor for altitude, 0..1
+  floorHeight: 3.0, // m between floors
+  floorHysteresis: 0.3, // fraction of a floor beyond the midpoint needed to switch
+};
+
+/**
+ * Convert pressure to altitude with the international barometric formula
+ * @param {number} pressure - hPa
+ * @param {number} referencePressure - hPa at altitude 0
+ * @returns {number} Altitude in meters relative to the reference
+ */
+export const pressureToAltitude = (pressure, referencePressure) =>
+  44330 * (1 - Math.pow(pressure / referencePressure, 1 / 5.255));
+
+/**
+ * Relative altitude and floor-change detection from barometric pressure
+ *
+ * The first sample after a reset becomes the reference, so altitude and
+ * floor are relative to where tracking started. Floor changes use
+ * hysteresis so that pressure noise near a floor boundary does not toggle.
+ */
+class BarometricAltimeter {
+  /**
+   * @param {Object} options - Smoothing and floor geometry
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Forget the reference pressure
+   */
+  reset() {
+    this.referencePressure = null;
+    this.altitude = 0;
+    this.floor = 0;
+  }
+
+  /**
+   * Process one pressure sample
+   * @param {number} pressure - hPa
+   * @returns {{altitude: number, floor: number, floorChange: number}}
+   *   floorChange is the number of floors moved by this sample (0 if none)
+   */
+  update(pressure) {
+    if (this.referencePressure === null) {
+      this.referencePressure = pressure;
+    }
+
+    const { smoothing, floorHeight, floorHysteresis } = this.options;
+    const raw = pressureToAltitude(pressure, this.referencePressure);
+    this.altitude += smoothing * (raw - this.altitude);
+
+    // Switch floors only once clearly past the midpoint between two floors
+    const level = this.altitude / floorHeight;
+    let floorChange = 0;
+    if (Math.abs(level - this.floor) > 0.5 + floorHysteresis) {
+      const newFloor = Math.round(level);
+      floorChange = newFloor - this.floor;
+      this.floor = newFloor;
+    }
+
+    return { altitude: this.altitude, floor: this.floor, floorChange };
+  }
+}
+
+export default BarometricAltimeter;
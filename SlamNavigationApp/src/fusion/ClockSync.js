@@ -0,0 +1,202 @@
+import { estimateTimeOffset } from '../utils/timeSync';
+
+/**
+ * Clocks timestamps come from
+ */
+export const ClockSource = {
+  IMU: 'imu', // sensor events, epoch ms as react-native-sensors reports them
+  CAMERA: 'camera', // frames and SLAM poses, seconds on the camera clock
+  HOST: 'host', // Date.now(), epoch ms
+};
+
+const DEFAULT_OPTIONS = {
+  clockOffset: 0, // ms, epoch minus the monotonic clock, see SlamService.getClockOffset()
+  cameraImuOffset: 0, // ms added to camera timestamps until an estimate is available
+  estimateWindow: 10000, // ms of gyro and camera data an estimate looks at
+  estimateInterval: 2000, // ms of camera data between estimates
+  minCorrelation: 0.8, // correlation of camera and gyro rotation rates needed to accept an estimate
+  smoothing: 0.3, // weight of a new estimate in the applied offset
+  estimator: {}, // estimateTimeOffset() options
+};
+
+/**
+ * One timebase for camera, IMU and host timestamps
+ *
+ * The timebase is the monotonic clock native SLAM runs on (elapsedRealtime),
+ * in milliseconds. Sensor events and Date.now() carry epoch milliseconds and
+ * move over by the clock offset. Camera frames carry seconds on a clock that
+ * should be the same, but frames are stamped at some point of exposure and
+ * readout, and some devices use an unspecified timestamp source, so the
+ * camera-IMU offset is estimated by correlating the rotation rate SLAM sees
+ * with the gyro. Live samples go through stamp(), which never lets a
+ * source's time run backwards.
+ */
+class ClockSync {
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.clockOffset = this.options.clockOffset;
+    this.reset();
+  }
+
+  /**
+   * Forget the samples and the offset estimate, keeping the clock offset
+   */
+  reset() {
+    this.cameraImuOffset = this.options.cameraImuOffset;
+    this.estimate = null;
+    this.gyroSamples = [];
+    this.cameraOrientations = [];
+    this.lastEstimateTime = null;
+    this.lastStamps = {};
+  }
+
+  /**
+   * Set the offset between the epoch and the monotonic clock
+   * Gyro samples taken with the old offset are dropped.
+   * @param {number} clockOffset - ms, see SlamService.getClockOffset()
+   */
+  setClockOffset(clockOffset) {
+    this.clockOffset = clockOffset;
+    this.gyroSamples = [];
+    this.lastStamps = {};
+  }
+
+  /**
+   * Convert a source timestamp into the timebase
+   * @param {string} source - ClockSource value
+   * @param {number} timestamp - In the source's unit
+   * @returns {number} ms
+   */
+  toSyncTime(source, timestamp) {
+    switch (source) {
+      case ClockSource.CAMERA:
+        return timestamp * 1000 + this.cameraImuOffset;
+      case ClockSource.IMU:
+      case ClockSource.HOST:
+        return timestamp - this.clockOffset;
+      default:
+        throw new Error(`Unknown clock source: ${source}`);
+    }
+  }
+
+  /**
+   * Convert a time in the timebase back into a source's clock
+   * @param {string} source - ClockSource value
+   * @param {number} syncTime - ms
+   * @returns {number} In the source's unit
+   */
+  fromSyncTime(source, syncTime) {
+    switch (source) {
+      case ClockSource.CAMERA:
+        return (syncTime - this.cameraImuOffset) / 1000;
+      case ClockSource.IMU:
+      case ClockSource.HOST:
+        return syncTime + this.clockOffset;
+      default:
+        throw new Error(`Unknown clock source: ${source}`);
+    }
+  }
+
+  /**
+   * Convert the timestamp of a live sample, never going back in time
+   * A source whose clock steps back (a wall clock adjustment, jitter in how
+   * the timestamp was derived) gets its last time again.
+   * @param {string} source - ClockSource value
+   * @param {number} timestamp - In the source's unit
+   * @returns {number} ms
+   */
+  stamp(source, timestamp) {
+    const syncTime = this.toSyncTime(source, timestamp);
+    const last = this.lastStamps[source];
+    const stamped = last !== undefined && syncTime < last ? last : syncTime;
+    this.lastStamps[source] = stamped;
+    return stamped;
+  }
+
+  /**
+   * Add a gyro sample for the camera-IMU offset estimate
+   * @param {number} timestamp - IMU clock, epoch ms
+   * @param {number[]} gyro - rad/s
+   */
+  addGyroSample(timestamp, gyro) {
+    this.gyroSamples.push({ timestamp: this.stamp(ClockSource.IMU, timestamp), gyro: [...gyro] });
+    this.trim(this.gyroSamples);
+  }
+
+  /**
+   * Add a camera orientation from a tracked frame, estimating the
+   * camera-IMU offset again once enough new data has come in
+   * @param {number} timestamp - Camera clock, seconds
+   * @param {number[]} orientation - [qx, qy, qz, qw]
+   * @returns {Object|null} The new estimate if one was accepted, see getCameraImuOffset()
+   */
+  addCameraOrientation(timestamp, orientation) {
+    const cameraTime = timestamp * 1000;
+    const orientations = this.cameraOrientations;
+    if (orientations.length && cameraTime <= orientations[orientations.length - 1].timestamp) {
+      return null;
+    }
+    orientations.push({ timestamp: cameraTime, orientation: [...orientation] });
+    this.trim(orientations);
+
+    if (this.lastEstimateTime === null) {
+      this.lastEstimateTime = cameraTime;
+    }
+    if (cameraTime - this.lastEstimateTime < this.options.estimateInterval) {
+      return null;
+    }
+    this.lastEstimateTime = cameraTime;
+    return this.estimateCameraImuOffset();
+  }
+
+  /**
+   * Estimate the camera-IMU offset from the samples held
+   * Accepted estimates move the applied offset by the smoothing weight; the
+   * first one is applied as is.
+   * @returns {Object|null} The new estimate, null if there was too little motion or agreement
+   */
+  estimateCameraImuOffset() {
+    const { minCorrelation, smoothing, estimator } = this.options;
+    // Gyro samples are held in the timebase and camera orientations on the raw
+    // camera clock, so the offset found is the one toSyncTime() adds
+    const result = estimateTimeOffset(this.gyroSamples, this.cameraOrientations, estimator);
+    if (!result || result.correlation < minCorrelation) {
+      return null;
+    }
+
+    this.cameraImuOffset = this.estimate
+      ? this.cameraImuOffset + smoothing * (result.offset - this.cameraImuOffset)
+      : result.offset;
+    this.estimate = result;
+    return this.getCameraImuOffset();
+  }
+
+  /**
+   * Current camera-IMU offset
+   * @returns {Object} { offset (ms added to camera timestamps), estimated, correlation, samples }
+   */
+  getCameraImuOffset() {
+    return {
+      offset: this.cameraImuOffset,
+      estimated: this.estimate !== null,
+      correlation: this.estimate ? this.estimate.correlation : null,
+      samples: this.estimate ? this.estimate.samples : 0,
+    };
+  }
+
+  /**
+   * Drop samples older than the estimate window
+   * @private
+   */
+  trim(samples) {
+    const oldest = samples[samples.length - 1].timestamp - this.options.estimateWindow;
+    while (samples.length && samples[0].timestamp < oldest) {
+      samples.shift();
+    }
+  }
+}
+
+export default ClockSync;
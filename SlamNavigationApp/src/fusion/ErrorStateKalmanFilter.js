@@ -0,0 +1,264 @@
+import * as M from '../utils/matrix';
+import * as Q from '../utils/quaternion';
+
+// Error-state layout: [δp, δv, δθ, δba, δbg], three components each
+const P_IDX = 0;
+const V_IDX = 3;
+const THETA_IDX = 6;
+const BA_IDX = 9;
+const BG_IDX = 12;
+const STATE_SIZE = 15;
+
+const DEFAULT_OPTIONS = {
+  gravity: 9.81, // m/s^2, world z axis points up
+  accelNoise: 0.1, // m/s^2/√Hz
+  gyroNoise: 0.01, // rad/s/√Hz
+  accelBiasWalk: 0.001, // m/s^3/√Hz
+  gyroBiasWalk: 0.0001, // rad/s^2/√Hz
+  initialPositionStd: 0.01, // m
+  initialVelocityStd: 0.01, // m/s
+  initialOrientationStd: 0.05, // rad
+  initialAccelBiasStd: 0.1, // m/s^2
+  initialGyroBiasStd: 0.01, // rad/s
+};
+
+const add3 = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const scale3 = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+
+/**
+ * Error-state Kalman filter for IMU / visual pose fusion
+ *
+ * The nominal state (position, velocity, orientation quaternion and IMU
+ * biases) is propagated with raw IMU samples, while a 15-dimensional error
+ * state carries the uncertainty. Pose measurements from SLAM correct the
+ * error state, which is then injected back into the nominal state.
+ * See J. Solà, "Quaternion kinematics for the error-state Kalman filter".
+ */
+class ErrorStateKalmanFilter {
+  /**
+   * @param {Object} options - Noise densities and initial uncertainties
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.gravity = [0, 0, -this.options.gravity];
+    this.reset();
+  }
+
+  /**
+   * Reset nominal state and covariance to their initial values
+   * @param {Object} state - Optional initial nominal state
+   */
+  reset(state = {}) {
+    const {
+      position = [0, 0, 0],
+      velocity = [0, 0, 0],
+      orientation = Q.identity(),
+      accelBias = [0, 0, 0],
+      gyroBias = [0, 0, 0],
+    } = state;
+
+    this.position = position.slice();
+    this.velocity = velocity.slice();
+    this.orientation = Q.normalize(orientation);
+    this.accelBias = accelBias.slice();
+    this.gyroBias = gyroBias.slice();
+
+    const o = this.options;
+    const variances = [
+      ...new Array(3).fill(o.initialPositionStd ** 2),
+      ...new Array(3).fill(o.initialVelocityStd ** 2),
+      ...new Array(3).fill(o.initialOrientationStd ** 2),
+      ...new Array(3).fill(o.initialAccelBiasStd ** 2),
+      ...new Array(3).fill(o.initialGyroBiasStd ** 2),
+    ];
+    this.covariance = M.diag(variances);
+  }
+
+  /**
+   * Overwrite the IMU bias estimates, e.g. after a stationary calibration
+   * @param {number[]} accelBias
+   * @param {number[]} gyroBias
+   */
+  setBiases(accelBias, gyroBias) {
+    this.accelBias = accelBias.slice();
+    this.gyroBias = gyroBias.slice();
+  }
+
+  /**
+   * Overwrite the orientation estimate, e.g. from an initial gravity alignment
+   * @param {number[]} orientation - [qx, qy, qz, qw]
+   */
+  setOrientation(orientation) {
+    this.orientation = Q.normalize(orientation);
+  }
+
+  /**
+   * Propagate the filter with one IMU sample
+   * @param {number[]} accel - Specific force in body frame (m/s^2)
+   * @param {number[]} gyro - Angular rate in body frame (rad/s)
+   * @param {number} dt - Time since the previous sample (s)
+   */
+  predict(accel, gyro, dt) {
+    if (!(dt > 0)) {
+      return;
+    }
+
+    const a = sub3(accel, this.accelBias);
+    const w = sub3(gyro, this.gyroBias);
+
+    // Nominal state kinematics; the accelerometer sample closes the
+    // interval, so it is rotated with the orientation at that time
+    const dq = Q.fromRotationVector(scale3(w, dt));
+    this.orientation = Q.normalize(Q.multiply(this.orientation, dq));
+    const R = Q.toRotationMatrix(this.orientation);
+    const worldAccel = add3(M.multiplyVector(R, a), this.gravity);
+    this.position = add3(
+      this.position,
+      add3(scale3(this.velocity, dt), scale3(worldAccel, 0.5 * dt * dt))
+    );
+    this.velocity = add3(this.velocity, scale3(worldAccel, dt));
+
+    // Error-state transition matrix
+    const F = M.identity(STATE_SIZE);
+    const I3dt = M.scale(M.identity(3), dt);
+    M.setBlock(F, P_IDX, V_IDX, I3dt);
+    M.setBlock(F, V_IDX, THETA_IDX, M.scale(M.multiply(R, M.skew(a)), -dt));
+    M.setBlock(F, V_IDX, BA_IDX, M.scale(R, -dt));
+    M.setBlock(F, THETA_IDX, THETA_IDX, M.transpose(Q.toRotationMatrix(dq)));
+    M.setBlock(F, THETA_IDX, BG_IDX, M.scale(I3dt, -1));
+
+    // Process noise for velocity, attitude and bias random walks
+    const o = this.options;
+    const noise = [
+      0, 0, 0,
+      ...new Array(3).fill((o.accelNoise * dt) ** 2),
+      ...new Array(3).fill((o.gyroNoise * dt) ** 2),
+      ...new Array(3).fill(o.accelBiasWalk ** 2 * dt),
+      ...new Array(3).fill(o.gyroBiasWalk ** 2 * dt),
+    ];
+
+    this.covariance = M.symmetrize(
+      M.add(M.multiply(M.multiply(F, this.covariance), M.transpose(F)), M.diag(noise))
+    );
+  }
+
+  /**
+   * Correct the filter with an absolute pose measurement
+   * @param {number[]} position - Measured position [x, y, z]
+   * @param {number[]|null} orientation - Measured [qx, qy, qz, qw], or null for position only
+   * @param {number[][]} noise - Measurement covariance, 3x3 (position) or 6x6 (position, orientation)
+   * @returns {number} Normalized innovation squared, useful for outlier gating
+   */
+  updatePose(position, orientation, noise) {
+    const withOrientation = Array.isArray(orientation);
+    const m = withOrientation ? 6 : 3;
+
+    const residual = sub3(position, this.position);
+    if (withOrientation) {
+      // Small-angle rotation taking the estimate onto the measurement
+      const dq = Q.multiply(Q.conjugate(this.orientation), Q.normalize(orientation));
+      residual.push(...Q.toRotationVector(dq));
+    }
+
+    const H = M.zeros(m, STATE_SIZE);
+    M.setBlock(H, 0, P_IDX, M.identity(3));
+    if (withOrientation) {
+      M.setBlock(H, 3, THETA_IDX, M.identity(3));
+    }
+
+    return this.update(H, residual, noise);
+  }
+
+  /**
+   * Correct the height with an altitude measurement, e.g. from a barometer
+   * @param {number} altitude - Measured z in the filter's world frame (m)
+   * @param {number} variance - Measurement variance (m^2)
+   * @returns {number} Normalized innovation squared
+   */
+  updateAltitude(altitude, variance) {
+    const H = M.zeros(1, STATE_SIZE);
+    H[0][P_IDX + 2] = 1;
+    return this.update(H, [altitude - this.position[2]], [[variance]]);
+  }
+
+  /**
+   * Correct the yaw with an observed heading error, e.g. from a compass
+   * @param {number} yawError - Measured minus estimated yaw about world z (rad)
+   * @param {number} variance - Measurement variance (rad^2)
+   * @returns {number} Normalized innovation squared
+   */
+  updateYaw(yawError, variance) {
+    // A body-frame error δθ turns the yaw by (world z in body frame) · δθ
+    const R = Q.toRotationMatrix(this.orientation);
+    const H = M.zeros(1, STATE_SIZE);
+    M.setBlock(H, 0, THETA_IDX, [R[2]]);
+    return this.update(H, [yawError], [[variance]]);
+  }
+
+  /**
+   * Generic linear measurement update on the error state
+   * @private
+   */
+  update(H, residual, noise) {
+    const Ht = M.transpose(H);
+    const PHt = M.multiply(this.covariance, Ht);
+    const S = M.add(M.multiply(H, PHt), noise);
+    const Sinv = M.inverse(S);
+    const K = M.multiply(PHt, Sinv);
+
+    const dx = M.multiplyVector(K, residual);
+    this.inject(dx);
+
+    // Joseph form keeps the covariance positive definite
+    const IKH = M.subtract(M.identity(STATE_SIZE), M.multiply(K, H));
+    this.covariance = M.symmetrize(
+      M.add(
+        M.multiply(M.multiply(IKH, this.covariance), M.transpose(IKH)),
+        M.multiply(M.multiply(K, noise), M.transpose(K))
+      )
+    );
+
+    const r = [residual];
+    return M.multiply(M.multiply(r, Sinv), M.transpose(r))[0][0];
+  }
+
+  /**
+   * Fold an estimated error state into the nominal state
+   * @private
+   */
+  inject(dx) {
+    this.position = add3(this.position, dx.slice(P_IDX, P_IDX + 3));
+    this.velocity = add3(this.velocity, dx.slice(V_IDX, V_IDX + 3));
+    this.orientation = Q.normalize(
+      Q.multiply(this.orientation, Q.fromRotationVector(dx.slice(THETA_IDX, THETA_IDX + 3)))
+    );
+    this.accelBias = add3(this.accelBias, dx.slice(BA_IDX, BA_IDX + 3));
+    this.gyroBias = add3(this.gyroBias, dx.slice(BG_IDX, BG_IDX + 3));
+  }
+
+  /**
+   * Get a copy of the nominal state and covariance
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      position: this.position.slice(),
+      velocity: this.velocity.slice(),
+      orientation: this.orientation.slice(),
+      accelBias: this.accelBias.slice(),
+      gyroBias: this.gyroBias.slice(),
+      covariance: M.clone(this.covariance),
+    };
+  }
+
+  /**
+   * 3x3 covariance block of the position error
+   * @returns {number[][]}
+   */
+  getPositionCovariance() {
+    return M.getBlock(this.covariance, P_IDX, P_IDX, 3, 3);
+  }
+}
+
+export default ErrorStateKalmanFilter;
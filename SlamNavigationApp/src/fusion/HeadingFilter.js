@@ -0,0 +1,84 @@
+import { rotateVector } from '../utils/quaternion';
+
+const DEFAULT_OPTIONS = {
+  magneticGain: 0.05, // 1/s, how fast the compass pulls the gyro heading
+};
+
+/**
+ * Wrap an angle to (-π, π]
+ * @param {number} angle - Radians
+ * @returns {number}
+ */
+export const wrapAngle = angle => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+/**
+ * Walking direction of a handheld phone in the world frame
+ * Uses the top edge (+y) when the phone is held flat and the back camera
+ * direction (-z) when it is held upright, whichever lies closer to horizontal.
+ * @param {number[]} orientation - Body-to-world quaternion [qx, qy, qz, qw]
+ * @returns {number} Yaw in radians, counter-clockwise from world +x
+ */
+export const forwardYaw = orientation => {
+  const top = rotateVector(orientation, [0, 1, 0]);
+  const back = rotateVector(orientation, [0, 0, -1]);
+  const forward = Math.hypot(top[0], top[1]) >= Math.hypot(back[0], back[1]) ? top : back;
+  return Math.atan2(forward[1], forward[0]);
+};
+
+/**
+ * Complementary heading filter
+ *
+ * Follows the gyro-integrated yaw at high frequency and, when magnetometer
+ * data is available, slowly pulls it towards the compass heading. With the
+ * compass the output is referenced to east (x) / north (y); without it the
+ * output stays in the dead reckoning world frame.
+ */
+class HeadingFilter {
+  /**
+   * @param {Object} options - Filter gain
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Forget the compass offset
+   */
+  reset() {
+    this.offset = 0;
+    this.hasMagnetic = false;
+    this.heading = 0;
+  }
+
+  /**
+   * Update the heading
+   * @param {number[]} orientation - Body-to-world quaternion from the gyro/accel filter
+   * @param {number[]|null} magneticField - Calibrated magnetometer reading in body frame, or null
+   * @param {number} dt - Time since the previous update (s)
+   * @returns {number} Heading in radians
+   */
+  update(orientation, magneticField, dt) {
+    const gyroYaw = forwardYaw(orientation);
+
+    if (magneticField) {
+      // Magnetic north in the world frame; the offset maps it onto +y
+      const m = rotateVector(orientation, magneticField);
+      if (Math.hypot(m[0], m[1]) > 0) {
+        const target = wrapAngle(Math.PI / 2 - Math.atan2(m[1], m[0]));
+        if (!this.hasMagnetic) {
+          this.offset = target;
+          this.hasMagnetic = true;
+        } else {
+          const gain = Math.min(1, this.options.magneticGain * dt);
+          this.offset = wrapAngle(this.offset + gain * wrapAngle(target - this.offset));
+        }
+      }
+    }
+
+    this.heading = wrapAngle(gyroYaw + this.offset);
+    return this.heading;
+  }
+}
+
+export default HeadingFilter;
@@ -0,0 +1,100 @@
+import { inverse, multiplyVector } from '../utils/matrix';
+
+/**
+ * Identity calibration, leaves readings untouched
+ * @returns {{offset: number[], scale: number[], fieldStrength: number|null}}
+ */
+export const identityCalibration = () => ({
+  offset: [0, 0, 0],
+  scale: [1, 1, 1],
+  fieldStrength: null,
+});
+
+/**
+ * Min/max calibration, used when the ellipsoid fit is ill-conditioned
+ * @private
+ */
+const fitMinMax = samples => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  samples.forEach(s => {
+    for (let i = 0; i < 3; i++) {
+      min[i] = Math.min(min[i], s[i]);
+      max[i] = Math.max(max[i], s[i]);
+    }
+  });
+  const offset = min.map((m, i) => (m + max[i]) / 2);
+  const radii = min.map((m, i) => (max[i] - m) / 2);
+  return { offset, radii };
+};
+
+/**
+ * Axis-aligned ellipsoid fit a x² + b y² + c z² + d x + e y + f z = 1
+ * @private
+ */
+const fitEllipsoid = samples => {
+  const ata = Array.from({ length: 6 }, () => new Array(6).fill(0));
+  const atb = new Array(6).fill(0);
+  samples.forEach(([x, y, z]) => {
+    const row = [x * x, y * y, z * z, x, y, z];
+    for (let i = 0; i < 6; i++) {
+      atb[i] += row[i];
+      for (let j = 0; j < 6; j++) {
+        ata[i][j] += row[i] * row[j];
+      }
+    }
+  });
+
+  const [a, b, c, d, e, f] = multiplyVector(inverse(ata), atb);
+  if (!(a > 0 && b > 0 && c > 0)) {
+    throw new Error('Samples do not describe an ellipsoid');
+  }
+
+  const offset = [-d / (2 * a), -e / (2 * b), -f / (2 * c)];
+  const g = 1 + a * offset[0] ** 2 + b * offset[1] ** 2 + c * offset[2] ** 2;
+  const radii = [Math.sqrt(g / a), Math.sqrt(g / b), Math.sqrt(g / c)];
+  return { offset, radii };
+};
+
+/**
+ * Compute hard-iron offset and soft-iron scale from readings taken while the
+ * phone is rotated through as many orientations as possible (figure-eight)
+ *
+ * Hard iron is the centre of the fitted ellipsoid, soft iron is approximated
+ * by per-axis scales that turn the ellipsoid back into a sphere whose radius
+ * is the mean field strength.
+ * @param {number[][]} samples - Raw magnetometer readings [x, y, z] (µT)
+ * @returns {{offset: number[], scale: number[], fieldStrength: number}}
+ */
+export const computeMagnetometerCalibration = samples => {
+  if (samples.length < 10) {
+    throw new Error('Not enough magnetometer samples for calibration');
+  }
+
+  let fit;
+  try {
+    fit = fitEllipsoid(samples);
+  } catch (error) {
+    fit = fitMinMax(samples);
+  }
+
+  const fieldStrength = (fit.radii[0] + fit.radii[1] + fit.radii[2]) / 3;
+  if (!(fieldStrength > 0)) {
+    throw new Error('Magnetometer samples do not cover enough orientations');
+  }
+
+  return {
+    offset: fit.offset,
+    scale: fit.radii.map(r => fieldStrength / r),
+    fieldStrength,
+  };
+};
+
+/**
+ * Apply a calibration to a raw reading
+ * @param {{offset: number[], scale: number[]}} calibration
+ * @param {number[]} reading - Raw [x, y, z]
+ * @returns {number[]} Calibrated [x, y, z]
+ */
+export const applyMagnetometerCalibration = ({ offset, scale }, reading) =>
+  reading.map((v, i) => (v - offset[i]) * scale[i]);
@@ -0,0 +1,129 @@
+import { interpolatePose } from '../utils/timeSync';
+
+const DEFAULT_OPTIONS = {
+  maxAge: 5000, // ms of history kept behind the newest pose
+  maxGap: 500, // ms, poses further apart are not interpolated across
+  maxExtrapolation: 200, // ms a query may lie past the newest pose
+};
+
+/**
+ * Recent poses, queryable at any time
+ *
+ * Poses are { timestamp (ms), position: [x, y, z], orientation: [qx, qy, qz, qw] }
+ * on one clock. A query between two poses interpolates (slerp for the
+ * orientation); a query shortly past the newest pose extrapolates at the
+ * velocity of the last two. Queries before the history or across a gap,
+ * e.g. while tracking was lost, have no answer.
+ */
+class PoseBuffer {
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.poses = [];
+  }
+
+  /**
+   * Forget all poses
+   */
+  clear() {
+    this.poses = [];
+  }
+
+  /**
+   * @returns {number} Poses held
+   */
+  size() {
+    return this.poses.length;
+  }
+
+  /**
+   * @returns {Object|null} Newest pose
+   */
+  latest() {
+    return this.poses.length ? this.poses[this.poses.length - 1] : null;
+  }
+
+  /**
+   * Add a pose, keeping the history in time order
+   * A pose with the timestamp of one already held replaces it.
+   * @param {Object} pose - { timestamp, position, orientation }
+   */
+  add({ timestamp, position, orientation }) {
+    const pose = { timestamp, position: [...position], orientation: [...orientation] };
+    const index = this.indexAfter(timestamp);
+
+    if (index > 0 && this.poses[index - 1].timestamp === timestamp) {
+      this.poses[index - 1] = pose;
+    } else {
+      this.poses.splice(index, 0, pose);
+    }
+
+    const oldest = this.latest().timestamp - this.options.maxAge;
+    while (this.poses.length > 2 && this.poses[0].timestamp < oldest) {
+      this.poses.shift();
+    }
+  }
+
+  /**
+   * Apply a function to every pose held, e.g. a correction of the whole history
+   * @param {Function} transform - Receives a pose and returns its replacement
+   */
+  transform(transform) {
+    this.poses = this.poses.map(pose => ({ ...transform(pose), timestamp: pose.timestamp }));
+  }
+
+  /**
+   * Pose at a time
+   * @param {number} timestamp - ms
+   * @returns {Object|null} { timestamp, position, orientation }, null outside what the history covers
+   */
+  at(timestamp) {
+    const { maxGap, maxExtrapolation } = this.options;
+    const count = this.poses.length;
+    if (count === 0 || timestamp < this.poses[0].timestamp) {
+      return null;
+    }
+
+    const newest = this.poses[count - 1];
+    if (timestamp >= newest.timestamp) {
+      if (timestamp === newest.timestamp) {
+        return { ...newest };
+      }
+      if (count < 2 || timestamp - newest.timestamp > maxExtrapolation) {
+        return null;
+      }
+      const previous = this.poses[count - 2];
+      return newest.timestamp - previous.timestamp <= maxGap ? interpolatePose(previous, newest, timestamp) : null;
+    }
+
+    const index = this.indexAfter(timestamp);
+    const before = this.poses[index - 1];
+    const after = this.poses[index];
+    if (before.timestamp === timestamp) {
+      return { ...before };
+    }
+    return after.timestamp - before.timestamp <= maxGap ? interpolatePose(before, after, timestamp) : null;
+  }
+
+  /**
+   * Index of the first pose later than a time
+   * @private
+   */
+  indexAfter(timestamp) {
+    let low = 0;
+    let high = this.poses.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (this.poses[middle].timestamp <= timestamp) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+}
+
+export default PoseBuffer;
@@ -0,0 +1,181 @@
+const DEFAULT_OPTIONS = {
+  segmentDuration: 1000, // ms of motion compared at a time
+  minSegmentDistance: 0.3, // m, segments with less metric motion (standing still) are skipped
+  windowSize: 30, // segments kept in the sliding window
+  outlierRatio: 2, // segments whose ratio is off the window median by more than this factor are ignored
+  minSegments: 5, // segments needed before the scale can converge
+  minDistance: 5, // m of metric motion needed before the scale can converge
+  convergedError: 0.05, // relative standard error at which the scale is converged
+  maxRelativeError: 0.25, // relative standard error at which confidence reaches 0
+  smoothing: 0.2, // weight of a new estimate in the applied scale once converged
+};
+
+/**
+ * Distance between two positions
+ * @private
+ */
+const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+
+/**
+ * Median of a list of numbers
+ * @private
+ */
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Metric scale of a monocular SLAM map
+ *
+ * Monocular SLAM positions are in arbitrary map units. The distance travelled
+ * according to SLAM is compared, segment by segment, with a metric distance
+ * from the IMU or from detected steps over the same time. The scale is the
+ * least-squares ratio over a sliding window of segments; its relative
+ * standard error gives the confidence. Once converged the applied scale
+ * follows new estimates smoothly, since a sudden change would move every
+ * metric position far from the origin.
+ */
+class ScaleEstimator {
+  /**
+   * @param {Object} options - Segmenting, window and convergence thresholds, see DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Forget all segments, e.g. for a new map
+   */
+  reset() {
+    this.segments = [];
+    this.segment = null;
+    this.last = null;
+    this.estimate = null;
+    this.scale = null;
+    this.converged = false;
+  }
+
+  /**
+   * Add a synchronized sample
+   * @param {Object} sample
+   * @param {number} sample.timestamp - ms
+   * @param {number[]|null} sample.slamPosition - [x, y, z] in map units, null while SLAM is not tracking
+   * @param {number} sample.metricDistance - Cumulative metric distance travelled (m)
+   * @returns {boolean} Whether a segment was completed and the estimate updated
+   */
+  addSample({ timestamp, slamPosition, metricDistance }) {
+    if (!slamPosition) {
+      // Tracking gaps break the comparison, start a new segment afterwards
+      this.segment = null;
+      this.last = null;
+      return false;
+    }
+
+    if (!this.last) {
+      this.last = { slamPosition, metricDistance };
+      this.segment = { start: timestamp, slam: 0, metric: 0 };
+      return false;
+    }
+
+    this.segment.slam += distance(this.last.slamPosition, slamPosition);
+    this.segment.metric += Math.max(0, metricDistance - this.last.metricDistance);
+    this.last = { slamPosition, metricDistance };
+
+    if (timestamp - this.segment.start < this.options.segmentDuration) {
+      return false;
+    }
+
+    const { slam, metric } = this.segment;
+    this.segment = { start: timestamp, slam: 0, metric: 0 };
+    return this.addSegment({ slam, metric });
+  }
+
+  /**
+   * Add a motion measured both ways, instead of sampling it with addSample()
+   * @param {Object} segment
+   * @param {number} segment.slam - Distance in map units
+   * @param {number} segment.metric - The same distance in meters
+   * @returns {boolean} Whether the estimate was updated
+   */
+  addSegment({ slam, metric }) {
+    if (metric < this.options.minSegmentDistance || slam <= 0) {
+      return false;
+    }
+
+    this.segments.push({ slam, metric });
+    if (this.segments.length > this.options.windowSize) {
+      this.segments.shift();
+    }
+    this.update();
+    return true;
+  }
+
+  /**
+   * Re-estimate the scale from the window
+   * @private
+   */
+  update() {
+    const { outlierRatio, minSegments, minDistance, convergedError, smoothing } = this.options;
+
+    const center = median(this.segments.map(s => s.metric / s.slam));
+    const inliers = this.segments.filter(s => {
+      const ratio = s.metric / s.slam;
+      return ratio <= center * outlierRatio && ratio >= center / outlierRatio;
+    });
+    if (inliers.length < 2) {
+      return;
+    }
+
+    // Least squares for metric = scale * slam
+    const scale =
+      inliers.reduce((sum, s) => sum + s.metric * s.slam, 0) / inliers.reduce((sum, s) => sum + s.slam * s.slam, 0);
+
+    const ratios = inliers.map(s => s.metric / s.slam);
+    const mean = ratios.reduce((sum, r) => sum + r, 0) / ratios.length;
+    const variance = ratios.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (ratios.length - 1);
+    const relativeError = Math.sqrt(variance / ratios.length) / mean;
+    const metricDistance = inliers.reduce((sum, s) => sum + s.metric, 0);
+
+    this.estimate = { scale, relativeError, segments: inliers.length, distance: metricDistance };
+
+    if (!this.converged) {
+      this.converged = inliers.length >= minSegments && metricDistance >= minDistance && relativeError <= convergedError;
+      this.scale = scale;
+    } else {
+      this.scale += smoothing * (scale - this.scale);
+    }
+  }
+
+  /**
+   * Confidence in the current scale
+   * @returns {number} 0 (unknown) to 1
+   */
+  getConfidence() {
+    if (!this.estimate) {
+      return 0;
+    }
+    return Math.max(0, Math.min(1, 1 - this.estimate.relativeError / this.options.maxRelativeError));
+  }
+
+  /**
+   * Current scale
+   * @returns {Object} { scale (m per map unit, null before the first estimate), confidence, converged,
+   *   relativeError, segments, distance (m of metric motion in the window) }
+   */
+  getState() {
+    const { relativeError = null, segments = 0, distance: metricDistance = 0 } = this.estimate || {};
+    return {
+      scale: this.scale,
+      confidence: this.getConfidence(),
+      converged: this.converged,
+      relativeError,
+      segments,
+      distance: metricDistance,
+    };
+  }
+}
+
+export default ScaleEstimator;
@@ -0,0 +1,93 @@
+const DEFAULT_OPTIONS = {
+  gravity: 9.81, // m/s^2
+  smoothing: 0.25, // low-pass factor for the acceleration magnitude, 0..1
+  peakThreshold: 1.0, // m/s^2 above gravity a peak must reach
+  minStepInterval: 250, // ms, faster than ~4 steps/s is treated as noise
+  maxStepInterval: 2000, // ms, longer gaps start a new walking bout
+  weinbergK: 0.48, // Weinberg constant for accelerations in m/s^2
+  stepLengthFactor: 1.0, // per-user calibration multiplier
+};
+
+/**
+ * Step detector for pedestrian dead reckoning
+ *
+ * Detects steps as peaks in the smoothed accelerometer magnitude and
+ * estimates each step's length with the Weinberg model
+ * L = K * (aMax - aMin)^(1/4), scaled by a per-user calibration factor.
+ */
+class StepDetector {
+  /**
+   * @param {Object} options - Detection thresholds and step length model
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Clear detection state
+   */
+  reset() {
+    this.filtered = null;
+    this.previous = null;
+    this.rising = false;
+    this.lastStepTime = null;
+    this.windowMin = Infinity;
+    this.windowMax = -Infinity;
+  }
+
+  /**
+   * Set the per-user step length multiplier
+   * @param {number} factor
+   */
+  setStepLengthFactor(factor) {
+    this.options.stepLengthFactor = factor;
+  }
+
+  /**
+   * Process one accelerometer sample
+   * @param {number[]} accel - Specific force in body frame (m/s^2)
+   * @param {number} timestamp - Sample time in milliseconds
+   * @returns {Object|null} Step { timestamp, length, rawLength, interval } or null
+   */
+  update(accel, timestamp) {
+    const { gravity, smoothing, peakThreshold, minStepInterval, maxStepInterval } = this.options;
+
+    const magnitude = Math.hypot(accel[0], accel[1], accel[2]) - gravity;
+    this.filtered = this.filtered === null
+      ? magnitude
+      : this.filtered + smoothing * (magnitude - this.filtered);
+
+    const value = this.filtered;
+    this.windowMin = Math.min(this.windowMin, value);
+    this.windowMax = Math.max(this.windowMax, value);
+
+    let step = null;
+    if (this.previous !== null) {
+      const wasRising = this.rising;
+      this.rising = value > this.previous;
+
+      // A peak is where the signal turns from rising to falling
+      const isPeak = wasRising && !this.rising && this.previous > peakThreshold;
+      const interval = this.lastStepTime === null ? Infinity : timestamp - this.lastStepTime;
+
+      if (isPeak && interval >= minStepInterval) {
+        const rawLength = this.options.weinbergK * Math.pow(this.windowMax - this.windowMin, 0.25);
+        step = {
+          timestamp,
+          rawLength,
+          length: rawLength * this.options.stepLengthFactor,
+          interval: interval > maxStepInterval ? null : interval,
+        };
+        this.lastStepTime = timestamp;
+        this.windowMin = value;
+        this.windowMax = value;
+      }
+    }
+
+    this.previous = value;
+    return step;
+  }
+}
+
+export default StepDetector;
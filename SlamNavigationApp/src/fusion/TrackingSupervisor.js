@@ -0,0 +1,360 @@
+import * as Q from '../utils/quaternion';
+import { DEFAULT_CAMERA_TO_BODY, bodyFromCamera, slamToNavigationRotation } from '../utils/slamFrame';
+
+/**
+ * Navigation states
+ */
+export const NavigationState = {
+  INITIALIZING: 'initializing', // SLAM has not tracked yet or its poses cannot be used yet, dead reckoning only
+  TRACKING: 'tracking', // SLAM poses drive the output
+  LOST: 'lost', // SLAM lost or stale, dead reckoning only while SLAM tries to relocalize by itself
+  RELOCALIZING: 'relocalizing', // the saved map was reloaded to relocalize in it
+  REINITIALIZING: 'reinitializing', // SLAM was reset and is building a fresh map
+  BLENDING: 'blending', // SLAM is back, the output is moving from dead reckoning to SLAM
+};
+
+/**
+ * Recovery actions requested by tick()
+ */
+export const RecoveryAction = {
+  RELOCALIZE: 'relocalize', // reload the saved map and relocalize in it
+  RESET: 'reset', // reset SLAM and start a fresh map
+};
+
+/**
+ * Output confidence
+ */
+export const Confidence = {
+  HIGH: 'high',
+  DEGRADED: 'degraded',
+};
+
+const DEFAULT_OPTIONS = {
+  staleTimeout: 1000, // ms without a SLAM frame before falling back to dead reckoning
+  minTrackingFrames: 3, // consecutive OK frames before SLAM is trusted again
+  relocalizeAfter: 5000, // ms lost before reloading the saved map, if one was loaded
+  resetAfter: 20000, // ms lost (including relocalizing) before resetting SLAM
+  reinitializeTimeout: 15000, // ms after a reset before resetting again
+  blendDuration: 2000, // ms over which the output moves back onto SLAM
+  cameraToBody: DEFAULT_CAMERA_TO_BODY, // camera-to-IMU rotation, see cameraToBodyFromTbc()
+};
+
+const DEAD_RECKONING_STATES = [
+  NavigationState.INITIALIZING,
+  NavigationState.LOST,
+  NavigationState.RELOCALIZING,
+  NavigationState.REINITIALIZING,
+];
+
+/**
+ * Apply a rotation-and-translation alignment from the SLAM world to the navigation frame
+ * @private
+ */
+const alignPosition = ({ rotation, translation }, position) =>
+  Q.rotateVector(rotation, position).map((c, i) => c + translation[i]);
+
+/**
+ * Decides when SLAM poses can be trusted and keeps the navigation output
+ * continuous when they cannot
+ *
+ * SLAM drives the output while it tracks. When it is lost or its frames stop,
+ * the output falls back to dead reckoning with degraded confidence, and
+ * recovery is escalated the longer the loss lasts: first SLAM relocalizes on
+ * its own, then the saved map is reloaded, then SLAM is reset for a fresh map.
+ * When SLAM comes back the output is blended from the dead reckoning position
+ * onto SLAM instead of jumping.
+ *
+ * The navigation frame is gravity-aligned with z up, like dead reckoning,
+ * while the SLAM world of monocular ORB-SLAM3 is the first camera frame. The
+ * rotation between them comes from the dead reckoning attitude when SLAM is
+ * first trusted (see slamFrame.js). The first map, like a reloaded one, is
+ * only levelled and keeps its origin and heading, so positions saved in it
+ * stay valid; a fresh map after a reset is also turned and moved onto the dead
+ * reckoning pose, since its origin and heading are arbitrary.
+ *
+ * Time is passed in by the caller (ms), the class has no timers or side effects.
+ */
+class TrackingSupervisor {
+  /**
+   * @param {Object} options - Timeouts and blending, see DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Start over, e.g. after SLAM and dead reckoning were both reset
+   */
+  reset() {
+    this.state = NavigationState.INITIALIZING;
+    this.stateSince = null;
+    this.lostSince = null;
+    this.lastFrameTime = null;
+    this.lastOkTime = null;
+    this.okStreak = 0;
+    this.slamPose = null;
+    this.alignment = null;
+    this.blend = null;
+    this.freshMap = false;
+    this.mapReloaded = false;
+  }
+
+  /**
+   * Move to a state
+   * @private
+   */
+  setState(state, now) {
+    if (state !== this.state) {
+      this.state = state;
+      this.stateSince = now;
+    }
+  }
+
+  /**
+   * Whether the output currently comes from dead reckoning
+   * @returns {boolean}
+   */
+  isDeadReckoning() {
+    return DEAD_RECKONING_STATES.includes(this.state);
+  }
+
+  /**
+   * Take a processed SLAM frame
+   * @param {Object} frame - { position, orientation, trackingState }; position is null while the
+   *   pose cannot be used, e.g. before the monocular scale is known, so only the state counts
+   * @param {Object} deadReckoning - Current dead reckoning pose { position: [x, y, z], orientation }
+   * @param {number} now - ms
+   * @returns {Object|null} The SLAM pose in the navigation frame when it should be
+   *   fused into dead reckoning, null while SLAM is not trusted; its orientation is
+   *   the IMU body's, like the dead reckoning orientation, rather than the camera's
+   */
+  handleFrame(frame, deadReckoning, now) {
+    this.lastFrameTime = now;
+
+    if (frame.trackingState !== 'OK') {
+      this.okStreak = 0;
+      // Losing SLAM before its poses were usable still needs recovering
+      const tracked = this.state === NavigationState.INITIALIZING && this.lastOkTime !== null;
+      if (!this.isDeadReckoning() || tracked) {
+        this.enterLost(now);
+      }
+      // A reset or a new map in the atlas starts over at NOT_INITIALIZED
+      if (frame.trackingState === 'NOT_INITIALIZED' && this.state !== NavigationState.INITIALIZING) {
+        this.freshMap = true;
+      }
+      return null;
+    }
+
+    this.okStreak++;
+    this.lastOkTime = now;
+
+    if (!frame.position) {
+      // Tracking, so not lost, but nothing to output yet
+      this.lostSince = null;
+      this.blend = null;
+      this.setState(NavigationState.INITIALIZING, now);
+      return null;
+    }
+
+    this.slamPose = { position: [...frame.position], orientation: [...frame.orientation] };
+
+    if (this.isDeadReckoning()) {
+      if (this.okStreak < this.options.minTrackingFrames) {
+        return null;
+      }
+      this.recover(deadReckoning, now);
+    }
+
+    return this.getSlamOutput(now);
+  }
+
+  /**
+   * Fall back to dead reckoning
+   * @private
+   */
+  enterLost(now) {
+    this.lostSince = now;
+    this.okStreak = 0;
+    this.blend = null;
+    this.freshMap = false;
+    this.mapReloaded = false;
+    this.setState(NavigationState.LOST, now);
+  }
+
+  /**
+   * SLAM is trusted again: align or blend from the dead reckoning pose
+   * @private
+   */
+  recover(deadReckoning, now) {
+    const { position, orientation } = this.slamPose;
+
+    const { cameraToBody } = this.options;
+
+    if (this.freshMap) {
+      // New origin: keep the navigation frame by aligning SLAM to dead reckoning
+      const rotation = slamToNavigationRotation(orientation, deadReckoning.orientation, cameraToBody);
+      const rotated = Q.rotateVector(rotation, position);
+      this.alignment = {
+        rotation,
+        translation: deadReckoning.position.map((c, i) => c - rotated[i]),
+      };
+      this.blend = null;
+      this.setState(NavigationState.TRACKING, now);
+    } else {
+      // Same map: SLAM is right and dead reckoning drifted, move over gradually.
+      // The first map and a reloaded map define the navigation frame.
+      if (this.state === NavigationState.INITIALIZING || this.mapReloaded || !this.alignment) {
+        this.alignment = {
+          rotation: slamToNavigationRotation(orientation, deadReckoning.orientation, cameraToBody, {
+            levelOnly: true,
+          }),
+          translation: [0, 0, 0],
+        };
+      }
+      const aligned = alignPosition(this.alignment, position);
+      this.blend = {
+        offset: deadReckoning.position.map((c, i) => c - aligned[i]),
+        start: now,
+      };
+      this.setState(NavigationState.BLENDING, now);
+    }
+
+    this.lostSince = null;
+    this.freshMap = false;
+    this.mapReloaded = false;
+  }
+
+  /**
+   * Latest SLAM pose in the navigation frame, including any blend offset
+   * @private
+   */
+  getSlamOutput(now) {
+    const { position, orientation } = this.toNavigationPose(this.slamPose);
+    if (this.blend) {
+      const remaining = Math.max(0, 1 - (now - this.blend.start) / this.options.blendDuration);
+      this.blend.offset.forEach((c, i) => {
+        position[i] += remaining * c;
+      });
+    }
+    return { position, orientation };
+  }
+
+  /**
+   * SLAM world position in the navigation frame, e.g. for map points
+   * @param {number[]} position - [x, y, z] in the SLAM world, in meters
+   * @returns {number[]|null} [x, y, z], null until SLAM has been aligned
+   */
+  toNavigation(position) {
+    return this.alignment ? alignPosition(this.alignment, position) : null;
+  }
+
+  /**
+   * SLAM pose in the navigation frame, without the blend offset of the output
+   * @param {Object} pose - { position, orientation } of the camera in the SLAM world, position in meters
+   * @returns {Object|null} { position, orientation } with the IMU body orientation, null until SLAM
+   *   has been aligned
+   */
+  toNavigationPose({ position, orientation }) {
+    if (!this.alignment) {
+      return null;
+    }
+    return {
+      position: alignPosition(this.alignment, position),
+      orientation: bodyFromCamera(Q.multiply(this.alignment.rotation, orientation), this.options.cameraToBody),
+    };
+  }
+
+  /**
+   * Advance timeouts
+   * @param {number} now - ms
+   * @returns {string|null} RecoveryAction to perform, see startRecovery()
+   */
+  tick(now) {
+    const { staleTimeout, relocalizeAfter, resetAfter, reinitializeTimeout, blendDuration } = this.options;
+
+    if (this.state === NavigationState.BLENDING && now - this.blend.start >= blendDuration) {
+      this.blend = null;
+      this.setState(NavigationState.TRACKING, now);
+    }
+
+    if (!this.isDeadReckoning()) {
+      if (now - this.lastOkTime > staleTimeout) {
+        this.enterLost(now);
+      }
+      return null;
+    }
+
+    // Recovery only helps while frames still arrive
+    const framesArriving = this.lastFrameTime !== null && now - this.lastFrameTime <= staleTimeout;
+    if (this.state === NavigationState.INITIALIZING || !framesArriving) {
+      return null;
+    }
+
+    const lostFor = now - this.lostSince;
+    switch (this.state) {
+      case NavigationState.LOST:
+        if (lostFor >= resetAfter) {
+          return RecoveryAction.RESET;
+        }
+        return lostFor >= relocalizeAfter ? RecoveryAction.RELOCALIZE : null;
+      case NavigationState.RELOCALIZING:
+        return lostFor >= resetAfter ? RecoveryAction.RESET : null;
+      case NavigationState.REINITIALIZING:
+        return now - this.stateSince >= reinitializeTimeout ? RecoveryAction.RESET : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Record that a recovery action was started
+   * @param {string} action - RecoveryAction value
+   * @param {number} now - ms
+   */
+  startRecovery(action, now) {
+    if (action === RecoveryAction.RELOCALIZE) {
+      this.mapReloaded = true;
+      this.setState(NavigationState.RELOCALIZING, now);
+    } else {
+      this.freshMap = true;
+      this.setState(NavigationState.REINITIALIZING, now);
+      // Also restarts the timeout when resetting again
+      this.stateSince = now;
+    }
+  }
+
+  /**
+   * Navigation output
+   * @param {Object} deadReckoning - Current dead reckoning pose { position: [x, y, z], orientation, heading }
+   * @param {number} now - ms
+   * @returns {Object} { position, orientation, heading, source: 'slam' | 'deadReckoning', state,
+   *   confidence, lostFor (ms, 0 while tracking) }; orientation is the IMU body's in the
+   *   navigation frame either way, heading always comes from dead reckoning
+   */
+  getOutput(deadReckoning, now) {
+    const lostFor = this.lostSince === null ? 0 : now - this.lostSince;
+    if (this.isDeadReckoning() || !this.slamPose) {
+      return {
+        position: [...deadReckoning.position],
+        orientation: [...deadReckoning.orientation],
+        heading: deadReckoning.heading,
+        source: 'deadReckoning',
+        state: this.state,
+        confidence: Confidence.DEGRADED,
+        lostFor,
+      };
+    }
+
+    return {
+      ...this.getSlamOutput(now),
+      heading: deadReckoning.heading,
+      source: 'slam',
+      state: this.state,
+      confidence: Confidence.HIGH,
+      lostFor,
+    };
+  }
+}
+
+export default TrackingSupervisor;
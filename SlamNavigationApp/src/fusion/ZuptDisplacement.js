@@ -0,0 +1,125 @@
+const DEFAULT_OPTIONS = {
+  accelThreshold: 0.3, // m/s^2 of linear acceleration below which the device may be at rest
+  gyroThreshold: 0.1, // rad/s below which the device may be at rest
+  minRestDuration: 300, // ms the device has to stay still to count as at rest
+  minMotionDuration: 300, // ms, shorter motions are jitter
+  maxMotionDuration: 4000, // ms, longer motions have drifted too far to use
+};
+
+const magnitude = v => Math.hypot(v[0], v[1], v[2]);
+
+/**
+ * Displacement from the IMU alone over a motion between two rests
+ *
+ * Integrating acceleration twice drifts by meters within seconds, but over a
+ * motion that starts and ends at rest the velocity is known to be zero at
+ * both ends (zero-velocity update, ZUPT). The velocity is integrated from zero
+ * when the device leaves a rest; whatever it holds when the device is at rest
+ * again is error, removed linearly over the motion before integrating the
+ * position. That cancels a constant acceleration bias, such as gravity leaking
+ * through a slightly wrong tilt, and leaves only noise, which still grows
+ * quickly with time, so long motions are dropped.
+ */
+class ZuptDisplacement {
+  /**
+   * @param {Object} options - Rest detection and motion length limits, see DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Forget the current rest and motion
+   */
+  reset() {
+    this.lastTimestamp = null;
+    this.stillSince = null;
+    this.resting = false;
+    this.motion = null;
+  }
+
+  /**
+   * Add an IMU sample
+   * @param {Object} sample
+   * @param {number} sample.timestamp - ms
+   * @param {number[]} sample.accel - World-frame acceleration with gravity removed (m/s^2)
+   * @param {number[]} sample.gyro - Angular rate (rad/s)
+   * @returns {Object|null} The motion a new rest just ended: { start, end (ms), displacement: [x, y, z] (m),
+   *   distance (m) }; null otherwise, or when the motion was too short or too long
+   */
+  update({ timestamp, accel, gyro }) {
+    const previous = this.lastTimestamp;
+    if (previous !== null && timestamp <= previous) {
+      return null;
+    }
+    this.lastTimestamp = timestamp;
+    const still = magnitude(accel) < this.options.accelThreshold && magnitude(gyro) < this.options.gyroThreshold;
+
+    if (this.motion) {
+      const dt = (timestamp - previous) / 1000;
+      this.motion.velocity = this.motion.velocity.map((v, i) => v + accel[i] * dt);
+      this.motion.samples.push({ timestamp, velocity: this.motion.velocity });
+    } else if (this.resting && !still) {
+      // Leaving a rest, from zero velocity at the last still sample
+      const dt = (timestamp - previous) / 1000;
+      const velocity = accel.map(a => a * dt);
+      this.resting = false;
+      this.motion = {
+        start: previous,
+        velocity,
+        samples: [
+          { timestamp: previous, velocity: [0, 0, 0] },
+          { timestamp, velocity },
+        ],
+      };
+    }
+
+    if (!still) {
+      this.stillSince = null;
+      return null;
+    }
+    if (this.stillSince === null) {
+      this.stillSince = timestamp;
+    }
+    if (this.resting || timestamp - this.stillSince < this.options.minRestDuration) {
+      return null;
+    }
+
+    this.resting = true;
+    const { motion } = this;
+    this.motion = null;
+    return motion ? this.finish(motion, this.stillSince) : null;
+  }
+
+  /**
+   * Remove the velocity error and integrate the position over a finished motion
+   * @private
+   */
+  finish({ start, samples }, end) {
+    const duration = end - start;
+    if (duration < this.options.minMotionDuration || duration > this.options.maxMotionDuration) {
+      return null;
+    }
+
+    const first = samples[0].timestamp;
+    const last = samples[samples.length - 1];
+    const span = last.timestamp - first;
+    const corrected = ({ timestamp, velocity }) =>
+      velocity.map((v, i) => v - (last.velocity[i] * (timestamp - first)) / span);
+
+    const displacement = [0, 0, 0];
+    for (let k = 1; k < samples.length; k++) {
+      const dt = (samples[k].timestamp - samples[k - 1].timestamp) / 1000;
+      const before = corrected(samples[k - 1]);
+      const after = corrected(samples[k]);
+      for (let i = 0; i < 3; i++) {
+        displacement[i] += ((before[i] + after[i]) / 2) * dt;
+      }
+    }
+
+    return { start, end, displacement, distance: magnitude(displacement) };
+  }
+}
+
+export default ZuptDisplacement;
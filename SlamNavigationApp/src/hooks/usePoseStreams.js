@@ -0,0 +1,51 @@
+import { useEffect, useState } from 'react';
+import SlamService from '../services/SlamService';
+import { drState$, fusedPose$, pose$, select, trackingState$ } from '../services/PoseStreams';
+
+/**
+ * Latest value of a stream, re-rendering at most at the rate asked for
+ * A `distinct` comparator should be defined outside the component, since a
+ * new function on every render subscribes again.
+ * @param {Observable} stream$ - See PoseStreams.js
+ * @param {Object} options - { hz, throttle, sample, distinct }, see limitRate()
+ * @param {*} initialValue - Returned until the stream emits
+ * @returns {*}
+ */
+export const useStream = (stream$, options = {}, initialValue = null) => {
+  const [value, setValue] = useState(initialValue);
+  const { hz, throttle, sample, distinct } = options;
+
+  useEffect(() => {
+    const subscription = select(stream$, { hz, throttle, sample, distinct }).subscribe(next => setValue(() => next));
+    return () => subscription.unsubscribe();
+  }, [stream$, hz, throttle, sample, distinct]);
+
+  return value;
+};
+
+/**
+ * Latest SLAM pose
+ * @param {Object} options - See useStream(), e.g. { hz: 10 }
+ * @returns {Object|null} See SlamService.getCurrentPose()
+ */
+export const useSlamPose = (options = {}) => useStream(pose$, options, SlamService.getCurrentPose());
+
+/**
+ * Latest dead reckoning state
+ * @param {Object} options - See useStream()
+ * @returns {Object|null} See DeadReckoning.getState(), null before the first update
+ */
+export const useDeadReckoning = (options = {}) => useStream(drState$, options);
+
+/**
+ * Latest navigation pose
+ * @param {Object} options - See useStream()
+ * @returns {Object|null} See LocalizationService.getPose(), null before the first update
+ */
+export const useFusedPose = (options = {}) => useStream(fusedPose$, options);
+
+/**
+ * Current SLAM tracking state name
+ * @returns {string}
+ */
+export const useTrackingState = () => useStream(trackingState$, {}, SlamService.trackingState);
@@ -0,0 +1,286 @@
+/**
+ * Cell states
+ */
+export const CellState = {
+  UNKNOWN: 0,
+  FREE: 1, // walked through
+  OCCUPIED: 2, // obstacle seen by SLAM
+  INFLATED: 3, // too close to an obstacle to pass
+};
+
+const DEFAULT_OPTIONS = {
+  resolution: 0.2, // m per cell
+  deviceHeight: 1.2, // m, typical height of a handheld phone above the floor
+  floorHeight: null, // m, z of the floor; estimated from the trajectory when null
+  obstacleMinHeight: 0.2, // m above the floor, lower points are the floor itself
+  obstacleMaxHeight: 2.0, // m above the floor, higher points are the ceiling
+  minPointsPerCell: 2, // map points needed to mark a cell occupied, filters outliers
+  traversedRadius: 0.3, // m around the trajectory marked free
+  inflationRadius: 0.3, // m around obstacles a person cannot pass
+  unknownCost: 3, // traversal cost of unexplored cells relative to free ones
+  padding: 2.0, // m of unknown space kept around the data
+};
+
+/**
+ * Median of a list of numbers
+ * @private
+ */
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * 2D occupancy grid on the floor plane of a gravity-aligned frame (x/y
+ * horizontal, z up), such as the navigation frame
+ *
+ * Built from what the SLAM map tells us about the space: cells along the
+ * walked trajectories are free, cells holding map points between knee and
+ * head height are obstacles, and everything else is unknown. Walked cells
+ * stay free even if map points fall into them.
+ *
+ * Raw SLAM data has to be levelled first: monocular SLAM works in its first
+ * camera frame, where z points forward and y down, so its z is no height.
+ * LocalizationService.toNavigationFrame() does this for map points and the
+ * SLAM track.
+ */
+class OccupancyGrid {
+  /**
+   * @param {Object} options - Resolution, height band and inflation, see DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    if (!(this.options.resolution > 0)) {
+      throw new Error('Grid resolution must be positive');
+    }
+    this.originX = 0;
+    this.originY = 0;
+    this.width = 0;
+    this.height = 0;
+    this.cells = new Uint8Array(0);
+    this.floorHeight = null;
+  }
+
+  /**
+   * Rebuild the grid
+   * @param {Object} data
+   * @param {number[][][]} data.trajectories - Walked tracks, each a list of [x, y, z] device positions, z up
+   * @param {number[][]} data.mapPoints - Sparse map points [x, y, z], z up
+   * @returns {OccupancyGrid} this
+   */
+  build({ trajectories = [], mapPoints = [] }) {
+    const { deviceHeight, obstacleMinHeight, obstacleMaxHeight, padding } = this.options;
+    const tracks = trajectories.filter(track => track.length > 0);
+    const trackPoints = tracks.flat();
+
+    // Floor plane: from the option, or the phone height below the median camera height
+    if (this.options.floorHeight !== null) {
+      this.floorHeight = this.options.floorHeight;
+    } else if (trackPoints.length > 0) {
+      this.floorHeight = median(trackPoints.map(p => p[2] || 0)) - deviceHeight;
+    } else {
+      this.floorHeight = -deviceHeight;
+    }
+
+    const obstacles = mapPoints.filter(p => {
+      const above = p[2] - this.floorHeight;
+      return above >= obstacleMinHeight && above <= obstacleMaxHeight;
+    });
+
+    this.allocate([...trackPoints, ...obstacles], padding);
+
+    // Obstacles first, so walked cells can override them
+    const counts = new Uint16Array(this.cells.length);
+    obstacles.forEach(([x, y]) => {
+      const index = this.indexOf(this.worldToCell(x, y));
+      counts[index]++;
+      if (counts[index] >= this.options.minPointsPerCell) {
+        this.cells[index] = CellState.OCCUPIED;
+      }
+    });
+    this.inflate();
+
+    tracks.forEach(track => {
+      for (let k = 0; k < track.length; k++) {
+        const previous = track[Math.max(0, k - 1)];
+        this.markSegmentFree(previous, track[k]);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Size the grid to cover the points plus padding
+   * @private
+   */
+  allocate(points, padding) {
+    const { resolution } = this.options;
+    if (points.length === 0) {
+      this.originX = -padding;
+      this.originY = -padding;
+      this.width = Math.ceil((2 * padding) / resolution);
+      this.height = this.width;
+    } else {
+      // Loops rather than Math.min(...xs), which overflows the stack on long trajectories
+      let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+      points.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      });
+      this.originX = minX - padding;
+      this.originY = minY - padding;
+      this.width = Math.ceil((maxX + padding - this.originX) / resolution) + 1;
+      this.height = Math.ceil((maxY + padding - this.originY) / resolution) + 1;
+    }
+    this.cells = new Uint8Array(this.width * this.height);
+  }
+
+  /**
+   * Mark cells within the inflation radius of obstacles
+   * @private
+   */
+  inflate() {
+    const radius = Math.ceil(this.options.inflationRadius / this.options.resolution);
+    if (radius <= 0) {
+      return;
+    }
+
+    const occupied = [];
+    this.cells.forEach((state, index) => {
+      if (state === CellState.OCCUPIED) {
+        occupied.push(index);
+      }
+    });
+
+    occupied.forEach(index => {
+      const ci = index % this.width;
+      const cj = Math.floor(index / this.width);
+      for (let dj = -radius; dj <= radius; dj++) {
+        for (let di = -radius; di <= radius; di++) {
+          const cell = [ci + di, cj + dj];
+          if (di * di + dj * dj <= radius * radius && this.inBounds(cell)) {
+            const neighbor = this.indexOf(cell);
+            if (this.cells[neighbor] !== CellState.OCCUPIED) {
+              this.cells[neighbor] = CellState.INFLATED;
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Mark a walked segment free, widened by the traversed radius
+   * @private
+   */
+  markSegmentFree(from, to) {
+    const { resolution, traversedRadius } = this.options;
+    const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+    const steps = Math.max(1, Math.ceil(length / (resolution / 2)));
+    const radius = Math.round(traversedRadius / resolution);
+
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      const [ci, cj] = this.worldToCell(from[0] + t * (to[0] - from[0]), from[1] + t * (to[1] - from[1]));
+      for (let dj = -radius; dj <= radius; dj++) {
+        for (let di = -radius; di <= radius; di++) {
+          const cell = [ci + di, cj + dj];
+          if (di * di + dj * dj <= radius * radius && this.inBounds(cell)) {
+            this.cells[this.indexOf(cell)] = CellState.FREE;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Cell containing a world position
+   * @param {number} x
+   * @param {number} y
+   * @returns {number[]} [i, j], possibly out of bounds
+   */
+  worldToCell(x, y) {
+    const { resolution } = this.options;
+    return [Math.floor((x - this.originX) / resolution), Math.floor((y - this.originY) / resolution)];
+  }
+
+  /**
+   * World position of a cell center
+   * @param {number[]} cell - [i, j]
+   * @returns {number[]} [x, y]
+   */
+  cellToWorld([i, j]) {
+    const { resolution } = this.options;
+    return [this.originX + (i + 0.5) * resolution, this.originY + (j + 0.5) * resolution];
+  }
+
+  /**
+   * @param {number[]} cell - [i, j]
+   * @returns {boolean}
+   */
+  inBounds([i, j]) {
+    return i >= 0 && j >= 0 && i < this.width && j < this.height;
+  }
+
+  /**
+   * @param {number[]} cell - [i, j], must be in bounds
+   * @returns {number}
+   */
+  indexOf([i, j]) {
+    return j * this.width + i;
+  }
+
+  /**
+   * @param {number[]} cell - [i, j]
+   * @returns {number} CellState value; out of bounds cells are unknown
+   */
+  getState(cell) {
+    return this.inBounds(cell) ? this.cells[this.indexOf(cell)] : CellState.UNKNOWN;
+  }
+
+  /**
+   * Whether a cell cannot be walked through
+   * @param {number[]} cell - [i, j]
+   * @returns {boolean}
+   */
+  isBlocked(cell) {
+    if (!this.inBounds(cell)) {
+      return true;
+    }
+    const state = this.cells[this.indexOf(cell)];
+    return state === CellState.OCCUPIED || state === CellState.INFLATED;
+  }
+
+  /**
+   * Cost of walking one meter through a cell
+   * @param {number[]} cell - [i, j]
+   * @returns {number} Infinity when blocked
+   */
+  getCost(cell) {
+    if (this.isBlocked(cell)) {
+      return Infinity;
+    }
+    return this.cells[this.indexOf(cell)] === CellState.FREE ? 1 : this.options.unknownCost;
+  }
+
+  /**
+   * Centers of all cells in a state, e.g. for drawing obstacles
+   * @param {number} state - CellState value
+   * @returns {number[][]} [x, y] world positions
+   */
+  getCells(state) {
+    const result = [];
+    this.cells.forEach((value, index) => {
+      if (value === state) {
+        result.push(this.cellToWorld([index % this.width, Math.floor(index / this.width)]));
+      }
+    });
+    return result;
+  }
+}
+
+export default OccupancyGrid;
@@ -0,0 +1,284 @@
+/**
+ * Shortest paths over an OccupancyGrid
+ * A* searches the 8-connected cell graph; Theta* additionally shortcuts
+ * through any cell with line of sight to an ancestor, giving any-angle paths
+ * with far fewer turns. Both weigh distance by the per-cell cost, so walked
+ * cells are preferred over unexplored ones.
+ */
+
+export const PlannerAlgorithm = {
+  A_STAR: 'astar',
+  THETA_STAR: 'thetastar',
+};
+
+const DEFAULT_OPTIONS = {
+  algorithm: PlannerAlgorithm.THETA_STAR,
+  maxSnapDistance: 1.0, // m, blocked start or goal positions move to the nearest open cell within this
+  maxExpansions: 200000, // give up on larger searches
+};
+
+const NEIGHBORS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1],
+];
+
+/**
+ * Binary min-heap of { key, priority }
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = Math.floor((i - 1) / 2);
+      if (items[parent].priority <= items[i].priority) {
+        break;
+      }
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) {
+          smallest = left;
+        }
+        if (right < items.length && items[right].priority < items[smallest].priority) {
+          smallest = right;
+        }
+        if (smallest === i) {
+          break;
+        }
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Nearest open cell to a cell, searching outwards ring by ring
+ * @param {OccupancyGrid} grid
+ * @param {number[]} cell - [i, j]
+ * @param {number} maxRadius - In cells
+ * @returns {number[]|null}
+ */
+export const nearestOpenCell = (grid, cell, maxRadius) => {
+  if (grid.inBounds(cell) && !grid.isBlocked(cell)) {
+    return cell;
+  }
+
+  for (let r = 1; r <= maxRadius; r++) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (let dj = -r; dj <= r; dj++) {
+      for (let di = -r; di <= r; di++) {
+        if (Math.max(Math.abs(di), Math.abs(dj)) !== r) {
+          continue;
+        }
+        const candidate = [cell[0] + di, cell[1] + dj];
+        const distance = di * di + dj * dj;
+        if (distance < bestDistance && grid.inBounds(candidate) && !grid.isBlocked(candidate)) {
+          best = candidate;
+          bestDistance = distance;
+        }
+      }
+    }
+    if (best) {
+      return best;
+    }
+  }
+  return null;
+};
+
+/**
+ * Cost of walking straight between two cell centers
+ * Samples the segment at half-cell steps and sums the cost of the cells crossed.
+ * @param {OccupancyGrid} grid
+ * @param {number[]} a - [i, j]
+ * @param {number[]} b - [i, j]
+ * @returns {number} Meters weighted by cell cost, Infinity if a blocked cell is crossed
+ */
+export const lineCost = (grid, a, b) => {
+  const { resolution } = grid.options;
+  const di = b[0] - a[0];
+  const dj = b[1] - a[1];
+  const cells = Math.hypot(di, dj);
+  if (cells === 0) {
+    return 0;
+  }
+
+  const steps = Math.ceil(cells * 2);
+  const stepLength = (cells * resolution) / steps;
+  let cost = 0;
+  for (let s = 0; s < steps; s++) {
+    // Midpoint of each step, so both end cells count for half a step
+    const t = (s + 0.5) / steps;
+    const cell = [Math.floor(a[0] + 0.5 + t * di), Math.floor(a[1] + 0.5 + t * dj)];
+    const cellCost = grid.getCost(cell);
+    if (cellCost === Infinity) {
+      return Infinity;
+    }
+    cost += cellCost * stepLength;
+  }
+  return cost;
+};
+
+/**
+ * Drop intermediate points lying on a straight line
+ * @param {number[][]} cells - [i, j] path
+ * @returns {number[][]}
+ */
+const removeCollinear = cells =>
+  cells.filter((cell, k) => {
+    if (k === 0 || k === cells.length - 1) {
+      return true;
+    }
+    const [pi, pj] = cells[k - 1];
+    const [ni, nj] = cells[k + 1];
+    return (cell[0] - pi) * (nj - cell[1]) !== (cell[1] - pj) * (ni - cell[0]);
+  });
+
+/**
+ * Plan a path between two world positions
+ * @param {OccupancyGrid} grid - A built grid
+ * @param {number[]} start - [x, y]
+ * @param {number[]} goal - [x, y]
+ * @param {Object} options
+ * @param {string} options.algorithm - PlannerAlgorithm value, Theta* by default
+ * @param {number} options.maxSnapDistance - How far blocked endpoints may move (m)
+ * @param {number} options.maxExpansions - Search budget in expanded cells
+ * @returns {Object|null} { path: [[x, y], ...], length (m), cost, expansions }, or null when
+ *   no path exists; the path runs from start to goal, or to the open cells they were moved to
+ */
+export const planPath = (grid, start, goal, options = {}) => {
+  const { algorithm, maxSnapDistance, maxExpansions } = { ...DEFAULT_OPTIONS, ...options };
+  const snapCells = Math.ceil(maxSnapDistance / grid.options.resolution);
+  const startCell = nearestOpenCell(grid, grid.worldToCell(start[0], start[1]), snapCells);
+  const goalCell = nearestOpenCell(grid, grid.worldToCell(goal[0], goal[1]), snapCells);
+  if (!startCell || !goalCell) {
+    return null;
+  }
+
+  const { resolution } = grid.options;
+  const anyAngle = algorithm === PlannerAlgorithm.THETA_STAR;
+  const startIndex = grid.indexOf(startCell);
+  const goalIndex = grid.indexOf(goalCell);
+  const cellOf = index => [index % grid.width, Math.floor(index / grid.width)];
+  // Cheapest cell cost is 1, so straight-line distance never overestimates
+  const heuristic = cell => Math.hypot(cell[0] - goalCell[0], cell[1] - goalCell[1]) * resolution;
+
+  const g = new Float64Array(grid.cells.length).fill(Infinity);
+  const parent = new Int32Array(grid.cells.length).fill(-1);
+  const closed = new Uint8Array(grid.cells.length);
+  const open = new MinHeap();
+
+  g[startIndex] = 0;
+  parent[startIndex] = startIndex;
+  open.push({ key: startIndex, priority: heuristic(startCell) });
+
+  let expansions = 0;
+  while (open.size > 0) {
+    const { key } = open.pop();
+    if (closed[key]) {
+      continue;
+    }
+    if (key === goalIndex) {
+      break;
+    }
+    closed[key] = 1;
+    if (++expansions > maxExpansions) {
+      return null;
+    }
+
+    const cell = cellOf(key);
+    const cellCost = grid.getCost(cell);
+    NEIGHBORS.forEach(([di, dj]) => {
+      const neighbor = [cell[0] + di, cell[1] + dj];
+      if (grid.isBlocked(neighbor)) {
+        return;
+      }
+      // No cutting corners past obstacles
+      if (di !== 0 && dj !== 0 && (grid.isBlocked([cell[0] + di, cell[1]]) || grid.isBlocked([cell[0], cell[1] + dj]))) {
+        return;
+      }
+      const neighborIndex = grid.indexOf(neighbor);
+      if (closed[neighborIndex]) {
+        return;
+      }
+
+      let from = key;
+      let cost = g[key] + (Math.hypot(di, dj) * resolution * (cellCost + grid.getCost(neighbor))) / 2;
+
+      // Theta*: connect straight to the grandparent when it can see the neighbor
+      if (anyAngle && parent[key] !== key) {
+        const grandparent = parent[key];
+        const shortcut = g[grandparent] + lineCost(grid, cellOf(grandparent), neighbor);
+        if (shortcut <= cost) {
+          from = grandparent;
+          cost = shortcut;
+        }
+      }
+
+      if (cost < g[neighborIndex]) {
+        g[neighborIndex] = cost;
+        parent[neighborIndex] = from;
+        open.push({ key: neighborIndex, priority: cost + heuristic(neighbor) });
+      }
+    });
+  }
+
+  if (g[goalIndex] === Infinity) {
+    return null;
+  }
+
+  const cells = [];
+  for (let index = goalIndex; ; index = parent[index]) {
+    cells.push(cellOf(index));
+    if (index === startIndex) {
+      break;
+    }
+  }
+  cells.reverse();
+
+  // Exact endpoints, unless they were moved out of a blocked cell
+  const path = removeCollinear(cells).map(cell => grid.cellToWorld(cell));
+  if (startIndex === grid.indexOf(grid.worldToCell(start[0], start[1]))) {
+    path[0] = [start[0], start[1]];
+  }
+  if (goalIndex === grid.indexOf(grid.worldToCell(goal[0], goal[1]))) {
+    if (path.length === 1) {
+      path.push([goal[0], goal[1]]);
+    } else {
+      path[path.length - 1] = [goal[0], goal[1]];
+    }
+  }
+
+  let length = 0;
+  for (let k = 1; k < path.length; k++) {
+    length += Math.hypot(path[k][0] - path[k - 1][0], path[k][1] - path[k - 1][1]);
+  }
+
+  return { path, length, cost: g[goalIndex], expansions };
+};
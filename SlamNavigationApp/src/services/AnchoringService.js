@@ -0,0 +1,431 @@
+import RNFS from 'react-native-fs';
+import SlamService from './SlamService';
+import LocalizationService from './LocalizationService';
+import NavigationService from './NavigationService';
+import TrajectoryStore from './TrajectoryStore';
+import { geodeticToLocal, localToGeodetic, normalizeAnchor } from '../utils/geo';
+import {
+  rotateOrientation,
+  slamToPixel,
+  pixelToSlam,
+  solveFloorPlanTransform,
+  solveGeoAnchor,
+} from '../utils/anchoring';
+
+const DEFAULT_OPTIONS = {
+  maxGpsAccuracy: 20, // m, fixes reported less accurate than this are rejected
+  minGpsBaseline: 10, // m, GPS fixes must span this much before the frame is solved
+};
+
+/**
+ * Aligns the navigation frame with world frames
+ *
+ * Two world frames are supported, each estimated as a similarity transform
+ * (scale, yaw, translation) from two or more correspondences:
+ * - floor plan: positions tapped on an imported floor plan image while standing there
+ * - geodetic: GPS fixes taken while walking outdoors
+ * Correspondences pair a world position with a navigation-frame position
+ * (gravity-aligned, z up, meters; see LocalizationService). Anchored poses
+ * carry the SLAM pose together with its position in every solved frame, so
+ * SLAM poses are taken to the navigation frame before the transforms apply.
+ * Correspondences are stored next to the map they belong to
+ * (`<map>.anchor.json`), like waypoints.
+ */
+class AnchoringService {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.mapPath = null;
+
+    this.floorPlan = null; // { uri, width, height }
+    this.floorPlanCorrespondences = [];
+    this.floorPlanTransform = null;
+
+    this.gpsFixes = [];
+    this.geoAnchor = null; // { anchor, rmse }
+    this.exportAnchor = null;
+
+    this.listeners = [];
+    this.anchorListeners = [];
+    SlamService.addPoseListener(pose => this.notifyListeners(this.toWorld(pose)));
+  }
+
+  /**
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Use a floor plan image, dropping the correspondences made on the previous one
+   * @param {Object|null} floorPlan - { uri, width, height } with the image size in pixels
+   * @returns {Promise<void>}
+   */
+  async setFloorPlan(floorPlan) {
+    if (floorPlan && !(floorPlan.width > 0 && floorPlan.height > 0)) {
+      throw new Error('Floor plan needs its image width and height');
+    }
+    this.floorPlan = floorPlan ? { uri: floorPlan.uri, width: floorPlan.width, height: floorPlan.height } : null;
+    this.floorPlanCorrespondences = [];
+    this.floorPlanTransform = null;
+    this.notifyAnchorListeners();
+    await this.persist();
+  }
+
+  /**
+   * @returns {Object|null} { uri, width, height }
+   */
+  getFloorPlan() {
+    return this.floorPlan;
+  }
+
+  /**
+   * Pair a tapped floor plan pixel with a navigation position
+   * The transform is re-estimated as soon as there are two correspondences.
+   * @param {number[]} pixel - [u, v] in image pixels, origin top left
+   * @param {number[]} position - [x, y, z] in the navigation frame, the current position by default
+   * @returns {Promise<Object|null>} Updated transform, see getFloorPlanTransform()
+   */
+  async addFloorPlanCorrespondence(pixel, position = NavigationService.getCurrentPose().position) {
+    if (!this.floorPlan) {
+      throw new Error('No floor plan. Call setFloorPlan() first.');
+    }
+
+    this.floorPlanCorrespondences.push({
+      slam: [...position],
+      pixel: [pixel[0], pixel[1]],
+      createdAt: new Date().toISOString(),
+    });
+    this.solveFloorPlan();
+    await this.persist();
+    return this.floorPlanTransform;
+  }
+
+  /**
+   * Remove a floor plan correspondence
+   * @param {number} index - Position in getFloorPlanCorrespondences()
+   * @returns {Promise<Object|null>} Updated transform
+   */
+  async removeFloorPlanCorrespondence(index) {
+    this.floorPlanCorrespondences.splice(index, 1);
+    this.solveFloorPlan();
+    await this.persist();
+    return this.floorPlanTransform;
+  }
+
+  /**
+   * @returns {Object[]} { slam: [x, y, z] in the navigation frame, pixel: [u, v], createdAt }
+   */
+  getFloorPlanCorrespondences() {
+    return [...this.floorPlanCorrespondences];
+  }
+
+  /**
+   * Navigation frame to floor plan transform
+   * @returns {Object|null} { scale (px per meter), rotation, translation, rmse (px) },
+   *   null with fewer than two correspondences
+   */
+  getFloorPlanTransform() {
+    return this.floorPlanTransform;
+  }
+
+  /**
+   * Pair a GPS fix with a navigation position
+   * Inaccurate fixes are rejected. The geodetic frame is solved once the fixes
+   * span minGpsBaseline, and is then also used as the trajectory export anchor.
+   * @param {Object} fix - { latitude, longitude, altitude, accuracy (m) }, e.g. a geolocation coords object
+   * @param {number[]} position - [x, y, z] in the navigation frame, the current position by default
+   * @returns {Promise<Object|null>} Updated geodetic anchor, see getGeoAnchor()
+   */
+  async addGpsFix(fix, position = NavigationService.getCurrentPose().position) {
+    const accuracy = fix.accuracy || 0;
+    if (accuracy > this.options.maxGpsAccuracy) {
+      throw new Error(`GPS fix too inaccurate (${accuracy.toFixed(0)} m)`);
+    }
+
+    this.gpsFixes.push({
+      slam: [...position],
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      altitude: fix.altitude || 0,
+      accuracy,
+      createdAt: new Date().toISOString(),
+    });
+    this.solveGeo();
+    await this.persist();
+    return this.geoAnchor;
+  }
+
+  /**
+   * Drop all GPS fixes and the geodetic frame
+   * @returns {Promise<void>}
+   */
+  async clearGpsFixes() {
+    this.gpsFixes = [];
+    this.solveGeo();
+    await this.persist();
+  }
+
+  /**
+   * @returns {Object[]} { slam, latitude, longitude, altitude, accuracy, createdAt }
+   */
+  getGpsFixes() {
+    return [...this.gpsFixes];
+  }
+
+  /**
+   * Navigation frame to geodetic anchor
+   * @returns {Object|null} { anchor, rmse (m) } where anchor is a utils/geo.js anchor
+   *   including scale; null until the GPS fixes span the minimum baseline
+   */
+  getGeoAnchor() {
+    return this.geoAnchor;
+  }
+
+  /**
+   * Re-estimate the floor plan transform
+   * @private
+   */
+  solveFloorPlan() {
+    this.floorPlanTransform = null;
+    if (this.floorPlanCorrespondences.length >= 2) {
+      try {
+        this.floorPlanTransform = solveFloorPlanTransform(this.floorPlanCorrespondences);
+        console.log(`[AnchoringService] Floor plan aligned, RMS error ${this.floorPlanTransform.rmse.toFixed(1)} px`);
+      } catch (error) {
+        console.warn('[AnchoringService] Floor plan alignment failed:', error.message);
+      }
+    }
+    this.notifyAnchorListeners();
+  }
+
+  /**
+   * Re-estimate the geodetic anchor
+   * @private
+   */
+  solveGeo() {
+    this.geoAnchor = null;
+    if (this.gpsFixes.length >= 2 && this.gpsBaseline() >= this.options.minGpsBaseline) {
+      try {
+        this.geoAnchor = solveGeoAnchor(this.gpsFixes);
+        console.log(`[AnchoringService] GPS aligned, RMS error ${this.geoAnchor.rmse.toFixed(1)} m`);
+      } catch (error) {
+        console.warn('[AnchoringService] GPS alignment failed:', error.message);
+      }
+    }
+
+    // Only clear an export anchor we set ourselves
+    if (this.geoAnchor) {
+      TrajectoryStore.setAnchor(this.geoAnchor.anchor);
+      this.exportAnchor = TrajectoryStore.getAnchor();
+    } else if (this.exportAnchor && TrajectoryStore.getAnchor() === this.exportAnchor) {
+      TrajectoryStore.setAnchor(null);
+      this.exportAnchor = null;
+    }
+    this.notifyAnchorListeners();
+  }
+
+  /**
+   * Largest horizontal distance between two GPS fixes
+   * @private
+   */
+  gpsBaseline() {
+    const [first] = this.gpsFixes;
+    const reference = normalizeAnchor({ latitude: first.latitude, longitude: first.longitude });
+    const local = this.gpsFixes.map(fix => geodeticToLocal(reference, [fix.longitude, fix.latitude, 0]));
+
+    let baseline = 0;
+    local.forEach((a, i) => {
+      local.slice(i + 1).forEach(b => {
+        baseline = Math.max(baseline, Math.hypot(a[0] - b[0], a[1] - b[1]));
+      });
+    });
+    return baseline;
+  }
+
+  /**
+   * A SLAM pose in every solved world frame
+   * @param {Object} pose - { position, orientation, ... } as SLAM returns it
+   * @returns {Object|null} The pose plus
+   *   navigation: { position, orientation } in the navigation frame, see LocalizationService.toNavigationPose(),
+   *   floorPlan: { pixel: [u, v], orientation } with orientation in the image frame (x right, y up),
+   *   geodetic: { coordinates: [longitude, latitude, altitude], orientation } with orientation in east/north/up;
+   *   each null while SLAM is not metric and aligned or the frame is not solved
+   */
+  toWorld(pose) {
+    if (!pose) {
+      return null;
+    }
+
+    const navigation = LocalizationService.toNavigationPose(pose);
+    if (!navigation) {
+      return { ...pose, navigation: null, floorPlan: null, geodetic: null };
+    }
+    const { position, orientation } = navigation;
+
+    const floorPlan = this.floorPlanTransform
+      ? {
+          pixel: slamToPixel(this.floorPlanTransform, position),
+          orientation: rotateOrientation(this.floorPlanTransform.rotation, orientation),
+        }
+      : null;
+
+    const geodetic = this.geoAnchor
+      ? {
+          coordinates: localToGeodetic(this.geoAnchor.anchor, position),
+          orientation: rotateOrientation(this.geoAnchor.anchor.rotation, orientation),
+        }
+      : null;
+
+    return { ...pose, navigation: { position, orientation }, floorPlan, geodetic };
+  }
+
+  /**
+   * Navigation position of a floor plan pixel, e.g. to place a waypoint by tapping the plan
+   * @param {number[]} pixel - [u, v]
+   * @returns {number[]|null} [x, y], null while the floor plan is not aligned
+   */
+  floorPlanToSlam(pixel) {
+    return this.floorPlanTransform ? pixelToSlam(this.floorPlanTransform, pixel) : null;
+  }
+
+  /**
+   * Latest SLAM pose in every solved world frame
+   * @returns {Object|null} See toWorld()
+   */
+  getCurrentPose() {
+    return this.toWorld(SlamService.getCurrentPose());
+  }
+
+  /**
+   * Anchor file stored next to a map file
+   * @param {string} mapPath - Absolute map path, see SlamService.resolveMapPath()
+   * @returns {string}
+   */
+  getAnchorFile(mapPath) {
+    return `${mapPath.replace(/\.[^/.]+$/, '')}.anchor.json`;
+  }
+
+  /**
+   * Save the correspondences with a map; later changes are saved there too
+   * @param {string} mapPath - Absolute map path returned by SlamService.saveMap()
+   * @returns {Promise<string>} Anchor file path
+   */
+  async saveForMap(mapPath) {
+    this.mapPath = mapPath;
+    await this.persist();
+    return this.getAnchorFile(mapPath);
+  }
+
+  /**
+   * Replace the correspondences with those saved for a map and re-solve
+   * A map without an anchor file starts unanchored.
+   * @param {string} mapPath - Absolute map path returned by SlamService.loadMap()
+   * @returns {Promise<void>}
+   */
+  async loadForMap(mapPath) {
+    this.mapPath = mapPath;
+    this.floorPlan = null;
+    this.floorPlanCorrespondences = [];
+    this.gpsFixes = [];
+
+    const file = this.getAnchorFile(mapPath);
+    if (await RNFS.exists(file)) {
+      const data = JSON.parse(await RNFS.readFile(file, 'utf8'));
+      this.floorPlan = data.floorPlan || null;
+      this.floorPlanCorrespondences = Array.isArray(data.floorPlanCorrespondences) ? data.floorPlanCorrespondences : [];
+      this.gpsFixes = Array.isArray(data.gpsFixes) ? data.gpsFixes : [];
+    }
+
+    this.solveFloorPlan();
+    this.solveGeo();
+    console.log(
+      `[AnchoringService] Loaded ${this.floorPlanCorrespondences.length} floor plan correspondences and ` +
+        `${this.gpsFixes.length} GPS fixes for ${mapPath}`
+    );
+  }
+
+  /**
+   * Write the correspondences to the file of the associated map, if any
+   * @private
+   */
+  async persist() {
+    if (!this.mapPath) {
+      return;
+    }
+
+    const data = {
+      version: 1,
+      map: this.mapPath,
+      floorPlan: this.floorPlan,
+      floorPlanCorrespondences: this.floorPlanCorrespondences,
+      gpsFixes: this.gpsFixes,
+    };
+    try {
+      await RNFS.writeFile(this.getAnchorFile(this.mapPath), JSON.stringify(data, null, 2), 'utf8');
+    } catch (error) {
+      console.error('[AnchoringService] Saving anchor failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add listener for anchored poses, one per SLAM pose update
+   * @param {Function} callback - Receives the pose as returned by toWorld()
+   * @returns {Function} Unsubscribe function
+   */
+  addPoseListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Add listener for changes of the floor plan transform or geodetic anchor
+   * @param {Function} callback - Receives { floorPlan, floorPlanTransform, geoAnchor }
+   * @returns {Function} Unsubscribe function
+   */
+  addAnchorListener(callback) {
+    this.anchorListeners.push(callback);
+    return () => {
+      this.anchorListeners = this.anchorListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify anchored pose listeners
+   * @private
+   */
+  notifyListeners(pose) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(pose);
+      } catch (error) {
+        console.error('[AnchoringService] Listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Notify anchor listeners
+   * @private
+   */
+  notifyAnchorListeners() {
+    const state = {
+      floorPlan: this.floorPlan,
+      floorPlanTransform: this.floorPlanTransform,
+      geoAnchor: this.geoAnchor,
+    };
+    this.anchorListeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        console.error('[AnchoringService] Anchor listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new AnchoringService();
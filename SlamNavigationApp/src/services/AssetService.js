@@ -0,0 +1,384 @@
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import { assetMirror } from '../../app.json';
+
+/**
+ * Provisioning steps, reported to listeners
+ */
+export const AssetStatus = {
+  CHECKING: 'checking',
+  COPYING: 'copying', // from the APK
+  DOWNLOADING: 'downloading', // from the mirror
+  VERIFYING: 'verifying', // size and SHA-256 of a download
+  READY: 'ready',
+  FAILED: 'failed',
+};
+
+/**
+ * Files SLAM needs, in the app documents directory
+ * Candidates are in order of preference; the binary vocabulary loads much faster.
+ */
+const ASSETS = {
+  vocabulary: { files: ['ORBvoc.bin', 'ORBvoc.txt'], required: true },
+  // Optional: without it the camera is calibrated in the app or the defaults are saved
+  settings: { files: ['settings.yaml'], required: false },
+};
+
+const DEFAULT_OPTIONS = {
+  mirror: assetMirror || null, // base URL serving manifest.json and the files, see scripts/asset-mirror.js
+  chunkSize: 4 * 1024 * 1024, // bytes per ranged request, the unit of resuming
+  retries: 3, // per chunk
+  retryDelay: 2000, // ms, doubled after every failed attempt
+  timeout: 30000, // ms, connection and read timeout
+};
+
+/**
+ * Total size from a Content-Range header ('bytes 0-1023/146012')
+ * @private
+ */
+const parseContentRangeTotal = header => {
+  const match = header && header.match(/\/(\d+)\s*$/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Header lookup, ignoring case
+ * @private
+ */
+const getHeader = (headers, name) => {
+  const key = Object.keys(headers || {}).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * First-launch provisioning of the ORB vocabulary and settings.yaml
+ *
+ * Files already in the documents directory are used as they are. Missing
+ * ones are copied from the APK assets, or downloaded from the configured
+ * mirror in ranged chunks: a download interrupted by a failure or by the app
+ * closing continues where it stopped, and the file only appears once its
+ * size and SHA-256 match the mirror's manifest.
+ */
+class AssetService {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.manifest = null;
+    this.jobId = null;
+    this.cancelled = false;
+    this.progress = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Change options, e.g. the mirror
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.manifest = null;
+  }
+
+  /**
+   * Path of a file in the documents directory
+   * @private
+   */
+  getPath(file) {
+    return `${RNFS.DocumentDirectoryPath}/${file}`;
+  }
+
+  /**
+   * Installed file of an asset
+   * @param {string} asset - 'vocabulary' or 'settings'
+   * @returns {Promise<string|null>} Path, null when not installed
+   */
+  async findInstalled(asset) {
+    for (const file of ASSETS[asset].files) {
+      if (await RNFS.exists(this.getPath(file))) {
+        return this.getPath(file);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Make sure the vocabulary and settings are installed
+   * @returns {Promise<Object>} { vocabularyPath, settingsPath }, settingsPath is null when
+   *   neither bundled nor on the mirror
+   */
+  async provision() {
+    this.cancelled = false;
+    const paths = {};
+    try {
+      for (const asset of Object.keys(ASSETS)) {
+        paths[asset] = await this.provisionAsset(asset);
+      }
+    } catch (error) {
+      console.error('[AssetService] Provisioning failed:', error);
+      this.setProgress({ status: AssetStatus.FAILED, error: error.message });
+      throw error;
+    }
+
+    this.setProgress({ status: AssetStatus.READY });
+    return { vocabularyPath: paths.vocabulary, settingsPath: paths.settings };
+  }
+
+  /**
+   * Stop a running download; it resumes on the next provision()
+   */
+  cancel() {
+    this.cancelled = true;
+    if (this.jobId !== null) {
+      RNFS.stopDownload(this.jobId);
+    }
+  }
+
+  /**
+   * Install one asset from the documents directory, the APK or the mirror
+   * @private
+   */
+  async provisionAsset(asset) {
+    const { files, required } = ASSETS[asset];
+    this.setProgress({ status: AssetStatus.CHECKING, asset });
+
+    const installed = await this.findInstalled(asset);
+    if (installed) {
+      return installed;
+    }
+
+    for (const file of files) {
+      if (await this.copyBundled(asset, file)) {
+        return this.getPath(file);
+      }
+    }
+
+    const manifest = await this.fetchManifest();
+    const file = manifest && files.find(candidate => manifest.files[candidate]);
+    if (file) {
+      await this.download(asset, file, manifest.files[file]);
+      return this.getPath(file);
+    }
+
+    if (required) {
+      throw new Error(
+        `${files.join(' or ')} not found. Bundle it in android/app/src/main/assets, ` +
+          (this.options.mirror ? `or add it to the mirror ${this.options.mirror}` : 'or configure assetMirror in app.json')
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Copy a file from the APK assets
+   * @private
+   * @returns {Promise<boolean>} Whether the APK contains it
+   */
+  async copyBundled(asset, file) {
+    if (Platform.OS !== 'android' || !(await RNFS.existsAssets(file))) {
+      return false;
+    }
+
+    // Copied next to the target first, so an interrupted copy is never taken for the file
+    this.setProgress({ status: AssetStatus.COPYING, asset, file });
+    const target = this.getPath(file);
+    const tempPath = `${target}.tmp`;
+    await RNFS.copyFileAssets(file, tempPath);
+    await RNFS.moveFile(tempPath, target);
+
+    console.log(`[AssetService] Copied bundled ${file}`);
+    return true;
+  }
+
+  /**
+   * Read the mirror's manifest.json: { files: { name: { size, sha256 } } }
+   * @private
+   * @returns {Promise<Object|null>} null without a mirror
+   */
+  async fetchManifest() {
+    if (!this.options.mirror) {
+      return null;
+    }
+    if (!this.manifest) {
+      const response = await fetch(`${this.options.mirror}/manifest.json`);
+      if (!response.ok) {
+        throw new Error(`Mirror manifest unavailable (HTTP ${response.status})`);
+      }
+      const manifest = await response.json();
+      if (!manifest || typeof manifest.files !== 'object') {
+        throw new Error('Mirror manifest has no files');
+      }
+      this.manifest = manifest;
+    }
+    return this.manifest;
+  }
+
+  /**
+   * Download a file in ranged chunks, resuming a partial download
+   * The file grows as <name>.part, with the checksum it is downloaded for in
+   * <name>.part.json, and is moved into place once verified.
+   * @private
+   */
+  async download(asset, file, { size, sha256 }) {
+    const target = this.getPath(file);
+    const partPath = `${target}.part`;
+    const metaPath = `${partPath}.json`;
+    const chunkPath = `${target}.chunk`;
+
+    // A partial download of another version of the file cannot be continued
+    let offset = 0;
+    if (await RNFS.exists(partPath)) {
+      const meta = (await RNFS.exists(metaPath)) ? JSON.parse(await RNFS.readFile(metaPath, 'utf8')) : null;
+      if (meta && meta.sha256 === sha256) {
+        offset = Number((await RNFS.stat(partPath)).size);
+      } else {
+        await RNFS.unlink(partPath);
+      }
+    }
+    if (offset === 0) {
+      await RNFS.writeFile(partPath, '', 'utf8');
+      await RNFS.writeFile(metaPath, JSON.stringify({ sha256 }), 'utf8');
+    }
+    if (offset > 0) {
+      console.log(`[AssetService] Resuming ${file} at ${offset} of ${size} bytes`);
+    }
+
+    const report = bytes =>
+      this.setProgress({ status: AssetStatus.DOWNLOADING, asset, file, bytesWritten: bytes, totalBytes: size });
+    report(offset);
+
+    while (offset < size) {
+      const end = Math.min(offset + this.options.chunkSize, size) - 1;
+      const result = await this.downloadChunk(file, chunkPath, offset, end, bytes => report(offset + bytes));
+
+      if (result.statusCode === 200) {
+        // The mirror ignores ranges and sent the whole file
+        await RNFS.unlink(partPath);
+        await RNFS.moveFile(chunkPath, partPath);
+        offset = result.bytesWritten;
+        break;
+      }
+      const total = parseContentRangeTotal(result.contentRange);
+      if (total !== null && total !== size) {
+        throw new Error(`${file} on the mirror is ${total} bytes, the manifest says ${size}`);
+      }
+      await RNFS.appendFile(partPath, await RNFS.readFile(chunkPath, 'base64'), 'base64');
+      await RNFS.unlink(chunkPath);
+      offset += result.bytesWritten;
+      report(offset);
+    }
+
+    this.setProgress({ status: AssetStatus.VERIFYING, asset, file, bytesWritten: offset, totalBytes: size });
+    const written = Number((await RNFS.stat(partPath)).size);
+    const hash = written === size ? await RNFS.hash(partPath, 'sha256') : null;
+    if (hash === null || hash.toLowerCase() !== sha256.toLowerCase()) {
+      await RNFS.unlink(partPath);
+      await RNFS.unlink(metaPath);
+      throw new Error(
+        hash === null
+          ? `${file} download is ${written} bytes instead of ${size}`
+          : `${file} checksum mismatch, the download was discarded`
+      );
+    }
+
+    await RNFS.moveFile(partPath, target);
+    await RNFS.unlink(metaPath);
+    console.log(`[AssetService] Downloaded ${file} (${size} bytes)`);
+  }
+
+  /**
+   * Download bytes start-end of a file, retrying failed attempts
+   * @private
+   * @returns {Promise<Object>} { statusCode, bytesWritten, contentRange }
+   */
+  async downloadChunk(file, chunkPath, start, end, onProgress) {
+    const { mirror, retries, retryDelay, timeout } = this.options;
+    let delay = retryDelay;
+
+    for (let attempt = 0; ; attempt++) {
+      let contentRange = null;
+      const { jobId, promise } = RNFS.downloadFile({
+        fromUrl: `${mirror}/${file}`,
+        toFile: chunkPath,
+        headers: { Range: `bytes=${start}-${end}` },
+        connectionTimeout: timeout,
+        readTimeout: timeout,
+        progressInterval: 250,
+        begin: ({ headers }) => {
+          contentRange = getHeader(headers, 'Content-Range');
+        },
+        progress: ({ bytesWritten }) => onProgress(bytesWritten),
+      });
+      this.jobId = jobId;
+
+      let error;
+      try {
+        const { statusCode, bytesWritten } = await promise;
+        if (statusCode === 200 || statusCode === 206) {
+          return { statusCode, bytesWritten, contentRange };
+        }
+        error = new Error(`Download of ${file} failed (HTTP ${statusCode})`);
+      } catch (downloadError) {
+        error = downloadError;
+      } finally {
+        this.jobId = null;
+      }
+
+      if (this.cancelled) {
+        throw new Error('Download cancelled');
+      }
+      if (attempt >= retries) {
+        throw error;
+      }
+      console.warn(`[AssetService] ${error.message}, retrying in ${delay} ms`);
+      await sleep(delay);
+      delay *= 2;
+    }
+  }
+
+  /**
+   * Current provisioning step
+   * @returns {Object|null} { status, asset, file, bytesWritten, totalBytes, error }
+   */
+  getProgress() {
+    return this.progress;
+  }
+
+  /**
+   * Update and report the current step
+   * @private
+   */
+  setProgress(progress) {
+    this.progress = progress;
+    this.notifyListeners();
+  }
+
+  /**
+   * Add listener for provisioning progress
+   * @param {Function} callback - Receives the progress as returned by getProgress()
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify listeners
+   * @private
+   */
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.progress);
+      } catch (error) {
+        console.error('[AssetService] Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new AssetService();
@@ -0,0 +1,317 @@
+import { NativeEventEmitter, NativeModules } from 'react-native';
+import SettingsService from './SettingsService';
+import {
+  CAMERA_KEYS,
+  DEFAULT_VALIDATION_OPTIONS,
+  getCoverage,
+  getLeastCovered,
+  getViewParams,
+  isNovelView,
+  isStill,
+  validateCalibration,
+} from '../utils/calibration';
+
+const { SlamModule } = NativeModules;
+
+// Emitted by SlamModule for every frame checked by the `slamCalibrate` frame processor
+const CALIBRATION_EVENT = 'CalibrationFrameProcessed';
+
+/**
+ * Calibration boards
+ */
+export const CalibrationPattern = {
+  CHESSBOARD: 'chessboard',
+  CHARUCO: 'charuco',
+};
+
+/**
+ * Predefined ArUco dictionaries for ChArUco boards (cv::aruco::PredefinedDictionaryType)
+ */
+export const ArucoDictionary = {
+  DICT_4X4_50: 0,
+  DICT_5X5_100: 5,
+  DICT_6X6_250: 10,
+};
+
+const DEFAULT_PATTERN = {
+  type: CalibrationPattern.CHESSBOARD,
+  columns: 9, // inner corners per row for a chessboard, squares per row for ChArUco
+  rows: 6, // OpenCV's pattern.png
+  squareSize: 0.025, // m
+  markerSize: 0.019, // m, ChArUco only
+  dictionary: ArucoDictionary.DICT_5X5_100, // ChArUco only
+};
+
+const DEFAULT_OPTIONS = {
+  autoCapture: true, // capture still, novel views as they are detected
+  maxViews: 40,
+  coverage: {}, // see DEFAULT_COVERAGE_OPTIONS
+  validation: {}, // see DEFAULT_VALIDATION_OPTIONS
+};
+
+// Guidance towards the view parameter covered least
+const HINTS = {
+  x: 'Move the board to the left and right edges of the view',
+  y: 'Move the board to the top and bottom edges of the view',
+  size: 'Move closer until the board fills the view, then farther away',
+  skew: 'Tilt the board towards and away from the camera',
+};
+
+/**
+ * In-app camera calibration
+ *
+ * While started, the `slamCalibrate` frame processor looks for the board in
+ * every frame. Views are captured when the board is held still somewhere the
+ * captured views do not cover yet, and the hint tells the user where to move
+ * it next. Calibration itself runs natively; the result is validated before
+ * it is written into the Camera.* section of settings.yaml.
+ */
+class CalibrationService {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS, pattern: DEFAULT_PATTERN };
+    this.subscription = null;
+    this.active = false;
+    this.resetViews();
+    this.listeners = [];
+  }
+
+  /**
+   * Forget captured views and results
+   * @private
+   */
+  resetViews() {
+    this.detection = null;
+    this.previousOutline = null;
+    this.views = [];
+    this.capturing = false;
+    this.calibrating = false;
+    this.calibration = null;
+    this.validation = null;
+    this.hint = null;
+  }
+
+  /**
+   * Start looking for the board
+   * @param {Object} options - See DEFAULT_OPTIONS, plus pattern (see DEFAULT_PATTERN)
+   * @returns {Promise<boolean>}
+   */
+  async start(options = {}) {
+    await this.stop();
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      pattern: { ...DEFAULT_PATTERN, ...options.pattern },
+    };
+
+    await SlamModule.startCalibration(this.options.pattern);
+    this.resetViews();
+    this.active = true;
+
+    const emitter = new NativeEventEmitter(SlamModule);
+    this.subscription = emitter.addListener(CALIBRATION_EVENT, detection => this.handleDetection(detection));
+
+    const { type, columns, rows } = this.options.pattern;
+    console.log(`[CalibrationService] Started with a ${columns}x${rows} ${type}`);
+    this.notifyListeners();
+    return true;
+  }
+
+  /**
+   * Stop looking for the board and drop the captured views
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.subscription) {
+      this.subscription.remove();
+      this.subscription = null;
+    }
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+    try {
+      await SlamModule.stopCalibration();
+    } catch (error) {
+      console.error('[CalibrationService] Stop failed:', error);
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Minimum number of views before calibrating
+   * @private
+   */
+  getMinViews() {
+    return { ...DEFAULT_VALIDATION_OPTIONS, ...this.options.validation }.minViews;
+  }
+
+  /**
+   * Current progress
+   * @returns {Object} { active, detection, views, minViews, coverage: { x, y, size, skew } (0-1),
+   *   viewParams, hint, calibrating, calibration, validation }
+   */
+  getState() {
+    return {
+      active: this.active,
+      detection: this.detection,
+      views: this.views.length,
+      minViews: this.getMinViews(),
+      coverage: getCoverage(this.views, this.options.coverage),
+      viewParams: this.views,
+      hint: this.hint,
+      calibrating: this.calibrating,
+      calibration: this.calibration,
+      validation: this.validation,
+    };
+  }
+
+  /**
+   * Take a board detection from the frame processor
+   * @private
+   */
+  handleDetection(detection) {
+    this.detection = detection;
+    if (!detection.found) {
+      this.previousOutline = null;
+      this.hint = 'Show the whole board to the camera';
+      this.notifyListeners();
+      return;
+    }
+
+    const { outline, imageWidth, imageHeight } = detection;
+    const params = getViewParams(outline, imageWidth, imageHeight);
+    const still = isStill(outline, this.previousOutline, imageWidth, this.options.coverage);
+    const novel = isNovelView(params, this.views, this.options.coverage);
+    this.previousOutline = outline;
+
+    const least = getLeastCovered(getCoverage(this.views, this.options.coverage));
+    if (this.views.length >= this.options.maxViews) {
+      this.hint = 'Enough views, calibrate now';
+    } else if (!novel) {
+      this.hint = least ? HINTS[least] : 'Coverage complete, calibrate now';
+    } else if (!still) {
+      this.hint = 'Hold still';
+    } else if (this.options.autoCapture) {
+      this.captureView(params);
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Keep the board in the last frame as a view
+   * @param {Object} params - View params of the detection, computed from it when omitted
+   * @returns {Promise<boolean>} Whether a view was captured
+   */
+  async captureView(params = null) {
+    const { detection } = this;
+    if (!this.active || this.capturing || !detection || !detection.found) {
+      return false;
+    }
+
+    this.capturing = true;
+    try {
+      const views = await SlamModule.captureCalibrationView();
+      this.views.push(params || getViewParams(detection.outline, detection.imageWidth, detection.imageHeight));
+      // Earlier results no longer describe the captured views
+      this.calibration = null;
+      this.validation = null;
+      this.hint = `Captured view ${views}`;
+      return true;
+    } catch (error) {
+      // The frame after the detection already replaced it natively
+      return false;
+    } finally {
+      this.capturing = false;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Calibrate from the captured views and validate the result
+   * @returns {Promise<Object>} { calibration: { rms, fx, fy, cx, cy, k1, k2, p1, p2, k3, width, height,
+   *   views, perViewErrors }, validation: { valid, errors, warnings } }
+   */
+  async calibrate() {
+    if (!this.active) {
+      throw new Error('Calibration not started. Call start() first.');
+    }
+
+    this.calibrating = true;
+    this.notifyListeners();
+    try {
+      this.calibration = await SlamModule.calibrateCamera();
+      this.validation = validateCalibration(this.calibration, this.options.validation);
+
+      const { rms, views } = this.calibration;
+      console.log(
+        `[CalibrationService] Calibrated from ${views} views, reprojection error ${rms.toFixed(3)} px` +
+          (this.validation.valid ? '' : ` (rejected: ${this.validation.errors.join('; ')})`)
+      );
+      return { calibration: this.calibration, validation: this.validation };
+    } catch (error) {
+      console.error('[CalibrationService] Calibration failed:', error);
+      throw error;
+    } finally {
+      this.calibrating = false;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Write the validated calibration into settings.yaml
+   * Only the Camera.* keys change; see SettingsService.save() for how the file is replaced.
+   * @param {string} path - Settings file, SettingsService.getSettingsPath() by default
+   * @returns {Promise<string>} The settings path
+   */
+  async saveSettings(path = SettingsService.getSettingsPath()) {
+    const { calibration, validation } = this;
+    if (!calibration || !validation) {
+      throw new Error('No calibration to save. Call calibrate() first.');
+    }
+    if (!validation.valid) {
+      throw new Error(`Calibration rejected: ${validation.errors.join('; ')}`);
+    }
+
+    await SettingsService.load(path);
+    const camera = {};
+    CAMERA_KEYS.forEach(key => {
+      camera[`Camera.${key}`] = calibration[key];
+    });
+    SettingsService.set(camera);
+    await SettingsService.save(path);
+
+    console.log(`[CalibrationService] Calibration written to ${path}`);
+    return path;
+  }
+
+  /**
+   * Add listener for calibration progress
+   * @param {Function} callback - Receives the state as returned by getState()
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify listeners
+   * @private
+   */
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        console.error('[CalibrationService] Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new CalibrationService();
@@ -1,84 +1,226 @@
-import { accelerometer, gyroscope, setUpdateIntervalForType, SensorTypes } from 'react-native-sensors';
-import { filter } from 'rxjs/operators';
+import DeviceSensorSource from '../backends/DeviceSensorSource';
+import AttitudeFilter from '../fusion/AttitudeFilter';
+import BarometricAltimeter from '../fusion/BarometricAltimeter';
+import ErrorStateKalmanFilter from '../fusion/ErrorStateKalmanFilter';
+import HeadingFilter, { wrapAngle } from '../fusion/HeadingFilter';
+import PoseBuffer from '../fusion/PoseBuffer';
+import {
+  applyMagnetometerCalibration,
+  computeMagnetometerCalibration,
+  identityCalibration,
+} from '../fusion/MagnetometerCalibration';
+import StepDetector from '../fusion/StepDetector';
+import { diag } from '../utils/matrix';
+import { conjugate, fromGravity, multiply, normalize, rotateVector, toEuler } from '../utils/quaternion';
+
+const toArray = ({ x, y, z }) => [x, y, z];
+const toXyz = ([x, y, z]) => ({ x, y, z });
+
+/**
+ * Dead reckoning modes
+ * INS double-integrates IMU data through the Kalman filter, PDR advances the
+ * position one detected step at a time along the estimated heading
+ */
+export const DeadReckoningMode = {
+  INS: 'ins',
+  PDR: 'pdr',
+};
 
 /**
  * Dead Reckoning service for sensor fusion
  * Combines IMU data (accelerometer, gyroscope) with SLAM for improved positioning
  */
 class DeadReckoning {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sensors - Sensor source, see DeviceSensorSource; RecordedSensorSource
+   *   and SyntheticSensorSource play a session or a motion model instead
+   */
+  constructor({ sensors = new DeviceSensorSource() } = {}) {
+    this.sensors = sensors;
+
     // Position state
     this.velocity = { x: 0, y: 0, z: 0 };
     this.position = { x: 0, y: 0, z: 0 };
-    this.orientation = { x: 0, y: 0, z: 0 };
+    this.orientation = [0, 0, 0, 1]; // [qx, qy, qz, qw] body-to-world, same layout as SlamService poses
+    this.eulerAngles = { x: 0, y: 0, z: 0 };
+    this.linearAcceleration = { x: 0, y: 0, z: 0 }; // world frame, gravity removed
+    this.isAligned = false;
     
     // Raw sensor data
     this.acceleration = { x: 0, y: 0, z: 0 };
     this.angularVelocity = { x: 0, y: 0, z: 0 };
+    this.magneticField = null; // calibrated, null while disturbed
+    this.pressure = null; // hPa
+
+    // Pedestrian dead reckoning state
+    this.mode = DeadReckoningMode.INS;
+    this.heading = 0; // rad, counter-clockwise from x (east when the magnetometer is used)
+    this.stepCount = 0;
+    this.distance = 0; // m walked since the last reset
+    this.rawDistance = 0; // m before the per-user step length factor
+    this.lastStepTime = null;
+
+    // Compass and barometer state
+    this.yawReference = null; // world-frame direction of magnetic north at start
+    this.lastYawUpdate = null;
+    this.altitude = 0; // m relative to where tracking started
+    this.floor = 0;
     
-    // Timing
+    // Timing; the gyro keeps its own timestamps and is resampled at the accelerometer's
     this.lastTimestamp = null;
     this.startTime = null;
+    this.gyroSamples = []; // last two { timestamp, rate }
+
+    // Recent poses on the sensor clock, to fuse SLAM poses at their capture time
+    this.poseHistory = new PoseBuffer({ maxAge: 2000, maxExtrapolation: 0 });
     
-    // Subscriptions
-    this.accSubscription = null;
-    this.gyroSubscription = null;
+    // Unsubscribe function of the sensor source while running
+    this.sensorSubscription = null;
     
     // Calibration
     this.accelBias = { x: 0, y: 0, z: 0 };
     this.gyroBias = { x: 0, y: 0, z: 0 };
     this.isCalibrated = false;
+    this.magCalibration = identityCalibration();
+    this.isMagCalibrated = false;
     
     // Listeners
     this.listeners = [];
+    this.imuListeners = [];
     
     // Configuration
     this.updateRate = 100; // Hz
     this.gravityMagnitude = 9.81; // m/s^2
+    this.slamPositionStd = 0.05; // m, used when a SLAM pose carries no covariance
+    this.slamOrientationStd = 0.05; // rad
+    this.fuseOrientation = false;
+    this.compassYawStd = 0.15; // rad
+    this.compassUpdateInterval = 100; // ms between compass yaw corrections
+    this.magneticDisturbance = 0.2; // fraction of field strength tolerated before ignoring the compass
+    this.barometerStd = 0.5; // m
+
+    // Error-state Kalman filter holding position, velocity, orientation and IMU biases
+    this.filter = new ErrorStateKalmanFilter({ gravity: this.gravityMagnitude });
+
+    // Mahony tilt correction from the accelerometer
+    this.attitudeFilter = new AttitudeFilter({ gravity: this.gravityMagnitude });
+
+    // Step detection and heading for PDR mode
+    this.stepDetector = new StepDetector({ gravity: this.gravityMagnitude });
+    this.headingFilter = new HeadingFilter();
+
+    // Relative altitude and floor changes
+    this.altimeter = new BarometricAltimeter();
   }
 
   /**
    * Start dead reckoning with sensor fusion
    * @param {Object} options - Configuration options
+   * @param {string} options.mode - 'ins' (default) or 'pdr' for pedestrian dead reckoning
+   * @param {number} options.updateRate - IMU sample rate in Hz
+   * @param {Object} options.filter - Noise densities for ErrorStateKalmanFilter
+   * @param {number} options.slamPositionStd - Default SLAM position noise (m)
+   * @param {number} options.slamOrientationStd - Default SLAM orientation noise (rad)
+   * @param {boolean} options.fuseOrientation - Also correct orientation from SLAM poses, which must
+   *   then carry the IMU body orientation in the navigation frame, see fuseWithSlam()
+   * @param {number} options.tiltGain - Mahony proportional gain for accelerometer tilt correction
+   * @param {Object} options.stepDetector - Thresholds and Weinberg parameters for StepDetector
+   * @param {boolean} options.useMagnetometer - Correct yaw drift; in PDR mode also reference heading
+   *   and positions to magnetic north
+   * @param {boolean} options.useBarometer - Track relative altitude and floor changes
+   * @param {number} options.floorHeight - Height of one floor in meters
+   * @param {boolean} options.replay - Take samples from processImuSample instead of the sensor source
    */
   start(options = {}) {
     console.log('[DeadReckoning] Starting sensor fusion...');
     
-    const { updateRate = 100, calibrate = true } = options;
+    const {
+      mode = DeadReckoningMode.INS,
+      updateRate = 100,
+      calibrate = true,
+      filter: filterOptions,
+      slamPositionStd = this.slamPositionStd,
+      slamOrientationStd = this.slamOrientationStd,
+      fuseOrientation = this.fuseOrientation,
+      tiltGain,
+      stepDetector: stepOptions,
+      useMagnetometer = false,
+      useBarometer = false,
+      floorHeight,
+      replay = false,
+    } = options;
+
+    if (!Object.values(DeadReckoningMode).includes(mode)) {
+      throw new Error(`Unknown dead reckoning mode: ${mode}`);
+    }
+    this.mode = mode;
     this.updateRate = updateRate;
-    
-    // Set sensor update intervals
-    setUpdateIntervalForType(SensorTypes.accelerometer, 1000 / this.updateRate);
-    setUpdateIntervalForType(SensorTypes.gyroscope, 1000 / this.updateRate);
+    this.slamPositionStd = slamPositionStd;
+    this.slamOrientationStd = slamOrientationStd;
+    this.fuseOrientation = fuseOrientation;
+
+    if (filterOptions) {
+      const { accelBias, gyroBias } = this.filter;
+      this.filter = new ErrorStateKalmanFilter({
+        gravity: this.gravityMagnitude,
+        ...filterOptions,
+      });
+      this.filter.setBiases(accelBias, gyroBias);
+    }
+
+    if (tiltGain !== undefined) {
+      this.attitudeFilter = new AttitudeFilter({
+        gravity: this.gravityMagnitude,
+        kp: tiltGain,
+      });
+    }
+
+    if (stepOptions) {
+      this.stepDetector = new StepDetector({
+        gravity: this.gravityMagnitude,
+        stepLengthFactor: this.stepDetector.options.stepLengthFactor,
+        ...stepOptions,
+      });
+    }
+
+    if (floorHeight !== undefined) {
+      this.altimeter = new BarometricAltimeter({ floorHeight });
+    }
     
     this.startTime = Date.now();
-    this.lastTimestamp = null;
-    
-    // Subscribe to accelerometer
-    this.accSubscription = accelerometer
-      .pipe(filter(() => true))
-      .subscribe(
-        ({ x, y, z, timestamp }) => {
-          this.handleAccelerometerData({ x, y, z }, timestamp);
-        },
-        error => {
-          console.error('[DeadReckoning] Accelerometer error:', error);
-        }
-      );
+    this.resetTiming();
 
-    // Subscribe to gyroscope
-    this.gyroSubscription = gyroscope
-      .pipe(filter(() => true))
-      .subscribe(
-        ({ x, y, z, timestamp }) => {
-          this.handleGyroscopeData({ x, y, z }, timestamp);
-        },
-        error => {
-          console.error('[DeadReckoning] Gyroscope error:', error);
-        }
-      );
+    if (replay) {
+      console.log(`[DeadReckoning] Sensor fusion started (${this.mode}, replay)`);
+      return;
+    }
+    
+    this.sensorSubscription = this.sensors.subscribe(
+      {
+        accelerometer: ({ x, y, z, timestamp }) => this.handleAccelerometerData({ x, y, z }, timestamp),
+        gyroscope: ({ x, y, z, timestamp }) => this.handleGyroscopeData({ x, y, z }, timestamp),
+        // Magnetometer for an absolute heading, barometer for relative altitude
+        magnetometer: useMagnetometer
+          ? ({ x, y, z, timestamp }) => this.handleMagnetometerData({ x, y, z }, timestamp)
+          : null,
+        barometer: useBarometer ? ({ pressure, timestamp }) => this.handleBarometerData(pressure, timestamp) : null,
+        error: (sensor, error) => console.error(`[DeadReckoning] ${sensor} error:`, error),
+      },
+      { updateRate: this.updateRate }
+    );
+
+    console.log(`[DeadReckoning] Sensor fusion started (${this.mode})`);
+  }
 
-    console.log('[DeadReckoning] Sensor fusion started');
+  /**
+   * Feed one recorded IMU sample, e.g. from SessionReplay
+   * The gyro rate is applied before the accelerometer sample that propagates the filter.
+   * @param {Object} sample - { timestamp (ms), accel: [x, y, z] (m/s^2), gyro: [x, y, z] (rad/s) }
+   */
+  processImuSample({ timestamp, accel, gyro }) {
+    this.handleGyroscopeData(toXyz(gyro), timestamp);
+    this.handleAccelerometerData(toXyz(accel), timestamp);
   }
 
   /**
@@ -86,17 +228,10 @@ class DeadReckoning {
    * @private
    */
   handleAccelerometerData(acceleration, timestamp) {
-    // Store raw acceleration
+    // Store raw acceleration, bias is removed inside the filter
     this.acceleration = { ...acceleration };
     
-    // Remove bias if calibrated
-    if (this.isCalibrated) {
-      acceleration.x -= this.accelBias.x;
-      acceleration.y -= this.accelBias.y;
-      acceleration.z -= this.accelBias.z;
-    }
-    
-    // Update position using double integration
+    // Propagate the filter
     this.updatePosition(acceleration, timestamp);
   }
 
@@ -105,70 +240,240 @@ class DeadReckoning {
    * @private
    */
   handleGyroscopeData(angularVelocity, timestamp) {
-    // Store raw angular velocity
+    // Store raw angular velocity, the filter integrates it with the next accelerometer sample
     this.angularVelocity = { ...angularVelocity };
-    
-    // Remove bias if calibrated
-    if (this.isCalibrated) {
-      angularVelocity.x -= this.gyroBias.x;
-      angularVelocity.y -= this.gyroBias.y;
-      angularVelocity.z -= this.gyroBias.z;
+    if (Number.isFinite(timestamp)) {
+      this.gyroSamples = [...this.gyroSamples.slice(-1), { timestamp, rate: toArray(angularVelocity) }];
     }
-    
-    // Update orientation
-    this.updateOrientation(angularVelocity, timestamp);
   }
 
   /**
-   * Update position using acceleration data
+   * Gyro rate at a time, interpolated between the last two gyro samples
+   * Holds the nearest sample outside them rather than extrapolating.
+   * @private
+   */
+  gyroRateAt(timestamp) {
+    const samples = this.gyroSamples;
+    if (samples.length < 2) {
+      return toArray(this.angularVelocity);
+    }
+    const [a, b] = samples;
+    const span = b.timestamp - a.timestamp;
+    const fraction = span > 0 ? Math.max(0, Math.min(1, (timestamp - a.timestamp) / span)) : 1;
+    return a.rate.map((w, i) => w + (b.rate[i] - w) * fraction);
+  }
+
+  /**
+   * Handle magnetometer data
+   * @private
+   */
+  handleMagnetometerData(magneticField, timestamp) {
+    const calibrated = applyMagnetometerCalibration(this.magCalibration, toArray(magneticField));
+
+    // Nearby steel or electronics bend the field; the compass is useless until it recovers
+    const { fieldStrength } = this.magCalibration;
+    if (fieldStrength) {
+      const strength = Math.hypot(...calibrated);
+      if (Math.abs(strength - fieldStrength) > this.magneticDisturbance * fieldStrength) {
+        this.magneticField = null;
+        return;
+      }
+    }
+
+    this.magneticField = toXyz(calibrated);
+  }
+
+  /**
+   * Handle barometer data
+   * @private
+   */
+  handleBarometerData(pressure, timestamp) {
+    this.pressure = pressure;
+    const { altitude, floor, floorChange } = this.altimeter.update(pressure);
+    this.altitude = altitude;
+    this.floor = floor;
+
+    if (floorChange !== 0) {
+      console.log(`[DeadReckoning] Floor change: ${floor - floorChange} -> ${floor}`);
+    }
+
+    if (this.mode === DeadReckoningMode.PDR) {
+      this.position = { ...this.position, z: altitude };
+    } else {
+      this.filter.updateAltitude(altitude, this.barometerStd ** 2);
+      this.syncFromFilter();
+    }
+  }
+
+  /**
+   * Run the filter prediction step for one IMU sample
    * @private
    */
   updatePosition(acceleration, timestamp) {
-    if (!this.lastTimestamp) {
+    const accel = toArray(acceleration);
+    this.notifyImuListeners(accel, timestamp);
+
+    if (!this.isAligned) {
+      // Level the initial orientation so gravity is removed along the true vertical
+      this.alignWithGravity(accel);
+    }
+
+    if (this.lastTimestamp === null) {
       this.lastTimestamp = timestamp;
       return;
     }
+    // A sensor clock stepping back must not integrate backwards
+    if (timestamp <= this.lastTimestamp) {
+      return;
+    }
 
+    // The gyro streams on its own clock; its rate at the middle of the
+    // interval integrates the rotation over it to second order
+    const rate = this.gyroRateAt((this.lastTimestamp + timestamp) / 2);
     const dt = (timestamp - this.lastTimestamp) / 1000; // Convert to seconds
-    
-    // Remove gravity component (simplified - assumes phone is upright)
-    const accel = {
-      x: acceleration.x,
-      y: acceleration.y,
-      z: acceleration.z - this.gravityMagnitude,
-    };
+    this.lastTimestamp = timestamp;
 
-    // Integrate acceleration to get velocity (v = v0 + a*dt)
-    this.velocity.x += accel.x * dt;
-    this.velocity.y += accel.y * dt;
-    this.velocity.z += accel.z * dt;
+    // Feed the Mahony tilt correction in through the gyro rate
+    const unbiased = accel.map((a, i) => a - this.filter.accelBias[i]);
+    const correction = this.attitudeFilter.getCorrection(this.filter.orientation, unbiased, dt);
+    const gyro = rate.map((w, i) => w + correction[i]);
+
+    this.filter.predict(accel, gyro, dt);
+    this.syncFromFilter();
+
+    // Rotate into the world frame before removing gravity
+    const worldAccel = rotateVector(this.filter.orientation, unbiased);
+    this.linearAcceleration = toXyz([
+      worldAccel[0],
+      worldAccel[1],
+      worldAccel[2] - this.gravityMagnitude,
+    ]);
+
+    const magneticField = this.magneticField ? toArray(this.magneticField) : null;
+    if (magneticField && this.mode === DeadReckoningMode.INS) {
+      // INS positions stay in the filter frame, so the compass only holds its yaw;
+      // referencing the heading to north would turn it away from the positions
+      this.applyCompassYaw(magneticField, timestamp);
+      this.heading = this.headingFilter.update(this.filter.orientation, null, dt);
+    } else {
+      this.heading = this.headingFilter.update(this.filter.orientation, magneticField, dt);
+    }
 
-    // Integrate velocity to get position (s = s0 + v*dt)
-    this.position.x += this.velocity.x * dt;
-    this.position.y += this.velocity.y * dt;
-    this.position.z += this.velocity.z * dt;
+    if (this.mode === DeadReckoningMode.PDR) {
+      this.updatePedestrian(accel, timestamp);
+    }
 
-    this.lastTimestamp = timestamp;
+    this.poseHistory.add({ timestamp, position: toArray(this.position), orientation: this.orientation });
     
     // Notify listeners
     this.notifyListeners();
   }
 
   /**
-   * Update orientation using gyroscope data
+   * Advance the PDR position when a step is detected
    * @private
    */
-  updateOrientation(angularVelocity, timestamp) {
-    if (!this.lastTimestamp) {
+  updatePedestrian(accel, timestamp) {
+    const step = this.stepDetector.update(accel, timestamp);
+    if (!step) {
+      // Standing still once no step has come for a full step interval
+      if (this.lastStepTime && timestamp - this.lastStepTime > this.stepDetector.options.maxStepInterval) {
+        this.velocity = { x: 0, y: 0, z: 0 };
+      }
       return;
     }
 
-    const dt = (timestamp - this.lastTimestamp) / 1000;
+    const dx = step.length * Math.cos(this.heading);
+    const dy = step.length * Math.sin(this.heading);
+    this.position = {
+      x: this.position.x + dx,
+      y: this.position.y + dy,
+      z: this.position.z,
+    };
+
+    const speed = step.interval ? step.length / (step.interval / 1000) : 0;
+    this.velocity = {
+      x: speed * Math.cos(this.heading),
+      y: speed * Math.sin(this.heading),
+      z: 0,
+    };
+
+    this.stepCount++;
+    this.distance += step.length;
+    this.rawDistance += step.rawLength;
+    this.lastStepTime = timestamp;
+  }
+
+  /**
+   * Hold the filter's yaw to magnetic north as seen at start, cancelling gyro drift
+   * @private
+   */
+  applyCompassYaw(magneticField, timestamp) {
+    if (this.lastYawUpdate && timestamp - this.lastYawUpdate < this.compassUpdateInterval) {
+      return;
+    }
+    this.lastYawUpdate = timestamp;
+
+    const north = rotateVector(this.filter.orientation, magneticField);
+    if (Math.hypot(north[0], north[1]) === 0) {
+      return;
+    }
+
+    const direction = Math.atan2(north[1], north[0]);
+    if (this.yawReference === null) {
+      this.yawReference = direction;
+      return;
+    }
+
+    // North appearing rotated by +e in the world frame means the yaw estimate is e too large
+    this.filter.updateYaw(wrapAngle(this.yawReference - direction), this.compassYawStd ** 2);
+    this.syncFromFilter();
+  }
+
+  /**
+   * Calibrate the PDR step length against a known walked distance
+   * Walk a measured distance after resetPosition(), then pass it here.
+   * @param {number} actualDistance - Distance actually walked in meters
+   * @returns {number} New step length factor
+   */
+  calibrateStepLength(actualDistance) {
+    if (!(this.rawDistance > 0) || !(actualDistance > 0)) {
+      throw new Error('Walk a known distance in PDR mode before calibrating step length');
+    }
+
+    const factor = actualDistance / this.rawDistance;
+    this.stepDetector.setStepLengthFactor(factor);
+    this.distance = actualDistance;
+    console.log('[DeadReckoning] Step length factor:', factor);
+    return factor;
+  }
 
-    // Integrate angular velocity to get orientation (θ = θ0 + ω*dt)
-    this.orientation.x += angularVelocity.x * dt;
-    this.orientation.y += angularVelocity.y * dt;
-    this.orientation.z += angularVelocity.z * dt;
+  /**
+   * Set roll and pitch from a stationary accelerometer reading
+   * @private
+   */
+  alignWithGravity(accel) {
+    const unbiased = accel.map((a, i) => a - this.filter.accelBias[i]);
+    this.filter.setOrientation(fromGravity(unbiased));
+    this.attitudeFilter.reset();
+    this.isAligned = true;
+    this.syncFromFilter();
+  }
+
+  /**
+   * Copy the filter's nominal state into the public state fields
+   * @private
+   */
+  syncFromFilter() {
+    const { position, velocity, orientation, accelBias, gyroBias } = this.filter;
+    if (this.mode !== DeadReckoningMode.PDR) {
+      this.position = toXyz(position);
+      this.velocity = toXyz(velocity);
+    }
+    this.orientation = orientation.slice();
+    this.eulerAngles = toEuler(orientation);
+    this.accelBias = toXyz(accelBias);
+    this.gyroBias = toXyz(gyroBias);
   }
 
   /**
@@ -185,28 +490,33 @@ class DeadReckoning {
     };
 
     // Collect samples
-    const accSub = accelerometer.subscribe(({ x, y, z }) => {
-      samples.accel.push({ x, y, z });
-    });
-
-    const gyroSub = gyroscope.subscribe(({ x, y, z }) => {
-      samples.gyro.push({ x, y, z });
-    });
+    const unsubscribe = this.sensors.subscribe(
+      {
+        accelerometer: ({ x, y, z }) => samples.accel.push({ x, y, z }),
+        gyroscope: ({ x, y, z }) => samples.gyro.push({ x, y, z }),
+      },
+      { updateRate: this.updateRate }
+    );
 
     // Wait for calibration period
     await new Promise(resolve => setTimeout(resolve, duration));
 
-    // Unsubscribe
-    accSub.unsubscribe();
-    gyroSub.unsubscribe();
+    unsubscribe();
 
     // Calculate average bias
+    let meanAccel = null;
     if (samples.accel.length > 0) {
-      this.accelBias = {
-        x: samples.accel.reduce((sum, s) => sum + s.x, 0) / samples.accel.length,
-        y: samples.accel.reduce((sum, s) => sum + s.y, 0) / samples.accel.length,
-        z: samples.accel.reduce((sum, s) => sum + s.z, 0) / samples.accel.length - this.gravityMagnitude,
-      };
+      meanAccel = [
+        samples.accel.reduce((sum, s) => sum + s.x, 0) / samples.accel.length,
+        samples.accel.reduce((sum, s) => sum + s.y, 0) / samples.accel.length,
+        samples.accel.reduce((sum, s) => sum + s.z, 0) / samples.accel.length,
+      ];
+
+      // Gravity lies along the mean reading whatever the phone's attitude,
+      // only the excess magnitude along that direction is observable bias
+      const norm = Math.hypot(...meanAccel);
+      const excess = norm > 0 ? (norm - this.gravityMagnitude) / norm : 0;
+      this.accelBias = toXyz(meanAccel.map(a => a * excess));
     }
 
     if (samples.gyro.length > 0) {
@@ -217,6 +527,10 @@ class DeadReckoning {
       };
     }
 
+    this.filter.setBiases(toArray(this.accelBias), toArray(this.gyroBias));
+    if (meanAccel) {
+      this.alignWithGravity(meanAccel);
+    }
     this.isCalibrated = true;
     console.log('[DeadReckoning] Calibration complete');
     console.log('[DeadReckoning] Accel bias:', this.accelBias);
@@ -225,49 +539,202 @@ class DeadReckoning {
     return true;
   }
 
+  /**
+   * Calibrate the magnetometer for hard- and soft-iron distortion
+   * Rotate the phone slowly through a figure-eight for the whole duration.
+   * @param {number} duration - Calibration duration in milliseconds
+   * @returns {Promise<Object>} Calibration { offset, scale, fieldStrength }
+   */
+  async calibrateMagnetometer(duration = 15000) {
+    console.log('[DeadReckoning] Calibrating magnetometer...');
+
+    const samples = [];
+    const unsubscribe = this.sensors.subscribe(
+      {
+        magnetometer: ({ x, y, z }) => samples.push([x, y, z]),
+      },
+      { updateRate: this.updateRate }
+    );
+
+    // Wait for calibration period
+    await new Promise(resolve => setTimeout(resolve, duration));
+
+    unsubscribe();
+
+    this.magCalibration = computeMagnetometerCalibration(samples);
+    this.isMagCalibrated = true;
+    this.yawReference = null;
+    this.headingFilter.reset();
+
+    console.log('[DeadReckoning] Magnetometer calibration complete');
+    console.log('[DeadReckoning] Hard iron:', this.magCalibration.offset);
+    console.log('[DeadReckoning] Soft iron:', this.magCalibration.scale);
+
+    return { ...this.magCalibration };
+  }
+
   /**
    * Reset position and velocity
    */
   resetPosition() {
-    this.velocity = { x: 0, y: 0, z: 0 };
+    // Keep the bias estimates, they describe the sensor rather than the trajectory
+    this.filter.reset({
+      accelBias: this.filter.accelBias,
+      gyroBias: this.filter.gyroBias,
+    });
+    this.attitudeFilter.reset();
+    this.isAligned = false;
+    this.stepDetector.reset();
+    this.headingFilter.reset();
     this.position = { x: 0, y: 0, z: 0 };
-    this.orientation = { x: 0, y: 0, z: 0 };
-    this.lastTimestamp = null;
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.heading = 0;
+    this.stepCount = 0;
+    this.distance = 0;
+    this.rawDistance = 0;
+    this.lastStepTime = null;
+    this.altimeter.reset();
+    this.altitude = 0;
+    this.floor = 0;
+    this.yawReference = null;
+    this.lastYawUpdate = null;
+    this.syncFromFilter();
+    this.resetTiming();
     console.log('[DeadReckoning] Position reset');
   }
 
+  /**
+   * Forget sample times and the pose history
+   * @private
+   */
+  resetTiming() {
+    this.lastTimestamp = null;
+    this.gyroSamples = [];
+    this.poseHistory.clear();
+  }
+
   /**
    * Fuse with SLAM pose data
-   * @param {Object} slamPose - Pose from SLAM system
+   * Applies a Kalman measurement update, weighted by the pose covariance if the
+   * pose carries one (3x3 position or 6x6 position/orientation), otherwise by
+   * the configured default noise. A pose with `imuTimestamp`, its capture time
+   * on the sensor clock, is compared with the estimate at that instant: it is
+   * moved along by the motion dead reckoning measured since, so the latency
+   * of SLAM does not pull the estimate back.
+   * The pose has to be in the gravity-aligned navigation frame, and with
+   * fuseOrientation its orientation has to be the IMU body's. A raw SLAM pose
+   * is neither: it places the camera in the SLAM world, which for monocular
+   * SLAM is the first camera frame. LocalizationService passes poses that
+   * TrackingSupervisor has converted; with fuseOrientation off only the
+   * position is used.
+   * @param {Object} slamPose - { position, orientation, covariance, imuTimestamp } in the navigation frame
    */
   fuseWithSlam(slamPose) {
-    // Simple fusion: use SLAM position as ground truth and reset drift
-    if (slamPose && slamPose.position) {
-      this.position = {
-        x: slamPose.position[0],
-        y: slamPose.position[1],
-        z: slamPose.position[2],
-      };
-      
-      // Reset velocity to reduce drift
-      this.velocity = { x: 0, y: 0, z: 0 };
-      
-      console.log('[DeadReckoning] Fused with SLAM pose');
+    if (!slamPose || !slamPose.position) {
+      return;
     }
+
+    const useOrientation = this.fuseOrientation && Array.isArray(slamPose.orientation);
+    const noise = this.getSlamNoise(slamPose.covariance, useOrientation);
+    const measured = this.shiftToPresent(slamPose);
+    const before = { position: toArray(this.position), orientation: this.orientation };
+
+    try {
+      this.filter.updatePose(
+        measured.position,
+        useOrientation ? measured.orientation : null,
+        noise
+      );
+      this.syncFromFilter();
+
+      // PDR carries on stepping from the SLAM fix
+      if (this.mode === DeadReckoningMode.PDR) {
+        this.position = toXyz(measured.position);
+      }
+
+      // Later poses shift by motion since their capture; the history has to
+      // carry this correction too or it would be counted again
+      const after = toArray(this.position);
+      const rotation = multiply(this.orientation, conjugate(before.orientation));
+      this.poseHistory.transform(pose => ({
+        position: pose.position.map((p, i) => p + after[i] - before.position[i]),
+        orientation: normalize(multiply(rotation, pose.orientation)),
+      }));
+
+      this.notifyListeners();
+    } catch (error) {
+      console.error('[DeadReckoning] SLAM fusion failed:', error);
+    }
+  }
+
+  /**
+   * Move a SLAM pose from its capture time to the latest sample time
+   * @private
+   */
+  shiftToPresent(slamPose) {
+    const past = Number.isFinite(slamPose.imuTimestamp) ? this.poseHistory.at(slamPose.imuTimestamp) : null;
+    if (!past) {
+      return slamPose;
+    }
+
+    const position = toArray(this.position);
+    const motion = multiply(this.orientation, conjugate(past.orientation));
+    return {
+      ...slamPose,
+      position: slamPose.position.map((p, i) => p + position[i] - past.position[i]),
+      orientation: Array.isArray(slamPose.orientation)
+        ? normalize(multiply(motion, slamPose.orientation))
+        : slamPose.orientation,
+    };
+  }
+
+  /**
+   * Build the measurement covariance for a SLAM pose
+   * @private
+   */
+  getSlamNoise(covariance, useOrientation) {
+    const size = useOrientation ? 6 : 3;
+    if (Array.isArray(covariance) && covariance.length >= size) {
+      return covariance.slice(0, size).map(row => row.slice(0, size));
+    }
+
+    const p = this.slamPositionStd ** 2;
+    const o = this.slamOrientationStd ** 2;
+    return diag(useOrientation ? [p, p, p, o, o, o] : [p, p, p]);
   }
 
   /**
    * Get current state
+   * `orientation` is a body-to-world quaternion [qx, qy, qz, qw] of the IMU
+   * body in the gravity-aligned frame (z up); `eulerAngles` holds roll/pitch/yaw.
+   * It is not comparable with raw SlamService poses, which place the camera in
+   * the SLAM world: compare with LocalizationService poses, or convert with
+   * cameraFromBody() and slamToNavigationRotation() from slamFrame.js.
+   * `covariance` is the 15x15 error-state covariance ordered as
+   * position, velocity, orientation, accelerometer bias, gyroscope bias
    * @returns {Object}
    */
   getState() {
     return {
+      timestamp: this.lastTimestamp, // ms, sensor event clock
       position: { ...this.position },
       velocity: { ...this.velocity },
-      orientation: { ...this.orientation },
+      orientation: [...this.orientation],
+      eulerAngles: { ...this.eulerAngles },
       acceleration: { ...this.acceleration },
+      linearAcceleration: { ...this.linearAcceleration },
       angularVelocity: { ...this.angularVelocity },
+      accelBias: { ...this.accelBias },
+      gyroBias: { ...this.gyroBias },
+      covariance: this.filter.getState().covariance,
+      mode: this.mode,
+      heading: this.heading,
+      stepCount: this.stepCount,
+      distance: this.distance,
+      altitude: this.altitude,
+      floor: this.floor,
       isCalibrated: this.isCalibrated,
+      isMagCalibrated: this.isMagCalibrated,
     };
   }
 
@@ -283,6 +750,40 @@ class DeadReckoning {
     };
   }
 
+  /**
+   * Add listener for raw IMU samples, e.g. to forward them to visual-inertial SLAM
+   * Receives { timestamp, accel, gyro } with timestamp in epoch ms, accel in m/s^2
+   * and gyro in rad/s, both in the device frame and without bias correction.
+   * The gyro is resampled at the accelerometer timestamp.
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  addImuListener(callback) {
+    this.imuListeners.push(callback);
+    return () => {
+      this.imuListeners = this.imuListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify IMU listeners of a raw sample
+   * @private
+   */
+  notifyImuListeners(accel, timestamp) {
+    if (this.imuListeners.length === 0) {
+      return;
+    }
+
+    const sample = { timestamp, accel, gyro: this.gyroRateAt(timestamp) };
+    this.imuListeners.forEach(callback => {
+      try {
+        callback(sample);
+      } catch (error) {
+        console.error('[DeadReckoning] IMU listener error:', error);
+      }
+    });
+  }
+
   /**
    * Notify listeners of state update
    * @private
@@ -302,19 +803,16 @@ class DeadReckoning {
    * Stop dead reckoning
    */
   stop() {
-    if (this.accSubscription) {
-      this.accSubscription.unsubscribe();
-      this.accSubscription = null;
-    }
-
-    if (this.gyroSubscription) {
-      this.gyroSubscription.unsubscribe();
-      this.gyroSubscription = null;
+    if (this.sensorSubscription) {
+      this.sensorSubscription();
+      this.sensorSubscription = null;
     }
 
     console.log('[DeadReckoning] Sensor fusion stopped');
   }
 }
 
+export { DeadReckoning };
+
 // Export singleton instance
 export default new DeadReckoning();
@@ -0,0 +1,274 @@
+import SlamService from './SlamService';
+import DeadReckoning from './DeadReckoning';
+import ScaleService from './ScaleService';
+import TimeSyncService from './TimeSyncService';
+import TrackingSupervisor, { Confidence, RecoveryAction } from '../fusion/TrackingSupervisor';
+import { cameraToBodyFromTbc } from '../utils/slamFrame';
+
+const DEFAULT_OPTIONS = {
+  tickInterval: 200, // ms between timeout checks
+  relocalizationTimeout: 15000, // ms given to a map reload before the supervisor moves on to a reset
+  autoRecover: true, // reload the map or reset SLAM when lost for long, otherwise only fall back to dead reckoning
+  supervisor: {}, // TrackingSupervisor options; cameraToBody defaults to Tbc from settings.yaml
+};
+
+/**
+ * Current dead reckoning pose in array form
+ * @private
+ */
+const deadReckoningPose = () => {
+  const { position, orientation, heading } = DeadReckoning.getState();
+  return { position: [position.x, position.y, position.z], orientation, heading };
+};
+
+/**
+ * Navigation pose that stays usable when SLAM is lost
+ *
+ * Feeds SLAM frames and dead reckoning into a TrackingSupervisor, fuses SLAM
+ * into dead reckoning only while SLAM is trusted, and performs the recovery
+ * actions the supervisor asks for (reloading the loaded map, resetting SLAM).
+ * Monocular SLAM poses are only used once their metric scale has converged;
+ * until then the output is dead reckoning, but losing SLAM is still noticed
+ * and recovered from.
+ * Consumers should use this pose rather than raw SLAM poses.
+ */
+class LocalizationService {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.supervisor = new TrackingSupervisor();
+    this.subscriptions = [];
+    this.timer = null;
+    this.recovering = false;
+    this.listeners = [];
+    this.stateListeners = [];
+  }
+
+  /**
+   * Start supervising SLAM and dead reckoning
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  start(options = {}) {
+    this.stop();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    const imuConfig = SlamService.getImuConfig();
+    this.supervisor = new TrackingSupervisor({
+      cameraToBody: cameraToBodyFromTbc(imuConfig && imuConfig.Tbc),
+      ...this.options.supervisor,
+    });
+    this.subscriptions = [
+      SlamService.addFrameListener(frame => this.handleFrame(frame)),
+      DeadReckoning.addListener(() => this.update()),
+    ];
+    this.timer = setInterval(() => this.tick(), this.options.tickInterval);
+    console.log('[LocalizationService] Started');
+  }
+
+  /**
+   * Stop supervising
+   */
+  stop() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Start over after SLAM and dead reckoning were reset or a map was loaded
+   * The next map SLAM tracks in defines the navigation frame again, once its
+   * scale is known (see ScaleService).
+   */
+  reset() {
+    const previous = this.supervisor.state;
+    this.supervisor.reset();
+    ScaleService.reset();
+    TimeSyncService.reset();
+    this.notifyStateChange(previous);
+  }
+
+  /**
+   * Current navigation pose
+   * @returns {Object} { position, orientation, heading, source: 'slam' | 'deadReckoning', state,
+   *   confidence: 'high' | 'degraded', lostFor }, see TrackingSupervisor.getOutput()
+   */
+  getPose() {
+    return this.supervisor.getOutput(deadReckoningPose(), Date.now());
+  }
+
+  /**
+   * SLAM map position in the navigation frame, e.g. for map points and the SLAM track
+   * @param {number[]} position - [x, y, z] in map units, as SLAM returns it
+   * @returns {number[]|null} [x, y, z] in meters, null until SLAM is metric and aligned
+   */
+  toNavigationFrame(position) {
+    const metric = ScaleService.toMetric({ position });
+    return metric ? this.supervisor.toNavigation(metric.position) : null;
+  }
+
+  /**
+   * SLAM pose in the navigation frame, e.g. to anchor it in a world frame
+   * @param {Object} pose - { position, orientation, ... } of the camera, as SLAM returns it
+   * @returns {Object|null} The pose with position in meters and the IMU body orientation in the
+   *   navigation frame, null until SLAM is metric and aligned
+   */
+  toNavigationPose(pose) {
+    const metric = ScaleService.toMetric(pose);
+    const navigation = metric && this.supervisor.toNavigationPose(metric);
+    return navigation ? { ...pose, ...navigation } : null;
+  }
+
+  /**
+   * @returns {string} NavigationState value
+   */
+  getState() {
+    return this.supervisor.state;
+  }
+
+  /**
+   * Take a processed SLAM frame
+   * @private
+   */
+  handleFrame(frame) {
+    // Monocular poses in map units would pull dead reckoning off its metric
+    // frame; until the scale is known the supervisor only gets the tracking state
+    const metric = ScaleService.toMetric(frame) || { trackingState: frame.trackingState, position: null };
+
+    const previous = this.supervisor.state;
+    const pose = this.supervisor.handleFrame(metric, deadReckoningPose(), Date.now());
+    this.notifyStateChange(previous);
+
+    if (pose) {
+      // Compared with dead reckoning at the capture time, not when the pose
+      // arrived; notifies the dead reckoning listener, which publishes the new output
+      DeadReckoning.fuseWithSlam({ ...pose, imuTimestamp: TimeSyncService.frameToImuTime(frame) });
+    } else {
+      this.update();
+    }
+  }
+
+  /**
+   * Check timeouts and start recovery when asked to
+   * @private
+   */
+  tick() {
+    const previous = this.supervisor.state;
+    const action = this.supervisor.tick(Date.now());
+    this.notifyStateChange(previous);
+
+    if (action && this.options.autoRecover && !this.recovering) {
+      this.recover(action);
+    }
+  }
+
+  /**
+   * Reload the loaded map or reset SLAM
+   * @private
+   */
+  async recover(action) {
+    // Without a loaded map there is nothing to reload; the supervisor asks for a reset later
+    const mapPath = SlamService.loadedMapPath;
+    if (action === RecoveryAction.RELOCALIZE && !mapPath) {
+      return;
+    }
+
+    const previous = this.supervisor.state;
+    this.supervisor.startRecovery(action, Date.now());
+    this.notifyStateChange(previous);
+    this.recovering = true;
+
+    try {
+      if (action === RecoveryAction.RELOCALIZE) {
+        console.log(`[LocalizationService] Still lost, reloading ${mapPath}`);
+        await SlamService.loadMap(mapPath);
+        SlamService.relocalize({ timeout: this.options.relocalizationTimeout }).catch(error => {
+          console.warn('[LocalizationService] Relocalization failed:', error.message);
+        });
+      } else {
+        console.log('[LocalizationService] Still lost, resetting SLAM for a fresh map');
+        await SlamService.reset();
+        ScaleService.reset();
+      }
+    } catch (error) {
+      console.error(`[LocalizationService] Recovery (${action}) failed:`, error);
+    } finally {
+      this.recovering = false;
+    }
+  }
+
+  /**
+   * Publish the current output
+   * @private
+   */
+  update() {
+    this.notifyListeners(this.getPose());
+  }
+
+  /**
+   * Add listener for navigation poses, published on every dead reckoning update
+   * @param {Function} callback - Receives the pose as returned by getPose()
+   * @returns {Function} Unsubscribe function
+   */
+  addPoseListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Add listener for navigation state changes
+   * @param {Function} callback - Receives { state, previous, confidence, timestamp }
+   * @returns {Function} Unsubscribe function
+   */
+  addStateListener(callback) {
+    this.stateListeners.push(callback);
+    return () => {
+      this.stateListeners = this.stateListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify pose listeners
+   * @private
+   */
+  notifyListeners(pose) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(pose);
+      } catch (error) {
+        console.error('[LocalizationService] Listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Notify state listeners if the state changed
+   * @private
+   */
+  notifyStateChange(previous) {
+    const { state } = this.supervisor;
+    if (state === previous) {
+      return;
+    }
+
+    console.log(`[LocalizationService] ${previous} -> ${state}`);
+    const change = {
+      state,
+      previous,
+      confidence: this.supervisor.isDeadReckoning() ? Confidence.DEGRADED : Confidence.HIGH,
+      timestamp: Date.now(),
+    };
+    this.stateListeners.forEach(callback => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('[LocalizationService] State listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new LocalizationService();
@@ -0,0 +1,362 @@
+import { Vibration } from 'react-native';
+import RNFS from 'react-native-fs';
+import Tts from 'react-native-tts';
+import LocalizationService from './LocalizationService';
+import PathPlanningService from './PathPlanningService';
+import { computeGuidance, computePathGuidance, describeGuidance, TurnInstruction } from '../utils/navigation';
+
+const DEFAULT_GUIDANCE_OPTIONS = {
+  arrivalRadius: 1.0, // m
+  updateInterval: 500, // ms between guidance updates
+  announceInterval: 10000, // ms between spoken reminders when the instruction does not change
+  speech: true,
+  haptics: true,
+  planPath: true, // follow a path around obstacles instead of the straight line
+};
+
+// Vibration patterns (ms): turn cue and arrival
+const TURN_PATTERN = [0, 80, 80, 80];
+const ARRIVAL_PATTERN = [0, 400];
+
+/**
+ * Named waypoints in the local map frame and guidance towards one of them
+ * Waypoints are stored next to the map they were dropped in
+ * (`<map>.waypoints.json`), since their coordinates only mean something in that map.
+ */
+class NavigationService {
+  constructor() {
+    this.waypoints = [];
+    this.mapPath = null;
+    this.nextId = 1;
+
+    this.guidance = null;
+    this.guidanceTimer = null;
+    this.guidanceOptions = { ...DEFAULT_GUIDANCE_OPTIONS };
+    this.guidanceListeners = [];
+    this.lastAnnouncement = { instruction: null, time: 0 };
+    this.speechReady = false;
+  }
+
+  /**
+   * Current position and heading
+   * The SLAM position while it is trusted and dead reckoning otherwise, see
+   * LocalizationService; heading always comes from dead reckoning.
+   * @returns {Object} { position: [x, y, z], heading, source: 'slam' | 'deadReckoning', confidence }
+   */
+  getCurrentPose() {
+    const { position, heading, source, confidence } = LocalizationService.getPose();
+    return { position, heading, source, confidence };
+  }
+
+  /**
+   * Drop a waypoint at the current pose
+   * @param {string} name - Defaults to "Waypoint <n>"
+   * @returns {Promise<Object>} { id, name, position, heading, createdAt }
+   */
+  async addWaypoint(name = null) {
+    const { position, heading } = this.getCurrentPose();
+    const id = `wp${this.nextId++}`;
+    const waypoint = {
+      id,
+      name: (name && name.trim()) || `Waypoint ${this.waypoints.length + 1}`,
+      position,
+      heading,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.waypoints.push(waypoint);
+    await this.persist();
+    console.log(`[NavigationService] Waypoint "${waypoint.name}" at (${position.map(c => c.toFixed(2)).join(', ')})`);
+    return waypoint;
+  }
+
+  /**
+   * @returns {Object[]} Waypoints in creation order
+   */
+  listWaypoints() {
+    return [...this.waypoints];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getWaypoint(id) {
+    return this.waypoints.find(waypoint => waypoint.id === id) || null;
+  }
+
+  /**
+   * Rename a waypoint
+   * @param {string} id
+   * @param {string} name
+   * @returns {Promise<Object>} Updated waypoint
+   * @throws {Error} If the waypoint does not exist or the name is empty
+   */
+  async renameWaypoint(id, name) {
+    const waypoint = this.getWaypoint(id);
+    if (!waypoint) {
+      throw new Error(`Unknown waypoint: ${id}`);
+    }
+    if (!name || !name.trim()) {
+      throw new Error('Waypoint name cannot be empty');
+    }
+
+    waypoint.name = name.trim();
+    await this.persist();
+    return waypoint;
+  }
+
+  /**
+   * Delete a waypoint, stopping guidance if it was the target
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a waypoint was deleted
+   */
+  async deleteWaypoint(id) {
+    const count = this.waypoints.length;
+    this.waypoints = this.waypoints.filter(waypoint => waypoint.id !== id);
+    if (this.waypoints.length === count) {
+      return false;
+    }
+
+    if (this.guidance && this.guidance.waypoint.id === id) {
+      this.stopGuidance();
+    }
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Waypoint file stored next to a map file
+   * @param {string} mapPath - Absolute map path, see SlamService.resolveMapPath()
+   * @returns {string}
+   */
+  getWaypointFile(mapPath) {
+    return `${mapPath.replace(/\.[^/.]+$/, '')}.waypoints.json`;
+  }
+
+  /**
+   * Save the waypoints with a map; later changes are saved there too
+   * @param {string} mapPath - Absolute map path returned by SlamService.saveMap()
+   * @returns {Promise<string>} Waypoint file path
+   */
+  async saveForMap(mapPath) {
+    this.mapPath = mapPath;
+    await this.persist();
+    return this.getWaypointFile(mapPath);
+  }
+
+  /**
+   * Replace the waypoints with those saved for a map
+   * A map without a waypoint file starts with no waypoints.
+   * @param {string} mapPath - Absolute map path returned by SlamService.loadMap()
+   * @returns {Promise<Object[]>} Loaded waypoints
+   */
+  async loadForMap(mapPath) {
+    this.stopGuidance();
+    this.mapPath = mapPath;
+    this.waypoints = [];
+
+    const file = this.getWaypointFile(mapPath);
+    if (await RNFS.exists(file)) {
+      const data = JSON.parse(await RNFS.readFile(file, 'utf8'));
+      this.waypoints = Array.isArray(data.waypoints) ? data.waypoints : [];
+    }
+
+    const ids = this.waypoints.map(waypoint => Number(String(waypoint.id).replace(/^wp/, '')) || 0);
+    this.nextId = Math.max(0, ...ids) + 1;
+
+    console.log(`[NavigationService] Loaded ${this.waypoints.length} waypoints for ${mapPath}`);
+    return this.listWaypoints();
+  }
+
+  /**
+   * Write the waypoints to the file of the associated map, if any
+   * @private
+   */
+  async persist() {
+    if (!this.mapPath) {
+      return;
+    }
+
+    const data = { version: 1, map: this.mapPath, waypoints: this.waypoints };
+    try {
+      await RNFS.writeFile(this.getWaypointFile(this.mapPath), JSON.stringify(data, null, 2), 'utf8');
+    } catch (error) {
+      console.error('[NavigationService] Saving waypoints failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start guiding towards a waypoint
+   * Guidance is updated periodically and delivered to guidance listeners; the
+   * instruction is spoken and signalled by vibration whenever it changes.
+   * Guidance stops by itself on arrival.
+   * @param {string} id - Waypoint id
+   * @param {Object} options
+   * @param {number} options.arrivalRadius - Horizontal distance counting as arrived (m)
+   * @param {number} options.updateInterval - Time between updates (ms)
+   * @param {number} options.announceInterval - Time between spoken reminders (ms)
+   * @param {boolean} options.speech - Speak instructions
+   * @param {boolean} options.haptics - Vibrate on turns and arrival
+   * @param {boolean} options.planPath - Guide along a path planned around obstacles, see PathPlanningService
+   * @returns {Promise<Object>} First guidance update
+   */
+  async startGuidance(id, options = {}) {
+    const waypoint = this.getWaypoint(id);
+    if (!waypoint) {
+      throw new Error(`Unknown waypoint: ${id}`);
+    }
+
+    this.stopGuidance();
+    this.guidanceOptions = { ...DEFAULT_GUIDANCE_OPTIONS, ...options };
+
+    if (this.guidanceOptions.speech && !this.speechReady) {
+      try {
+        await Tts.getInitStatus();
+        this.speechReady = true;
+      } catch (error) {
+        console.warn('[NavigationService] Text-to-speech unavailable:', error.message);
+      }
+    }
+
+    if (this.guidanceOptions.planPath) {
+      await PathPlanningService.start(waypoint.position, { getPose: () => this.getCurrentPose().position });
+    }
+
+    this.guidance = { waypoint };
+    this.lastAnnouncement = { instruction: null, time: 0 };
+    this.guidanceTimer = setInterval(() => this.updateGuidance(), this.guidanceOptions.updateInterval);
+    console.log(`[NavigationService] Guiding to "${waypoint.name}"`);
+    return this.updateGuidance();
+  }
+
+  /**
+   * Stop guidance
+   */
+  stopGuidance() {
+    if (this.guidanceTimer) {
+      clearInterval(this.guidanceTimer);
+      this.guidanceTimer = null;
+    }
+    PathPlanningService.stop();
+    if (!this.guidance) {
+      return;
+    }
+    if (this.speechReady) {
+      Tts.stop();
+    }
+    this.guidance = null;
+    this.notifyGuidanceListeners(null);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isGuiding() {
+    return this.guidance !== null;
+  }
+
+  /**
+   * Latest guidance update
+   * @returns {Object|null} { waypoint, distance, verticalDistance, bearing, relativeBearing,
+   *   instruction, arrived, source, confidence, path }, see utils/navigation.js; path is empty
+   *   when guiding along the straight line
+   */
+  getGuidance() {
+    return this.guidance && this.guidance.instruction ? this.guidance : null;
+  }
+
+  /**
+   * Compute guidance from the current pose and notify listeners
+   * @private
+   */
+  updateGuidance() {
+    if (!this.guidance) {
+      return null;
+    }
+
+    const { waypoint } = this.guidance;
+    const { position, heading, source, confidence } = this.getCurrentPose();
+    const path = PathPlanningService.getPath();
+    const guidance = {
+      waypoint,
+      ...(path.length > 1
+        ? computePathGuidance(position, heading, path, waypoint.position, this.guidanceOptions)
+        : computeGuidance(position, heading, waypoint.position, this.guidanceOptions)),
+      source,
+      confidence,
+      path,
+    };
+    this.guidance = guidance;
+
+    this.announce(guidance);
+    this.notifyGuidanceListeners(guidance);
+
+    if (guidance.arrived) {
+      console.log(`[NavigationService] Arrived at "${waypoint.name}"`);
+      clearInterval(this.guidanceTimer);
+      this.guidanceTimer = null;
+      this.guidance = null;
+      PathPlanningService.stop();
+    }
+    return guidance;
+  }
+
+  /**
+   * Speak and vibrate when the instruction changes, and remind periodically
+   * @private
+   */
+  announce(guidance) {
+    const { speech, haptics, announceInterval } = this.guidanceOptions;
+    const now = Date.now();
+    const changed = guidance.instruction !== this.lastAnnouncement.instruction;
+    if (!changed && now - this.lastAnnouncement.time < announceInterval) {
+      return;
+    }
+    this.lastAnnouncement = { instruction: guidance.instruction, time: now };
+
+    if (haptics && changed) {
+      if (guidance.arrived) {
+        Vibration.vibrate(ARRIVAL_PATTERN);
+      } else if (guidance.instruction !== TurnInstruction.STRAIGHT) {
+        Vibration.vibrate(TURN_PATTERN);
+      }
+    }
+
+    if (speech && this.speechReady) {
+      Tts.stop();
+      Tts.speak(describeGuidance(guidance, guidance.waypoint.name));
+    }
+  }
+
+  /**
+   * Add listener for guidance updates
+   * @param {Function} callback - Receives the guidance (see getGuidance()), or null when
+   *   guidance is stopped; the final update on arrival has arrived set
+   * @returns {Function} Unsubscribe function
+   */
+  addGuidanceListener(callback) {
+    this.guidanceListeners.push(callback);
+    return () => {
+      this.guidanceListeners = this.guidanceListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify guidance listeners
+   * @private
+   */
+  notifyGuidanceListeners(guidance) {
+    this.guidanceListeners.forEach(callback => {
+      try {
+        callback(guidance);
+      } catch (error) {
+        console.error('[NavigationService] Guidance listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new NavigationService();
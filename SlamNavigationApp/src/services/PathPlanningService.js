@@ -0,0 +1,201 @@
+import DeadReckoning from './DeadReckoning';
+import SlamService from './SlamService';
+import LocalizationService from './LocalizationService';
+import TrajectoryStore, { TrajectoryTrack } from './TrajectoryStore';
+import OccupancyGrid from '../planning/OccupancyGrid';
+import { planPath } from '../planning/pathPlanner';
+
+const DEFAULT_OPTIONS = {
+  replanInterval: 1000, // ms between plans from the current pose
+  gridInterval: 5000, // ms between occupancy grid rebuilds
+  maxMapPoints: 5000, // map points fetched for each rebuild
+  grid: {}, // OccupancyGrid options
+  planner: {}, // planPath options
+};
+
+/**
+ * Current position from dead reckoning
+ * @private
+ */
+const deadReckoningPosition = () => {
+  const { position } = DeadReckoning.getState();
+  return [position.x, position.y, position.z];
+};
+
+/**
+ * Keeps an occupancy grid of the SLAM map up to date and re-plans a path
+ * from the current pose to a goal as the user moves
+ * The grid is built from the recorded trajectories (see TrajectoryStore) and
+ * the SLAM map points, all in the navigation frame; building and planning
+ * live in src/planning.
+ */
+class PathPlanningService {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.grid = null;
+    this.gridBuiltAt = 0;
+    this.goal = null;
+    this.plan = null;
+    this.getPose = deadReckoningPosition;
+    this.timer = null;
+    this.planning = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Build the occupancy grid from the current trajectories and map points
+   * @returns {Promise<OccupancyGrid>}
+   */
+  async buildGrid() {
+    let mapPoints = [];
+    if (SlamService.isReady()) {
+      try {
+        mapPoints = await SlamService.getMapPoints(this.options.maxMapPoints);
+      } catch (error) {
+        // Plan on the walked cells alone
+      }
+    }
+
+    // Map points and the SLAM track are in the SLAM world and in map units, the
+    // fused track and poses in the navigation frame and in meters. Until SLAM is
+    // metric and aligned the grid is built from the fused track alone.
+    const toNavigation = positions =>
+      positions.map(position => LocalizationService.toNavigationFrame(position)).filter(Boolean);
+    mapPoints = toNavigation(mapPoints);
+    const trajectories = Object.values(TrajectoryTrack).map(track => {
+      const positions = TrajectoryStore.getTrack(track).map(pose => pose.position);
+      return track === TrajectoryTrack.SLAM ? toNavigation(positions) : positions;
+    });
+
+    this.grid = new OccupancyGrid(this.options.grid).build({ trajectories, mapPoints });
+    this.gridBuiltAt = Date.now();
+    return this.grid;
+  }
+
+  /**
+   * Start planning towards a goal, re-planning periodically from the current pose
+   * @param {number[]} goal - [x, y, z] in the navigation frame
+   * @param {Object} options - See DEFAULT_OPTIONS
+   * @param {Function} options.getPose - Returns the current [x, y, z], dead reckoning by default
+   * @returns {Promise<Object|null>} First plan, see getPlan()
+   */
+  async start(goal, { getPose = deadReckoningPosition, ...options } = {}) {
+    this.stop();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.goal = [...goal];
+    this.getPose = getPose;
+    this.gridBuiltAt = 0;
+
+    this.timer = setInterval(() => this.replan(), this.options.replanInterval);
+    return this.replan();
+  }
+
+  /**
+   * Stop re-planning and drop the current path
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.goal = null;
+    if (this.plan) {
+      this.plan = null;
+      this.notifyListeners(null);
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.goal !== null;
+  }
+
+  /**
+   * Latest plan
+   * @returns {Object|null} { path: [[x, y], ...], length, cost, expansions, timestamp },
+   *   null when not planning or when no path was found
+   */
+  getPlan() {
+    return this.plan;
+  }
+
+  /**
+   * Latest path, empty when there is none
+   * @returns {number[][]} [x, y] points
+   */
+  getPath() {
+    return this.plan ? this.plan.path : [];
+  }
+
+  /**
+   * Grid used for the latest plan
+   * @returns {OccupancyGrid|null}
+   */
+  getGrid() {
+    return this.grid;
+  }
+
+  /**
+   * Plan from the current pose, rebuilding the grid when it is stale
+   * @private
+   */
+  async replan() {
+    if (!this.goal || this.planning) {
+      return this.plan;
+    }
+
+    this.planning = true;
+    try {
+      if (!this.grid || Date.now() - this.gridBuiltAt >= this.options.gridInterval) {
+        await this.buildGrid();
+      }
+      if (!this.goal) {
+        return null;
+      }
+
+      const result = planPath(this.grid, this.getPose(), this.goal, this.options.planner);
+      if (!result && this.plan) {
+        console.warn('[PathPlanningService] No path to the goal from the current pose');
+      }
+      this.plan = result ? { ...result, timestamp: Date.now() } : null;
+      this.notifyListeners(this.plan);
+      return this.plan;
+    } catch (error) {
+      console.error('[PathPlanningService] Planning failed:', error);
+      return this.plan;
+    } finally {
+      this.planning = false;
+    }
+  }
+
+  /**
+   * Add listener for new plans
+   * @param {Function} callback - Receives the plan, or null when no path exists or planning stops
+   * @returns {Function} Unsubscribe function
+   */
+  addPathListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify path listeners
+   * @private
+   */
+  notifyListeners(plan) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(plan);
+      } catch (error) {
+        console.error('[PathPlanningService] Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new PathPlanningService();
@@ -0,0 +1,53 @@
+import { defer, distinctUntilChanged, shareReplay, startWith } from 'rxjs';
+import SlamService from './SlamService';
+import DeadReckoning from './DeadReckoning';
+import LocalizationService from './LocalizationService';
+import { fromListener, limitRate } from '../utils/observables';
+
+/**
+ * Pose and tracking streams as RxJS observables
+ *
+ * Each stream holds one listener on its service for as long as anything is
+ * subscribed, and replays its latest value to late subscribers. Pass the
+ * streams through limitRate() (or use the hooks in usePoseStreams.js) to take
+ * them at the rate a consumer needs: dead reckoning alone updates with every
+ * accelerometer sample, about 100 times a second.
+ */
+
+const replayLatest = () => shareReplay({ bufferSize: 1, refCount: true });
+
+/**
+ * SLAM poses, see SlamService.addPoseListener()
+ */
+export const pose$ = fromListener(callback => SlamService.addPoseListener(callback)).pipe(replayLatest());
+
+/**
+ * Dead reckoning states, see DeadReckoning.getState()
+ */
+export const drState$ = fromListener(callback => DeadReckoning.addListener(callback)).pipe(replayLatest());
+
+/**
+ * Navigation poses fusing SLAM and dead reckoning, see LocalizationService.getPose()
+ */
+export const fusedPose$ = fromListener(callback => LocalizationService.addPoseListener(callback)).pipe(
+  replayLatest()
+);
+
+/**
+ * SLAM tracking state names ('OK', 'LOST', ...), starting with the current
+ * one and then only on changes, including those made by a reset or map load
+ * without a frame, see SlamService.addTrackingStateListener()
+ */
+export const trackingState$ = defer(() =>
+  fromListener(callback => SlamService.addTrackingStateListener(callback)).pipe(
+    startWith(SlamService.trackingState)
+  )
+).pipe(distinctUntilChanged(), replayLatest());
+
+/**
+ * A stream limited in rate and changes
+ * @param {Observable} stream$ - One of the streams above
+ * @param {Object} options - See limitRate(), e.g. { hz: 10 } or { sample: 500, distinct: samePose() }
+ * @returns {Observable}
+ */
+export const select = (stream$, options = {}) => stream$.pipe(limitRate(options));
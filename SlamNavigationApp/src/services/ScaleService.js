@@ -0,0 +1,311 @@
+import SlamService from './SlamService';
+import DeadReckoning, { DeadReckoningMode } from './DeadReckoning';
+import TimeSyncService from './TimeSyncService';
+import PoseBuffer from '../fusion/PoseBuffer';
+import ScaleEstimator from '../fusion/ScaleEstimator';
+import ZuptDisplacement from '../fusion/ZuptDisplacement';
+import { identity } from '../utils/quaternion';
+
+/**
+ * Where the metric distance comes from
+ */
+export const ScaleSource = {
+  AUTO: 'auto', // steps in PDR mode, IMU otherwise
+  STEPS: 'steps', // detected steps times their estimated length
+  IMU: 'imu', // IMU displacement between two rests
+};
+
+const DEFAULT_OPTIONS = {
+  source: ScaleSource.AUTO,
+  estimator: {}, // ScaleEstimator options
+  zupt: {}, // ZuptDisplacement options
+};
+
+const toArray = ({ x, y, z }) => [x, y, z];
+
+const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+
+/**
+ * Metric scale for monocular SLAM
+ *
+ * Compares the distance SLAM travels with a metric distance in a
+ * ScaleEstimator and exposes SLAM poses in meters once the scale has
+ * converged. Visual-inertial SLAM is metric already and uses a scale of 1.
+ *
+ * The metric distance comes from detected steps, sampled with every frame at
+ * its capture time, or from the IMU. Dead reckoning positions drift by meters
+ * within seconds without SLAM, so the IMU is only used over motions between
+ * two rests, where zero-velocity updates bound the drift (see
+ * ZuptDisplacement), and compared with the SLAM displacement between the same
+ * two instants. Once the scale converges LocalizationService fuses SLAM into
+ * dead reckoning, so the IMU estimate is kept as is from then on; steps do not
+ * depend on SLAM and keep refining it.
+ */
+class ScaleService {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.estimator = new ScaleEstimator();
+    this.zupt = new ZuptDisplacement();
+    this.subscriptions = [];
+    this.slamPositions = new PoseBuffer({ maxAge: 10000 }); // tracked positions at their IMU-clock capture times
+    this.lostAt = null; // IMU-clock capture time of the last frame without tracking
+    this.motions = []; // motions between rests waiting for the frames that cover them
+    this.listeners = [];
+    this.scaleListeners = [];
+  }
+
+  /**
+   * Start estimating from SLAM frames
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  start(options = {}) {
+    this.stop();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.estimator = new ScaleEstimator(this.options.estimator);
+    this.zupt = new ZuptDisplacement(this.options.zupt);
+    this.subscriptions = [
+      SlamService.addFrameListener(frame => this.handleFrame(frame)),
+      SlamService.addPoseListener(pose => this.handlePose(pose)),
+      DeadReckoning.addListener(state => this.handleDeadReckoning(state)),
+    ];
+    console.log(`[ScaleService] Started (${SlamService.isInertial() ? 'metric SLAM' : this.options.source})`);
+  }
+
+  /**
+   * Stop estimating, keeping the current scale
+   */
+  stop() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+  }
+
+  /**
+   * Forget the scale, e.g. when SLAM starts a new map
+   */
+  reset() {
+    this.estimator.reset();
+    this.zupt.reset();
+    this.slamPositions.clear();
+    this.lostAt = null;
+    this.motions = [];
+    this.notifyScaleListeners();
+  }
+
+  /**
+   * Whether SLAM poses can be expressed in meters
+   * @returns {boolean}
+   */
+  isMetric() {
+    return SlamService.isInertial() || this.estimator.converged;
+  }
+
+  /**
+   * Current scale
+   * @returns {Object} { scale (m per map unit), confidence (0-1), converged, relativeError, segments,
+   *   distance }, see ScaleEstimator.getState(); scale is null before the first estimate
+   */
+  getScale() {
+    if (SlamService.isInertial()) {
+      return { scale: 1, confidence: 1, converged: true, relativeError: 0, segments: 0, distance: 0 };
+    }
+    return this.estimator.getState();
+  }
+
+  /**
+   * SLAM pose in meters
+   * @param {Object} pose - { position, ... } in map units
+   * @returns {Object|null} The pose with a scaled position and the scale used, null before convergence
+   */
+  toMetric(pose) {
+    if (!pose || !this.isMetric()) {
+      return null;
+    }
+    const { scale } = this.getScale();
+    return { ...pose, position: pose.position.map(c => c * scale), scale };
+  }
+
+  /**
+   * Latest SLAM pose in meters
+   * @returns {Object|null} See toMetric()
+   */
+  getCurrentPose() {
+    return this.toMetric(SlamService.getCurrentPose());
+  }
+
+  /**
+   * Which metric distance the estimator uses
+   * @private
+   */
+  getSource() {
+    const { source } = this.options;
+    if (source !== ScaleSource.AUTO) {
+      return source;
+    }
+    return DeadReckoning.getState().mode === DeadReckoningMode.PDR ? ScaleSource.STEPS : ScaleSource.IMU;
+  }
+
+  /**
+   * Whether IMU displacement may still be used: only before SLAM is fused into dead reckoning
+   * @private
+   */
+  usesImu() {
+    return !SlamService.isInertial() && this.getSource() === ScaleSource.IMU && !this.estimator.converged;
+  }
+
+  /**
+   * Sample a processed frame
+   * @private
+   */
+  handleFrame(frame) {
+    if (SlamService.isInertial()) {
+      return;
+    }
+
+    const timestamp = TimeSyncService.frameToImuTime(frame);
+    const tracking = frame.trackingState === 'OK';
+    if (tracking) {
+      this.slamPositions.add({ timestamp, position: frame.position, orientation: frame.orientation || identity() });
+    }
+
+    if (this.getSource() === ScaleSource.STEPS) {
+      this.update(() =>
+        this.estimator.addSample({
+          timestamp,
+          slamPosition: tracking ? frame.position : null,
+          metricDistance: DeadReckoning.getState().distance,
+        })
+      );
+    } else if (this.usesImu()) {
+      this.compareMotions(timestamp);
+    }
+
+    // After comparing: motions end at or before this frame, so losing tracking now does not spoil them
+    if (!tracking) {
+      this.lostAt = timestamp;
+    }
+  }
+
+  /**
+   * Look for motions between rests in dead reckoning
+   * @private
+   */
+  handleDeadReckoning(state) {
+    if (!this.usesImu() || state.timestamp === null) {
+      return;
+    }
+
+    const motion = this.zupt.update({
+      timestamp: state.timestamp,
+      accel: toArray(state.linearAcceleration),
+      gyro: toArray(state.angularVelocity),
+    });
+    if (motion) {
+      this.motions.push(motion);
+    }
+  }
+
+  /**
+   * Compare motions between rests with SLAM once frames cover their end
+   * @private
+   */
+  compareMotions(frameTime) {
+    const ready = this.motions.filter(motion => motion.end <= frameTime);
+    this.motions = this.motions.filter(motion => motion.end > frameTime);
+
+    ready.forEach(({ start, end, distance: metric }) => {
+      // Tracking has to hold over the whole motion
+      if (this.lostAt !== null && this.lostAt >= start) {
+        return;
+      }
+      const from = this.slamPositions.at(start);
+      const to = this.slamPositions.at(end);
+      if (from && to) {
+        this.update(() => this.estimator.addSegment({ slam: distance(from.position, to.position), metric }));
+      }
+    });
+  }
+
+  /**
+   * Run an estimator update, reporting convergence and new estimates
+   * @private
+   */
+  update(addToEstimator) {
+    const wasConverged = this.estimator.converged;
+    if (!addToEstimator()) {
+      return;
+    }
+
+    if (!wasConverged && this.estimator.converged) {
+      const { scale, relativeError } = this.estimator.getState();
+      console.log(`[ScaleService] Scale converged: ${scale.toFixed(3)} m per unit (±${(relativeError * 100).toFixed(1)}%)`);
+    }
+    this.notifyScaleListeners();
+  }
+
+  /**
+   * Forward a SLAM pose in meters
+   * @private
+   */
+  handlePose(pose) {
+    const metric = this.toMetric(pose);
+    if (metric) {
+      this.notifyListeners(metric);
+    }
+  }
+
+  /**
+   * Add listener for SLAM poses in meters, only delivered once the scale has converged
+   * @param {Function} callback - Receives the pose as returned by toMetric()
+   * @returns {Function} Unsubscribe function
+   */
+  addPoseListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Add listener for scale updates
+   * @param {Function} callback - Receives the scale as returned by getScale()
+   * @returns {Function} Unsubscribe function
+   */
+  addScaleListener(callback) {
+    this.scaleListeners.push(callback);
+    return () => {
+      this.scaleListeners = this.scaleListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify pose listeners
+   * @private
+   */
+  notifyListeners(pose) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(pose);
+      } catch (error) {
+        console.error('[ScaleService] Listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Notify scale listeners
+   * @private
+   */
+  notifyScaleListeners() {
+    const scale = this.getScale();
+    this.scaleListeners.forEach(callback => {
+      try {
+        callback(scale);
+      } catch (error) {
+        console.error('[ScaleService] Scale listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new ScaleService();
@@ -0,0 +1,242 @@
+import RNFS from 'react-native-fs';
+import DeadReckoning from './DeadReckoning';
+import SlamService from './SlamService';
+import * as F from '../utils/sessionFormat';
+
+// Buffered lines are appended to disk at this interval (ms)
+const FLUSH_INTERVAL = 1000;
+
+/**
+ * Records camera frames, IMU samples, SLAM poses and tracking state into a
+ * session directory (EuRoC/TUM layout, see utils/sessionFormat.js) so field
+ * sessions can be replayed offline with SessionReplay
+ */
+class SessionRecorder {
+  constructor() {
+    this.session = null;
+    this.buffers = {};
+    this.writeQueue = Promise.resolve();
+    this.imageCopies = [];
+    this.unsubscribers = [];
+    this.flushTimer = null;
+  }
+
+  /**
+   * Directory under RNFS.DocumentDirectoryPath where sessions are stored
+   * @returns {string}
+   */
+  getSessionDirectory() {
+    return `${RNFS.DocumentDirectoryPath}/sessions`;
+  }
+
+  /**
+   * List recorded sessions, newest first
+   * @returns {Promise<Object[]>} { name, path, mtime }
+   */
+  async listSessions() {
+    const directory = this.getSessionDirectory();
+    if (!(await RNFS.exists(directory))) {
+      return [];
+    }
+
+    const entries = await RNFS.readDir(directory);
+    return entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => ({ name: entry.name, path: entry.path, mtime: entry.mtime }))
+      .sort((a, b) => (b.mtime || 0) - (a.mtime || 0));
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.session !== null;
+  }
+
+  /**
+   * Start recording a session
+   * @param {string} name - Session directory name, defaults to the current date and time
+   * @param {Object} options
+   * @param {boolean} options.recordImages - Save camera images, not only their timestamps and poses
+   * @returns {Promise<string>} Session path
+   */
+  async start(name = null, { recordImages = true } = {}) {
+    if (this.session) {
+      throw new Error('A session is already being recorded');
+    }
+
+    const sessionName = name || `session_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const path = `${this.getSessionDirectory()}/${sessionName}`;
+    if (await RNFS.exists(path)) {
+      throw new Error(`Session already exists: ${sessionName}`);
+    }
+
+    await RNFS.mkdir(`${path}/${F.CAMERA_DATA_DIR}`);
+    await RNFS.mkdir(`${path}/${F.IMU_DIR}`);
+    await RNFS.mkdir(`${path}/${F.SLAM_DIR}`);
+    await RNFS.writeFile(`${path}/${F.CAMERA_CSV}`, F.CAMERA_HEADER, 'utf8');
+    await RNFS.writeFile(`${path}/${F.IMU_CSV}`, F.IMU_HEADER, 'utf8');
+    await RNFS.writeFile(`${path}/${F.TRAJECTORY_FILE}`, F.TRAJECTORY_HEADER, 'utf8');
+    await RNFS.writeFile(`${path}/${F.TRACKING_CSV}`, F.TRACKING_HEADER, 'utf8');
+
+    // IMU timestamps are moved onto the camera clock so both streams line up
+    const clockOffsetMs = SlamService.isReady() ? await SlamService.getClockOffset() : 0;
+
+    this.session = {
+      name: sessionName,
+      path,
+      recordImages,
+      clockOffsetMs,
+      startedAt: new Date().toISOString(),
+      frames: 0,
+      imuSamples: 0,
+    };
+    this.buffers = {};
+    this.imageCopies = [];
+    await this.writeMetadata();
+
+    // Streamed frames never reach JS, so native writes their images
+    if (recordImages && SlamService.isReady()) {
+      await SlamService.setFrameRecording(`${path}/${F.CAMERA_DIR}`);
+    }
+
+    this.unsubscribers = [
+      DeadReckoning.addImuListener(sample => this.recordImu(sample)),
+      SlamService.addFrameListener(frame => this.recordFrame(frame)),
+    ];
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+
+    console.log(`[SessionRecorder] Recording to ${path}`);
+    return path;
+  }
+
+  /**
+   * Stop recording and write everything still buffered
+   * @returns {Promise<Object|null>} Session metadata, or null if not recording
+   */
+  async stop() {
+    if (!this.session) {
+      return null;
+    }
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.session.recordImages && SlamService.isReady()) {
+      try {
+        await SlamService.setFrameRecording(null);
+      } catch (error) {
+        // Already logged; the session files are still valid
+      }
+    }
+
+    await Promise.all(this.imageCopies);
+    await this.flush();
+
+    this.session.endedAt = new Date().toISOString();
+    await this.writeMetadata();
+
+    const session = this.session;
+    this.session = null;
+    console.log(
+      `[SessionRecorder] Recorded ${session.frames} frames and ${session.imuSamples} IMU samples`
+    );
+    return session;
+  }
+
+  /**
+   * Record one raw IMU sample from DeadReckoning
+   * @private
+   */
+  recordImu({ timestamp, accel, gyro }) {
+    const timestampNs = Math.round((timestamp - this.session.clockOffsetMs) * 1e6);
+    this.append(F.IMU_CSV, F.formatImuLine(timestampNs, gyro, accel));
+    this.session.imuSamples++;
+  }
+
+  /**
+   * Record the pose and tracking state of one processed frame
+   * @private
+   */
+  recordFrame({ position, orientation, timestamp, trackingState, imagePath }) {
+    const timestampNs = F.toNanoseconds(timestamp);
+    this.append(F.TRACKING_CSV, F.formatTrackingLine(timestampNs, trackingState));
+
+    // Poses are stale while tracking is lost, keep the trajectory clean
+    if (trackingState === 'OK') {
+      this.append(F.TRAJECTORY_FILE, F.formatTumPose(timestamp, position, orientation));
+    }
+
+    if (imagePath && this.session.recordImages && !imagePath.startsWith('data:')) {
+      this.copyImage(imagePath, timestampNs);
+    }
+
+    this.session.frames++;
+  }
+
+  /**
+   * Copy an image file processed through SlamService.processFrame into the session
+   * @private
+   */
+  copyImage(imagePath, timestampNs) {
+    const source = imagePath.replace(/^file:\/\//, '');
+    const extension = source.includes('.') ? source.slice(source.lastIndexOf('.')) : '.png';
+    const filename = `${timestampNs}${extension}`;
+    const { path } = this.session;
+
+    const copy = RNFS.copyFile(source, `${path}/${F.CAMERA_DATA_DIR}/${filename}`)
+      .then(() => this.append(F.CAMERA_CSV, F.formatFrameLine(timestampNs, filename)))
+      .catch(error => console.error('[SessionRecorder] Image copy failed:', error));
+    this.imageCopies.push(copy);
+  }
+
+  /**
+   * Buffer a line for one of the session files
+   * @private
+   */
+  append(file, line) {
+    this.buffers[file] = (this.buffers[file] || '') + line;
+  }
+
+  /**
+   * Append buffered lines to the session files, in order
+   * @private
+   */
+  flush() {
+    const buffers = this.buffers;
+    const { path } = this.session;
+    this.buffers = {};
+
+    this.writeQueue = this.writeQueue
+      .then(() =>
+        Promise.all(
+          Object.entries(buffers).map(([file, text]) =>
+            RNFS.appendFile(`${path}/${file}`, text, 'utf8')
+          )
+        )
+      )
+      .catch(error => console.error('[SessionRecorder] Write failed:', error));
+    return this.writeQueue;
+  }
+
+  /**
+   * Write session.json
+   * @private
+   */
+  async writeMetadata() {
+    const { path, ...session } = this.session;
+    const metadata = {
+      ...session,
+      format: 'euroc',
+      sensor: SlamService.sensor,
+      imu: SlamService.getImuConfig(),
+      deadReckoningMode: DeadReckoning.mode,
+    };
+    await RNFS.writeFile(`${path}/${F.SESSION_FILE}`, JSON.stringify(metadata, null, 2), 'utf8');
+  }
+}
+
+// Export singleton instance
+export default new SessionRecorder();
@@ -0,0 +1,193 @@
+import RNFS from 'react-native-fs';
+import DeadReckoning from './DeadReckoning';
+import SlamService from './SlamService';
+import * as F from '../utils/sessionFormat';
+
+// Yield to the event loop this often when replaying as fast as possible
+const YIELD_EVERY = 200;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const readWithRNFS = (path, encoding) => RNFS.readFile(path, encoding);
+
+/**
+ * Replays a recorded session (see SessionRecorder) through SlamService.processFrame()
+ * and the DeadReckoning handlers, without camera or sensors
+ */
+class SessionReplay {
+  constructor() {
+    this.session = null;
+    this.isPlaying = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * Load a session directory
+   * @param {string} path - Session directory
+   * @param {Object} options
+   * @param {Function} options.readFile - (path, encoding) => Promise<string>, defaults to RNFS; pass
+   *   fs.promises.readFile to replay outside the app, e.g. in Jest on CI
+   * @returns {Promise<Object>} Summary { frames, imuSamples, duration }
+   */
+  async load(path, { readFile = readWithRNFS } = {}) {
+    const read = async file => {
+      try {
+        return String(await readFile(`${path}/${file}`, 'utf8'));
+      } catch (error) {
+        return '';
+      }
+    };
+
+    const metadataText = await read(F.SESSION_FILE);
+    const frames = F.parseFrames(await read(F.CAMERA_CSV)).map(frame => ({
+      ...frame,
+      type: 'frame',
+      imagePath: `${path}/${F.CAMERA_DATA_DIR}/${frame.filename}`,
+    }));
+    const imu = F.parseImu(await read(F.IMU_CSV)).map(sample => ({ ...sample, type: 'imu' }));
+
+    if (frames.length === 0 && imu.length === 0) {
+      throw new Error(`No recorded data in session: ${path}`);
+    }
+
+    // IMU samples up to a frame must be delivered before the frame itself
+    const events = [...imu, ...frames].sort(
+      (a, b) => a.timestampNs - b.timestampNs || (a.type === 'imu' ? -1 : 1)
+    );
+
+    this.session = {
+      path,
+      metadata: metadataText ? JSON.parse(metadataText) : {},
+      trajectory: F.parseTumPoses(await read(F.TRAJECTORY_FILE)),
+      tracking: F.parseTracking(await read(F.TRACKING_CSV)),
+      frames: frames.length,
+      imuSamples: imu.length,
+      events,
+    };
+
+    console.log(`[SessionReplay] Loaded ${path}: ${frames.length} frames, ${imu.length} IMU samples`);
+    return this.getSummary();
+  }
+
+  /**
+   * Summary of the loaded session
+   * @returns {Object|null} { frames, imuSamples, duration } with duration in seconds
+   */
+  getSummary() {
+    if (!this.session) {
+      return null;
+    }
+
+    const { events, frames, imuSamples } = this.session;
+    const duration = F.toSeconds(events[events.length - 1].timestampNs - events[0].timestampNs);
+    return { frames, imuSamples, duration };
+  }
+
+  /**
+   * Recorded SLAM trajectory, for comparing against a replay
+   * @returns {Object[]} { timestamp, position, orientation }
+   */
+  getRecordedTrajectory() {
+    return this.session ? this.session.trajectory : [];
+  }
+
+  /**
+   * Recorded tracking states
+   * @returns {Object[]} { timestampNs, state }
+   */
+  getRecordedTracking() {
+    return this.session ? this.session.tracking : [];
+  }
+
+  /**
+   * Play the loaded session
+   * DeadReckoning should be started with `replay: true` and SlamService
+   * initialized beforehand; their listeners receive updates as if live.
+   * @param {Object} options
+   * @param {number} options.speed - Playback rate, 1 for original timing, Infinity for as fast as possible
+   * @param {boolean} options.slam - Feed frames to SlamService.processFrame()
+   * @param {boolean} options.deadReckoning - Feed IMU samples to DeadReckoning
+   * @param {Function} options.onProgress - Receives the fraction of events played
+   * @returns {Promise<Object>} { frames, imuSamples, failedFrames, cancelled }
+   */
+  async play({ speed = 1, slam = true, deadReckoning = true, onProgress } = {}) {
+    if (!this.session) {
+      throw new Error('No session loaded. Call load() first.');
+    }
+    if (this.isPlaying) {
+      throw new Error('Replay already in progress');
+    }
+
+    this.isPlaying = true;
+    this.cancelled = false;
+
+    // Forwarded IMU samples are mapped back onto the camera clock by SlamModule,
+    // so they have to look like live epoch timestamps
+    const clockOffsetMs = slam && SlamService.isReady() ? await SlamService.getClockOffset() : 0;
+
+    const { events } = this.session;
+    const paced = Number.isFinite(speed) && speed > 0;
+    const startTime = Date.now();
+    const firstTimestampNs = events[0].timestampNs;
+    const stats = { frames: 0, imuSamples: 0, failedFrames: 0, cancelled: false };
+
+    console.log(`[SessionReplay] Playing ${this.session.path} at ${paced ? `${speed}x` : 'full'} speed`);
+
+    try {
+      for (let i = 0; i < events.length; i++) {
+        if (this.cancelled) {
+          stats.cancelled = true;
+          break;
+        }
+
+        const event = events[i];
+        if (paced) {
+          const due = startTime + (event.timestampNs - firstTimestampNs) / 1e6 / speed;
+          const wait = due - Date.now();
+          if (wait > 1) {
+            await delay(wait);
+          }
+        } else if (i % YIELD_EVERY === 0) {
+          await delay(0);
+        }
+
+        if (event.type === 'imu' && deadReckoning) {
+          DeadReckoning.processImuSample({
+            timestamp: event.timestampNs / 1e6 + clockOffsetMs,
+            accel: event.accel,
+            gyro: event.gyro,
+          });
+          stats.imuSamples++;
+        } else if (event.type === 'frame' && slam) {
+          try {
+            await SlamService.processFrame(event.imagePath, F.toSeconds(event.timestampNs));
+            stats.frames++;
+          } catch (error) {
+            stats.failedFrames++;
+          }
+        }
+
+        if (onProgress) {
+          onProgress((i + 1) / events.length);
+        }
+      }
+    } finally {
+      this.isPlaying = false;
+    }
+
+    console.log(
+      `[SessionReplay] Replayed ${stats.frames} frames and ${stats.imuSamples} IMU samples`
+    );
+    return stats;
+  }
+
+  /**
+   * Stop a running replay after the current event
+   */
+  stop() {
+    this.cancelled = true;
+  }
+}
+
+// Export singleton instance
+export default new SessionReplay();
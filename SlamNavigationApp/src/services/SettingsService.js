@@ -0,0 +1,242 @@
+import RNFS from 'react-native-fs';
+import { ValueType, getValues, parseSettings, serializeSettings, setValues } from '../utils/opencvYaml';
+import {
+  PROFILES,
+  SETTINGS_SCHEMA,
+  createSettingsDocument,
+  detectProfile,
+  validateSettings,
+} from '../utils/slamSettings';
+
+// Where SlamNavigator looks for the settings on startup
+const SETTINGS_FILE = 'settings.yaml';
+
+/**
+ * Whether two setting values are the same, up to the precision they are written with
+ * @private
+ */
+const sameValue = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= 1e-6 * Math.max(1e-9, Math.abs(a), Math.abs(b));
+  }
+  if (a && b && a.data && b.data) {
+    return a.rows === b.rows && a.cols === b.cols && a.data.every((value, i) => sameValue(value, b.data[i]));
+  }
+  return a === b;
+};
+
+/**
+ * settings.yaml editing
+ *
+ * Loads the settings file SLAM is initialized with, edits it against the
+ * schema in utils/slamSettings and writes it back. Comments and untouched
+ * lines are kept. Changes take effect when SLAM is initialized again.
+ */
+class SettingsService {
+  constructor() {
+    this.path = null;
+    this.document = null;
+    this.exists = false;
+    this.modified = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Default settings path, the one SlamNavigator initializes SLAM with
+   * @returns {string}
+   */
+  getSettingsPath() {
+    return `${RNFS.DocumentDirectoryPath}/${SETTINGS_FILE}`;
+  }
+
+  /**
+   * Read a settings file, or start from the defaults when there is none
+   * @param {string} path - Settings file, getSettingsPath() by default
+   * @returns {Promise<Object>} Values, see getValues()
+   */
+  async load(path = this.getSettingsPath()) {
+    this.exists = await RNFS.exists(path);
+    this.document = this.exists ? parseSettings(await RNFS.readFile(path, 'utf8')) : createSettingsDocument();
+    this.path = path;
+    this.modified = false;
+
+    console.log(`[SettingsService] ${this.exists ? 'Loaded' : 'Using defaults for'} ${path}`);
+    this.notifyListeners();
+    return this.getValues();
+  }
+
+  /**
+   * Throw unless load() was called
+   * @private
+   */
+  ensureLoaded() {
+    if (!this.document) {
+      throw new Error('Settings not loaded. Call load() first.');
+    }
+  }
+
+  /**
+   * Current values, including unsaved changes
+   * @returns {Object} { key: value }
+   */
+  getValues() {
+    this.ensureLoaded();
+    return getValues(this.document);
+  }
+
+  /**
+   * Current value of a key
+   * @param {string} key - e.g. 'ORBextractor.nFeatures'
+   * @returns {*} undefined when the file does not contain it
+   */
+  getValue(key) {
+    return this.getValues()[key];
+  }
+
+  /**
+   * Change values; nothing is written until save()
+   * Values are stored even when invalid so the settings screen can show the
+   * error next to them; save() refuses invalid settings.
+   * @param {Object} values - { key: value }
+   * @returns {Object} Validation, see validate()
+   */
+  set(values) {
+    this.ensureLoaded();
+    const types = {};
+    Object.keys(values).forEach(key => {
+      const schema = SETTINGS_SCHEMA[key];
+      // Numbers are typed by the schema, whatever the file had (e.g. 'IMU.Frequency: 100')
+      if (schema && schema.type !== ValueType.MATRIX) {
+        types[key] = schema.type;
+      }
+    });
+    this.document = setValues(this.document, values, types);
+    this.modified = true;
+    this.notifyListeners();
+    return this.validate();
+  }
+
+  /**
+   * Apply a named profile
+   * @param {string} profile - Key of PROFILES, e.g. 'batterySaver'
+   * @returns {Object} Validation, see validate()
+   */
+  applyProfile(profile) {
+    if (!PROFILES[profile]) {
+      throw new Error(`Unknown profile ${profile}`);
+    }
+    console.log(`[SettingsService] Applying profile ${PROFILES[profile].name}`);
+    return this.set(PROFILES[profile].values);
+  }
+
+  /**
+   * Profile the current values match
+   * @returns {string|null} Key of PROFILES, null for custom settings
+   */
+  getProfile() {
+    return detectProfile(this.getValues());
+  }
+
+  /**
+   * Check the current values
+   * @returns {Object} { valid, errors: { key: message }, warnings: string[] }
+   */
+  validate() {
+    return validateSettings(this.getValues());
+  }
+
+  /**
+   * Current state
+   * @returns {Object} { path, exists, modified, values, profile, validation }
+   */
+  getState() {
+    if (!this.document) {
+      return { path: this.path, exists: this.exists, modified: false, values: {}, profile: null, validation: null };
+    }
+    return {
+      path: this.path,
+      exists: this.exists,
+      modified: this.modified,
+      values: this.getValues(),
+      profile: this.getProfile(),
+      validation: this.validate(),
+    };
+  }
+
+  /**
+   * Write the settings
+   * The file is written next to the old one, read back and checked before it
+   * replaces it; the previous file is kept as settings.yaml.bak.
+   * @param {string} path - Settings file, the loaded one by default
+   * @returns {Promise<string>} The settings path
+   */
+  async save(path = this.path) {
+    this.ensureLoaded();
+    const values = this.getValues();
+    const { valid, errors } = validateSettings(values);
+    if (!valid) {
+      throw new Error(`Invalid settings: ${Object.values(errors).join('; ')}`);
+    }
+
+    const tempPath = `${path}.tmp`;
+    await RNFS.writeFile(tempPath, serializeSettings(this.document), 'utf8');
+
+    let written;
+    try {
+      written = getValues(parseSettings(await RNFS.readFile(tempPath, 'utf8')));
+    } catch (error) {
+      written = {};
+    }
+    const mismatched = Object.keys(values).filter(key => !sameValue(written[key], values[key]));
+    if (mismatched.length > 0) {
+      await RNFS.unlink(tempPath);
+      throw new Error(`Settings file check failed for ${mismatched.join(', ')}`);
+    }
+
+    if (await RNFS.exists(path)) {
+      const backupPath = `${path}.bak`;
+      if (await RNFS.exists(backupPath)) {
+        await RNFS.unlink(backupPath);
+      }
+      await RNFS.moveFile(path, backupPath);
+    }
+    await RNFS.moveFile(tempPath, path);
+
+    this.path = path;
+    this.exists = true;
+    this.modified = false;
+    console.log(`[SettingsService] Settings written to ${path}`);
+    this.notifyListeners();
+    return path;
+  }
+
+  /**
+   * Add listener for changes
+   * @param {Function} callback - Receives the state as returned by getState()
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify listeners
+   * @private
+   */
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        console.error('[SettingsService] Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new SettingsService();
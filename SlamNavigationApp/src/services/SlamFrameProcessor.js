@@ -0,0 +1,37 @@
+import { VisionCameraProxy } from 'react-native-vision-camera';
+
+// Native plugins registered by SlamPackage (SlamFrameProcessorPlugin.java, CalibrationFrameProcessorPlugin.java)
+const plugin = VisionCameraProxy.initFrameProcessorPlugin('slamTrack');
+const calibrationPlugin = VisionCameraProxy.initFrameProcessorPlugin('slamCalibrate');
+
+/**
+ * Frame processor that hands the frame's luminance plane straight to native SLAM
+ * Must be called from inside a `useFrameProcessor` worklet. The pose is also
+ * emitted to SlamService, so the return value is only needed inside the worklet.
+ * @param {Frame} frame - VisionCamera frame
+ * @param {Object} options
+ * @param {number} options.fps - Configured camera frame rate, for dropped-frame accounting
+ * @returns {Object|null} Pose { position, orientation, timestamp, state, stateName } or null
+ */
+export function slamTrack(frame, options = {}) {
+  'worklet';
+  if (plugin == null) {
+    throw new Error('Frame processor plugin "slamTrack" is not registered');
+  }
+  return plugin.call(frame, options);
+}
+
+/**
+ * Frame processor that looks for the calibration board while CalibrationService is started
+ * Must be called from inside a `useFrameProcessor` worklet. The detection is
+ * emitted to CalibrationService.
+ * @param {Frame} frame - VisionCamera frame
+ * @returns {boolean} Whether the board was found
+ */
+export function slamCalibrate(frame) {
+  'worklet';
+  if (calibrationPlugin == null) {
+    throw new Error('Frame processor plugin "slamCalibrate" is not registered');
+  }
+  return calibrationPlugin.call(frame);
+}
@@ -1,17 +1,52 @@
-import { NativeModules } from 'react-native';
+import RNFS from 'react-native-fs';
+import NativeSlamBackend from '../backends/NativeSlamBackend';
+import { TrackingEvent, detectTrackingEvents, updateHealth } from '../utils/trackingHealth';
 
-const { SlamModule } = NativeModules;
+// ORB-SLAM3 atlas file extension
+const MAP_EXTENSION = '.osa';
+
+// IMU samples are sent to native in batches to limit bridge traffic
+const DEFAULT_IMU_BATCH_SIZE = 5;
 
 /**
  * Service for managing ORB-SLAM3 functionality
  * Provides high-level interface for SLAM initialization and frame processing
  */
 class SlamService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.backend - SLAM backend, see NativeSlamBackend; MockSlamBackend
+   *   replays poses without the native library
+   */
+  constructor({ backend = new NativeSlamBackend() } = {}) {
+    this.backend = backend;
     this.isInitialized = false;
     this.currentPose = null;
     this.trackingState = 'NO_IMAGES_YET';
     this.listeners = [];
+    this.frameListeners = [];
+    this.trackingStateListeners = [];
+    this.trackedFeatures = null;
+
+    // Per-frame diagnostics and the health score derived from them
+    this.diagnostics = null;
+    this.health = null;
+    this.trackingEventListeners = [];
+
+    // Map persistence and relocalization
+    this.loadedMapPath = null;
+    this.relocalization = null;
+    this.relocalizationListeners = [];
+
+    // Streaming camera pipeline, unsubscribe function while running
+    this.frameSubscription = null;
+
+    // Visual-inertial configuration, filled in from settings.yaml on initialize
+    this.sensor = 'MONOCULAR';
+    this.imuConfig = null;
+    this.imuQueue = [];
+    this.imuBatchSize = DEFAULT_IMU_BATCH_SIZE;
+    this.imuFlushing = false;
   }
 
   /**
@@ -26,10 +61,13 @@ class SlamService {
       console.log('[SlamService] Vocabulary:', vocabPath);
       console.log('[SlamService] Settings:', settingsPath);
 
-      const result = await SlamModule.initializeSlam(vocabPath, settingsPath);
+      const result = await this.backend.initializeSlam(vocabPath, settingsPath);
       this.isInitialized = result.success;
+      this.sensor = result.sensor || 'MONOCULAR';
+      this.imuConfig = result.imu || null;
+      this.imuQueue = [];
 
-      console.log('[SlamService] SLAM initialized successfully');
+      console.log(`[SlamService] SLAM initialized successfully (${this.sensor})`);
       return true;
     } catch (error) {
       console.error('[SlamService] Initialization failed:', error);
@@ -42,7 +80,8 @@ class SlamService {
    * Process a camera frame through ORB-SLAM3
    * @param {string} imageData - Base64 encoded image or file path
    * @param {number} timestamp - Frame timestamp in seconds
-   * @returns {Promise<Object>} Pose data with position and orientation
+   * @returns {Promise<Object>} Pose data with position, orientation and the frame diagnostics
+   *   (see getDiagnostics())
    */
   async processFrame(imageData, timestamp) {
     if (!this.isInitialized) {
@@ -50,7 +89,7 @@ class SlamService {
     }
 
     try {
-      const result = await SlamModule.processFrame(imageData, timestamp);
+      const result = await this.backend.processFrame(imageData, timestamp);
       
       // Update current pose
       this.currentPose = {
@@ -58,26 +97,344 @@ class SlamService {
         orientation: result.orientation,
         timestamp: result.timestamp,
       };
+      this.updateDiagnostics(result);
+      this.notifyFrameListeners({
+        ...this.currentPose,
+        trackingState: this.trackingState,
+        features: this.trackedFeatures,
+        imagePath: imageData,
+      });
+
+      // While relocalizing, poses are not yet expressed in the loaded map
+      if (this.relocalization) {
+        this.updateRelocalization(this.trackingState);
+        if (this.relocalization) {
+          return { ...this.currentPose, diagnostics: this.diagnostics };
+        }
+      }
 
       // Notify listeners
       this.notifyListeners(this.currentPose);
 
-      return this.currentPose;
+      return { ...this.currentPose, diagnostics: this.diagnostics };
     } catch (error) {
       console.error('[SlamService] Frame processing failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the sparse point cloud of the active map
+   * @param {number} maxPoints - Upper bound, the map is evenly subsampled beyond it; 0 for all
+   * @returns {Promise<number[][]>} Points as [x, y, z] in world coordinates
+   */
+  async getMapPoints(maxPoints = 2000) {
+    if (!this.isInitialized) {
+      throw new Error('SLAM system not initialized. Call initialize() first.');
+    }
+
+    try {
+      const { points } = await this.backend.getMapPoints(maxPoints);
+      const result = [];
+      for (let i = 0; i + 2 < points.length; i += 3) {
+        result.push([points[i], points[i + 1], points[i + 2]]);
+      }
+      return result;
+    } catch (error) {
+      console.error('[SlamService] Get map points failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether SLAM runs visual-inertial, which requires IMU samples and yields metric scale
+   * @returns {boolean}
+   */
+  isInertial() {
+    return this.sensor === 'IMU_MONOCULAR';
+  }
+
+  /**
+   * IMU noise parameters and camera-IMU extrinsics read from settings.yaml
+   * @returns {Object|null} { noiseGyro, noiseAcc, gyroWalk, accWalk, frequency, Tbc } or null without IMU
+   */
+  getImuConfig() {
+    return this.imuConfig;
+  }
+
+  /**
+   * Send IMU samples to native SLAM
+   * Samples must cover the time between frames, so they should be pushed as
+   * they arrive; the native side keeps those newer than the last frame.
+   * @param {Object[]} samples - { timestamp (epoch ms), accel: [x, y, z] (m/s^2), gyro: [x, y, z] (rad/s) }
+   * @returns {Promise<number>} Number of samples accepted
+   */
+  async pushImuSamples(samples) {
+    if (!this.isInertial() || samples.length === 0) {
+      return 0;
+    }
+
+    const packed = [];
+    samples.forEach(({ timestamp, accel, gyro }) => {
+      packed.push(timestamp, accel[0], accel[1], accel[2], gyro[0], gyro[1], gyro[2]);
+    });
+
+    try {
+      return await this.backend.pushImuSamples(packed);
+    } catch (error) {
+      console.error('[SlamService] Push IMU samples failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue one IMU sample, flushing to native once a batch is full
+   * Suitable as a DeadReckoning IMU listener.
+   * @param {Object} sample - { timestamp, accel, gyro }, see pushImuSamples
+   */
+  queueImuSample(sample) {
+    if (!this.isInitialized || !this.isInertial()) {
+      return;
+    }
+
+    this.imuQueue.push(sample);
+    if (this.imuQueue.length >= this.imuBatchSize && !this.imuFlushing) {
+      this.flushImuSamples();
+    }
+  }
+
+  /**
+   * Send queued IMU samples to native
+   * @private
+   */
+  async flushImuSamples() {
+    const samples = this.imuQueue;
+    this.imuQueue = [];
+    this.imuFlushing = true;
+
+    try {
+      await this.pushImuSamples(samples);
+    } catch (error) {
+      // Already logged; the next batch carries on
+    } finally {
+      this.imuFlushing = false;
+    }
+  }
+
+  /**
+   * Start receiving poses from the streaming camera pipeline
+   * Frames are fed by the `slamTrack` frame processor (see SlamFrameProcessor.js)
+   * directly to native SLAM; this subscribes to the poses it produces.
+   * @returns {Promise<boolean>}
+   */
+  async startFrameStream() {
+    if (!this.isInitialized) {
+      throw new Error('SLAM system not initialized. Call initialize() first.');
+    }
+    if (this.frameSubscription) {
+      return true;
+    }
+
+    await this.backend.resetFrameStats();
+    this.frameSubscription = this.backend.addFrameListener(result => {
+      this.handleStreamedFrame(result);
+    });
+
+    console.log('[SlamService] Frame stream started');
+    return true;
+  }
+
+  /**
+   * Stop receiving poses from the streaming camera pipeline
+   */
+  stopFrameStream() {
+    if (this.frameSubscription) {
+      this.frameSubscription();
+      this.frameSubscription = null;
+      console.log('[SlamService] Frame stream stopped');
+    }
+  }
+
+  /**
+   * Frames consumed by native SLAM versus dropped on the way
+   * @returns {Promise<Object>} { received, processed, failed, dropped, processedFps, lastProcessingMs, lastTimestamp }
+   */
+  async getFrameStats() {
+    try {
+      return await this.backend.getFrameStats();
+    } catch (error) {
+      console.error('[SlamService] Get frame stats failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Offset between the sensor event clock (epoch) and the camera frame clock
+   * @returns {Promise<number>} Milliseconds to subtract from sensor timestamps
+   */
+  async getClockOffset() {
+    try {
+      return await this.backend.getClockOffset();
+    } catch (error) {
+      console.error('[SlamService] Get clock offset failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start or stop saving streamed frames as PNG images
+   * @param {string|null} cameraDir - Session camera directory (mav0/cam0), or null to stop
+   * @returns {Promise<boolean>}
+   */
+  async setFrameRecording(cameraDir) {
+    try {
+      return await this.backend.setFrameRecording(cameraDir);
+    } catch (error) {
+      console.error('[SlamService] Set frame recording failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a pose produced from a streamed frame
+   * @private
+   */
+  handleStreamedFrame(result) {
+    this.currentPose = {
+      position: result.position,
+      orientation: result.orientation,
+      timestamp: result.timestamp,
+    };
+    this.updateDiagnostics(result);
+    this.notifyFrameListeners({
+      ...this.currentPose,
+      trackingState: this.trackingState,
+      features: this.trackedFeatures,
+      imagePath: null,
+    });
+
+    if (this.relocalization) {
+      this.updateRelocalization(result.stateName);
+      if (this.relocalization) {
+        return;
+      }
+    }
+
+    this.notifyListeners(this.currentPose);
+  }
+
+  /**
+   * Take the diagnostics and tracked keypoints of a frame result, update the
+   * health score and report tracking transitions
+   * @private
+   */
+  updateDiagnostics(result) {
+    const { matchedMapPoints = 0, keyframes = 0, imageWidth = 0, imageHeight = 0, timestamp } = result;
+    const flat = result.keypoints || [];
+    const points = [];
+    for (let i = 0; i + 2 < flat.length; i += 3) {
+      points.push([flat[i], flat[i + 1], flat[i + 2] > 0]);
+    }
+
+    this.trackedFeatures = { matchedMapPoints, keyframes, imageWidth, imageHeight, keypoints: points, timestamp };
+
+    const previous = this.diagnostics;
+    this.diagnostics = {
+      state: result.state,
+      stateName: result.stateName,
+      matchedMapPoints,
+      keyframes,
+      mapPoints: result.mapPoints || 0,
+      maps: result.maps || 0,
+      loopClosure: Boolean(result.loopClosure),
+      timing: result.timing || { totalMs: result.processingMs || 0 },
+      timestamp,
+    };
+    this.setTrackingState(result.stateName);
+    this.health = updateHealth(this.diagnostics, this.health ? this.health.score : null);
+
+    detectTrackingEvents(previous, this.diagnostics).forEach(event => {
+      if (event.type !== TrackingEvent.STATE_CHANGED) {
+        console.log(`[SlamService] Tracking event: ${event.type} (${event.from} -> ${event.to})`);
+      }
+      this.notifyTrackingEventListeners({
+        ...event,
+        timestamp,
+        diagnostics: this.diagnostics,
+        health: this.health,
+      });
+    });
+  }
+
+  /**
+   * Diagnostics of the last processed frame
+   * @returns {Object|null} { state, stateName, matchedMapPoints, keyframes, mapPoints, maps,
+   *   loopClosure, timing: { preprocessMs, extractMs, trackMs, totalMs }, timestamp }
+   */
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
+  /**
+   * Running tracking health, see utils/trackingHealth.js
+   * @returns {Object|null} { score (0-1), level } where level is 'good', 'degraded', 'poor' or 'lost'
+   */
+  getHealth() {
+    return this.health;
+  }
+
+  /**
+   * Add listener for tracking transitions
+   * Receives { type, from, to, timestamp, diagnostics, health } where type is a
+   * TrackingEvent value: stateChanged, lost (OK -> LOST), relocalized (LOST -> OK),
+   * loopClosed or mapMerged.
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  addTrackingEventListener(callback) {
+    this.trackingEventListeners.push(callback);
+    return () => {
+      this.trackingEventListeners = this.trackingEventListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify tracking event listeners
+   * @private
+   */
+  notifyTrackingEventListeners(event) {
+    this.trackingEventListeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('[SlamService] Tracking event listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Keypoints tracked in the last frame, for drawing over the camera preview
+   * @returns {Object|null} { matchedMapPoints, keyframes, imageWidth, imageHeight, keypoints, timestamp }
+   *   with keypoints as [u, v, inlier] in image pixels, inlier meaning matched to a map point
+   */
+  getTrackedFeatures() {
+    return this.trackedFeatures;
+  }
+
   /**
    * Reset the SLAM system
    * @returns {Promise<boolean>}
    */
   async reset() {
     try {
-      await SlamModule.reset();
+      await this.backend.reset();
+      this.imuQueue = [];
+      this.finishRelocalization('failed', new Error('SLAM system reset'));
       this.currentPose = null;
-      this.trackingState = 'NOT_INITIALIZED';
+      this.trackedFeatures = null;
+      this.diagnostics = null;
+      this.health = null;
+      this.setTrackingState('NOT_INITIALIZED');
       console.log('[SlamService] SLAM system reset');
       return true;
     } catch (error) {
@@ -86,15 +443,263 @@ class SlamService {
     }
   }
 
+  /**
+   * Directory under RNFS.DocumentDirectoryPath where maps are stored
+   * @returns {string}
+   */
+  getMapDirectory() {
+    return `${RNFS.DocumentDirectoryPath}/maps`;
+  }
+
+  /**
+   * Resolve a map name or path to an absolute map file path
+   * Bare names are placed in the map directory with the atlas extension.
+   * @param {string} path - Map name or absolute path
+   * @returns {string}
+   */
+  resolveMapPath(path) {
+    if (path.startsWith('/')) {
+      return path;
+    }
+    const fileName = path.endsWith(MAP_EXTENSION) ? path : `${path}${MAP_EXTENSION}`;
+    return `${this.getMapDirectory()}/${fileName}`;
+  }
+
+  /**
+   * List saved maps
+   * @returns {Promise<Array<{name: string, path: string, size: number, mtime: Date}>>}
+   */
+  async listMaps() {
+    const directory = this.getMapDirectory();
+    if (!(await RNFS.exists(directory))) {
+      return [];
+    }
+
+    const entries = await RNFS.readDir(directory);
+    return entries
+      .filter(entry => entry.isFile() && entry.name.endsWith(MAP_EXTENSION))
+      .map(entry => ({
+        name: entry.name.slice(0, -MAP_EXTENSION.length),
+        path: entry.path,
+        size: entry.size,
+        mtime: entry.mtime,
+      }));
+  }
+
+  /**
+   * Save the current map so a later session can relocalize in it
+   * @param {string} path - Map name or absolute path
+   * @returns {Promise<string>} Absolute path of the saved map
+   */
+  async saveMap(path) {
+    if (!this.isInitialized) {
+      throw new Error('SLAM system not initialized. Call initialize() first.');
+    }
+
+    try {
+      const mapPath = this.resolveMapPath(path);
+      const directory = mapPath.substring(0, mapPath.lastIndexOf('/'));
+      await RNFS.mkdir(directory);
+
+      await this.backend.saveMap(mapPath);
+      console.log('[SlamService] Map saved:', mapPath);
+      return mapPath;
+    } catch (error) {
+      console.error('[SlamService] Map save failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a saved map and start relocalizing in it
+   * Keep feeding frames through processFrame(); use relocalize() or
+   * addRelocalizationListener() to follow progress.
+   * @param {string} path - Map name or absolute path
+   * @returns {Promise<string>} Absolute path of the loaded map
+   */
+  async loadMap(path) {
+    if (!this.isInitialized) {
+      throw new Error('SLAM system not initialized. Call initialize() first.');
+    }
+
+    const mapPath = this.resolveMapPath(path);
+    if (!(await RNFS.exists(mapPath))) {
+      throw new Error(`Map file not found: ${mapPath}`);
+    }
+
+    try {
+      await this.backend.loadMap(mapPath);
+      this.loadedMapPath = mapPath;
+      this.currentPose = null;
+      this.setTrackingState('LOST');
+      this.startRelocalization();
+      console.log('[SlamService] Map loaded:', mapPath);
+      return mapPath;
+    } catch (error) {
+      console.error('[SlamService] Map load failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Wait until tracking returns to OK in the loaded map
+   * @param {Object} options
+   * @param {number} options.timeout - Give up after this many milliseconds
+   * @returns {Promise<Object>} Final relocalization progress
+   */
+  relocalize({ timeout = 30000 } = {}) {
+    if (!this.relocalization) {
+      return Promise.resolve(this.getRelocalizationProgress('relocalized'));
+    }
+
+    const relocalization = this.relocalization;
+    relocalization.timeout = timeout;
+
+    return new Promise((resolve, reject) => {
+      relocalization.waiters.push({ resolve, reject });
+      clearTimeout(relocalization.timer);
+      relocalization.timer = setTimeout(() => {
+        this.finishRelocalization('failed', new Error('Relocalization timed out'));
+      }, timeout);
+    });
+  }
+
+  /**
+   * Begin tracking relocalization progress after a map load
+   * @private
+   */
+  startRelocalization() {
+    if (this.relocalization) {
+      this.finishRelocalization('failed', new Error('Relocalization superseded by a new map load'));
+    }
+
+    this.relocalization = {
+      startTime: Date.now(),
+      attempts: 0,
+      timeout: null,
+      timer: null,
+      waiters: [],
+    };
+    this.notifyRelocalizationListeners(this.getRelocalizationProgress('relocalizing'));
+  }
+
+  /**
+   * Check tracking after a relocalization attempt
+   * @private
+   */
+  updateRelocalization(stateName) {
+    this.relocalization.attempts++;
+
+    if (stateName === 'OK') {
+      this.finishRelocalization('relocalized');
+    } else {
+      this.notifyRelocalizationListeners(this.getRelocalizationProgress('relocalizing'));
+    }
+  }
+
+  /**
+   * Settle relocalization and notify waiters and listeners
+   * @private
+   */
+  finishRelocalization(status, error = null) {
+    const relocalization = this.relocalization;
+    if (!relocalization) {
+      return;
+    }
+
+    const progress = this.getRelocalizationProgress(status);
+    clearTimeout(relocalization.timer);
+    this.relocalization = null;
+
+    relocalization.waiters.forEach(({ resolve, reject }) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(progress);
+      }
+    });
+    this.notifyRelocalizationListeners(progress);
+    console.log(`[SlamService] Relocalization ${status} after ${progress.attempts} frames`);
+  }
+
+  /**
+   * Snapshot of relocalization progress
+   * @private
+   */
+  getRelocalizationProgress(status) {
+    const relocalization = this.relocalization;
+    const elapsed = relocalization ? Date.now() - relocalization.startTime : 0;
+    const timeout = relocalization ? relocalization.timeout : null;
+
+    return {
+      status,
+      mapPath: this.loadedMapPath,
+      attempts: relocalization ? relocalization.attempts : 0,
+      elapsed,
+      // Fraction of the time budget used, null while no timeout is set
+      progress: timeout ? Math.min(1, elapsed / timeout) : null,
+      trackingState: this.trackingState,
+    };
+  }
+
+  /**
+   * Check if a loaded map is still being relocalized in
+   * @returns {boolean}
+   */
+  isRelocalizing() {
+    return this.relocalization !== null;
+  }
+
+  /**
+   * Add listener for relocalization progress
+   * Receives { status, mapPath, attempts, elapsed, progress, trackingState }
+   * where status is 'relocalizing', 'relocalized' or 'failed'.
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  addRelocalizationListener(callback) {
+    this.relocalizationListeners.push(callback);
+    return () => {
+      this.relocalizationListeners = this.relocalizationListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify relocalization listeners
+   * @private
+   */
+  notifyRelocalizationListeners(progress) {
+    this.relocalizationListeners.forEach(callback => {
+      try {
+        callback(progress);
+      } catch (error) {
+        console.error('[SlamService] Relocalization listener error:', error);
+      }
+    });
+  }
+
   /**
    * Shutdown the SLAM system
+   * @param {Object} options
+   * @param {string} options.saveMap - Save the map under this name or path first
    * @returns {Promise<boolean>}
    */
-  async shutdown() {
+  async shutdown({ saveMap } = {}) {
     try {
-      await SlamModule.shutdown();
+      if (saveMap && this.isInitialized) {
+        await this.saveMap(saveMap);
+      }
+
+      this.stopFrameStream();
+      this.imuQueue = [];
+      this.finishRelocalization('failed', new Error('SLAM system shut down'));
+      await this.backend.shutdown();
       this.isInitialized = false;
       this.currentPose = null;
+      this.trackedFeatures = null;
+      this.diagnostics = null;
+      this.health = null;
+      this.setTrackingState('NO_IMAGES_YET');
       console.log('[SlamService] SLAM system shutdown');
       return true;
     } catch (error) {
@@ -109,8 +714,8 @@ class SlamService {
    */
   async getTrackingState() {
     try {
-      const result = await SlamModule.getTrackingState();
-      this.trackingState = result.stateName;
+      const result = await this.backend.getTrackingState();
+      this.setTrackingState(result.stateName);
       return result;
     } catch (error) {
       console.error('[SlamService] Get tracking state failed:', error);
@@ -138,6 +743,67 @@ class SlamService {
     };
   }
 
+  /**
+   * Add listener for every processed frame, including those withheld from
+   * pose listeners while relocalizing
+   * @param {Function} callback - Receives { position, orientation, timestamp, trackingState, features, imagePath }
+   *   where features is as returned by getTrackedFeatures() and imagePath is null for streamed frames
+   * @returns {Function} Unsubscribe function
+   */
+  addFrameListener(callback) {
+    this.frameListeners.push(callback);
+    return () => {
+      this.frameListeners = this.frameListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Add listener for tracking state changes, from frames as well as from reset(),
+   * loadMap() and shutdown(), which change the state without a frame
+   * @param {Function} callback - Receives the new state name and the previous one
+   * @returns {Function} Unsubscribe function
+   */
+  addTrackingStateListener(callback) {
+    this.trackingStateListeners.push(callback);
+    return () => {
+      this.trackingStateListeners = this.trackingStateListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Change the tracking state, notifying tracking state listeners if it changed
+   * @private
+   */
+  setTrackingState(state) {
+    const previous = this.trackingState;
+    if (state === previous) {
+      return;
+    }
+
+    this.trackingState = state;
+    this.trackingStateListeners.forEach(callback => {
+      try {
+        callback(state, previous);
+      } catch (error) {
+        console.error('[SlamService] Tracking state listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Notify frame listeners of a processed frame
+   * @private
+   */
+  notifyFrameListeners(frame) {
+    this.frameListeners.forEach(callback => {
+      try {
+        callback(frame);
+      } catch (error) {
+        console.error('[SlamService] Frame listener error:', error);
+      }
+    });
+  }
+
   /**
    * Notify all listeners of pose update
    * @private
@@ -161,5 +827,7 @@ class SlamService {
   }
 }
 
+export { SlamService };
+
 // Export singleton instance
 export default new SlamService();
@@ -0,0 +1,207 @@
+import SlamService from './SlamService';
+import DeadReckoning from './DeadReckoning';
+import ClockSync, { ClockSource } from '../fusion/ClockSync';
+import PoseBuffer from '../fusion/PoseBuffer';
+
+const DEFAULT_OPTIONS = {
+  clock: {}, // ClockSync options
+  poses: {}, // PoseBuffer options for the SLAM and dead reckoning histories
+};
+
+/**
+ * Common timebase for camera frames, IMU samples and SLAM poses
+ *
+ * Maps every source onto the monotonic clock native SLAM runs on (see
+ * ClockSync), estimates the camera-IMU time offset from the gyro and the
+ * rotation of tracked frames, and keeps recent SLAM and dead reckoning
+ * poses so either can be looked up at any instant, e.g. the capture time of
+ * a frame that only arrived now.
+ */
+class TimeSyncService {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.clock = new ClockSync();
+    this.slamPoses = new PoseBuffer();
+    this.deadReckoningPoses = new PoseBuffer();
+    this.subscriptions = [];
+    this.offsetListeners = [];
+  }
+
+  /**
+   * Start following SLAM frames and dead reckoning
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  async start(options = {}) {
+    this.stop();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    let clockOffset = 0;
+    if (SlamService.isReady()) {
+      try {
+        clockOffset = await SlamService.getClockOffset();
+      } catch (error) {
+        // Already logged; sensor and camera times are then taken to share a clock
+      }
+    }
+
+    this.clock = new ClockSync({ clockOffset, ...this.options.clock });
+    this.slamPoses = new PoseBuffer(this.options.poses);
+    this.deadReckoningPoses = new PoseBuffer(this.options.poses);
+    this.subscriptions = [
+      DeadReckoning.addImuListener(sample => this.clock.addGyroSample(sample.timestamp, sample.gyro)),
+      DeadReckoning.addListener(state => this.handleDeadReckoning(state)),
+      SlamService.addFrameListener(frame => this.handleFrame(frame)),
+    ];
+    console.log(`[TimeSyncService] Started (clock offset ${clockOffset.toFixed(0)} ms)`);
+  }
+
+  /**
+   * Stop following, keeping the offsets
+   */
+  stop() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+  }
+
+  /**
+   * Forget the pose histories, e.g. after SLAM or dead reckoning was reset
+   */
+  reset() {
+    this.slamPoses.clear();
+    this.deadReckoningPoses.clear();
+  }
+
+  /**
+   * Current time in the timebase
+   * @returns {number} ms
+   */
+  now() {
+    return this.clock.stamp(ClockSource.HOST, Date.now());
+  }
+
+  /**
+   * Convert a source timestamp into the timebase
+   * @param {string} source - ClockSource value
+   * @param {number} timestamp - In the source's unit (camera seconds, otherwise epoch ms)
+   * @returns {number} ms
+   */
+  toSyncTime(source, timestamp) {
+    return this.clock.toSyncTime(source, timestamp);
+  }
+
+  /**
+   * Convert a time in the timebase into a source's clock
+   * @param {string} source - ClockSource value
+   * @param {number} syncTime - ms
+   * @returns {number} In the source's unit
+   */
+  fromSyncTime(source, syncTime) {
+    return this.clock.fromSyncTime(source, syncTime);
+  }
+
+  /**
+   * Capture time of a SLAM frame on the sensor clock, as DeadReckoning
+   * timestamps are, e.g. for fuseWithSlam({ imuTimestamp })
+   * @param {Object} frame - Frame result with `timestamp` in camera seconds
+   * @returns {number} Epoch ms
+   */
+  frameToImuTime(frame) {
+    return this.fromSyncTime(ClockSource.IMU, this.toSyncTime(ClockSource.CAMERA, frame.timestamp));
+  }
+
+  /**
+   * SLAM pose at a time, interpolated between frames
+   * @param {number} syncTime - ms
+   * @returns {Object|null} { timestamp, position, orientation } in map units, see PoseBuffer.at()
+   */
+  getSlamPoseAt(syncTime) {
+    return this.slamPoses.at(syncTime);
+  }
+
+  /**
+   * Dead reckoning pose at a time, interpolated between samples
+   * @param {number} syncTime - ms
+   * @returns {Object|null} { timestamp, position, orientation }, see PoseBuffer.at()
+   */
+  getDeadReckoningPoseAt(syncTime) {
+    return this.deadReckoningPoses.at(syncTime);
+  }
+
+  /**
+   * Current camera-IMU offset
+   * @returns {Object} { offset (ms added to camera timestamps), estimated, correlation, samples }
+   */
+  getCameraImuOffset() {
+    return this.clock.getCameraImuOffset();
+  }
+
+  /**
+   * Record a tracked frame
+   * @private
+   */
+  handleFrame(frame) {
+    if (frame.trackingState !== 'OK' || !frame.position || !Number.isFinite(frame.timestamp)) {
+      return;
+    }
+
+    const estimate = this.clock.addCameraOrientation(frame.timestamp, frame.orientation);
+    if (estimate) {
+      console.log(
+        `[TimeSyncService] Camera-IMU offset ${estimate.offset.toFixed(1)} ms (correlation ${estimate.correlation.toFixed(2)})`
+      );
+      this.notifyOffsetListeners(estimate);
+    }
+
+    this.slamPoses.add({
+      timestamp: this.clock.stamp(ClockSource.CAMERA, frame.timestamp),
+      position: frame.position,
+      orientation: frame.orientation,
+    });
+  }
+
+  /**
+   * Record a dead reckoning state
+   * @private
+   */
+  handleDeadReckoning({ timestamp, position, orientation }) {
+    if (!Number.isFinite(timestamp)) {
+      return;
+    }
+    this.deadReckoningPoses.add({
+      timestamp: this.clock.stamp(ClockSource.IMU, timestamp),
+      position: [position.x, position.y, position.z],
+      orientation,
+    });
+  }
+
+  /**
+   * Add listener for camera-IMU offset estimates
+   * @param {Function} callback - Receives the offset as returned by getCameraImuOffset()
+   * @returns {Function} Unsubscribe function
+   */
+  addOffsetListener(callback) {
+    this.offsetListeners.push(callback);
+    return () => {
+      this.offsetListeners = this.offsetListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify offset listeners
+   * @private
+   */
+  notifyOffsetListeners(offset) {
+    this.offsetListeners.forEach(callback => {
+      try {
+        callback(offset);
+      } catch (error) {
+        console.error('[TimeSyncService] Offset listener error:', error);
+      }
+    });
+  }
+}
+
+export { ClockSource };
+
+// Export singleton instance
+export default new TimeSyncService();
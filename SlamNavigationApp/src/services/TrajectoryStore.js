@@ -0,0 +1,308 @@
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import DeadReckoning from './DeadReckoning';
+import SlamService from './SlamService';
+import LocalizationService from './LocalizationService';
+import { normalizeAnchor } from '../utils/geo';
+import { evaluateTrajectory, parseTrajectory } from '../utils/trajectoryEvaluation';
+import { toGeoJson, toKitti, toKittiTimes, toTum } from '../utils/trajectoryFormat';
+
+/**
+ * Recorded trajectories
+ * SLAM holds the raw visual poses, FUSED the dead reckoning estimate corrected by SLAM
+ */
+export const TrajectoryTrack = {
+  SLAM: 'slam',
+  FUSED: 'fused',
+};
+
+/**
+ * Export formats
+ */
+export const TrajectoryFormat = {
+  TUM: 'tum',
+  KITTI: 'kitti',
+  GEOJSON: 'geojson',
+};
+
+const FILE_EXTENSIONS = {
+  [TrajectoryFormat.TUM]: '.txt',
+  [TrajectoryFormat.KITTI]: '.txt',
+  [TrajectoryFormat.GEOJSON]: '.geojson',
+};
+
+const DEFAULT_OPTIONS = {
+  maxPoses: 100000, // per track, oldest poses are dropped beyond this
+  fusedInterval: 0.05, // s between stored fused poses, DR updates at the IMU rate
+};
+
+/**
+ * Keeps the pose history of SLAM and fused dead reckoning with timestamps
+ * and exports it for offline evaluation (e.g. with evo)
+ */
+class TrajectoryStore {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.tracks = {
+      [TrajectoryTrack.SLAM]: [],
+      [TrajectoryTrack.FUSED]: [],
+    };
+    this.anchor = null;
+    this.clockOffsetMs = 0;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Start recording SLAM and fused poses
+   * @param {Object} options
+   * @param {number} options.maxPoses - Poses kept per track
+   * @param {number} options.fusedInterval - Minimum time between fused poses (s)
+   */
+  async start(options = {}) {
+    if (this.isRecording()) {
+      return;
+    }
+
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    // DR timestamps are on the sensor epoch clock, SLAM poses on the camera clock
+    this.clockOffsetMs = SlamService.isReady() ? await SlamService.getClockOffset() : 0;
+
+    this.unsubscribers = [
+      SlamService.addPoseListener(pose => this.addPose(TrajectoryTrack.SLAM, pose)),
+      DeadReckoning.addListener(state => this.handleDrUpdate(state)),
+    ];
+    console.log('[TrajectoryStore] Recording trajectories');
+  }
+
+  /**
+   * Stop recording, keeping the poses collected so far
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.unsubscribers.length > 0;
+  }
+
+  /**
+   * Drop all stored poses
+   */
+  clear() {
+    Object.keys(this.tracks).forEach(track => {
+      this.tracks[track] = [];
+    });
+  }
+
+  /**
+   * Append a pose to a track
+   * @param {string} track - TrajectoryTrack value
+   * @param {Object} pose - { timestamp (s), position: [x, y, z], orientation: [qx, qy, qz, qw] }
+   */
+  addPose(track, { timestamp, position, orientation }) {
+    const poses = this.getTrack(track);
+    poses.push({ timestamp, position: [...position], orientation: [...orientation] });
+    if (poses.length > this.options.maxPoses) {
+      poses.shift();
+    }
+  }
+
+  /**
+   * Store a fused DR pose, throttled to fusedInterval
+   * @private
+   */
+  handleDrUpdate({ timestamp, position, orientation }) {
+    if (timestamp == null) {
+      return;
+    }
+
+    const seconds = (timestamp - this.clockOffsetMs) / 1000;
+    const poses = this.tracks[TrajectoryTrack.FUSED];
+    const last = poses[poses.length - 1];
+    if (last && seconds - last.timestamp < this.options.fusedInterval) {
+      return;
+    }
+
+    this.addPose(TrajectoryTrack.FUSED, {
+      timestamp: seconds,
+      position: [position.x, position.y, position.z],
+      orientation,
+    });
+  }
+
+  /**
+   * Stored poses of one track
+   * @param {string} track - TrajectoryTrack value
+   * @returns {Object[]}
+   */
+  getTrack(track) {
+    const poses = this.tracks[track];
+    if (!poses) {
+      throw new Error(`Unknown trajectory track: ${track}`);
+    }
+    return poses;
+  }
+
+  /**
+   * Geographic position of the navigation frame origin, required for GeoJSON export
+   * @param {Object|null} anchor - { latitude, longitude, altitude, rotation, scale }, see utils/geo.js
+   */
+  setAnchor(anchor) {
+    this.anchor = anchor ? normalizeAnchor(anchor) : null;
+  }
+
+  /**
+   * @returns {Object|null}
+   */
+  getAnchor() {
+    return this.anchor;
+  }
+
+  /**
+   * Directory under RNFS.DocumentDirectoryPath where exports are written
+   * @returns {string}
+   */
+  getExportDirectory() {
+    return `${RNFS.DocumentDirectoryPath}/trajectories`;
+  }
+
+  /**
+   * Serialize one track in a format
+   * @param {string} track - TrajectoryTrack value
+   * @param {string} format - TrajectoryFormat value
+   * @returns {string}
+   */
+  serialize(track, format) {
+    const poses = this.getTrack(track);
+
+    switch (format) {
+      case TrajectoryFormat.TUM:
+        return toTum(poses);
+      case TrajectoryFormat.KITTI:
+        return toKitti(poses);
+      case TrajectoryFormat.GEOJSON:
+        if (!this.anchor) {
+          throw new Error('GeoJSON export needs an anchor. Call setAnchor() first.');
+        }
+        return toGeoJson(this.toNavigationFrame(track, poses), this.anchor, { track });
+      default:
+        throw new Error(`Unknown trajectory format: ${format}`);
+    }
+  }
+
+  /**
+   * Poses of a track in the navigation frame the anchor refers to
+   * Fused poses already are; SLAM poses are converted with the current scale and
+   * alignment, dropping them while there is none.
+   * @private
+   */
+  toNavigationFrame(track, poses) {
+    if (track !== TrajectoryTrack.SLAM) {
+      return poses;
+    }
+    return poses
+      .map(pose => ({ ...pose, position: LocalizationService.toNavigationFrame(pose.position) }))
+      .filter(pose => pose.position);
+  }
+
+  /**
+   * Write one track to a file
+   * KITTI exports also write a `<name>_times.txt` file with the timestamps.
+   * @param {string} track - TrajectoryTrack value
+   * @param {string} format - TrajectoryFormat value
+   * @param {string} name - File name without extension, defaults to `<track>_<format>_<date>`
+   * @returns {Promise<string>} Path of the written file
+   */
+  async export(track, format, name = null) {
+    const content = this.serialize(track, format);
+    const directory = this.getExportDirectory();
+    await RNFS.mkdir(directory);
+
+    const date = new Date().toISOString().replace(/[:.]/g, '-');
+    const baseName = name || `${track}_${format}_${date}`;
+    const path = `${directory}/${baseName}${FILE_EXTENSIONS[format]}`;
+    await RNFS.writeFile(path, content, 'utf8');
+
+    if (format === TrajectoryFormat.KITTI) {
+      const poses = this.getTrack(track);
+      await RNFS.writeFile(`${directory}/${baseName}_times.txt`, toKittiTimes(poses), 'utf8');
+    }
+
+    console.log(`[TrajectoryStore] Exported ${this.getTrack(track).length} poses to ${path}`);
+    return path;
+  }
+
+  /**
+   * Write both tracks in every format available (GeoJSON only with an anchor)
+   * @returns {Promise<string[]>} Paths of the written files
+   */
+  async exportAll() {
+    const date = new Date().toISOString().replace(/[:.]/g, '-');
+    const formats = Object.values(TrajectoryFormat).filter(
+      format => format !== TrajectoryFormat.GEOJSON || this.anchor
+    );
+
+    const paths = [];
+    for (const track of Object.values(TrajectoryTrack)) {
+      for (const format of formats) {
+        paths.push(await this.export(track, format, `${track}_${format}_${date}`));
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Load a ground-truth trajectory in TUM format
+   * @param {string} path - Absolute file path
+   * @returns {Promise<Object[]>} Poses sorted by timestamp
+   */
+  async loadGroundTruth(path) {
+    return parseTrajectory(await RNFS.readFile(path, 'utf8'));
+  }
+
+  /**
+   * Evaluate the SLAM and fused tracks against ground truth, showing what fusion adds
+   * @param {Object[]} groundTruth - Poses sorted by timestamp, on the camera clock
+   * @param {Object} options - See utils/trajectoryEvaluation.js; use withScale for monocular SLAM
+   * @returns {Object} { slam, fused }, each { ate, rpe } or null when too few poses matched
+   */
+  evaluate(groundTruth, options = {}) {
+    const results = {};
+    Object.values(TrajectoryTrack).forEach(track => {
+      try {
+        results[track] = evaluateTrajectory(this.getTrack(track), groundTruth, options);
+      } catch (error) {
+        console.warn(`[TrajectoryStore] Cannot evaluate ${track}: ${error.message}`);
+        results[track] = null;
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Open the system share sheet for exported files
+   * @param {string[]} paths - Files written by export() or exportAll()
+   * @returns {Promise<Object>} Share result
+   */
+  async share(paths) {
+    try {
+      return await Share.open({
+        title: 'Trajectory export',
+        urls: paths.map(path => `file://${path}`),
+        type: 'text/plain',
+        failOnCancel: false,
+      });
+    } catch (error) {
+      console.error('[TrajectoryStore] Share failed:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export default new TrajectoryStore();
@@ -0,0 +1,132 @@
+import { wrapAngle } from '../fusion/HeadingFilter';
+import * as Q from '../utils/quaternion';
+import { simulateImu, simulateSlamPoses } from './sensorSimulation';
+
+/**
+ * Closed-loop check of DeadReckoning against a simulated ground truth
+ * Simulated IMU samples go through the same handlers as live sensor
+ * readings, simulated SLAM poses through fuseWithSlam() when they would
+ * arrive, and the estimate is compared with the truth as it goes.
+ */
+
+const DEFAULT_OPTIONS = {
+  duration: 30, // s
+  imu: {}, // see simulateImu()
+  slam: null, // see simulateSlamPoses(), null for dead reckoning alone
+  start: {}, // DeadReckoning.start() options, e.g. { mode: 'pdr' }
+  compensateLatency: true, // fuse SLAM poses at their capture time rather than on arrival
+  reportInterval: 0.5, // s between error samples
+  startTime: 1000000, // ms, timestamp of t = 0
+};
+
+const toXyz = ([x, y, z]) => ({ x, y, z });
+
+/**
+ * Map the truth into the estimate's frame
+ * Dead reckoning starts at its own origin with whatever yaw its gravity
+ * alignment gave, since yaw is unobservable from the IMU alone; SLAM poses
+ * are assumed to share that frame, as the app fuses them.
+ * @private
+ */
+const createFrameAlignment = (estimateOrientation, truthStart) => {
+  const yaw = Q.toEuler(estimateOrientation).z - Q.toEuler(truthStart.orientation).z;
+  const rotation = Q.fromRotationVector([0, 0, yaw]);
+  return ({ position, orientation }) => ({
+    position: Q.rotateVector(
+      rotation,
+      position.map((p, i) => p - truthStart.position[i])
+    ),
+    orientation: Q.normalize(Q.multiply(rotation, orientation)),
+  });
+};
+
+/**
+ * Root mean square
+ * @private
+ */
+const rms = values => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / Math.max(1, values.length));
+
+/**
+ * Run dead reckoning along a simulated trajectory
+ * The instance is started in replay mode and stopped afterwards.
+ * @param {Object} deadReckoning - A DeadReckoning instance
+ * @param {Object} options - See DEFAULT_OPTIONS, plus `trajectory` from createTrajectory()
+ * @returns {Object} { errors, summary, imuSamples, slamPoses } where errors are
+ *   { time (s), estimate, truth, positionError, horizontalError, verticalError, yawError }
+ *   and summary holds the { rmse, max, final } position error in meters and the final yaw
+ *   error in radians
+ */
+export const simulateDeadReckoning = (deadReckoning, options = {}) => {
+  const { trajectory, duration, imu, slam, start, compensateLatency, reportInterval, startTime } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  if (typeof trajectory !== 'function') {
+    throw new Error('A trajectory is required, see createTrajectory()');
+  }
+
+  const samples = simulateImu(trajectory, duration, { ...imu, startTime });
+  const poses = slam ? simulateSlamPoses(trajectory, duration, { ...slam, startTime }) : [];
+
+  const errors = [];
+  let align = null;
+  let nextPose = 0;
+  let nextReport = 0;
+  let fused = 0;
+
+  deadReckoning.start({ ...start, replay: true });
+
+  samples.forEach(({ timestamp, accel, gyro }) => {
+    // Poses that arrived since the last sample; none count before alignment
+    while (nextPose < poses.length && poses[nextPose].arrival <= timestamp) {
+      if (align) {
+        const pose = align(poses[nextPose]);
+        deadReckoning.fuseWithSlam(compensateLatency ? { ...pose, imuTimestamp: poses[nextPose].timestamp } : pose);
+        fused++;
+      }
+      nextPose++;
+    }
+
+    deadReckoning.handleGyroscopeData(toXyz(gyro), timestamp);
+    deadReckoning.handleAccelerometerData(toXyz(accel), timestamp);
+
+    const state = deadReckoning.getState();
+    if (!align) {
+      align = createFrameAlignment(state.orientation, trajectory(0));
+    }
+
+    const time = (timestamp - startTime) / 1000;
+    if (time < nextReport) {
+      return;
+    }
+    nextReport += reportInterval;
+
+    const truth = align(trajectory(time));
+    const estimate = [state.position.x, state.position.y, state.position.z];
+    const difference = estimate.map((e, i) => e - truth.position[i]);
+    errors.push({
+      time,
+      estimate,
+      truth: truth.position,
+      positionError: Math.hypot(...difference),
+      horizontalError: Math.hypot(difference[0], difference[1]),
+      verticalError: Math.abs(difference[2]),
+      yawError: wrapAngle(Q.toEuler(state.orientation).z - Q.toEuler(truth.orientation).z),
+    });
+  });
+
+  deadReckoning.stop();
+
+  const positionErrors = errors.map(error => error.positionError);
+  return {
+    errors,
+    summary: {
+      rmse: rms(positionErrors),
+      max: Math.max(0, ...positionErrors),
+      final: errors.length ? errors[errors.length - 1].positionError : 0,
+      finalYaw: errors.length ? errors[errors.length - 1].yawError : 0,
+    },
+    imuSamples: samples.length,
+    slamPoses: fused,
+  };
+};
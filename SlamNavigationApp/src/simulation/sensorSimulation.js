@@ -0,0 +1,135 @@
+import * as Q from '../utils/quaternion';
+import { createGaussian, createRandom } from '../utils/random';
+import { idealImu } from './trajectories';
+
+/**
+ * Simulated IMU samples and SLAM poses along a ground-truth trajectory
+ * Noise and bias random walk are given as densities, the way settings.yaml
+ * and ErrorStateKalmanFilter describe the IMU, so a filter can be fed its own
+ * noise model. Timestamps are epoch-style milliseconds like live sensors.
+ */
+
+const DEFAULT_IMU_OPTIONS = {
+  rate: 100, // Hz
+  jitter: 0, // ms, standard deviation of the interval between samples
+  gravity: 9.81, // m/s^2
+  accelBias: [0, 0, 0], // m/s^2, at the start
+  gyroBias: [0, 0, 0], // rad/s, at the start
+  accelNoise: 0, // m/s^2/√Hz
+  gyroNoise: 0, // rad/s/√Hz
+  accelBiasWalk: 0, // m/s^3/√Hz
+  gyroBiasWalk: 0, // rad/s^2/√Hz
+  startTime: 1000000, // ms, timestamp of t = 0
+  seed: 1,
+};
+
+const DEFAULT_SLAM_OPTIONS = {
+  rate: 10, // Hz
+  latency: 0, // ms from capture until the pose is available
+  latencyJitter: 0, // ms, standard deviation
+  dropouts: [], // [start, end] windows in seconds without poses, e.g. tracking lost
+  dropoutRate: 0, // probability of losing any single pose
+  positionNoise: 0, // m, standard deviation per axis
+  orientationNoise: 0, // rad, standard deviation per axis
+  startTime: 1000000, // ms, timestamp of t = 0
+  seed: 2,
+};
+
+/**
+ * IMU samples along a trajectory
+ * @param {Function} trajectory - See createTrajectory()
+ * @param {number} duration - Seconds
+ * @param {Object} options - See DEFAULT_IMU_OPTIONS
+ * @returns {Object[]} { timestamp (ms), accel, gyro, accelBias, gyroBias } with the true
+ *   biases at that sample
+ */
+export const simulateImu = (trajectory, duration, options = {}) => {
+  const {
+    rate,
+    jitter,
+    gravity,
+    accelNoise,
+    gyroNoise,
+    accelBiasWalk,
+    gyroBiasWalk,
+    startTime,
+    seed,
+    ...initial
+  } = { ...DEFAULT_IMU_OPTIONS, ...options };
+  const gaussian = createGaussian(createRandom(seed));
+  const noise = std => [0, 1, 2].map(() => std * gaussian());
+
+  let accelBias = [...initial.accelBias];
+  let gyroBias = [...initial.gyroBias];
+  const interval = 1 / rate;
+  const samples = [];
+
+  for (let t = 0; t <= duration; ) {
+    const { accel, gyro } = idealImu(trajectory, t, gravity);
+    const accelWhite = noise(accelNoise * Math.sqrt(rate));
+    const gyroWhite = noise(gyroNoise * Math.sqrt(rate));
+    samples.push({
+      timestamp: startTime + t * 1000,
+      accel: accel.map((a, i) => a + accelBias[i] + accelWhite[i]),
+      gyro: gyro.map((w, i) => w + gyroBias[i] + gyroWhite[i]),
+      accelBias,
+      gyroBias,
+    });
+
+    // Irregular spacing, but never backwards or bunched up; whole
+    // microseconds keep a regular rate from drifting off its grid
+    const dt = Math.max(interval / 5, interval + (jitter / 1000) * gaussian());
+    const accelStep = noise(accelBiasWalk * Math.sqrt(dt));
+    const gyroStep = noise(gyroBiasWalk * Math.sqrt(dt));
+    accelBias = accelBias.map((b, i) => b + accelStep[i]);
+    gyroBias = gyroBias.map((b, i) => b + gyroStep[i]);
+    t = Math.round((t + dt) * 1e6) / 1e6;
+  }
+
+  return samples;
+};
+
+/**
+ * SLAM poses along a trajectory, as they would reach fusion
+ * @param {Function} trajectory - See createTrajectory()
+ * @param {number} duration - Seconds
+ * @param {Object} options - See DEFAULT_SLAM_OPTIONS
+ * @returns {Object[]} { timestamp (ms, capture), arrival (ms), position, orientation } in arrival order
+ */
+export const simulateSlamPoses = (trajectory, duration, options = {}) => {
+  const {
+    rate,
+    latency,
+    latencyJitter,
+    dropouts,
+    dropoutRate,
+    positionNoise,
+    orientationNoise,
+    startTime,
+    seed,
+  } = { ...DEFAULT_SLAM_OPTIONS, ...options };
+  const random = createRandom(seed);
+  const gaussian = createGaussian(random);
+  const noise = std => [0, 1, 2].map(() => std * gaussian());
+  const poses = [];
+
+  for (let i = 0; i / rate <= duration; i++) {
+    const t = i / rate;
+    const lost = dropouts.some(([start, end]) => t >= start && t < end) || random() < dropoutRate;
+    if (lost) {
+      continue;
+    }
+
+    const { position, orientation } = trajectory(t);
+    const timestamp = startTime + t * 1000;
+    const positionError = noise(positionNoise);
+    poses.push({
+      timestamp,
+      arrival: timestamp + Math.max(0, latency + latencyJitter * gaussian()),
+      position: position.map((p, axis) => p + positionError[axis]),
+      orientation: Q.normalize(Q.multiply(orientation, Q.fromRotationVector(noise(orientationNoise)))),
+    });
+  }
+
+  return poses.sort((a, b) => a.arrival - b.arrival);
+};
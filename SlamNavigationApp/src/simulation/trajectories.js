@@ -0,0 +1,202 @@
+import * as Q from '../utils/quaternion';
+
+/**
+ * Ground-truth 6-DoF trajectories for simulating a handheld phone
+ * A trajectory is a function t (s) => { position, orientation } in a world
+ * frame with z up, orientation being the body-to-world quaternion. The phone
+ * is held flat in portrait with its top edge (+y) pointing where it goes, as
+ * forwardYaw() expects. Every trajectory starts at rest at the origin and
+ * eases into motion, so dead reckoning can align with gravity and start from
+ * zero velocity.
+ */
+
+export const TrajectoryType = {
+  WALKING: 'walking',
+  FIGURE_EIGHT: 'figureEight',
+  STAIRS: 'stairs',
+};
+
+// Finite-difference step for velocities, accelerations and rates
+const DIFF_STEP = 1e-3; // s
+
+const DEFAULT_OPTIONS = {
+  [TrajectoryType.WALKING]: {
+    speed: 1.2, // m/s
+    stepFrequency: 1.8, // Hz
+    bounce: 0.04, // m, vertical travel per step
+    sway: 0.02, // m, side to side
+    tilt: 0.03, // rad, nodding and rocking of the hand
+    turnRate: 0, // rad/s, non-zero walks a circle
+  },
+  [TrajectoryType.FIGURE_EIGHT]: {
+    size: 4, // m, half the length of the eight
+    period: 20, // s per eight
+  },
+  [TrajectoryType.STAIRS]: {
+    steps: 12,
+    rise: 0.17, // m
+    tread: 0.28, // m
+    stepDuration: 0.6, // s
+    tilt: 0.05, // rad, nodding per step
+  },
+};
+
+const COMMON_OPTIONS = {
+  still: 1, // s at rest before moving
+  ramp: 2, // s to reach full speed
+};
+
+/**
+ * Time along the path, easing from rest into full speed
+ * The warp and its first two derivatives are continuous, so the
+ * accelerations stay smooth too.
+ * @private
+ */
+const easeIn = (t, still, ramp) => {
+  if (t <= still) {
+    return 0;
+  }
+  const x = (t - still) / ramp;
+  if (x >= 1) {
+    return ramp / 2 + (t - still - ramp);
+  }
+  return ramp * (x ** 3 - x ** 4 / 2);
+};
+
+/**
+ * Orientation of a phone held flat with its top edge towards a heading
+ * @private
+ * @param {number} heading - Direction of the top edge, counter-clockwise from world +x
+ * @param {number} nod - Rotation about the phone's x axis, top edge up
+ * @param {number} rock - Rotation about the phone's y axis
+ */
+const handheld = (heading, nod = 0, rock = 0) =>
+  Q.multiply(
+    Q.multiply(Q.fromRotationVector([0, 0, heading - Math.PI / 2]), Q.fromRotationVector([0, rock, 0])),
+    Q.fromRotationVector([nod, 0, 0])
+  );
+
+/**
+ * Smooth 0..1 step with zero first and second derivatives at both ends
+ * @private
+ */
+const smootherstep = x => x * x * x * (x * (6 * x - 15) + 10);
+
+/**
+ * Walking with the phone held in front
+ * @private
+ */
+const walking = ({ speed, stepFrequency, bounce, sway, tilt, turnRate }) => tau => {
+  const heading = turnRate * tau;
+  const distance = speed * tau;
+  const x = turnRate ? (speed / turnRate) * Math.sin(heading) : distance;
+  const y = turnRate ? (speed / turnRate) * (1 - Math.cos(heading)) : 0;
+  const phase = 2 * Math.PI * stepFrequency * tau;
+  // Sway repeats every second step, one to each side
+  const side = sway * Math.sin(phase / 2);
+
+  return {
+    position: [x - side * Math.sin(heading), y + side * Math.cos(heading), (bounce / 2) * (1 - Math.cos(phase))],
+    orientation: handheld(heading, tilt * Math.sin(phase), tilt * Math.sin(phase / 2)),
+  };
+};
+
+/**
+ * Figure-eight on level ground (lemniscate of Gerono)
+ * @private
+ */
+const figureEight = ({ size, period }) => tau => {
+  const omega = (2 * Math.PI) / period;
+  const angle = omega * tau;
+  const heading = Math.atan2(Math.cos(2 * angle), Math.cos(angle));
+
+  return {
+    position: [size * Math.sin(angle), (size / 2) * Math.sin(2 * angle), 0],
+    orientation: handheld(heading),
+  };
+};
+
+/**
+ * Climbing one straight flight of stairs, then walking on at the top
+ * @private
+ */
+const stairs = ({ steps, rise, tread, stepDuration, tilt }) => tau => {
+  const progress = tau / stepDuration;
+  const step = Math.floor(progress);
+  const height = step >= steps ? steps * rise : rise * (step + smootherstep(progress - step));
+
+  return {
+    position: [(tread / stepDuration) * tau, 0, height],
+    orientation: handheld(0, tilt * Math.sin(2 * Math.PI * progress)),
+  };
+};
+
+const BUILDERS = {
+  [TrajectoryType.WALKING]: walking,
+  [TrajectoryType.FIGURE_EIGHT]: figureEight,
+  [TrajectoryType.STAIRS]: stairs,
+};
+
+/**
+ * Create a trajectory
+ * @param {string} type - A TrajectoryType
+ * @param {Object} options - Shape parameters (see DEFAULT_OPTIONS), plus `still` and `ramp` in seconds
+ * @returns {Function} t (s) => { position, orientation }
+ */
+export const createTrajectory = (type, options = {}) => {
+  if (!BUILDERS[type]) {
+    throw new Error(`Unknown trajectory type: ${type}`);
+  }
+
+  const { still, ramp, ...shape } = { ...COMMON_OPTIONS, ...DEFAULT_OPTIONS[type], ...options };
+  const path = BUILDERS[type](shape);
+  const start = path(0);
+  // Start at the origin whatever the shape
+  return t => {
+    const { position, orientation } = path(easeIn(t, still, ramp));
+    return {
+      position: position.map((p, i) => p - start.position[i]),
+      orientation,
+    };
+  };
+};
+
+/**
+ * Full motion state at a time, differentiating the trajectory numerically
+ * @param {Function} trajectory - See createTrajectory()
+ * @param {number} t - Seconds
+ * @returns {Object} { position, orientation, velocity, acceleration (world frame),
+ *   angularVelocity (body frame, rad/s) }
+ */
+export const sampleMotion = (trajectory, t) => {
+  const h = DIFF_STEP;
+  const before = trajectory(t - h);
+  const now = trajectory(t);
+  const after = trajectory(t + h);
+
+  const rotation = Q.multiply(Q.conjugate(before.orientation), after.orientation);
+  return {
+    position: now.position,
+    orientation: now.orientation,
+    velocity: now.position.map((p, i) => (after.position[i] - before.position[i]) / (2 * h)),
+    acceleration: now.position.map((p, i) => (after.position[i] - 2 * p + before.position[i]) / (h * h)),
+    angularVelocity: Q.toRotationVector(Q.normalize(rotation)).map(angle => angle / (2 * h)),
+  };
+};
+
+/**
+ * Error-free accelerometer and gyroscope readings at a time
+ * Usable as the `motion` of a SyntheticSensorSource.
+ * @param {Function} trajectory - See createTrajectory()
+ * @param {number} t - Seconds
+ * @param {number} gravity - m/s^2
+ * @returns {Object} { accel: specific force (m/s^2), gyro (rad/s) }, both in the body frame
+ */
+export const idealImu = (trajectory, t, gravity = 9.81) => {
+  const { orientation, acceleration, angularVelocity } = sampleMotion(trajectory, t);
+  const specificForce = [acceleration[0], acceleration[1], acceleration[2] + gravity];
+  return {
+    accel: Q.rotateVector(Q.conjugate(orientation), specificForce),
+    gyro: angularVelocity,
+  };
+};
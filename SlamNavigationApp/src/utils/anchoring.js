@@ -0,0 +1,189 @@
+import * as Q from './quaternion';
+import { geodeticToLocal, localToGeodetic, normalizeAnchor } from './geo';
+
+/**
+ * Similarity transforms between the navigation frame and a world frame
+ * Positions are fitted in the navigation frame (gravity-aligned, z up, meters;
+ * see LocalizationService.toNavigationFrame()), whose origin and yaw are
+ * arbitrary, so a horizontal similarity world = scale * R(rotation) * position + translation
+ * is enough to line it up with a floor plan or with GPS. The scale takes the
+ * plan's pixels per meter, and for GPS absorbs any residual scale error.
+ * Correspondences keep their navigation position under `slam` for compatibility
+ * with anchor files already saved.
+ */
+
+/**
+ * Least-squares 2D similarity taking source points onto target points
+ * Closed form (Umeyama 1991 in the plane); exact for two points.
+ * @param {number[][]} source - [x, y] points
+ * @param {number[][]} target - Corresponding [x, y] points
+ * @param {number[]} weights - Optional per-pair weights
+ * @returns {Object} { scale, rotation (rad, counter-clockwise), translation: [x, y], rmse }
+ * @throws {Error} With fewer than two pairs or coincident source points
+ */
+export const estimateSimilarity2D = (source, target, weights = null) => {
+  const n = source.length;
+  if (n < 2 || target.length !== n) {
+    throw new Error('Anchoring needs at least two correspondences');
+  }
+
+  const w = weights || source.map(() => 1);
+  const total = w.reduce((sum, value) => sum + value, 0);
+  const mean = points =>
+    points
+      .reduce((acc, p, i) => [acc[0] + w[i] * p[0], acc[1] + w[i] * p[1]], [0, 0])
+      .map(c => c / total);
+  const sourceMean = mean(source);
+  const targetMean = mean(target);
+
+  let dot = 0;
+  let cross = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    const ax = source[i][0] - sourceMean[0];
+    const ay = source[i][1] - sourceMean[1];
+    const bx = target[i][0] - targetMean[0];
+    const by = target[i][1] - targetMean[1];
+    dot += w[i] * (ax * bx + ay * by);
+    cross += w[i] * (ax * by - ay * bx);
+    variance += w[i] * (ax * ax + ay * ay);
+  }
+  if (variance < 1e-12) {
+    throw new Error('Anchoring correspondences must be at different positions');
+  }
+
+  const rotation = Math.atan2(cross, dot);
+  const scale = Math.hypot(dot, cross) / variance;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const translation = [
+    targetMean[0] - scale * (cos * sourceMean[0] - sin * sourceMean[1]),
+    targetMean[1] - scale * (sin * sourceMean[0] + cos * sourceMean[1]),
+  ];
+
+  const transform = { scale, rotation, translation };
+  const squared = source.map((p, i) => {
+    const [x, y] = applySimilarity2D(transform, p);
+    return (x - target[i][0]) ** 2 + (y - target[i][1]) ** 2;
+  });
+  return { ...transform, rmse: Math.sqrt(squared.reduce((sum, e) => sum + e, 0) / n) };
+};
+
+/**
+ * Apply a 2D similarity to a point
+ * @param {Object} transform - { scale, rotation, translation }
+ * @param {number[]} point - [x, y, ...]; extra coordinates are ignored
+ * @returns {number[]} [x, y]
+ */
+export function applySimilarity2D({ scale, rotation, translation }, [x, y]) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return [
+    scale * (cos * x - sin * y) + translation[0],
+    scale * (sin * x + cos * y) + translation[1],
+  ];
+}
+
+/**
+ * Inverse of a 2D similarity
+ * @param {Object} transform - { scale, rotation, translation }
+ * @returns {Object} { scale, rotation, translation }
+ */
+export const invertSimilarity2D = ({ scale, rotation, translation }) => {
+  const inverse = { scale: 1 / scale, rotation: -rotation, translation: [0, 0] };
+  const [x, y] = applySimilarity2D(inverse, translation);
+  return { ...inverse, translation: [-x, -y] };
+};
+
+/**
+ * Rotate a navigation-frame orientation into a frame turned by a yaw
+ * @param {number} rotation - Yaw of the world frame relative to the navigation frame (rad)
+ * @param {number[]} orientation - [qx, qy, qz, qw]
+ * @returns {number[]}
+ */
+export const rotateOrientation = (rotation, orientation) =>
+  Q.normalize(Q.multiply(Q.fromRotationVector([0, 0, rotation]), orientation));
+
+/**
+ * Floor plan pixels have y pointing down; planning is done in (u, -v) so the
+ * transform stays a proper similarity
+ * @private
+ */
+const pixelToPlan = ([u, v]) => [u, -v];
+const planToPixel = ([x, y]) => [x, -y];
+
+/**
+ * Transform from the navigation frame to floor plan pixels from tapped correspondences
+ * @param {Object[]} correspondences - { slam: navigation [x, y, z], pixel: [u, v] }
+ * @returns {Object} { scale (px per meter), rotation, translation, rmse (px) }
+ */
+export const solveFloorPlanTransform = correspondences =>
+  estimateSimilarity2D(
+    correspondences.map(c => c.slam),
+    correspondences.map(c => pixelToPlan(c.pixel))
+  );
+
+/**
+ * Navigation-frame position to floor plan pixel coordinates
+ * @param {Object} transform - From solveFloorPlanTransform
+ * @param {number[]} position - [x, y, z]
+ * @returns {number[]} [u, v]
+ */
+export const slamToPixel = (transform, position) => planToPixel(applySimilarity2D(transform, position));
+
+/**
+ * Floor plan pixel coordinates to a navigation-frame position on the floor plane
+ * @param {Object} transform - From solveFloorPlanTransform
+ * @param {number[]} pixel - [u, v]
+ * @returns {number[]} [x, y]
+ */
+export const pixelToSlam = (transform, pixel) =>
+  applySimilarity2D(invertSimilarity2D(transform), pixelToPlan(pixel));
+
+/**
+ * Geographic anchor of the navigation frame from GPS fixes taken at known positions
+ * Fixes are weighted by their inverse squared accuracy. The result is an anchor
+ * for utils/geo.js whose scale, close to 1, corrects residual scale error.
+ * @param {Object[]} fixes - { slam: navigation [x, y, z], latitude, longitude, altitude, accuracy (m) }
+ * @returns {Object} { anchor, rmse (m) }
+ */
+export const solveGeoAnchor = fixes => {
+  if (fixes.length < 2) {
+    throw new Error('Anchoring needs at least two correspondences');
+  }
+
+  // East/north/up meters around the first fix
+  const reference = normalizeAnchor({
+    latitude: fixes[0].latitude,
+    longitude: fixes[0].longitude,
+    altitude: fixes[0].altitude || 0,
+  });
+  const local = fixes.map(fix =>
+    geodeticToLocal(reference, [fix.longitude, fix.latitude, fix.altitude || reference.altitude])
+  );
+  const weights = fixes.map(fix => 1 / Math.max(fix.accuracy || 1, 0.1) ** 2);
+  const transform = estimateSimilarity2D(
+    fixes.map(fix => fix.slam),
+    local,
+    weights
+  );
+
+  // Altitude of the navigation origin, averaged like the horizontal fit
+  const total = weights.reduce((sum, value) => sum + value, 0);
+  const up = fixes.reduce(
+    (sum, fix, i) => sum + weights[i] * (local[i][2] - transform.scale * (fix.slam[2] || 0)),
+    0
+  ) / total;
+
+  const [longitude, latitude, altitude] = localToGeodetic(reference, [...transform.translation, up]);
+  return {
+    anchor: normalizeAnchor({
+      latitude,
+      longitude,
+      altitude,
+      rotation: transform.rotation,
+      scale: transform.scale,
+    }),
+    rmse: transform.rmse,
+  };
+};
@@ -0,0 +1,200 @@
+/**
+ * Camera calibration helpers: view coverage and result validation
+ * Board outlines are the four outer corners of the detected grid in image
+ * pixels, in board order (first row left to right, then last row right to left).
+ */
+
+/**
+ * View parameters, each normalized to 0-1
+ */
+export const ViewParam = {
+  X: 'x', // board position across the image
+  Y: 'y', // board position down the image
+  SIZE: 'size', // board size relative to the image
+  SKEW: 'skew', // board tilt, from the angle between its edges
+};
+
+export const DEFAULT_COVERAGE_OPTIONS = {
+  // Spread of each parameter over the captured views for full coverage
+  ranges: { x: 0.7, y: 0.7, size: 0.4, skew: 0.5 },
+  minNovelty: 0.2, // L1 distance in view parameters to the nearest captured view
+  stillThreshold: 0.01, // outline motion between detections, in image widths, below which the board is still
+};
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+  minViews: 15,
+  maxReprojectionError: 1.0, // px, RMS over all corners
+  goodReprojectionError: 0.5, // px, above this the result is usable but worth redoing
+  minFocal: 0.3, // focal length range in image widths
+  maxFocal: 5,
+  maxAspectDifference: 0.05, // |fx / fy - 1|, phone pixels are square
+  maxPrincipalOffset: 0.25, // principal point distance from the image center, in image sizes
+  maxRadialDistortion: 2, // |k1|, |k2| and |k3|
+};
+
+/**
+ * Camera.* keys written to settings.yaml, in file order
+ */
+export const CAMERA_KEYS = ['fx', 'fy', 'cx', 'cy', 'k1', 'k2', 'p1', 'p2', 'k3', 'width', 'height'];
+
+/**
+ * Area of a polygon (shoelace formula)
+ * @private
+ */
+const polygonArea = points =>
+  Math.abs(
+    points.reduce((sum, [x, y], i) => {
+      const [nx, ny] = points[(i + 1) % points.length];
+      return sum + x * ny - nx * y;
+    }, 0)
+  ) / 2;
+
+/**
+ * Angle at a corner between the edges towards two neighbours
+ * @private
+ */
+const cornerAngle = ([cx, cy], [ax, ay], [bx, by]) => {
+  const [ux, uy] = [ax - cx, ay - cy];
+  const [vx, vy] = [bx - cx, by - cy];
+  const cos = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+};
+
+/**
+ * Describe a board view by where it is, how large and how tilted
+ * @param {number[][]} outline - Four [u, v] board corners
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @returns {Object} { x, y, size, skew }, each 0-1
+ */
+export const getViewParams = (outline, imageWidth, imageHeight) => {
+  const area = polygonArea(outline);
+  const border = Math.sqrt(area);
+  const meanX = outline.reduce((sum, p) => sum + p[0], 0) / outline.length;
+  const meanY = outline.reduce((sum, p) => sum + p[1], 0) / outline.length;
+  const clamp = value => Math.max(0, Math.min(1, value));
+
+  return {
+    // Centers are normalized over the range the board can move in at its size
+    x: clamp((meanX - border / 2) / Math.max(1, imageWidth - border)),
+    y: clamp((meanY - border / 2) / Math.max(1, imageHeight - border)),
+    size: Math.sqrt(area / (imageWidth * imageHeight)),
+    skew: clamp(2 * Math.abs(Math.PI / 2 - cornerAngle(outline[0], outline[1], outline[3]))),
+  };
+};
+
+/**
+ * Distance between two views
+ * @param {Object} a - View params
+ * @param {Object} b - View params
+ * @returns {number} L1 distance
+ */
+export const viewDistance = (a, b) => Object.values(ViewParam).reduce((sum, key) => sum + Math.abs(a[key] - b[key]), 0);
+
+/**
+ * Whether the board stayed still between two detections, so the view is not blurred
+ * @param {number[][]} outline
+ * @param {number[][]|null} previousOutline
+ * @param {number} imageWidth
+ * @param {Object} options - See DEFAULT_COVERAGE_OPTIONS
+ * @returns {boolean}
+ */
+export const isStill = (outline, previousOutline, imageWidth, options = {}) => {
+  const { stillThreshold } = { ...DEFAULT_COVERAGE_OPTIONS, ...options };
+  if (!previousOutline) {
+    return false;
+  }
+  const motion = Math.max(...outline.map(([u, v], i) => Math.hypot(u - previousOutline[i][0], v - previousOutline[i][1])));
+  return motion / imageWidth < stillThreshold;
+};
+
+/**
+ * Whether a view adds enough to the captured ones
+ * @param {Object} params - View params of the candidate
+ * @param {Object[]} captured - View params of the captured views
+ * @param {Object} options - See DEFAULT_COVERAGE_OPTIONS
+ * @returns {boolean}
+ */
+export const isNovelView = (params, captured, options = {}) => {
+  const { minNovelty } = { ...DEFAULT_COVERAGE_OPTIONS, ...options };
+  return captured.every(other => viewDistance(params, other) > minNovelty);
+};
+
+/**
+ * Coverage of each view parameter by the captured views
+ * @param {Object[]} captured - View params of the captured views
+ * @param {Object} options - See DEFAULT_COVERAGE_OPTIONS
+ * @returns {Object} { x, y, size, skew } progress, each 0-1
+ */
+export const getCoverage = (captured, options = {}) => {
+  const { ranges } = { ...DEFAULT_COVERAGE_OPTIONS, ...options };
+  const coverage = {};
+  Object.values(ViewParam).forEach(key => {
+    if (captured.length === 0) {
+      coverage[key] = 0;
+      return;
+    }
+    const values = captured.map(params => params[key]);
+    coverage[key] = Math.min(1, (Math.max(...values) - Math.min(...values)) / ranges[key]);
+  });
+  return coverage;
+};
+
+/**
+ * What the user should do next
+ * @param {Object} coverage - From getCoverage()
+ * @returns {string|null} ViewParam that is covered least, null when all are covered
+ */
+export const getLeastCovered = coverage => {
+  const [key, progress] = Object.entries(coverage).reduce((least, entry) => (entry[1] < least[1] ? entry : least));
+  return progress < 1 ? key : null;
+};
+
+/**
+ * Check a calibration result before it is written to settings.yaml
+ * @param {Object} calibration - { fx, fy, cx, cy, k1, k2, p1, p2, k3, width, height, rms, views }
+ * @param {Object} options - See DEFAULT_VALIDATION_OPTIONS
+ * @returns {Object} { valid, errors: string[], warnings: string[] }
+ */
+export const validateCalibration = (calibration, options = {}) => {
+  const {
+    minViews,
+    maxReprojectionError,
+    goodReprojectionError,
+    minFocal,
+    maxFocal,
+    maxAspectDifference,
+    maxPrincipalOffset,
+    maxRadialDistortion,
+  } = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+  const { fx, fy, cx, cy, k1, k2, k3, width, height, rms, views } = calibration;
+  const errors = [];
+  const warnings = [];
+
+  const invalid = CAMERA_KEYS.filter(key => !Number.isFinite(calibration[key]));
+  if (invalid.length > 0 || !Number.isFinite(rms)) {
+    return { valid: false, errors: [`Calibration returned invalid values: ${invalid.join(', ') || 'rms'}`], warnings };
+  }
+
+  if (views < minViews) {
+    errors.push(`Only ${views} views, at least ${minViews} are needed`);
+  }
+  if (rms > maxReprojectionError) {
+    errors.push(`Reprojection error ${rms.toFixed(2)} px is above ${maxReprojectionError} px`);
+  } else if (rms > goodReprojectionError) {
+    warnings.push(`Reprojection error ${rms.toFixed(2)} px, below ${goodReprojectionError} px is better`);
+  }
+  if (fx < minFocal * width || fx > maxFocal * width || fy < minFocal * width || fy > maxFocal * width) {
+    errors.push(`Focal length ${fx.toFixed(0)}/${fy.toFixed(0)} px is implausible for a ${width} px wide image`);
+  } else if (Math.abs(fx / fy - 1) > maxAspectDifference) {
+    warnings.push(`fx and fy differ by ${(Math.abs(fx / fy - 1) * 100).toFixed(1)}%`);
+  }
+  if (Math.abs(cx / width - 0.5) > maxPrincipalOffset || Math.abs(cy / height - 0.5) > maxPrincipalOffset) {
+    errors.push(`Principal point (${cx.toFixed(0)}, ${cy.toFixed(0)}) is far from the image center`);
+  }
+  if ([k1, k2, k3].some(k => Math.abs(k) > maxRadialDistortion)) {
+    errors.push('Radial distortion is implausibly large, cover the image corners with more views');
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
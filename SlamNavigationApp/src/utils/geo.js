@@ -0,0 +1,97 @@
+/**
+ * Conversions between the local navigation frame (meters, z up) and geographic coordinates
+ * The local frame is treated as a plane tangent to the WGS84 ellipsoid at the
+ * anchor, which is accurate to centimeters over a few kilometers.
+ */
+
+const WGS84_A = 6378137.0; // semi-major axis (m)
+const WGS84_E2 = 6.69437999014e-3; // first eccentricity squared
+
+/**
+ * @param {number} degrees
+ * @returns {number}
+ */
+export const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * @param {number} radians
+ * @returns {number}
+ */
+export const toDegrees = radians => (radians * 180) / Math.PI;
+
+/**
+ * Validate and fill in defaults for a geographic anchor
+ * @param {Object} anchor
+ * @param {number} anchor.latitude - Degrees of the local origin
+ * @param {number} anchor.longitude - Degrees of the local origin
+ * @param {number} anchor.altitude - Meters of the local origin, default 0
+ * @param {number} anchor.rotation - Radians counter-clockwise from east to local +x, default 0
+ * @param {number} anchor.scale - Meters per local unit, default 1 (see utils/anchoring.js)
+ * @returns {Object}
+ * @throws {Error} If latitude or longitude is missing or out of range, or scale is not positive
+ */
+export const normalizeAnchor = ({ latitude, longitude, altitude = 0, rotation = 0, scale = 1 }) => {
+  if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+    throw new Error('Anchor needs a latitude in [-90, 90] and a longitude in [-180, 180]');
+  }
+  if (!(scale > 0)) {
+    throw new Error('Anchor scale must be positive');
+  }
+  return { latitude, longitude, altitude, rotation, scale };
+};
+
+/**
+ * Meters per degree of latitude and longitude at a latitude
+ * @param {number} latitude - Degrees
+ * @returns {{north: number, east: number}}
+ */
+export const metersPerDegree = latitude => {
+  const phi = toRadians(latitude);
+  const s = 1 - WGS84_E2 * Math.sin(phi) ** 2;
+  const meridian = (WGS84_A * (1 - WGS84_E2)) / s ** 1.5;
+  const normal = WGS84_A / Math.sqrt(s);
+  return {
+    north: toRadians(meridian),
+    east: toRadians(normal * Math.cos(phi)),
+  };
+};
+
+/**
+ * Local position to geographic coordinates
+ * @param {Object} anchor - See normalizeAnchor
+ * @param {number[]} position - [x, y, z] in the local frame, z up
+ * @returns {number[]} [longitude, latitude, altitude], GeoJSON axis order
+ */
+export const localToGeodetic = (anchor, [x, y, z]) => {
+  const meters = anchor.scale || 1;
+  const cos = Math.cos(anchor.rotation);
+  const sin = Math.sin(anchor.rotation);
+  const east = meters * (x * cos - y * sin);
+  const north = meters * (x * sin + y * cos);
+  const scale = metersPerDegree(anchor.latitude);
+  return [
+    anchor.longitude + east / scale.east,
+    anchor.latitude + north / scale.north,
+    anchor.altitude + meters * z,
+  ];
+};
+
+/**
+ * Geographic coordinates to a local position
+ * @param {Object} anchor - See normalizeAnchor
+ * @param {number[]} coordinates - [longitude, latitude, altitude]
+ * @returns {number[]} [x, y, z] in the local frame
+ */
+export const geodeticToLocal = (anchor, [longitude, latitude, altitude = anchor.altitude]) => {
+  const meters = anchor.scale || 1;
+  const scale = metersPerDegree(anchor.latitude);
+  const east = (longitude - anchor.longitude) * scale.east;
+  const north = (latitude - anchor.latitude) * scale.north;
+  const cos = Math.cos(anchor.rotation);
+  const sin = Math.sin(anchor.rotation);
+  return [
+    (east * cos + north * sin) / meters,
+    (-east * sin + north * cos) / meters,
+    (altitude - anchor.altitude) / meters,
+  ];
+};
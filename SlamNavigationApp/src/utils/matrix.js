@@ -0,0 +1,282 @@
+/**
+ * Dense matrix helpers for the sensor fusion code
+ * Matrices are plain arrays of rows (number[][]), vectors are number[]
+ */
+
+/**
+ * Create a rows x cols matrix filled with zeros
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[][]}
+ */
+export const zeros = (rows, cols) =>
+  Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+/**
+ * Create an n x n identity matrix
+ * @param {number} n
+ * @returns {number[][]}
+ */
+export const identity = n => {
+  const m = zeros(n, n);
+  for (let i = 0; i < n; i++) {
+    m[i][i] = 1;
+  }
+  return m;
+};
+
+/**
+ * Create a diagonal matrix from a list of values
+ * @param {number[]} values
+ * @returns {number[][]}
+ */
+export const diag = values => {
+  const m = zeros(values.length, values.length);
+  values.forEach((v, i) => {
+    m[i][i] = v;
+  });
+  return m;
+};
+
+/**
+ * Deep copy a matrix
+ * @param {number[][]} a
+ * @returns {number[][]}
+ */
+export const clone = a => a.map(row => row.slice());
+
+/**
+ * @param {number[][]} a
+ * @returns {number[][]}
+ */
+export const transpose = a => {
+  const rows = a.length;
+  const cols = a[0].length;
+  const t = zeros(cols, rows);
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) {
+      t[j][i] = a[i][j];
+    }
+  }
+  return t;
+};
+
+/**
+ * Matrix product a * b
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {number[][]}
+ */
+export const multiply = (a, b) => {
+  const rows = a.length;
+  const inner = b.length;
+  const cols = b[0].length;
+  const m = zeros(rows, cols);
+  for (let i = 0; i < rows; i++) {
+    const ai = a[i];
+    const mi = m[i];
+    for (let k = 0; k < inner; k++) {
+      const aik = ai[k];
+      if (aik === 0) {
+        continue;
+      }
+      const bk = b[k];
+      for (let j = 0; j < cols; j++) {
+        mi[j] += aik * bk[j];
+      }
+    }
+  }
+  return m;
+};
+
+/**
+ * Matrix-vector product a * v
+ * @param {number[][]} a
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+export const multiplyVector = (a, v) =>
+  a.map(row => row.reduce((sum, x, j) => sum + x * v[j], 0));
+
+/**
+ * Element-wise sum a + b
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {number[][]}
+ */
+export const add = (a, b) => a.map((row, i) => row.map((x, j) => x + b[i][j]));
+
+/**
+ * Element-wise difference a - b
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {number[][]}
+ */
+export const subtract = (a, b) =>
+  a.map((row, i) => row.map((x, j) => x - b[i][j]));
+
+/**
+ * Multiply every element by a scalar
+ * @param {number[][]} a
+ * @param {number} s
+ * @returns {number[][]}
+ */
+export const scale = (a, s) => a.map(row => row.map(x => x * s));
+
+/**
+ * Symmetrize a matrix in place to counter round-off in covariance updates
+ * @param {number[][]} a
+ * @returns {number[][]}
+ */
+export const symmetrize = a => {
+  const n = a.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const v = (a[i][j] + a[j][i]) / 2;
+      a[i][j] = v;
+      a[j][i] = v;
+    }
+  }
+  return a;
+};
+
+/**
+ * Copy a block into a matrix in place
+ * @param {number[][]} target
+ * @param {number} row - Top row of the block
+ * @param {number} col - Left column of the block
+ * @param {number[][]} block
+ * @returns {number[][]}
+ */
+export const setBlock = (target, row, col, block) => {
+  block.forEach((r, i) => {
+    r.forEach((x, j) => {
+      target[row + i][col + j] = x;
+    });
+  });
+  return target;
+};
+
+/**
+ * Extract a block from a matrix
+ * @param {number[][]} a
+ * @param {number} row
+ * @param {number} col
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[][]}
+ */
+export const getBlock = (a, row, col, rows, cols) =>
+  a.slice(row, row + rows).map(r => r.slice(col, col + cols));
+
+/**
+ * Invert a square matrix with Gauss-Jordan elimination and partial pivoting
+ * @param {number[][]} a
+ * @returns {number[][]}
+ * @throws {Error} If the matrix is singular
+ */
+export const inverse = a => {
+  const n = a.length;
+  const m = a.map((row, i) => [...row, ...identity(n)[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) {
+        pivot = r;
+      }
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) {
+      throw new Error('Matrix is singular');
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    const p = m[col][col];
+    for (let j = 0; j < 2 * n; j++) {
+      m[col][j] /= p;
+    }
+    for (let r = 0; r < n; r++) {
+      if (r !== col && m[r][col] !== 0) {
+        const f = m[r][col];
+        for (let j = 0; j < 2 * n; j++) {
+          m[r][j] -= f * m[col][j];
+        }
+      }
+    }
+  }
+
+  return m.map(row => row.slice(n));
+};
+
+/**
+ * Skew-symmetric cross-product matrix [v]x
+ * @param {number[]} v - 3-vector
+ * @returns {number[][]}
+ */
+export const skew = ([x, y, z]) => [
+  [0, -z, y],
+  [z, 0, -x],
+  [-y, x, 0],
+];
+
+/**
+ * Eigen-decomposition of a symmetric matrix with cyclic Jacobi rotations
+ * @param {number[][]} a - Symmetric n x n matrix
+ * @returns {{values: number[], vectors: number[][]}} Eigenvalues in descending order,
+ *   with the matching unit eigenvectors as the columns of `vectors`
+ */
+export const symmetricEigen = a => {
+  const n = a.length;
+  const m = clone(a);
+  const v = identity(n);
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        offDiagonal += m[p][q] * m[p][q];
+      }
+    }
+    if (offDiagonal < 1e-30) {
+      break;
+    }
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(m[p][q]) < 1e-300) {
+          continue;
+        }
+        // Rotation angle that zeroes m[p][q]
+        const theta = (m[q][q] - m[p][p]) / (2 * m[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const mkp = m[k][p];
+          const mkq = m[k][q];
+          m[k][p] = c * mkp - s * mkq;
+          m[k][q] = s * mkp + c * mkq;
+        }
+        for (let k = 0; k < n; k++) {
+          const mpk = m[p][k];
+          const mqk = m[q][k];
+          m[p][k] = c * mpk - s * mqk;
+          m[q][k] = s * mpk + c * mqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = m.map((row, i) => i).sort((i, j) => m[j][j] - m[i][i]);
+  return {
+    values: order.map(i => m[i][i]),
+    vectors: v.map(row => order.map(i => row[i])),
+  };
+};
@@ -0,0 +1,169 @@
+/**
+ * Guidance towards a target in the local SLAM/DR frame
+ * Positions are [x, y, z] with z up; headings and bearings are radians
+ * counter-clockwise from +x, like DeadReckoning.heading.
+ */
+
+/**
+ * Turn instructions, by how far the target is off the current heading
+ */
+export const TurnInstruction = {
+  STRAIGHT: 'straight',
+  SLIGHT_LEFT: 'slight_left',
+  LEFT: 'left',
+  SLIGHT_RIGHT: 'slight_right',
+  RIGHT: 'right',
+  TURN_AROUND: 'turn_around',
+  ARRIVED: 'arrived',
+};
+
+const INSTRUCTION_TEXT = {
+  [TurnInstruction.STRAIGHT]: 'Continue straight',
+  [TurnInstruction.SLIGHT_LEFT]: 'Bear left',
+  [TurnInstruction.LEFT]: 'Turn left',
+  [TurnInstruction.SLIGHT_RIGHT]: 'Bear right',
+  [TurnInstruction.RIGHT]: 'Turn right',
+  [TurnInstruction.TURN_AROUND]: 'Turn around',
+};
+
+const STRAIGHT_ANGLE = (15 * Math.PI) / 180;
+const SLIGHT_ANGLE = (45 * Math.PI) / 180;
+const TURN_ANGLE = (135 * Math.PI) / 180;
+
+export const DEFAULT_GUIDANCE_OPTIONS = {
+  arrivalRadius: 1.0, // m, horizontal distance at which the target is reached
+  lookahead: 0.5, // m, path points closer than this are considered passed
+};
+
+/**
+ * Wrap an angle to (-pi, pi]
+ * @param {number} angle - Radians
+ * @returns {number}
+ */
+export const normalizeAngle = angle => {
+  let a = angle % (2 * Math.PI);
+  if (a <= -Math.PI) {
+    a += 2 * Math.PI;
+  } else if (a > Math.PI) {
+    a -= 2 * Math.PI;
+  }
+  return a;
+};
+
+/**
+ * Horizontal distance between two positions
+ * @param {number[]} from - [x, y, z]
+ * @param {number[]} to - [x, y, z]
+ * @returns {number} Meters
+ */
+export const horizontalDistance = (from, to) => Math.hypot(to[0] - from[0], to[1] - from[1]);
+
+/**
+ * Direction from one position to another
+ * @param {number[]} from - [x, y, z]
+ * @param {number[]} to - [x, y, z]
+ * @returns {number} Radians counter-clockwise from +x
+ */
+export const bearingTo = (from, to) => Math.atan2(to[1] - from[1], to[0] - from[0]);
+
+/**
+ * Turn instruction for a target at a relative bearing
+ * @param {number} relativeBearing - Radians, positive when the target is to the left
+ * @returns {string} TurnInstruction value
+ */
+export const turnInstruction = relativeBearing => {
+  const angle = Math.abs(relativeBearing);
+  if (angle <= STRAIGHT_ANGLE) {
+    return TurnInstruction.STRAIGHT;
+  }
+  if (angle >= TURN_ANGLE) {
+    return TurnInstruction.TURN_AROUND;
+  }
+  if (relativeBearing > 0) {
+    return angle <= SLIGHT_ANGLE ? TurnInstruction.SLIGHT_LEFT : TurnInstruction.LEFT;
+  }
+  return angle <= SLIGHT_ANGLE ? TurnInstruction.SLIGHT_RIGHT : TurnInstruction.RIGHT;
+};
+
+/**
+ * Distance, bearing and turn instruction from the current pose to a target
+ * @param {number[]} position - Current [x, y, z]
+ * @param {number} heading - Current heading
+ * @param {number[]} target - Target [x, y, z]
+ * @param {Object} options - See DEFAULT_GUIDANCE_OPTIONS
+ * @returns {Object} { distance, verticalDistance, bearing, relativeBearing, instruction, arrived }
+ *   with verticalDistance positive when the target is above
+ */
+export const computeGuidance = (position, heading, target, options = {}) => {
+  const { arrivalRadius } = { ...DEFAULT_GUIDANCE_OPTIONS, ...options };
+  const distance = horizontalDistance(position, target);
+  const bearing = bearingTo(position, target);
+  const relativeBearing = normalizeAngle(bearing - heading);
+  const arrived = distance <= arrivalRadius;
+
+  return {
+    distance,
+    verticalDistance: target[2] - position[2],
+    bearing,
+    relativeBearing,
+    instruction: arrived ? TurnInstruction.ARRIVED : turnInstruction(relativeBearing),
+    arrived,
+  };
+};
+
+/**
+ * Guidance along a planned path to a target
+ * Steers towards the first path point beyond the lookahead distance and
+ * reports the remaining path length; arrival is still judged on the target.
+ * @param {number[]} position - Current [x, y, z]
+ * @param {number} heading - Current heading
+ * @param {number[][]} path - [x, y] points from (near) the current position to the target
+ * @param {number[]} target - Target [x, y, z]
+ * @param {Object} options - See DEFAULT_GUIDANCE_OPTIONS
+ * @returns {Object} As computeGuidance, plus nextPoint, the path point steered towards
+ */
+export const computePathGuidance = (position, heading, path, target, options = {}) => {
+  const { lookahead } = { ...DEFAULT_GUIDANCE_OPTIONS, ...options };
+  const guidance = computeGuidance(position, heading, target, options);
+  if (guidance.arrived || !path || path.length < 2) {
+    return guidance;
+  }
+
+  let next = path.length - 1;
+  for (let k = 1; k < path.length; k++) {
+    if (horizontalDistance(position, path[k]) > lookahead) {
+      next = k;
+      break;
+    }
+  }
+
+  let distance = horizontalDistance(position, path[next]);
+  for (let k = next + 1; k < path.length; k++) {
+    distance += horizontalDistance(path[k - 1], path[k]);
+  }
+
+  const bearing = bearingTo(position, path[next]);
+  const relativeBearing = normalizeAngle(bearing - heading);
+  return {
+    ...guidance,
+    distance,
+    bearing,
+    relativeBearing,
+    instruction: turnInstruction(relativeBearing),
+    nextPoint: path[next],
+  };
+};
+
+/**
+ * Sentence for spoken guidance
+ * @param {Object} guidance - From computeGuidance
+ * @param {string} name - Target name
+ * @returns {string}
+ */
+export const describeGuidance = (guidance, name) => {
+  if (guidance.arrived) {
+    return `You have arrived at ${name}`;
+  }
+  const meters = Math.round(guidance.distance);
+  return `${INSTRUCTION_TEXT[guidance.instruction]}, ${meters} ${meters === 1 ? 'meter' : 'meters'} to ${name}`;
+};
@@ -0,0 +1,72 @@
+import { Observable, asyncScheduler, distinctUntilChanged, sampleTime, throttleTime } from 'rxjs';
+
+/**
+ * RxJS helpers for the services' listener APIs
+ */
+
+/**
+ * Observable over an add*Listener method
+ * The listener is added on subscribe and removed on unsubscribe, through the
+ * unsubscribe function the services return.
+ * @param {Function} addListener - Receives a callback and returns an unsubscribe function,
+ *   e.g. callback => SlamService.addPoseListener(callback)
+ * @returns {Observable}
+ */
+export const fromListener = addListener =>
+  new Observable(subscriber => addListener(value => subscriber.next(value)));
+
+/**
+ * Rate and change limiting, as a pipe() operator
+ * Without options values pass unchanged. `hz` and `throttle` keep the first
+ * value of each window and the last one at its end, so the latest value always
+ * arrives; `sample` emits the latest value at a fixed interval, skipping
+ * intervals without a new one.
+ * @param {Object} options
+ * @param {number} options.hz - At most this many values per second
+ * @param {number} options.throttle - ms between values, instead of hz
+ * @param {number} options.sample - ms between values, on a fixed clock
+ * @param {boolean|Function} options.distinct - Drop values equal to the one before: true
+ *   compares with ===, a function (previous, current) => boolean decides what is equal
+ * @returns {Function} Operator
+ */
+export const limitRate = ({ hz, throttle, sample, distinct } = {}) => source => {
+  let limited = source;
+  const interval = hz ? 1000 / hz : throttle;
+  if (interval) {
+    limited = limited.pipe(throttleTime(interval, asyncScheduler, { leading: true, trailing: true }));
+  }
+  if (sample) {
+    limited = limited.pipe(sampleTime(sample));
+  }
+  if (distinct) {
+    limited = limited.pipe(distinctUntilChanged(typeof distinct === 'function' ? distinct : undefined));
+  }
+  return limited;
+};
+
+const toArray = position => (Array.isArray(position) ? position : [position.x, position.y, position.z]);
+
+/**
+ * Comparator for `distinct` treating poses within a tolerance as equal
+ * Works on SLAM poses (position arrays) and dead reckoning states ({ x, y, z }).
+ * @param {Object} tolerance
+ * @param {number} tolerance.position - m (or map units)
+ * @param {number} tolerance.angle - rad
+ * @returns {Function} (previous, current) => boolean
+ */
+export const samePose = ({ position = 0.01, angle = 0.01 } = {}) => (previous, current) => {
+  if (!previous || !current) {
+    return previous === current;
+  }
+  const a = toArray(previous.position);
+  const b = toArray(current.position);
+  if (Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]) > position) {
+    return false;
+  }
+  if (!previous.orientation || !current.orientation) {
+    return true;
+  }
+  // Angle between two unit quaternions, either sign
+  const dot = previous.orientation.reduce((sum, q, i) => sum + q * current.orientation[i], 0);
+  return 2 * Math.acos(Math.min(1, Math.abs(dot))) <= angle;
+};
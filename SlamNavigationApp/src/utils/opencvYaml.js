@@ -0,0 +1,276 @@
+/**
+ * Reader and writer for the OpenCV FileStorage YAML dialect of settings.yaml
+ * (`%YAML:1.0`, flat `Key.name: value` pairs and `!!opencv-matrix` blocks)
+ * A document keeps every line it was read from, so comments, blank lines and
+ * untouched values are written back exactly as they were.
+ */
+
+/**
+ * Value types as OpenCV reads them back
+ */
+export const ValueType = {
+  INT: 'int',
+  REAL: 'real', // always written with a decimal point, ORB-SLAM3 rejects integers for reals
+  BOOL: 'bool',
+  STRING: 'string',
+  MATRIX: 'matrix', // { rows, cols, dt, data }
+  RAW: 'raw', // anything else (nested maps, sequences), kept verbatim and not editable
+};
+
+const HEADER = '%YAML:1.0';
+
+// Indentation of matrix fields, as written by cv::FileStorage
+const MATRIX_INDENT = '   ';
+
+/**
+ * Split a line into content and trailing comment, ignoring # inside quotes
+ * @private
+ */
+const splitComment = text => {
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') {
+      quoted = !quoted;
+    } else if (text[i] === '#' && !quoted && (i === 0 || /\s/.test(text[i - 1]))) {
+      return [text.slice(0, i).trim(), text.slice(i)];
+    }
+  }
+  return [text.trim(), ''];
+};
+
+/**
+ * Parse a scalar value
+ * @private
+ */
+const parseScalar = text => {
+  const quoted = text.match(/^"(.*)"$/) || text.match(/^'(.*)'$/);
+  if (quoted) {
+    return { value: quoted[1], type: ValueType.STRING };
+  }
+  if (text === 'true' || text === 'false') {
+    return { value: text === 'true', type: ValueType.BOOL };
+  }
+  if (/^[-+]?\d+$/.test(text)) {
+    return { value: Number(text), type: ValueType.INT };
+  }
+  if (text !== '' && Number.isFinite(Number(text))) {
+    return { value: Number(text), type: ValueType.REAL };
+  }
+  return { value: text, type: ValueType.STRING };
+};
+
+/**
+ * Parse the indented fields of an !!opencv-matrix block
+ * @private
+ */
+const parseMatrix = (key, block) => {
+  const text = block.join('\n');
+  const field = name => {
+    const match = text.match(new RegExp(`^\\s*${name}:\\s*(\\S+)`, 'm'));
+    return match ? match[1] : null;
+  };
+  const data = text.match(/data:\s*\[([\s\S]*?)\]/);
+  const rows = Number(field('rows'));
+  const cols = Number(field('cols'));
+  const values = data ? data[1].split(',').map(v => v.trim()).filter(v => v !== '').map(Number) : [];
+
+  if (!Number.isInteger(rows) || !Number.isInteger(cols) || values.length !== rows * cols || values.some(v => !Number.isFinite(v))) {
+    throw new Error(`Malformed matrix ${key}`);
+  }
+  return { rows, cols, dt: field('dt') || 'f', data: values };
+};
+
+/**
+ * Read a settings file
+ * @param {string} text - File contents
+ * @returns {Object} Document { nodes }, where a node is { type: 'text', text } for
+ *   comments and blank lines, or { type: 'entry', key, value, valueType, comment, raw }
+ */
+export const parseSettings = text => {
+  const lines = text.split(/\r?\n/);
+  const first = lines.find(line => line.trim() !== '');
+  if (!first || !/^%YAML[: ]1\.0/.test(first.trim())) {
+    throw new Error(`Not an OpenCV settings file, the first line must be ${HEADER}`);
+  }
+
+  const nodes = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(/^([A-Za-z_][\w.]*)\s*:(.*)$/);
+    if (!match) {
+      nodes.push({ type: 'text', text: line });
+      i++;
+      continue;
+    }
+
+    // Indented lines that follow belong to the key (matrix fields, nested maps)
+    const block = [];
+    let next = i + 1;
+    while (next < lines.length && /^\s+\S/.test(lines[next])) {
+      block.push(lines[next]);
+      next++;
+    }
+
+    const [key, rest] = [match[1], match[2]];
+    const [content, comment] = splitComment(rest);
+    let parsed;
+    if (content.startsWith('!!opencv-matrix')) {
+      parsed = { value: parseMatrix(key, block), type: ValueType.MATRIX };
+    } else if (block.length > 0 || content.startsWith('[') || content.startsWith('{')) {
+      parsed = { value: null, type: ValueType.RAW };
+    } else {
+      parsed = parseScalar(content);
+    }
+
+    nodes.push({
+      type: 'entry',
+      key,
+      value: parsed.value,
+      valueType: parsed.type,
+      comment,
+      raw: [line, ...block],
+    });
+    i = next;
+  }
+
+  return { nodes };
+};
+
+/**
+ * Format a scalar value
+ * @param {*} value
+ * @param {string} type - ValueType
+ * @returns {string}
+ */
+export const formatScalar = (value, type) => {
+  switch (type) {
+    case ValueType.INT:
+      return String(Math.round(value));
+    case ValueType.REAL: {
+      const text = String(Number(value.toPrecision(9)));
+      return /[.e]/.test(text) ? text : `${text}.0`;
+    }
+    case ValueType.BOOL:
+      return value ? 'true' : 'false';
+    default:
+      return `"${value}"`;
+  }
+};
+
+/**
+ * Lines of an entry whose value changed
+ * @private
+ */
+const formatEntry = ({ key, value, valueType, comment }) => {
+  const suffix = comment ? ` ${comment}` : '';
+  if (valueType !== ValueType.MATRIX) {
+    return [`${key}: ${formatScalar(value, valueType)}${suffix}`];
+  }
+
+  const { rows, cols, dt, data } = value;
+  const dataIndent = `${MATRIX_INDENT}data: [`;
+  const dataLines = [];
+  for (let row = 0; row < rows; row++) {
+    const values = data.slice(row * cols, (row + 1) * cols).map(v => formatScalar(v, ValueType.REAL));
+    const prefix = row === 0 ? dataIndent : ' '.repeat(dataIndent.length);
+    dataLines.push(`${prefix}${values.join(', ')}${row === rows - 1 ? ']' : ','}`);
+  }
+  return [
+    `${key}: !!opencv-matrix${suffix}`,
+    `${MATRIX_INDENT}rows: ${rows}`,
+    `${MATRIX_INDENT}cols: ${cols}`,
+    `${MATRIX_INDENT}dt: ${dt}`,
+    ...dataLines,
+  ];
+};
+
+/**
+ * Values of a document
+ * @param {Object} document - From parseSettings()
+ * @returns {Object} { key: value }, without RAW entries
+ */
+export const getValues = document => {
+  const values = {};
+  document.nodes.forEach(node => {
+    if (node.type === 'entry' && node.valueType !== ValueType.RAW) {
+      values[node.key] = node.value;
+    }
+  });
+  return values;
+};
+
+/**
+ * Change or add values
+ * New keys go after the last key of the same section (the part before the
+ * first dot), or at the end of the file.
+ * @param {Object} document - From parseSettings()
+ * @param {Object} values - { key: value }
+ * @param {Object} types - { key: ValueType } for new keys, or to change the type of existing ones;
+ *   new keys without a type are written as reals, or as int, bool or string by their JS type
+ * @returns {Object} New document
+ */
+export const setValues = (document, values, types = {}) => {
+  const nodes = document.nodes.map(node => {
+    if (node.type !== 'entry' || !(node.key in values)) {
+      return node;
+    }
+    const valueType = types[node.key] || node.valueType;
+    if (node.value === values[node.key] && valueType === node.valueType) {
+      return node;
+    }
+    return { ...node, value: values[node.key], valueType, raw: null };
+  });
+
+  Object.keys(values)
+    .filter(key => !nodes.some(node => node.type === 'entry' && node.key === key))
+    .forEach(key => {
+      const value = values[key];
+      let valueType = types[key];
+      if (!valueType) {
+        if (typeof value === 'boolean') {
+          valueType = ValueType.BOOL;
+        } else if (typeof value === 'string') {
+          valueType = ValueType.STRING;
+        } else {
+          valueType = value && value.data ? ValueType.MATRIX : ValueType.REAL;
+        }
+      }
+
+      const section = key.split('.')[0];
+      let index = -1;
+      nodes.forEach((node, i) => {
+        if (node.type === 'entry' && node.key.split('.')[0] === section) {
+          index = i;
+        }
+      });
+      const entry = { type: 'entry', key, value, valueType, comment: '', raw: null };
+      if (index >= 0) {
+        nodes.splice(index + 1, 0, entry);
+      } else {
+        nodes.push(entry);
+      }
+    });
+
+  return { nodes };
+};
+
+/**
+ * Write a document
+ * @param {Object} document - From parseSettings() or setValues()
+ * @returns {string} File contents
+ */
+export const serializeSettings = document => {
+  const lines = [];
+  document.nodes.forEach(node => {
+    if (node.type === 'text') {
+      lines.push(node.text);
+    } else {
+      lines.push(...(node.raw || formatEntry(node)));
+    }
+  });
+  if (!lines.some(line => line.startsWith('%YAML'))) {
+    lines.unshift(HEADER, '');
+  }
+  return lines.join('\n');
+};
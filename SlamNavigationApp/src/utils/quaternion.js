@@ -0,0 +1,183 @@
+/**
+ * Quaternion helpers
+ * Quaternions are stored as [qx, qy, qz, qw], the same layout SlamService
+ * returns from the native module, and represent body-to-world rotations
+ */
+
+/**
+ * @returns {number[]} Identity rotation
+ */
+export const identity = () => [0, 0, 0, 1];
+
+/**
+ * Hamilton product a ⊗ b
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+export const multiply = ([ax, ay, az, aw], [bx, by, bz, bw]) => [
+  aw * bx + ax * bw + ay * bz - az * by,
+  aw * by - ax * bz + ay * bw + az * bx,
+  aw * bz + ax * by - ay * bx + az * bw,
+  aw * bw - ax * bx - ay * by - az * bz,
+];
+
+/**
+ * @param {number[]} q
+ * @returns {number[]}
+ */
+export const conjugate = ([x, y, z, w]) => [-x, -y, -z, w];
+
+/**
+ * Normalize to unit length, keeping w non-negative
+ * @param {number[]} q
+ * @returns {number[]}
+ */
+export const normalize = q => {
+  const n = Math.hypot(q[0], q[1], q[2], q[3]);
+  if (n === 0) {
+    return identity();
+  }
+  const s = q[3] < 0 ? -1 / n : 1 / n;
+  return q.map(c => c * s);
+};
+
+/**
+ * Quaternion from a rotation vector (axis * angle, radians)
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+export const fromRotationVector = ([x, y, z]) => {
+  const angle = Math.hypot(x, y, z);
+  if (angle < 1e-10) {
+    // First-order approximation avoids dividing by a vanishing angle
+    return normalize([x / 2, y / 2, z / 2, 1]);
+  }
+  const s = Math.sin(angle / 2) / angle;
+  return [x * s, y * s, z * s, Math.cos(angle / 2)];
+};
+
+/**
+ * Rotation vector (axis * angle, radians) from a unit quaternion
+ * @param {number[]} q
+ * @returns {number[]}
+ */
+export const toRotationVector = q => {
+  const [x, y, z, w] = normalize(q);
+  const s = Math.hypot(x, y, z);
+  if (s < 1e-10) {
+    return [2 * x, 2 * y, 2 * z];
+  }
+  const angle = 2 * Math.atan2(s, w);
+  return [(x / s) * angle, (y / s) * angle, (z / s) * angle];
+};
+
+/**
+ * 3x3 rotation matrix for a unit quaternion
+ * @param {number[]} q
+ * @returns {number[][]}
+ */
+export const toRotationMatrix = ([x, y, z, w]) => [
+  [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+  [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+  [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)],
+];
+
+/**
+ * Unit quaternion for a 3x3 rotation matrix
+ * @param {number[][]} m
+ * @returns {number[]}
+ */
+export const fromRotationMatrix = m => {
+  const trace = m[0][0] + m[1][1] + m[2][2];
+  // Divide by the largest of the four components for accuracy
+  if (trace > 0) {
+    const s = 2 * Math.sqrt(1 + trace);
+    return normalize([(m[2][1] - m[1][2]) / s, (m[0][2] - m[2][0]) / s, (m[1][0] - m[0][1]) / s, s / 4]);
+  }
+  if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]);
+    return normalize([s / 4, (m[0][1] + m[1][0]) / s, (m[0][2] + m[2][0]) / s, (m[2][1] - m[1][2]) / s]);
+  }
+  if (m[1][1] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]);
+    return normalize([(m[0][1] + m[1][0]) / s, s / 4, (m[1][2] + m[2][1]) / s, (m[0][2] - m[2][0]) / s]);
+  }
+  const s = 2 * Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]);
+  return normalize([(m[0][2] + m[2][0]) / s, (m[1][2] + m[2][1]) / s, s / 4, (m[1][0] - m[0][1]) / s]);
+};
+
+/**
+ * Rotate a 3-vector by a unit quaternion
+ * @param {number[]} q
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+export const rotateVector = (q, v) =>
+  toRotationMatrix(q).map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+/**
+ * Roll/pitch/yaw (ZYX convention, radians) for a unit quaternion
+ * @param {number[]} q
+ * @returns {{x: number, y: number, z: number}} x = roll, y = pitch, z = yaw
+ */
+export const toEuler = ([x, y, z, w]) => {
+  const sinPitch = Math.max(-1, Math.min(1, 2 * (w * y - z * x)));
+  return {
+    x: Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y)),
+    y: Math.asin(sinPitch),
+    z: Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z)),
+  };
+};
+
+/**
+ * Shortest-arc rotation taking direction u onto direction v
+ * @param {number[]} u - 3-vector, need not be unit length
+ * @param {number[]} v - 3-vector, need not be unit length
+ * @returns {number[]}
+ */
+export const fromTwoVectors = (u, v) => {
+  const nu = Math.hypot(u[0], u[1], u[2]);
+  const nv = Math.hypot(v[0], v[1], v[2]);
+  if (nu === 0 || nv === 0) {
+    return identity();
+  }
+  const a = u.map(c => c / nu);
+  const b = v.map(c => c / nv);
+  const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+  if (dot < -1 + 1e-9) {
+    // Opposite vectors: rotate 180 degrees about any axis orthogonal to u
+    const axis = Math.abs(a[0]) < 0.9 ? [0, -a[2], a[1]] : [-a[1], a[0], 0];
+    const n = Math.hypot(axis[0], axis[1], axis[2]);
+    return [axis[0] / n, axis[1] / n, axis[2] / n, 0];
+  }
+
+  return normalize([
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+    1 + dot,
+  ]);
+};
+
+/**
+ * Shortest-arc body-to-world orientation that maps the measured "up"
+ * direction onto world +z, from a stationary accelerometer reading
+ * @param {number[]} accel - Specific force in body frame
+ * @returns {number[]}
+ */
+export const fromGravity = accel => fromTwoVectors(accel, [0, 0, 1]);
+
+/**
+ * Spherical linear interpolation along the shortest arc
+ * Fractions outside 0..1 carry on at the same angular rate, extrapolating.
+ * @param {number[]} a - Rotation at fraction 0
+ * @param {number[]} b - Rotation at fraction 1
+ * @param {number} fraction
+ * @returns {number[]}
+ */
+export const slerp = (a, b, fraction) => {
+  const delta = toRotationVector(multiply(conjugate(a), b));
+  return normalize(multiply(a, fromRotationVector(delta.map(angle => angle * fraction))));
+};
@@ -0,0 +1,27 @@
+/**
+ * Seeded random numbers for simulated sensors
+ * The same seed always yields the same sequence, so simulated runs are
+ * reproducible.
+ */
+
+/**
+ * Uniform random numbers in (0, 1) (Park-Miller)
+ * @param {number} seed - Any integer
+ * @returns {Function} () => number
+ */
+export const createRandom = seed => {
+  const modulus = 2147483647;
+  let state = (Math.abs(Math.floor(seed)) % (modulus - 1)) + 1;
+  return () => {
+    state = (state * 48271) % modulus;
+    return state / modulus;
+  };
+};
+
+/**
+ * Standard normal random numbers (Box-Muller)
+ * @param {Function} random - Uniform source in (0, 1), see createRandom()
+ * @returns {Function} () => number
+ */
+export const createGaussian = random => () =>
+  Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
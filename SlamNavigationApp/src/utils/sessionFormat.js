@@ -0,0 +1,138 @@
+/**
+ * Recorded session layout and line formats
+ * Sessions follow the EuRoC MAV layout for camera and IMU data, with the SLAM
+ * trajectory in TUM format, so they open in the usual dataset tools:
+ *
+ *   <session>/session.json
+ *   <session>/mav0/cam0/data.csv     #timestamp [ns],filename
+ *   <session>/mav0/cam0/data/<ns>.png
+ *   <session>/mav0/imu0/data.csv     #timestamp [ns],w_RS_S_x..z [rad s^-1],a_RS_S_x..z [m s^-2]
+ *   <session>/slam/trajectory.txt    timestamp[s] tx ty tz qx qy qz qw
+ *   <session>/slam/tracking.csv      #timestamp [ns],state
+ *
+ * All timestamps are on the camera frame clock (Android elapsedRealtime).
+ */
+
+export const SESSION_FILE = 'session.json';
+export const CAMERA_DIR = 'mav0/cam0';
+export const CAMERA_DATA_DIR = 'mav0/cam0/data';
+export const CAMERA_CSV = 'mav0/cam0/data.csv';
+export const IMU_DIR = 'mav0/imu0';
+export const IMU_CSV = 'mav0/imu0/data.csv';
+export const SLAM_DIR = 'slam';
+export const TRAJECTORY_FILE = 'slam/trajectory.txt';
+export const TRACKING_CSV = 'slam/tracking.csv';
+
+export const CAMERA_HEADER = '#timestamp [ns],filename\n';
+export const IMU_HEADER =
+  '#timestamp [ns],w_RS_S_x [rad s^-1],w_RS_S_y [rad s^-1],w_RS_S_z [rad s^-1],' +
+  'a_RS_S_x [m s^-2],a_RS_S_y [m s^-2],a_RS_S_z [m s^-2]\n';
+export const TRAJECTORY_HEADER = '# timestamp tx ty tz qx qy qz qw\n';
+export const TRACKING_HEADER = '#timestamp [ns],state\n';
+
+/**
+ * Seconds to integer nanoseconds
+ * @param {number} seconds
+ * @returns {number}
+ */
+export const toNanoseconds = seconds => Math.round(seconds * 1e9);
+
+/**
+ * Integer nanoseconds to seconds
+ * @param {number} ns
+ * @returns {number}
+ */
+export const toSeconds = ns => ns / 1e9;
+
+/**
+ * Split a CSV or space separated file into rows, skipping comments and blank lines
+ * @param {string} content
+ * @param {RegExp} separator
+ * @returns {string[][]}
+ */
+const parseRows = (content, separator) =>
+  content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .map(line => line.split(separator).map(field => field.trim()));
+
+/**
+ * @param {number} timestampNs
+ * @param {string} filename - Image file name relative to mav0/cam0/data
+ * @returns {string}
+ */
+export const formatFrameLine = (timestampNs, filename) => `${timestampNs},${filename}\n`;
+
+/**
+ * @param {string} content - mav0/cam0/data.csv
+ * @returns {Object[]} { timestampNs, filename }
+ */
+export const parseFrames = content =>
+  parseRows(content, ',').map(([timestamp, filename]) => ({
+    timestampNs: Number(timestamp),
+    filename,
+  }));
+
+/**
+ * @param {number} timestampNs
+ * @param {number[]} gyro - rad/s
+ * @param {number[]} accel - m/s^2
+ * @returns {string}
+ */
+export const formatImuLine = (timestampNs, gyro, accel) =>
+  `${timestampNs},${gyro.join(',')},${accel.join(',')}\n`;
+
+/**
+ * @param {string} content - mav0/imu0/data.csv
+ * @returns {Object[]} { timestampNs, gyro, accel }
+ */
+export const parseImu = content =>
+  parseRows(content, ',').map(fields => {
+    const values = fields.map(Number);
+    return {
+      timestampNs: values[0],
+      gyro: values.slice(1, 4),
+      accel: values.slice(4, 7),
+    };
+  });
+
+/**
+ * @param {number} timestamp - Seconds
+ * @param {number[]} position - [x, y, z]
+ * @param {number[]} orientation - [qx, qy, qz, qw]
+ * @returns {string}
+ */
+export const formatTumPose = (timestamp, position, orientation) =>
+  `${timestamp.toFixed(9)} ${position.join(' ')} ${orientation.join(' ')}\n`;
+
+/**
+ * @param {string} content - TUM trajectory
+ * @returns {Object[]} { timestamp, position, orientation }
+ */
+export const parseTumPoses = content =>
+  parseRows(content, /\s+/).map(fields => {
+    const values = fields.map(Number);
+    return {
+      timestamp: values[0],
+      position: values.slice(1, 4),
+      orientation: values.slice(4, 8),
+    };
+  });
+
+/**
+ * @param {number} timestampNs
+ * @param {string} state - Tracking state name
+ * @returns {string}
+ */
+export const formatTrackingLine = (timestampNs, state) => `${timestampNs},${state}\n`;
+
+/**
+ * @param {string} content - slam/tracking.csv
+ * @returns {Object[]} { timestampNs, state }
+ */
+export const parseTracking = content =>
+  parseRows(content, ',').map(([timestamp, state]) => ({
+    timestampNs: Number(timestamp),
+    state,
+  }));
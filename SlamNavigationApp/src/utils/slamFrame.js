@@ -0,0 +1,73 @@
+import * as Q from './quaternion';
+
+/**
+ * SLAM world and navigation frame
+ *
+ * SLAM poses place the camera in the SLAM world. For monocular ORB-SLAM3 that
+ * world is the first camera frame (x right, y down, z forward), so its axes
+ * say nothing about gravity; visual-inertial SLAM levels it once the IMU is
+ * initialized, but its heading stays arbitrary. Dead reckoning and the
+ * navigation output place the IMU body in a gravity-aligned frame with z up.
+ * Comparing the two at one instant, through the camera-to-body rotation (Tbc
+ * in settings.yaml), gives the rotation between the frames.
+ */
+
+/**
+ * Camera-to-body rotation of the back camera of a phone held in portrait,
+ * the default Tbc of slamSettings.js: camera x along body x, y and z flipped
+ */
+export const DEFAULT_CAMERA_TO_BODY = [1, 0, 0, 0];
+
+/**
+ * Camera-to-body rotation from a Tbc matrix
+ * @param {number[][]|null} Tbc - 4x4 camera-to-body transform, see SlamService.getImuConfig()
+ * @returns {number[]} Quaternion, DEFAULT_CAMERA_TO_BODY without a matrix
+ */
+export const cameraToBodyFromTbc = Tbc =>
+  Array.isArray(Tbc) && Tbc.length >= 3
+    ? Q.fromRotationMatrix(Tbc.slice(0, 3).map(row => row.slice(0, 3)))
+    : [...DEFAULT_CAMERA_TO_BODY];
+
+/**
+ * Body orientation from the camera orientation in the same world frame
+ * @param {number[]} cameraOrientation - Camera-to-world quaternion
+ * @param {number[]} cameraToBody - See cameraToBodyFromTbc()
+ * @returns {number[]} Body-to-world quaternion
+ */
+export const bodyFromCamera = (cameraOrientation, cameraToBody = DEFAULT_CAMERA_TO_BODY) =>
+  Q.normalize(Q.multiply(cameraOrientation, Q.conjugate(cameraToBody)));
+
+/**
+ * Camera orientation from the body orientation in the same world frame
+ * @param {number[]} bodyOrientation - Body-to-world quaternion, e.g. DeadReckoning.getState().orientation
+ * @param {number[]} cameraToBody - See cameraToBodyFromTbc()
+ * @returns {number[]} Camera-to-world quaternion
+ */
+export const cameraFromBody = (bodyOrientation, cameraToBody = DEFAULT_CAMERA_TO_BODY) =>
+  Q.normalize(Q.multiply(bodyOrientation, cameraToBody));
+
+/**
+ * Rotation from the SLAM world to the navigation frame
+ * @param {number[]} cameraOrientation - Camera-to-SLAM-world quaternion of a SLAM pose
+ * @param {number[]} bodyOrientation - Body-to-navigation quaternion from dead reckoning at the same time
+ * @param {number[]} cameraToBody - See cameraToBodyFromTbc()
+ * @param {Object} options
+ * @param {boolean} options.levelOnly - Only bring the SLAM world level, keeping its own heading,
+ *   instead of also turning it to the dead reckoning heading
+ * @returns {number[]} SLAM-world-to-navigation quaternion
+ */
+export const slamToNavigationRotation = (
+  cameraOrientation,
+  bodyOrientation,
+  cameraToBody = DEFAULT_CAMERA_TO_BODY,
+  { levelOnly = false } = {}
+) => {
+  const rotation = Q.normalize(
+    Q.multiply(bodyOrientation, Q.conjugate(bodyFromCamera(cameraOrientation, cameraToBody)))
+  );
+  if (!levelOnly) {
+    return rotation;
+  }
+  // Up as seen in the SLAM world, turned straight up along the shortest arc
+  return Q.fromTwoVectors(Q.rotateVector(Q.conjugate(rotation), [0, 0, 1]), [0, 0, 1]);
+};
@@ -0,0 +1,324 @@
+/**
+ * Schema, validation and profiles for settings.yaml
+ * Values are keyed by their full settings key ('Camera.fx', 'ORBextractor.nFeatures', ...).
+ */
+import { ValueType, formatScalar } from './opencvYaml';
+
+/**
+ * Sections in file order
+ * Hidden sections are kept in the file but not offered for editing.
+ */
+export const SETTINGS_SECTIONS = [
+  { id: 'Camera', title: 'Camera Parameters' },
+  { id: 'IMU', title: 'IMU Parameters (visual-inertial mode)' },
+  { id: 'ORBextractor', title: 'ORB Extractor Parameters' },
+  { id: 'Viewer', title: 'Viewer Parameters', hidden: true },
+  { id: 'Tracking', title: 'Tracking Parameters' },
+  { id: 'LocalMapping', title: 'Mapping Parameters' },
+  { id: 'LoopClosing', title: 'Loop Closing Parameters' },
+  { id: 'Initializer', title: 'Initialization Parameters' },
+];
+
+// Camera to body transform of the back camera of a phone held in portrait
+const DEFAULT_TBC = {
+  rows: 4,
+  cols: 4,
+  dt: 'f',
+  data: [1, 0, 0, 0, 0, -1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1],
+};
+
+/**
+ * Every key settings.yaml may contain
+ * type is a ValueType; min and max bound numbers; optional keys may be missing.
+ */
+export const SETTINGS_SCHEMA = {
+  'Camera.fx': { type: ValueType.REAL, default: 458.654, min: 1, max: 10000, unit: 'px', label: 'Focal length x' },
+  'Camera.fy': { type: ValueType.REAL, default: 457.296, min: 1, max: 10000, unit: 'px', label: 'Focal length y' },
+  'Camera.cx': { type: ValueType.REAL, default: 320.0, min: 0, max: 10000, unit: 'px', label: 'Principal point x' },
+  'Camera.cy': { type: ValueType.REAL, default: 240.0, min: 0, max: 10000, unit: 'px', label: 'Principal point y' },
+  'Camera.k1': { type: ValueType.REAL, default: 0.0, min: -10, max: 10, label: 'Radial distortion k1' },
+  'Camera.k2': { type: ValueType.REAL, default: 0.0, min: -10, max: 10, label: 'Radial distortion k2' },
+  'Camera.p1': { type: ValueType.REAL, default: 0.0, min: -1, max: 1, label: 'Tangential distortion p1' },
+  'Camera.p2': { type: ValueType.REAL, default: 0.0, min: -1, max: 1, label: 'Tangential distortion p2' },
+  'Camera.k3': { type: ValueType.REAL, default: 0.0, min: -10, max: 10, optional: true, label: 'Radial distortion k3' },
+  'Camera.width': { type: ValueType.INT, default: 640, min: 16, max: 8192, unit: 'px', label: 'Image width' },
+  'Camera.height': { type: ValueType.INT, default: 480, min: 16, max: 8192, unit: 'px', label: 'Image height' },
+  'Camera.fps': { type: ValueType.REAL, default: 30.0, min: 1, max: 120, unit: 'Hz', label: 'Frame rate' },
+  'Camera.RGB': { type: ValueType.INT, default: 1, min: 0, max: 1, label: 'Color order (0: BGR, 1: RGB)' },
+
+  Tbc: { type: ValueType.MATRIX, default: DEFAULT_TBC, rows: 4, cols: 4, optional: true, label: 'Camera to IMU transform' },
+  'IMU.NoiseGyro': { type: ValueType.REAL, default: 1.0e-3, min: 0, max: 1, optional: true, unit: 'rad/s/√Hz', label: 'Gyroscope noise' },
+  'IMU.NoiseAcc': { type: ValueType.REAL, default: 1.0e-2, min: 0, max: 10, optional: true, unit: 'm/s²/√Hz', label: 'Accelerometer noise' },
+  'IMU.GyroWalk': { type: ValueType.REAL, default: 1.0e-5, min: 0, max: 1, optional: true, unit: 'rad/s²/√Hz', label: 'Gyroscope bias walk' },
+  'IMU.AccWalk': { type: ValueType.REAL, default: 1.0e-4, min: 0, max: 1, optional: true, unit: 'm/s³/√Hz', label: 'Accelerometer bias walk' },
+  'IMU.Frequency': { type: ValueType.REAL, default: 100.0, min: 10, max: 1000, optional: true, unit: 'Hz', label: 'IMU rate' },
+
+  'ORBextractor.nFeatures': { type: ValueType.INT, default: 1000, min: 100, max: 5000, label: 'Features per image' },
+  'ORBextractor.scaleFactor': { type: ValueType.REAL, default: 1.2, min: 1.05, max: 2, label: 'Pyramid scale factor' },
+  'ORBextractor.nLevels': { type: ValueType.INT, default: 8, min: 1, max: 12, label: 'Pyramid levels' },
+  'ORBextractor.iniThFAST': { type: ValueType.INT, default: 20, min: 1, max: 100, label: 'FAST threshold' },
+  'ORBextractor.minThFAST': { type: ValueType.INT, default: 7, min: 1, max: 100, label: 'Fallback FAST threshold' },
+
+  'Viewer.KeyFrameSize': { type: ValueType.REAL, default: 0.05, min: 0, max: 10, optional: true },
+  'Viewer.KeyFrameLineWidth': { type: ValueType.REAL, default: 1.0, min: 0, max: 100, optional: true },
+  'Viewer.GraphLineWidth': { type: ValueType.REAL, default: 0.9, min: 0, max: 100, optional: true },
+  'Viewer.PointSize': { type: ValueType.REAL, default: 2.0, min: 0, max: 100, optional: true },
+  'Viewer.CameraSize': { type: ValueType.REAL, default: 0.08, min: 0, max: 10, optional: true },
+  'Viewer.CameraLineWidth': { type: ValueType.REAL, default: 3.0, min: 0, max: 100, optional: true },
+  'Viewer.ViewpointX': { type: ValueType.REAL, default: 0.0, min: -100, max: 100, optional: true },
+  'Viewer.ViewpointY': { type: ValueType.REAL, default: -0.7, min: -100, max: 100, optional: true },
+  'Viewer.ViewpointZ': { type: ValueType.REAL, default: -1.8, min: -100, max: 100, optional: true },
+  'Viewer.ViewpointF': { type: ValueType.REAL, default: 500.0, min: 1, max: 10000, optional: true },
+
+  'Tracking.thRefRatio': { type: ValueType.REAL, default: 0.9, min: 0.1, max: 1, optional: true, label: 'Keyframe reference ratio' },
+  'LocalMapping.Culling': { type: ValueType.BOOL, default: true, optional: true, label: 'Keyframe culling' },
+  'LoopClosing.Enabled': { type: ValueType.BOOL, default: true, optional: true, label: 'Loop closing' },
+  'LoopClosing.minScore': { type: ValueType.REAL, default: 0.75, min: 0, max: 1, optional: true, label: 'Loop detection score' },
+  'Initializer.ransacIterations': { type: ValueType.INT, default: 200, min: 10, max: 10000, optional: true, label: 'RANSAC iterations' },
+  'Initializer.minParallax': { type: ValueType.REAL, default: 1.0, min: 0.1, max: 30, optional: true, unit: '°', label: 'Minimum parallax' },
+};
+
+/**
+ * Keys of the IMU section; SlamService runs visual-inertial SLAM only when all are present
+ */
+export const IMU_KEYS = ['Tbc', 'IMU.NoiseGyro', 'IMU.NoiseAcc', 'IMU.GyroWalk', 'IMU.AccWalk', 'IMU.Frequency'];
+
+/**
+ * Named sets of performance settings
+ * Profiles leave the calibration and IMU alone.
+ */
+export const PROFILES = {
+  standard: {
+    name: 'Standard',
+    description: 'The bundled settings',
+    values: {
+      'ORBextractor.nFeatures': 1000,
+      'ORBextractor.scaleFactor': 1.2,
+      'ORBextractor.nLevels': 8,
+      'ORBextractor.iniThFAST': 20,
+      'ORBextractor.minThFAST': 7,
+      'Camera.fps': 30.0,
+      'LocalMapping.Culling': true,
+      'LoopClosing.Enabled': true,
+    },
+  },
+  accuracy: {
+    name: 'Accuracy',
+    description: 'More features and a finer pyramid, for mapping',
+    values: {
+      'ORBextractor.nFeatures': 1500,
+      'ORBextractor.scaleFactor': 1.2,
+      'ORBextractor.nLevels': 8,
+      'ORBextractor.iniThFAST': 20,
+      'ORBextractor.minThFAST': 7,
+      'Camera.fps': 30.0,
+      'LocalMapping.Culling': true,
+      'LoopClosing.Enabled': true,
+    },
+  },
+  balanced: {
+    name: 'Balanced',
+    description: 'Fewer features at 20 fps',
+    values: {
+      'ORBextractor.nFeatures': 800,
+      'ORBextractor.scaleFactor': 1.2,
+      'ORBextractor.nLevels': 6,
+      'ORBextractor.iniThFAST': 20,
+      'ORBextractor.minThFAST': 7,
+      'Camera.fps': 20.0,
+      'LocalMapping.Culling': true,
+      'LoopClosing.Enabled': true,
+    },
+  },
+  batterySaver: {
+    name: 'Battery saver',
+    description: 'Fewest features at 15 fps, without loop closing',
+    values: {
+      'ORBextractor.nFeatures': 600,
+      'ORBextractor.scaleFactor': 1.2,
+      'ORBextractor.nLevels': 6,
+      'ORBextractor.iniThFAST': 20,
+      'ORBextractor.minThFAST': 7,
+      'Camera.fps': 15.0,
+      'LocalMapping.Culling': true,
+      'LoopClosing.Enabled': false,
+    },
+  },
+};
+
+/**
+ * Default value of every key, as in the bundled settings.yaml
+ * @returns {Object}
+ */
+export const getDefaultSettings = () => {
+  const values = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+    values[key] = schema.default;
+  });
+  return values;
+};
+
+/**
+ * New settings file with a banner per section
+ * @param {Object} values - { key: value }, getDefaultSettings() by default
+ * @returns {Object} Document for serializeSettings()
+ */
+export const createSettingsDocument = (values = getDefaultSettings()) => {
+  const banner = `#${'-'.repeat(92)}`;
+  const nodes = [{ type: 'text', text: '%YAML:1.0' }];
+  const text = line => nodes.push({ type: 'text', text: line });
+
+  SETTINGS_SECTIONS.forEach(section => {
+    const keys = Object.keys(SETTINGS_SCHEMA).filter(
+      key => (key === 'Tbc' ? 'IMU' : key.split('.')[0]) === section.id && values[key] !== undefined
+    );
+    if (keys.length === 0) {
+      return;
+    }
+    [''].concat(banner, `# ${section.title}`, banner, '').forEach(text);
+    keys.forEach(key =>
+      nodes.push({ type: 'entry', key, value: values[key], valueType: SETTINGS_SCHEMA[key].type, comment: '', raw: null })
+    );
+  });
+  text('');
+  return { nodes };
+};
+
+/**
+ * Check a single value against its schema
+ * @param {string} key
+ * @param {*} value
+ * @returns {string|null} Error message, null when valid
+ */
+export const validateValue = (key, value) => {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) {
+    return null;
+  }
+
+  switch (schema.type) {
+    case ValueType.BOOL:
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case ValueType.MATRIX:
+      if (!value || value.rows !== schema.rows || value.cols !== schema.cols) {
+        return `${key} must be a ${schema.rows}x${schema.cols} matrix`;
+      }
+      return value.data.every(Number.isFinite) ? null : `${key} contains invalid numbers`;
+    case ValueType.INT:
+    case ValueType.REAL:
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${key} must be a number`;
+      }
+      if (schema.type === ValueType.INT && !Number.isInteger(value)) {
+        return `${key} must be a whole number`;
+      }
+      if (value < schema.min || value > schema.max) {
+        return `${key} must be between ${schema.min} and ${schema.max}`;
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check settings before they are written or SLAM is initialized with them
+ * @param {Object} values - { key: value }
+ * @returns {Object} { valid, errors: { key: message }, warnings: string[] }
+ */
+export const validateSettings = values => {
+  const errors = {};
+  const warnings = [];
+
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+    if (values[key] === undefined) {
+      if (!schema.optional) {
+        errors[key] = `${key} is missing`;
+      }
+      return;
+    }
+    const error = validateValue(key, values[key]);
+    if (error) {
+      errors[key] = error;
+    }
+  });
+
+  Object.keys(values)
+    .filter(key => !SETTINGS_SCHEMA[key])
+    .forEach(key => warnings.push(`Unknown setting ${key} is kept as is`));
+
+  // Relations between keys, once the keys themselves are valid
+  const checked = key => values[key] !== undefined && !errors[key];
+  if (checked('Camera.cx') && checked('Camera.width') && values['Camera.cx'] >= values['Camera.width']) {
+    errors['Camera.cx'] = 'Camera.cx must lie inside the image width';
+  }
+  if (checked('Camera.cy') && checked('Camera.height') && values['Camera.cy'] >= values['Camera.height']) {
+    errors['Camera.cy'] = 'Camera.cy must lie inside the image height';
+  }
+  if (
+    checked('ORBextractor.minThFAST') &&
+    checked('ORBextractor.iniThFAST') &&
+    values['ORBextractor.minThFAST'] > values['ORBextractor.iniThFAST']
+  ) {
+    errors['ORBextractor.minThFAST'] = 'ORBextractor.minThFAST must not exceed ORBextractor.iniThFAST';
+  }
+
+  const imuKeys = IMU_KEYS.filter(key => values[key] !== undefined);
+  if (imuKeys.length > 0 && imuKeys.length < IMU_KEYS.length) {
+    IMU_KEYS.filter(key => values[key] === undefined).forEach(key => {
+      errors[key] = `${key} is missing, the IMU section needs all of ${IMU_KEYS.join(', ')}`;
+    });
+  }
+
+  const calibration = ['Camera.fx', 'Camera.fy', 'Camera.cx', 'Camera.cy'];
+  if (calibration.every(key => values[key] === SETTINGS_SCHEMA[key].default)) {
+    warnings.push('The camera has the example calibration, calibrate it for accurate tracking');
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, warnings };
+};
+
+/**
+ * Parse a value typed into the settings screen
+ * @param {string} key
+ * @param {string} text
+ * @returns {*} Number for numeric keys (NaN when not a number), the text otherwise
+ */
+export const parseInput = (key, text) => {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema || (schema.type !== ValueType.INT && schema.type !== ValueType.REAL)) {
+    return text;
+  }
+  return text.trim() === '' ? NaN : Number(text);
+};
+
+/**
+ * Format a value for the settings screen
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+export const formatInput = (key, value) => {
+  const schema = SETTINGS_SCHEMA[key];
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return '';
+  }
+  if (schema && (schema.type === ValueType.INT || schema.type === ValueType.REAL) && typeof value === 'number') {
+    return formatScalar(value, schema.type);
+  }
+  return String(value);
+};
+
+/**
+ * Profile the settings match
+ * Keys a profile sets that are missing from the file count as their defaults.
+ * @param {Object} values - { key: value }
+ * @returns {string|null} Key of PROFILES, null for custom settings
+ */
+export const detectProfile = values =>
+  Object.keys(PROFILES).find(profile =>
+    Object.entries(PROFILES[profile].values).every(([key, value]) => {
+      const current = values[key] !== undefined ? values[key] : SETTINGS_SCHEMA[key].default;
+      return current === value;
+    })
+  ) || null;
@@ -0,0 +1,154 @@
+import * as Q from './quaternion';
+
+/**
+ * Helpers for lining up camera, IMU and SLAM in time
+ * Poses are { timestamp (ms), position: [x, y, z], orientation: [qx, qy, qz, qw] }
+ * and gyro samples { timestamp (ms), gyro: [x, y, z] (rad/s) }.
+ */
+
+const DEFAULT_OFFSET_OPTIONS = {
+  maxOffset: 200, // ms searched either way
+  step: 1, // ms between candidate offsets
+  minSamples: 20, // rotation rates compared at least
+  minRateStd: 0.05, // rad/s, spread of the camera rotation rate needed, i.e. enough turning
+};
+
+/**
+ * Pose at a time on the path through two poses
+ * Between them this interpolates; before or after them it extrapolates at
+ * the constant linear and angular velocity the two poses imply.
+ * @param {Object} a - Earlier pose
+ * @param {Object} b - Later pose
+ * @param {number} timestamp - ms
+ * @returns {Object} { timestamp, position, orientation }
+ */
+export const interpolatePose = (a, b, timestamp) => {
+  const span = b.timestamp - a.timestamp;
+  const fraction = span > 0 ? (timestamp - a.timestamp) / span : 1;
+  return {
+    timestamp,
+    position: a.position.map((p, i) => p + (b.position[i] - p) * fraction),
+    orientation: Q.slerp(a.orientation, b.orientation, fraction),
+  };
+};
+
+/**
+ * Rotation rate magnitudes between consecutive orientations, at the midpoints
+ * @private
+ */
+const rotationRates = orientations =>
+  orientations.slice(1).map((b, i) => {
+    const a = orientations[i];
+    const dt = (b.timestamp - a.timestamp) / 1000;
+    const angle = Math.hypot(...Q.toRotationVector(Q.multiply(Q.conjugate(a.orientation), b.orientation)));
+    return { timestamp: (a.timestamp + b.timestamp) / 2, rate: dt > 0 ? angle / dt : 0 };
+  });
+
+/**
+ * Linear interpolation in a series sorted by timestamp, null outside it
+ * @private
+ */
+const sampleSeries = (series, timestamp) => {
+  if (series.length < 2 || timestamp < series[0].timestamp || timestamp > series[series.length - 1].timestamp) {
+    return null;
+  }
+  let low = 0;
+  let high = series.length - 1;
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (series[middle].timestamp <= timestamp) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  const a = series[low];
+  const b = series[high];
+  const span = b.timestamp - a.timestamp;
+  return span > 0 ? a.rate + ((b.rate - a.rate) * (timestamp - a.timestamp)) / span : a.rate;
+};
+
+/**
+ * Pearson correlation of paired values
+ * @private
+ */
+const correlation = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+};
+
+/**
+ * Time offset between a camera and an IMU
+ * The rotation rate seen by the camera (from consecutive orientations) is
+ * correlated with the gyro rate over a range of offsets. Only magnitudes are
+ * compared, so the rotation between camera and IMU does not matter; the peak
+ * is refined to below the step with a parabola.
+ * @param {Object[]} gyroSamples - { timestamp (ms, IMU clock), gyro }, sorted
+ * @param {Object[]} orientations - { timestamp (ms, camera clock), orientation }, sorted
+ * @param {Object} options - See DEFAULT_OFFSET_OPTIONS
+ * @returns {Object|null} { offset (ms to add to camera timestamps for IMU time), correlation, samples },
+ *   null without enough overlap or rotation
+ */
+export const estimateTimeOffset = (gyroSamples, orientations, options = {}) => {
+  const { maxOffset, step, minSamples, minRateStd } = { ...DEFAULT_OFFSET_OPTIONS, ...options };
+  const camera = rotationRates(orientations);
+  const gyro = gyroSamples.map(({ timestamp, gyro: rate }) => ({ timestamp, rate: Math.hypot(...rate) }));
+  if (camera.length < minSamples) {
+    return null;
+  }
+
+  const meanRate = camera.reduce((sum, sample) => sum + sample.rate, 0) / camera.length;
+  const rateStd = Math.sqrt(camera.reduce((sum, sample) => sum + (sample.rate - meanRate) ** 2, 0) / camera.length);
+  if (rateStd < minRateStd) {
+    return null;
+  }
+
+  const score = offset => {
+    const cameraRates = [];
+    const gyroRates = [];
+    camera.forEach(({ timestamp, rate }) => {
+      const gyroRate = sampleSeries(gyro, timestamp + offset);
+      if (gyroRate !== null) {
+        cameraRates.push(rate);
+        gyroRates.push(gyroRate);
+      }
+    });
+    return cameraRates.length >= minSamples ? { value: correlation(cameraRates, gyroRates), samples: cameraRates.length } : null;
+  };
+
+  let best = null;
+  for (let offset = -maxOffset; offset <= maxOffset; offset += step) {
+    const result = score(offset);
+    if (result && (!best || result.value > best.value)) {
+      best = { offset, ...result };
+    }
+  }
+  if (!best) {
+    return null;
+  }
+
+  // Vertex of the parabola through the peak and its neighbours
+  const before = score(best.offset - step);
+  const after = score(best.offset + step);
+  let offset = best.offset;
+  if (before && after) {
+    const curvature = before.value - 2 * best.value + after.value;
+    if (curvature < 0) {
+      offset += (step * (before.value - after.value)) / (2 * curvature);
+    }
+  }
+
+  return { offset, correlation: best.value, samples: best.samples };
+};
@@ -0,0 +1,110 @@
+/**
+ * Tracking health derived from per-frame SLAM diagnostics
+ * Diagnostics are { stateName, matchedMapPoints, keyframes, mapPoints, maps,
+ * loopClosure, timing: { preprocessMs, extractMs, trackMs, totalMs }, ... }
+ * as returned by SlamModule for every frame.
+ */
+
+/**
+ * Tracking transitions reported by SlamService
+ */
+export const TrackingEvent = {
+  STATE_CHANGED: 'stateChanged', // any change of tracking state
+  LOST: 'lost', // OK -> LOST
+  RELOCALIZED: 'relocalized', // LOST -> OK, in the current or a loaded map
+  LOOP_CLOSED: 'loopClosed', // loop closure corrected the map
+  MAP_MERGED: 'mapMerged', // two maps of the atlas were merged
+};
+
+/**
+ * Health levels, from best to worst
+ */
+export const HealthLevel = {
+  GOOD: 'good',
+  DEGRADED: 'degraded',
+  POOR: 'poor',
+  LOST: 'lost',
+};
+
+export const DEFAULT_HEALTH_OPTIONS = {
+  goodMatches: 100, // matched map points at which the feature score saturates
+  frameBudgetMs: 33, // processing time that keeps up with 30 fps
+  featureWeight: 0.8, // remainder goes to processing time
+  smoothing: 0.3, // weight of the new frame in the running score
+  degradedBelow: 0.7,
+  poorBelow: 0.4,
+};
+
+/**
+ * Health of a single frame, before smoothing
+ * @param {Object} diagnostics
+ * @param {Object} options - See DEFAULT_HEALTH_OPTIONS
+ * @returns {number} 0 (not tracking) to 1
+ */
+export const frameHealth = (diagnostics, options = {}) => {
+  const { goodMatches, frameBudgetMs, featureWeight } = { ...DEFAULT_HEALTH_OPTIONS, ...options };
+  if (!diagnostics || diagnostics.stateName !== 'OK') {
+    return 0;
+  }
+
+  const featureScore = Math.min(1, diagnostics.matchedMapPoints / goodMatches);
+  const totalMs = diagnostics.timing ? diagnostics.timing.totalMs : 0;
+  const timingScore = totalMs > frameBudgetMs ? frameBudgetMs / totalMs : 1;
+  return featureWeight * featureScore + (1 - featureWeight) * timingScore;
+};
+
+/**
+ * Update the running health with a new frame
+ * Losing tracking drops the score to zero immediately; recovery is smoothed.
+ * @param {Object} diagnostics
+ * @param {number|null} previousScore - Running score, null for the first frame
+ * @param {Object} options - See DEFAULT_HEALTH_OPTIONS
+ * @returns {Object} { score, level }
+ */
+export const updateHealth = (diagnostics, previousScore, options = {}) => {
+  const { smoothing, degradedBelow, poorBelow } = { ...DEFAULT_HEALTH_OPTIONS, ...options };
+  const current = frameHealth(diagnostics, options);
+
+  if (current === 0) {
+    return { score: 0, level: HealthLevel.LOST };
+  }
+
+  const score =
+    previousScore == null ? current : previousScore + smoothing * (current - previousScore);
+  let level = HealthLevel.GOOD;
+  if (score < poorBelow) {
+    level = HealthLevel.POOR;
+  } else if (score < degradedBelow) {
+    level = HealthLevel.DEGRADED;
+  }
+  return { score, level };
+};
+
+/**
+ * Transitions between two consecutive frames
+ * @param {Object|null} previous - Diagnostics of the previous frame
+ * @param {Object} current - Diagnostics of the current frame
+ * @returns {Object[]} Events { type, from, to }, in the order they should be reported
+ */
+export const detectTrackingEvents = (previous, current) => {
+  const from = previous ? previous.stateName : null;
+  const to = current.stateName;
+  const events = [];
+
+  if (from !== to) {
+    events.push({ type: TrackingEvent.STATE_CHANGED, from, to });
+    if (from === 'OK' && to === 'LOST') {
+      events.push({ type: TrackingEvent.LOST, from, to });
+    } else if (from === 'LOST' && to === 'OK') {
+      events.push({ type: TrackingEvent.RELOCALIZED, from, to });
+    }
+  }
+  if (previous && current.maps < previous.maps) {
+    events.push({ type: TrackingEvent.MAP_MERGED, from, to });
+  }
+  if (current.loopClosure) {
+    events.push({ type: TrackingEvent.LOOP_CLOSED, from, to });
+  }
+
+  return events;
+};
@@ -0,0 +1,302 @@
+import * as M from './matrix';
+import * as Q from './quaternion';
+import { parseTumPoses } from './sessionFormat';
+
+/**
+ * Trajectory evaluation against ground truth
+ * Follows the TUM RGB-D benchmark tools: poses are associated by timestamp,
+ * the estimate is aligned to ground truth (Umeyama, optionally with scale for
+ * monocular SLAM), then the Absolute Trajectory Error (ATE) and Relative Pose
+ * Error (RPE) are summarized. Poses are { timestamp (s), position, orientation }.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxDifference: 0.02, // s, largest timestamp gap accepted when associating poses
+  offset: 0, // s, added to estimated timestamps before associating
+  withScale: false, // estimate scale too, needed for monocular SLAM
+  delta: 1.0, // s, pose distance for RPE
+};
+
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const norm3 = a => Math.hypot(a[0], a[1], a[2]);
+
+/**
+ * Parse a TUM trajectory file
+ * @param {string} content
+ * @returns {Object[]} Poses sorted by timestamp
+ */
+export const parseTrajectory = content =>
+  parseTumPoses(content).sort((a, b) => a.timestamp - b.timestamp);
+
+/**
+ * Associate estimated and ground-truth poses with the closest timestamps
+ * Each pose is used at most once; closer candidate pairs win.
+ * @param {Object[]} estimated - Poses sorted by timestamp
+ * @param {Object[]} groundTruth - Poses sorted by timestamp
+ * @param {Object} options - { maxDifference, offset }
+ * @returns {Object[]} Pairs { estimated, groundTruth } sorted by timestamp
+ */
+export const associate = (estimated, groundTruth, options = {}) => {
+  const { maxDifference, offset } = { ...DEFAULT_OPTIONS, ...options };
+  const candidates = [];
+
+  let start = 0;
+  estimated.forEach((pose, i) => {
+    const t = pose.timestamp + offset;
+    while (start < groundTruth.length && groundTruth[start].timestamp < t - maxDifference) {
+      start++;
+    }
+    for (let j = start; j < groundTruth.length; j++) {
+      const difference = Math.abs(groundTruth[j].timestamp - t);
+      if (groundTruth[j].timestamp > t + maxDifference) {
+        break;
+      }
+      candidates.push({ i, j, difference });
+    }
+  });
+
+  candidates.sort((a, b) => a.difference - b.difference);
+  const usedEstimated = new Set();
+  const usedGroundTruth = new Set();
+  const pairs = [];
+  candidates.forEach(({ i, j }) => {
+    if (!usedEstimated.has(i) && !usedGroundTruth.has(j)) {
+      usedEstimated.add(i);
+      usedGroundTruth.add(j);
+      pairs.push({ estimated: estimated[i], groundTruth: groundTruth[j] });
+    }
+  });
+
+  return pairs.sort((a, b) => a.estimated.timestamp - b.estimated.timestamp);
+};
+
+/**
+ * Least-squares similarity transform taking source points onto target points
+ * (Umeyama 1991). The rotation comes from the equivalent closed-form quaternion
+ * solution (Horn 1987), which is always proper and stays well defined for
+ * planar trajectories.
+ * @param {number[][]} source - Points to align
+ * @param {number[][]} target - Corresponding reference points
+ * @param {boolean} withScale - Also estimate a scale factor
+ * @returns {Object} { rotation (3x3), orientation (quaternion), translation, scale }
+ * @throws {Error} With fewer than three point pairs
+ */
+export const alignUmeyama = (source, target, withScale = false) => {
+  const n = source.length;
+  if (n < 3 || target.length !== n) {
+    throw new Error('Alignment needs at least three corresponding points');
+  }
+
+  const mean = points => {
+    const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
+    return sum.map(c => c / n);
+  };
+  const sourceMean = mean(source);
+  const targetMean = mean(target);
+  const a = source.map(p => sub3(p, sourceMean));
+  const b = target.map(p => sub3(p, targetMean));
+
+  // Cross-covariance S[r][c] = sum a_r * b_c
+  const S = M.zeros(3, 3);
+  for (let k = 0; k < n; k++) {
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) {
+        S[r][c] += a[k][r] * b[k][c];
+      }
+    }
+  }
+
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+  const N = [
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+  ];
+  const { vectors } = M.symmetricEigen(N);
+  const [w, x, y, z] = vectors.map(row => row[0]);
+  const orientation = Q.normalize([x, y, z, w]);
+  const rotation = Q.toRotationMatrix(orientation);
+
+  let scale = 1;
+  if (withScale) {
+    let numerator = 0;
+    let denominator = 0;
+    for (let k = 0; k < n; k++) {
+      const ra = M.multiplyVector(rotation, a[k]);
+      numerator += ra[0] * b[k][0] + ra[1] * b[k][1] + ra[2] * b[k][2];
+      denominator += a[k][0] ** 2 + a[k][1] ** 2 + a[k][2] ** 2;
+    }
+    if (denominator > 0) {
+      scale = numerator / denominator;
+    }
+  }
+
+  const rotatedMean = M.multiplyVector(rotation, sourceMean);
+  const translation = sub3(targetMean, rotatedMean.map(c => c * scale));
+
+  return { rotation, orientation, translation, scale };
+};
+
+/**
+ * Apply an alignment to a pose
+ * @param {Object} alignment - From alignUmeyama
+ * @param {Object} pose
+ * @returns {Object} Aligned pose
+ */
+export const applyAlignment = ({ rotation, orientation, translation, scale }, pose) => {
+  const p = M.multiplyVector(rotation, pose.position);
+  return {
+    ...pose,
+    position: [0, 1, 2].map(i => scale * p[i] + translation[i]),
+    orientation: Q.normalize(Q.multiply(orientation, pose.orientation)),
+  };
+};
+
+/**
+ * Summary statistics of a list of errors
+ * @param {number[]} errors
+ * @returns {Object} { count, rmse, mean, median, std, min, max }
+ */
+export const computeStatistics = errors => {
+  const count = errors.length;
+  if (count === 0) {
+    return { count: 0, rmse: NaN, mean: NaN, median: NaN, std: NaN, min: NaN, max: NaN };
+  }
+
+  const sorted = [...errors].sort((a, b) => a - b);
+  const mean = errors.reduce((sum, e) => sum + e, 0) / count;
+  const meanSquare = errors.reduce((sum, e) => sum + e * e, 0) / count;
+  const middle = Math.floor(count / 2);
+
+  return {
+    count,
+    rmse: Math.sqrt(meanSquare),
+    mean,
+    median: count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    std: Math.sqrt(Math.max(0, meanSquare - mean * mean)),
+    min: sorted[0],
+    max: sorted[count - 1],
+  };
+};
+
+/**
+ * Absolute Trajectory Error: position error after aligning the whole estimate
+ * @param {Object[]} estimated - Poses sorted by timestamp
+ * @param {Object[]} groundTruth - Poses sorted by timestamp
+ * @param {Object} options - { maxDifference, offset, withScale }
+ * @returns {Object} { statistics, alignment, errors: [{ timestamp, error }], pairs }
+ */
+export const absoluteTrajectoryError = (estimated, groundTruth, options = {}) => {
+  const { withScale } = { ...DEFAULT_OPTIONS, ...options };
+  const pairs = associate(estimated, groundTruth, options);
+
+  const alignment = alignUmeyama(
+    pairs.map(pair => pair.estimated.position),
+    pairs.map(pair => pair.groundTruth.position),
+    withScale
+  );
+
+  const errors = pairs.map(pair => ({
+    timestamp: pair.groundTruth.timestamp,
+    error: norm3(sub3(applyAlignment(alignment, pair.estimated).position, pair.groundTruth.position)),
+  }));
+
+  return {
+    statistics: computeStatistics(errors.map(e => e.error)),
+    alignment,
+    errors,
+    pairs,
+  };
+};
+
+/**
+ * Motion from pose a to pose b, expressed in a's frame
+ * @private
+ */
+const relativeMotion = (a, b) => {
+  const Ra = Q.toRotationMatrix(a.orientation);
+  const RaT = M.transpose(Ra);
+  return {
+    rotation: M.multiply(RaT, Q.toRotationMatrix(b.orientation)),
+    translation: M.multiplyVector(RaT, sub3(b.position, a.position)),
+  };
+};
+
+/**
+ * Rotation angle of a rotation matrix (rad)
+ * @private
+ */
+const rotationAngle = R => {
+  const cos = (R[0][0] + R[1][1] + R[2][2] - 1) / 2;
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+};
+
+/**
+ * Relative Pose Error: drift over a fixed time interval, independent of the
+ * global alignment except for scale
+ * @param {Object[]} estimated - Poses sorted by timestamp
+ * @param {Object[]} groundTruth - Poses sorted by timestamp
+ * @param {Object} options - { maxDifference, offset, withScale, delta }
+ * @returns {Object} { translation, rotation } statistics (m, rad) and per-pair errors
+ */
+export const relativePoseError = (estimated, groundTruth, options = {}) => {
+  const { withScale, delta } = { ...DEFAULT_OPTIONS, ...options };
+  let pairs = associate(estimated, groundTruth, options);
+
+  // Only the scale of the alignment affects relative motions
+  if (withScale && pairs.length >= 3) {
+    const { scale } = alignUmeyama(
+      pairs.map(pair => pair.estimated.position),
+      pairs.map(pair => pair.groundTruth.position),
+      true
+    );
+    pairs = pairs.map(pair => ({
+      ...pair,
+      estimated: { ...pair.estimated, position: pair.estimated.position.map(c => c * scale) },
+    }));
+  }
+
+  const errors = [];
+  let j = 0;
+  for (let i = 0; i < pairs.length; i++) {
+    const target = pairs[i].groundTruth.timestamp + delta;
+    j = Math.max(j, i + 1);
+    while (j < pairs.length && pairs[j].groundTruth.timestamp < target) {
+      j++;
+    }
+    if (j >= pairs.length) {
+      break;
+    }
+
+    const groundTruthMotion = relativeMotion(pairs[i].groundTruth, pairs[j].groundTruth);
+    const estimatedMotion = relativeMotion(pairs[i].estimated, pairs[j].estimated);
+    const RgT = M.transpose(groundTruthMotion.rotation);
+
+    errors.push({
+      timestamp: pairs[i].groundTruth.timestamp,
+      translation: norm3(
+        M.multiplyVector(RgT, sub3(estimatedMotion.translation, groundTruthMotion.translation))
+      ),
+      rotation: rotationAngle(M.multiply(RgT, estimatedMotion.rotation)),
+    });
+  }
+
+  return {
+    translation: computeStatistics(errors.map(e => e.translation)),
+    rotation: computeStatistics(errors.map(e => e.rotation)),
+    errors,
+  };
+};
+
+/**
+ * ATE and RPE of one estimate
+ * @param {Object[]} estimated - Poses sorted by timestamp
+ * @param {Object[]} groundTruth - Poses sorted by timestamp
+ * @param {Object} options - { maxDifference, offset, withScale, delta }
+ * @returns {Object} { ate, rpe }
+ */
+export const evaluateTrajectory = (estimated, groundTruth, options = {}) => ({
+  ate: absoluteTrajectoryError(estimated, groundTruth, options),
+  rpe: relativePoseError(estimated, groundTruth, options),
+});
@@ -0,0 +1,63 @@
+import { formatTumPose } from './sessionFormat';
+import { localToGeodetic } from './geo';
+import { toRotationMatrix } from './quaternion';
+
+/**
+ * Trajectory file formats understood by evo and the usual SLAM tooling
+ * Poses are { timestamp (s), position: [x, y, z], orientation: [qx, qy, qz, qw] }.
+ */
+
+/**
+ * TUM format: one `timestamp tx ty tz qx qy qz qw` line per pose
+ * @param {Object[]} poses
+ * @returns {string}
+ */
+export const toTum = poses =>
+  poses
+    .map(({ timestamp, position, orientation }) => formatTumPose(timestamp, position, orientation))
+    .join('');
+
+/**
+ * KITTI format: the top three rows of the 4x4 pose matrix per line, row-major,
+ * without timestamps
+ * @param {Object[]} poses
+ * @returns {string}
+ */
+export const toKitti = poses =>
+  poses
+    .map(({ position, orientation }) => {
+      const R = toRotationMatrix(orientation);
+      const rows = R.map((row, i) => [...row, position[i]].join(' '));
+      return `${rows.join(' ')}\n`;
+    })
+    .join('');
+
+/**
+ * KITTI timestamps file matching toKitti, one time in seconds per line
+ * @param {Object[]} poses
+ * @returns {string}
+ */
+export const toKittiTimes = poses =>
+  poses.map(({ timestamp }) => `${timestamp.toFixed(9)}\n`).join('');
+
+/**
+ * GeoJSON FeatureCollection with the trajectory as a LineString
+ * @param {Object[]} poses
+ * @param {Object} anchor - Geographic anchor, see utils/geo.js
+ * @param {Object} properties - Extra feature properties
+ * @returns {string}
+ */
+export const toGeoJson = (poses, anchor, properties = {}) => {
+  const coordinates = poses.map(({ position }) => localToGeodetic(anchor, position));
+  const feature = {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates },
+    properties: {
+      ...properties,
+      startTime: poses.length > 0 ? poses[0].timestamp : null,
+      endTime: poses.length > 0 ? poses[poses.length - 1].timestamp : null,
+      timestamps: poses.map(({ timestamp }) => timestamp),
+    },
+  };
+  return JSON.stringify({ type: 'FeatureCollection', features: [feature] }, null, 2);
+};